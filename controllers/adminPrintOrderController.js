@@ -0,0 +1,272 @@
+const printOrderService = require("../services/printOrderService");
+const luluStatusService = require("../services/luluStatusService");
+const emailService = require("../services/emailService");
+const logger = require("../utils/logger");
+
+// Errors caused by the order's current state rather than a server fault
+const CONFLICT_ERRORS = [
+  "Print order has already been submitted to Lulu",
+  "Canceled print orders cannot be resubmitted",
+  "Print order has not been submitted to Lulu yet",
+  "Shipping address cannot be changed at this stage",
+  "Shipping country cannot be changed",
+];
+
+const getErrorStatusCode = (error) => {
+  if (error.message.includes("not found")) return 404;
+  if (CONFLICT_ERRORS.includes(error.message)) return 409;
+  if (error.message.includes("cannot be canceled")) return 409;
+  return 500;
+};
+
+/**
+ * List all print orders
+ * GET /api/admin/print-orders?status=&luluSubmissionStatus=&from=&to=&countryCode=&userId=&userEmail=
+ */
+const listPrintOrders = async (req, res) => {
+  try {
+    const { status, luluSubmissionStatus, from, to, countryCode, userId, userEmail } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await printOrderService.listPrintOrdersForAdmin(
+      { status, luluSubmissionStatus, from, to, countryCode, userId, userEmail },
+      { page, limit }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.orders,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error("Failed to list print orders:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list print orders",
+    });
+  }
+};
+
+/**
+ * Get a print order including internal notes
+ * GET /api/admin/print-orders/:orderId
+ */
+const getPrintOrder = async (req, res) => {
+  try {
+    const printOrder = await printOrderService.getPrintOrderForAdmin(req.params.orderId);
+
+    res.status(200).json({
+      success: true,
+      data: printOrder,
+    });
+  } catch (error) {
+    logger.error("Failed to get print order:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Resubmit an order to Lulu through the job queue
+ * POST /api/admin/print-orders/:orderId/resubmit
+ */
+const resubmitPrintOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const regeneratePdfs = req.body.regeneratePdfs === true;
+
+    logger.info(`Admin ${req.user._id} resubmitting print order ${orderId}`, {
+      regeneratePdfs,
+    });
+
+    const { printOrder, job } = await printOrderService.resubmitPrintOrder(orderId, {
+      regeneratePdfs,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Print order queued for submission",
+      data: { printOrder, jobId: job?._id },
+    });
+  } catch (error) {
+    logger.error("Failed to resubmit print order:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Pull the latest status from Lulu and apply it like a webhook would
+ * POST /api/admin/print-orders/:orderId/sync
+ */
+const syncPrintOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    logger.info(`Admin ${req.user._id} syncing print order ${orderId} with Lulu`);
+
+    const { printOrder, luluPrintJob } = await printOrderService.fetchLuluPrintJob(orderId);
+    const previousStatus = printOrder.status;
+    const luluStatus = luluPrintJob.status?.name?.toLowerCase();
+    const changed = !!luluStatus && luluStatus !== previousStatus;
+
+    // Only a real change goes through the status path
+    if (changed) {
+      await luluStatusService.applyPrintJobStatus(luluPrintJob, "admin_sync");
+    }
+
+    res.status(200).json({
+      success: true,
+      message: changed ? "Print order status updated from Lulu" : "Print order is up to date",
+      data: {
+        previousStatus,
+        luluStatus: luluPrintJob.status,
+        changed,
+        printOrder: await printOrderService.getPrintOrderForAdmin(orderId),
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to sync print order:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Edit the shipping address before production
+ * PATCH /api/admin/print-orders/:orderId/shipping-address
+ */
+const updateShippingAddress = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    logger.info(`Admin ${req.user._id} updating shipping address of print order ${orderId}`);
+
+    const printOrder = await printOrderService.updateShippingAddress(
+      orderId,
+      req.body.shippingAddress
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping address updated successfully",
+      data: printOrder,
+    });
+  } catch (error) {
+    logger.error("Failed to update shipping address:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel an order and refund the customer
+ * POST /api/admin/print-orders/:orderId/cancel
+ */
+const cancelPrintOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const reason = req.body.reason || "Canceled by PetTales support";
+
+    logger.info(`Admin ${req.user._id} canceling print order ${orderId}`, { reason });
+
+    const canceledOrder = await printOrderService.cancelPrintOrder(orderId, null, reason, {
+      asAdmin: true,
+    });
+    const printOrder = await printOrderService.getPrintOrderForAdmin(orderId);
+
+    try {
+      if (printOrder.user_id) {
+        await emailService.sendPrintOrderCanceledEmail(
+          printOrder.user_id,
+          canceledOrder,
+          reason
+        );
+      }
+    } catch (emailError) {
+      logger.error("Failed to send cancellation email:", emailError.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Print order canceled successfully",
+      data: printOrder,
+    });
+  } catch (error) {
+    logger.error("Failed to cancel print order:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Reconcile all open orders with Lulu now and return the report
+ * POST /api/admin/print-orders/reconcile
+ */
+const reconcilePrintOrders = async (req, res) => {
+  try {
+    logger.info(`Admin ${req.user._id} running Lulu status reconciliation`);
+
+    const report = await luluStatusService.reconcileOpenOrders();
+
+    res.status(200).json({
+      success: true,
+      message: `Checked ${report.checked} orders, found ${report.differences.length} differences`,
+      data: report,
+    });
+  } catch (error) {
+    logger.error("Failed to reconcile print orders:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reconcile print orders",
+    });
+  }
+};
+
+/**
+ * Add an internal note
+ * POST /api/admin/print-orders/:orderId/notes
+ */
+const addNote = async (req, res) => {
+  try {
+    const printOrder = await printOrderService.addAdminNote(
+      req.params.orderId,
+      req.user._id,
+      req.body.note
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Note added successfully",
+      data: printOrder,
+    });
+  } catch (error) {
+    logger.error("Failed to add print order note:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  listPrintOrders,
+  getPrintOrder,
+  resubmitPrintOrder,
+  syncPrintOrder,
+  updateShippingAddress,
+  cancelPrintOrder,
+  addNote,
+  reconcilePrintOrders,
+};
@@ -0,0 +1,142 @@
+const promotionService = require("../services/promotionService");
+const logger = require("../utils/logger");
+
+// Request body (camelCase) to Promotion fields
+const FIELD_MAP = {
+  code: "code",
+  description: "description",
+  discountType: "discount_type",
+  percentOff: "percent_off",
+  amountOffCents: "amount_off_cents",
+  currency: "currency",
+  products: "products",
+  firstPurchaseOnly: "first_purchase_only",
+  maxRedemptions: "max_redemptions",
+  maxRedemptionsPerUser: "max_redemptions_per_user",
+  startsAt: "starts_at",
+  expiresAt: "expires_at",
+  isActive: "is_active",
+};
+
+const toPromotionFields = (body) => {
+  const fields = {};
+  for (const [key, field] of Object.entries(FIELD_MAP)) {
+    if (body[key] !== undefined) {
+      fields[field] = body[key];
+    }
+  }
+  return fields;
+};
+
+const getErrorStatusCode = (error) => {
+  if (error.message.includes("not found")) return 404;
+  if (error.message === "Promo code already exists") return 409;
+  if (error.name === "ValidationError") return 400;
+  return 500;
+};
+
+/**
+ * List promotions
+ * GET /api/admin/promotions?isActive=&page=&limit=
+ */
+const listPromotions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await promotionService.listPromotions(
+      { isActive: req.query.isActive },
+      { page, limit }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.promotions,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error("Failed to list promotions:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list promotions",
+    });
+  }
+};
+
+/**
+ * Create a promotion
+ * POST /api/admin/promotions
+ */
+const createPromotion = async (req, res) => {
+  try {
+    const promotion = await promotionService.createPromotion(
+      toPromotionFields(req.body),
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Promotion created",
+      data: promotion,
+    });
+  } catch (error) {
+    logger.error("Failed to create promotion:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a promotion with its redemption totals
+ * GET /api/admin/promotions/:promotionId
+ */
+const getPromotion = async (req, res) => {
+  try {
+    const stats = await promotionService.getPromotionStats(req.params.promotionId);
+
+    res.status(200).json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    logger.error("Failed to get promotion:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Update a promotion (restrictions, dates and whether it is active)
+ * PATCH /api/admin/promotions/:promotionId
+ */
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await promotionService.updatePromotion(
+      req.params.promotionId,
+      toPromotionFields(req.body)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Promotion updated",
+      data: promotion,
+    });
+  } catch (error) {
+    logger.error("Failed to update promotion:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  listPromotions,
+  createPromotion,
+  getPromotion,
+  updatePromotion,
+};
@@ -0,0 +1,72 @@
+const usageQuotaService = require("../services/usageQuotaService");
+const logger = require("../utils/logger");
+
+// Request body (camelCase) to User.quota_overrides fields
+const OVERRIDE_FIELD_MAP = {
+  booksPerHour: "books_per_hour",
+  booksPerDay: "books_per_day",
+  concurrentGenerations: "concurrent_generations",
+  regenerationsPerBook: "regenerations_per_book",
+  note: "note",
+};
+
+/**
+ * Get a user's generation limits, overrides and current usage
+ * GET /api/admin/users/:userId/quotas
+ */
+const getUserQuotas = async (req, res) => {
+  try {
+    const quotas = await usageQuotaService.getUserQuotas(req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      data: quotas,
+    });
+  } catch (error) {
+    logger.error("Failed to get user quotas:", error.message);
+    const statusCode = error.message === "User not found" ? 404 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 404 ? error.message : "Failed to get user quotas",
+    });
+  }
+};
+
+/**
+ * Override a user's generation limits (null restores the default)
+ * PATCH /api/admin/users/:userId/quotas
+ */
+const updateUserQuotas = async (req, res) => {
+  try {
+    const overrides = {};
+    for (const [key, field] of Object.entries(OVERRIDE_FIELD_MAP)) {
+      if (req.body[key] !== undefined) {
+        overrides[field] = req.body[key];
+      }
+    }
+
+    const quotas = await usageQuotaService.setUserOverrides(
+      req.params.userId,
+      overrides,
+      req.user._id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "User quotas updated",
+      data: quotas,
+    });
+  } catch (error) {
+    logger.error("Failed to update user quotas:", error.message);
+    const statusCode = error.message === "User not found" ? 404 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 404 ? error.message : "Failed to update user quotas",
+    });
+  }
+};
+
+module.exports = {
+  getUserQuotas,
+  updateUserQuotas,
+};
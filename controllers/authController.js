@@ -1,5 +1,6 @@
 const { User, Session } = require("../models");
 const { emailService } = require("../services");
+const purchaseClaimService = require("../services/purchaseClaimService");
 const { tokenUtils } = require("../utils");
 const { validationResult } = require("express-validator");
 const logger = require("../utils/logger");
@@ -288,6 +289,15 @@ const verifyEmail = async (req, res) => {
     user.email_verification_expires = null;
     await user.save();
 
+    // Guest checkouts made with this email now belong to the account
+    let claimedPurchases = null;
+    try {
+      claimedPurchases = await purchaseClaimService.claimForVerifiedUser(user);
+    } catch (claimError) {
+      logger.error(`Failed to claim guest purchases: ${claimError}`);
+      // Don't fail verification if claiming fails
+    }
+
     // Create session to automatically log in the user
     const sessionToken = tokenUtils.generateSessionToken();
     const sessionExpiry = tokenUtils.generateSessionExpiry();
@@ -337,6 +347,7 @@ const verifyEmail = async (req, res) => {
           creditsBalance: user.credits_balance,
           preferredLanguage: user.preferred_language,
         },
+        claimedPurchases,
       },
     });
   } catch (error) {
@@ -453,6 +464,13 @@ const googleCallback = async (req, res) => {
   try {
     const user = req.user; // Set by passport
 
+    // Google emails are verified, so guest checkouts made with it are theirs
+    try {
+      await purchaseClaimService.claimForVerifiedUser(user);
+    } catch (claimError) {
+      logger.error(`Failed to claim guest purchases: ${claimError}`);
+    }
+
     // Create session
     const sessionToken = tokenUtils.generateSessionToken();
     const sessionExpiry = tokenUtils.generateSessionExpiry();
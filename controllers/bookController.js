@@ -3,11 +3,14 @@ const mongoose = require("mongoose");
 const BookService = require("../services/bookService");
 const { pdfRegenerationService } = require("../services/pdfService");
 const bookPurchaseService = require("../services/bookPurchaseService");
+const subscriptionService = require("../services/subscriptionService");
 const stripeService = require("../services/stripeService");
+const bookEventService = require("../services/bookEventService");
 const logger = require("../utils/logger");
 const https = require("https");
 const http = require("http");
 const Book = require("../models/Book");
+const { BOOK_EVENTS_HEARTBEAT_MS } = require("../utils/constants");
 // const { useErrorTranslation } = require("../utils/errorMapper");
 
 const bookService = new BookService();
@@ -29,22 +32,7 @@ const createBook = async (req, res) => {
     const userId = req.user._id.toString();
     const bookData = req.body;
     
-    // Check rate limiting for free generation
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-    const recentBooksCount = await Book.countDocuments({
-      user_id: userId,
-      created_at: { $gt: oneHourAgo },
-    });
-
-    const hourlyLimit = parseInt(process.env.HOURLY_GENERATION_LIMIT || 3);
-    if (recentBooksCount >= hourlyLimit) {
-      return res.status(429).json({
-        success: false,
-        message: `Generation limit reached (${hourlyLimit} per hour). Please try again later.`,
-      });
-    }
-
-    // Create book WITHOUT credit deduction
+    // Generation limits and plan quotas are enforced by middleware
     const book = await bookService.createBook(userId, bookData);
 
     res.status(201).json({
@@ -546,6 +534,82 @@ const checkPDFStatus = async (req, res) => {
   }
 };
 
+/**
+ * Stream live updates about a book to its owner (Server-Sent Events):
+ * generation progress, illustration regenerations and PDF regenerations.
+ * A "snapshot" event with the current state is sent first.
+ */
+const streamBookEvents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const userId = req.user._id.toString();
+
+    const snapshot = await bookEventService.getSnapshot(id, userId);
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // Stop nginx from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const send = ({ type, data }) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send({ type: "snapshot", data: snapshot });
+    const unsubscribe = bookEventService.subscribe(id, send);
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), BOOK_EVENTS_HEARTBEAT_MS);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      logger.debug(`Event stream closed for book ${id}`);
+    });
+
+    logger.info(`User ${userId} opened event stream for book ${id}`);
+  } catch (error) {
+    logger.error(`Stream book events error: ${error.message}`);
+
+    if (error.message === "Invalid book ID format") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid book ID format",
+      });
+    }
+
+    if (error.message === "Book not found") {
+      return res.status(404).json({
+        success: false,
+        message: "Book not found",
+      });
+    }
+
+    if (error.message === "Access denied") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to open book event stream",
+    });
+  }
+};
+
 /**
  * Download PDF for a book (proxy to handle CORS)
  */
@@ -571,41 +635,62 @@ const downloadPDF = async (req, res) => {
       });
     }
 
-    // If session_id is present, verify payment and stream PDF
-    if (session_id) {
-      try {
-        const session = await stripeService.retrieveSession(session_id);
-        
-        if (session.payment_status === 'paid' && 
-            session.metadata?.book_id === id &&
-            (session.metadata?.type === 'book_download' || session.metadata?.type === 'pdf_download')) {
-          
-          const book = await bookService.getBookById(id, userId);
-          if (!book.pdfUrl) {
-            return res.status(404).json({
-              success: false,
-              message: "PDF not available for this book",
-            });
-          }
-          
-          logger.info(`Verified payment session ${session_id} for book ${id}, streaming PDF`);
-          return streamPDFToClient(book, id, res);
-        } else {
-          return res.status(400).json({
-            success: false,
-            message: "Invalid or unpaid session",
-          });
-        }
-      } catch (sessionError) {
-        logger.error(`Session verification error: ${sessionError.message}`);
-        return res.status(400).json({
+    // Paid downloads are served from the BookPurchase ledger. Stripe is only
+    // queried when a fresh session's webhook has not been processed yet.
+    let purchase;
+    try {
+      purchase = await bookPurchaseService.resolveDownloadEntitlement(id, {
+        userId,
+        sessionId: session_id,
+      });
+    } catch (entitlementError) {
+      logger.warn(
+        `Download entitlement rejected for book ${id}: ${entitlementError.message}`
+      );
+
+      if (
+        entitlementError.message === "Download link expired" ||
+        entitlementError.message === "Download limit reached"
+      ) {
+        return res.status(403).json({
           success: false,
-          message: "Session verification failed",
+          message: entitlementError.message,
         });
       }
+
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or unpaid session",
+      });
     }
 
-    // No session_id - create Stripe checkout session
+    if (purchase) {
+      const purchasedBook = await Book.findById(id);
+      if (!purchasedBook) {
+        return res.status(404).json({
+          success: false,
+          message: "Book not found",
+        });
+      }
+
+      if (!purchasedBook.pdf_url) {
+        return res.status(404).json({
+          success: false,
+          message: "PDF not available for this book",
+        });
+      }
+
+      const updatedPurchase = await bookPurchaseService.consumeDownload(purchase);
+
+      logger.info(`Download authorized for book ${id}, streaming PDF`, {
+        purchaseId: purchase._id,
+        downloadCount: updatedPurchase.download_count,
+        maxDownloads: updatedPurchase.max_downloads,
+      });
+      return streamPDFToClient(purchasedBook.toJSON(), id, res);
+    }
+
+    // No entitlement - create Stripe checkout session
     const book = await bookService.getBookById(id, userId);
     
     if (!book.pdfUrl) {
@@ -624,6 +709,50 @@ const downloadPDF = async (req, res) => {
       });
     }
 
+    // Subscribers use their plan's download allowance instead of paying
+    if (userId) {
+      const subscription = await subscriptionService.consumeQuota(userId, "downloads");
+      if (subscription) {
+        try {
+          const bookDoc = await Book.findById(id);
+          const subscriptionPurchase = await bookPurchaseService.grantSubscriptionDownload(
+            bookDoc,
+            userId,
+            subscription
+          );
+          await bookPurchaseService.consumeDownload(subscriptionPurchase);
+
+          logger.info(`Download for book ${id} included in subscription`, {
+            purchaseId: subscriptionPurchase._id,
+            plan: subscription.plan,
+          });
+          return streamPDFToClient(bookDoc.toJSON(), id, res);
+        } catch (subscriptionError) {
+          await subscriptionService.releaseQuota(subscription._id, "downloads");
+          throw subscriptionError;
+        }
+      }
+    }
+
+    const currency = req.query.currency || req.user?.preferred_currency || null;
+
+    // Promo code errors are the customer's to fix, so they are reported as-is
+    let discount;
+    try {
+      discount = await bookPurchaseService.getDownloadDiscount(req.query.promoCode, {
+        pageCount: book.pageCount,
+        userId,
+        email: req.user?.email,
+        currency,
+      });
+    } catch (promoError) {
+      logger.warn(`Promo code rejected for book ${id}: ${promoError.message}`);
+      return res.status(400).json({
+        success: false,
+        message: promoError.message,
+      });
+    }
+
     try {
       const session = await stripeService.createDownloadCheckoutSession(
         id,
@@ -633,9 +762,14 @@ const downloadPDF = async (req, res) => {
         {
           returnUrl: `/books/${id}`,
           is_owner: String(isOwner),
-        }
+          ...(currency && { currency }),
+          ...discount?.metadata,
+        },
+        discount?.coupon
       );
 
+      await bookPurchaseService.recordPendingPurchase(session);
+
       return res.json({
         success: true,
         checkoutUrl: session.url,
@@ -665,6 +799,13 @@ const downloadPDF = async (req, res) => {
       });
     }
 
+    if (error.message === "Download limit reached") {
+      return res.status(403).json({
+        success: false,
+        message: "Download limit reached",
+      });
+    }
+
     if (!res.headersSent) {
       res.status(500).json({
         success: false,
@@ -735,6 +876,7 @@ module.exports = {
   retryBookGeneration,
   regeneratePDF,
   checkPDFStatus,
+  streamBookEvents,
   downloadPDF,
 };
 
@@ -0,0 +1,231 @@
+const cartService = require("../services/cartService");
+const logger = require("../utils/logger");
+
+const getErrorStatusCode = (error) => {
+  if (error.message.includes("not found")) return 404;
+  if (error.message.includes("You can only print your own books")) return 403;
+  return 400;
+};
+
+/**
+ * Get the current user's cart
+ * GET /api/cart
+ */
+const getCart = async (req, res) => {
+  try {
+    const cart = await cartService.getCart(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: cart,
+    });
+  } catch (error) {
+    logger.error("Failed to get cart:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get cart",
+    });
+  }
+};
+
+/**
+ * Add a book to the cart
+ * POST /api/cart/items
+ */
+const addItem = async (req, res) => {
+  try {
+    const { bookId, quantity, printProduct } = req.body;
+    const cart = await cartService.addItem(req.user._id, bookId, quantity, printProduct);
+
+    res.status(200).json({
+      success: true,
+      message: "Book added to cart",
+      data: cart,
+    });
+  } catch (error) {
+    logger.error("Failed to add book to cart:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Change the quantity of a book in the cart
+ * PATCH /api/cart/items/:bookId
+ */
+const updateItem = async (req, res) => {
+  try {
+    const cart = await cartService.updateItemQuantity(
+      req.user._id,
+      req.params.bookId,
+      req.body.quantity,
+      req.body.printProduct
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Cart updated",
+      data: cart,
+    });
+  } catch (error) {
+    logger.error("Failed to update cart item:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a book from the cart
+ * DELETE /api/cart/items/:bookId
+ */
+const removeItem = async (req, res) => {
+  try {
+    const cart = await cartService.removeItem(req.user._id, req.params.bookId);
+
+    res.status(200).json({
+      success: true,
+      message: "Book removed from cart",
+      data: cart,
+    });
+  } catch (error) {
+    logger.error("Failed to remove cart item:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Remove every book from the cart
+ * DELETE /api/cart
+ */
+const clearCart = async (req, res) => {
+  try {
+    const cart = await cartService.clearCart(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Cart cleared",
+      data: cart,
+    });
+  } catch (error) {
+    logger.error("Failed to clear cart:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to clear cart",
+    });
+  }
+};
+
+/**
+ * Set the shipping address and level for the whole cart
+ * PUT /api/cart/shipping
+ */
+const setShipping = async (req, res) => {
+  try {
+    const { shippingAddress, shippingLevel } = req.body;
+    const cart = await cartService.setShipping(req.user._id, {
+      shippingAddress,
+      shippingLevel,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping details saved",
+      data: cart,
+    });
+  } catch (error) {
+    logger.error("Failed to save cart shipping details:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Quote the cart as a single shipment
+ * POST /api/cart/quote
+ */
+const getQuote = async (req, res) => {
+  try {
+    const costData = await cartService.getQuote(req.user._id, {
+      currency: req.body.currency || req.user.preferred_currency,
+      gift: req.body.gift,
+    });
+
+    // Filter out internal markup information for frontend response
+    const {
+      lulu_print_cost,
+      lulu_shipping_cost,
+      print_markup_percentage,
+      shipping_markup_percentage,
+      lulu_currency,
+      ...publicCostData
+    } = costData;
+
+    res.status(200).json({
+      success: true,
+      message: "Cost calculated successfully",
+      data: publicCostData,
+    });
+  } catch (error) {
+    logger.error("Failed to quote cart:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Create one Stripe checkout session for the cart
+ * POST /api/cart/checkout
+ */
+const checkout = async (req, res) => {
+  try {
+    logger.info(`User ${req.user._id} checking out cart`);
+
+    const result = await cartService.checkout(req.user._id, {
+      currency: req.body.currency,
+      quoteId: req.body.quoteId,
+      gift: req.body.gift,
+      promoCode: req.body.promoCode,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Cart checkout session created successfully",
+      data: {
+        checkoutUrl: result.checkoutUrl,
+        sessionId: result.sessionId,
+        currency: result.costData.currency,
+        subtotalCents: result.costData.total_cost_cents,
+        discountCents: result.discountCents,
+        totalCostCents: result.costData.total_cost_cents - result.discountCents,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to check out cart:", error.message);
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  setShipping,
+  getQuote,
+  checkout,
+};
@@ -27,6 +27,7 @@ const getPublicBooks = async (req, res) => {
       searchType: req.query.searchType || "all",
       sortBy: req.query.sortBy || "created_at",
       sortOrder: req.query.sortOrder || "desc",
+      currency: req.query.currency || req.user?.preferred_currency,
     };
 
     const result = await galleryService.getPublicBooks(options);
@@ -117,7 +118,10 @@ const getFeaturedBooks = async (req, res) => {
       });
     }
 
-    const books = await galleryService.getFeaturedBooks(limit);
+    const books = await galleryService.getFeaturedBooks(
+      limit,
+      req.query.currency || req.user?.preferred_currency
+    );
 
     res.json({
       success: true,
@@ -154,6 +158,7 @@ const getPublicBooksByLanguage = async (req, res) => {
       limit: parseInt(req.query.limit) || 12,
       sortBy: req.query.sortBy || "created_at",
       sortOrder: req.query.sortOrder || "desc",
+      currency: req.query.currency || req.user?.preferred_currency,
     };
 
     const result = await galleryService.getPublicBooksByLanguage(
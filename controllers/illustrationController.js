@@ -1,214 +1,236 @@
-const illustrationService = require("../services/illustrationService");
-const { Book } = require("../models");
+const illustrationJobService = require("../services/illustrationJobService");
+const alternativeIllustrationService = require("../services/alternativeIllustrationService");
 const logger = require("../utils/logger");
 
+const PROMPT_REJECTED_MESSAGE =
+  "Prompt is not suitable for a children's book illustration";
+
 /**
- * Regenerate front cover illustration
- * @route POST /api/illustrations/regenerate/front-cover/:bookId
- * @access Private (Book Owner)
+ * Edited (prompt) or additional (additional_prompt) prompt text sent with a
+ * regeneration request
  */
-const regenerateFrontCover = async (req, res) => {
-  try {
-    const { bookId } = req.params;
-    const userId = req.user.id;
-
-    logger.info(`User ${userId} regenerating front cover for book ${bookId}`);
+const getPromptOptions = (req) => ({
+  prompt: req.body?.prompt,
+  additionalPrompt: req.body?.additional_prompt,
+});
 
-    // Increment regeneration counter
-    await Book.findByIdAndUpdate(bookId, {
-      $inc: { regenerations_used: 1 },
+/**
+ * Respond to a regeneration request that could not be queued
+ */
+const sendRegenerationError = (res, error, failureMessage) => {
+  if (["Page not found", "Book not found"].includes(error.message)) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
     });
+  }
 
-    const newImageUrl = await illustrationService.regenerateFrontCover(
-      bookId,
-      userId
-    );
-
-    // Clean up temporary files
-    await illustrationService.cleanupTempFiles();
-
-    res.status(200).json({
-      success: true,
-      message: "Front cover regenerated successfully",
-      data: {
-        newImageUrl,
-        regenerationsUsed: 1,
-      },
+  if (error.message === "Access denied") {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied",
     });
-  } catch (error) {
-    logger.error("Regenerate front cover error:", error);
-
-    // Clean up temporary files on error
-    try {
-      await illustrationService.cleanupTempFiles();
-    } catch (cleanupError) {
-      logger.warn("Failed to cleanup temp files:", cleanupError);
-    }
-
-    // Handle specific errors
-    if (error.message === "Book not found") {
-      return res.status(404).json({
-        success: false,
-        message: "Book not found",
-      });
-    }
+  }
 
-    if (error.message === "Access denied") {
-      return res.status(403).json({
-        success: false,
-        message: "Access denied",
-      });
-    }
+  if (
+    ["Page is not an illustration page", PROMPT_REJECTED_MESSAGE].includes(error.message)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
 
-    res.status(500).json({
+  if (error.message === "This illustration is already being regenerated") {
+    return res.status(409).json({
       success: false,
-      message: "Failed to regenerate front cover",
-      error: error.message,
+      message: error.message,
     });
   }
+
+  res.status(500).json({
+    success: false,
+    message: failureMessage,
+    error: error.message,
+  });
 };
 
 /**
- * Regenerate back cover illustration
- * @route POST /api/illustrations/regenerate/back-cover/:bookId
- * @access Private (Book Owner)
+ * Queue the regeneration of a page illustration or cover. Responds with the
+ * job to poll (GET /api/illustrations/jobs/:jobId) for progress and the new
+ * image URL.
+ * @param {string} target - "page", "front_cover" or "back_cover"
+ * @param {string} idParam - Route parameter with the page or book ID
+ * @param {string} label - What is regenerated, for messages
  */
-const regenerateBackCover = async (req, res) => {
+const queueRegeneration = (target, idParam, label) => async (req, res) => {
   try {
-    const { bookId } = req.params;
+    const targetId = req.params[idParam];
     const userId = req.user.id;
 
-    logger.info(`User ${userId} regenerating back cover for book ${bookId}`);
+    // The regeneration was counted by enforceRegenerationLimit and
+    // requirePlanQuota; the job gives it back if it fails
+    logger.info(`User ${userId} queueing ${label} regeneration for ${targetId}`);
 
-    // Increment regeneration counter
-    await Book.findByIdAndUpdate(bookId, {
-      $inc: { regenerations_used: 1 },
+    const job = await illustrationJobService.enqueueRegeneration(target, targetId, userId, {
+      promptOptions: getPromptOptions(req),
+      subscriptionId: req.subscription?._id,
     });
 
-    const newImageUrl = await illustrationService.regenerateBackCover(
-      bookId,
-      userId
-    );
-
-    // Clean up temporary files
-    await illustrationService.cleanupTempFiles();
-
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: "Back cover regenerated successfully",
+      message: `${label[0].toUpperCase()}${label.slice(1)} regeneration started`,
       data: {
-        newImageUrl,
-        regenerationsUsed: 1,
+        jobId: job._id,
+        status: "queued",
+        regenerationsUsed: req.regenerationsUsed,
       },
     });
   } catch (error) {
-    logger.error("Regenerate back cover error:", error);
+    logger.error(`Queue ${label} regeneration error:`, error);
+    sendRegenerationError(res, error, `Failed to regenerate ${label}`);
+  }
+};
 
-    // Clean up temporary files on error
-    try {
-      await illustrationService.cleanupTempFiles();
-    } catch (cleanupError) {
-      logger.warn("Failed to cleanup temp files:", cleanupError);
-    }
+/**
+ * Regenerate front cover illustration
+ * @route POST /api/illustrations/regenerate/front-cover/:bookId
+ * @access Private (Book Owner)
+ */
+const regenerateFrontCover = queueRegeneration("front_cover", "bookId", "front cover");
 
-    // Handle specific errors
-    if (error.message === "Book not found") {
-      return res.status(404).json({
-        success: false,
-        message: "Book not found",
-      });
-    }
+/**
+ * Regenerate back cover illustration
+ * @route POST /api/illustrations/regenerate/back-cover/:bookId
+ * @access Private (Book Owner)
+ */
+const regenerateBackCover = queueRegeneration("back_cover", "bookId", "back cover");
+
+/**
+ * Regenerate page illustration
+ * @route POST /api/illustrations/regenerate/page/:pageId
+ * @access Private (Book Owner)
+ */
+const regeneratePageIllustration = queueRegeneration("page", "pageId", "page illustration");
 
-    if (error.message === "Access denied") {
-      return res.status(403).json({
+/**
+ * Get the status of a regeneration job
+ * @route GET /api/illustrations/jobs/:jobId
+ * @access Private (Job Owner)
+ */
+const getRegenerationJob = async (req, res) => {
+  try {
+    const job = await illustrationJobService.getJobStatus(req.params.jobId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Regeneration job retrieved successfully",
+      data: { job },
+    });
+  } catch (error) {
+    if (error.message === "Job not found") {
+      return res.status(404).json({
         success: false,
-        message: "Access denied",
+        message: "Job not found",
       });
     }
 
+    logger.error("Get regeneration job error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to regenerate back cover",
-      error: error.message,
+      message: "Failed to get regeneration job",
     });
   }
 };
 
 /**
- * Regenerate page illustration
- * @route POST /api/illustrations/regenerate/page/:pageId
+ * Respond to a failed alternative deletion
+ */
+const sendDeleteAlternativeError = (res, error) => {
+  if (["Page not found", "Book not found", "Alternative not found"].includes(error.message)) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.message === "Access denied") {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied",
+    });
+  }
+
+  if (
+    [
+      "The illustration in use cannot be deleted",
+      "Invalid page ID format",
+      "Invalid book ID format",
+    ].includes(error.message)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: "Failed to delete alternative illustration",
+  });
+};
+
+/**
+ * Delete an alternative illustration of a page
+ * @route DELETE /api/illustrations/page/:pageId/alternatives/:alternativeId
  * @access Private (Book Owner)
  */
-const regeneratePageIllustration = async (req, res) => {
+const deletePageAlternative = async (req, res) => {
   try {
-    const { pageId } = req.params;
-    const userId = req.user.id;
-
-    logger.info(
-      `User ${userId} regenerating page illustration for page ${pageId}`
-    );
+    const { pageId, alternativeId } = req.params;
 
-    // Note: For page regeneration, we need to find the book ID differently
-    // The illustrationService should handle this internally
-    const newImageUrl = await illustrationService.regeneratePageIllustration(
+    const alternatives = await alternativeIllustrationService.deletePageAlternative(
       pageId,
-      userId
+      alternativeId,
+      req.user.id
     );
 
-    // Clean up temporary files
-    await illustrationService.cleanupTempFiles();
-
     res.status(200).json({
       success: true,
-      message: "Page illustration regenerated successfully",
-      data: {
-        newImageUrl,
-      },
+      message: "Alternative illustration deleted successfully",
+      data: { alternatives },
     });
   } catch (error) {
-    logger.error("Regenerate page illustration error:", error);
-
-    // Clean up temporary files on error
-    try {
-      await illustrationService.cleanupTempFiles();
-    } catch (cleanupError) {
-      logger.warn("Failed to cleanup temp files:", cleanupError);
-    }
-
-    // Handle specific errors
-    if (error.message === "Page not found") {
-      return res.status(404).json({
-        success: false,
-        message: "Page not found",
-      });
-    }
-
-    if (error.message === "Book not found") {
-      return res.status(404).json({
-        success: false,
-        message: "Book not found",
-      });
-    }
+    logger.error("Delete page alternative error:", error);
+    sendDeleteAlternativeError(res, error);
+  }
+};
 
-    if (error.message === "Page is not an illustration page") {
-      return res.status(400).json({
-        success: false,
-        message: "Page is not an illustration page",
-      });
-    }
+/**
+ * Delete an alternative of a book cover
+ * @route DELETE /api/illustrations/{front,back}-cover/:bookId/alternatives/:alternativeId
+ * @access Private (Book Owner)
+ * @param {string} cover - "front" or "back"
+ */
+const deleteCoverAlternative = (cover) => async (req, res) => {
+  try {
+    const { bookId, alternativeId } = req.params;
 
-    if (error.message === "Access denied") {
-      return res.status(403).json({
-        success: false,
-        message: "Access denied",
-      });
-    }
+    const alternatives = await alternativeIllustrationService.deleteCoverAlternative(
+      bookId,
+      cover,
+      alternativeId,
+      req.user.id
+    );
 
-    res.status(500).json({
-      success: false,
-      message: "Failed to regenerate page illustration",
-      error: error.message,
+    res.status(200).json({
+      success: true,
+      message: "Alternative cover deleted successfully",
+      data: { alternatives },
     });
+  } catch (error) {
+    logger.error(`Delete ${cover} cover alternative error:`, error);
+    sendDeleteAlternativeError(res, error);
   }
 };
 
@@ -216,4 +238,8 @@ module.exports = {
   regenerateFrontCover,
   regenerateBackCover,
   regeneratePageIllustration,
+  getRegenerationJob,
+  deletePageAlternative,
+  deleteFrontCoverAlternative: deleteCoverAlternative("front"),
+  deleteBackCoverAlternative: deleteCoverAlternative("back"),
 };
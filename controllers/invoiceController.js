@@ -0,0 +1,60 @@
+const invoiceService = require("../services/invoiceService");
+const logger = require("../utils/logger");
+
+/**
+ * List the signed-in user's invoices
+ * GET /api/user/invoices?page=&limit=
+ */
+const listInvoices = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await invoiceService.listUserInvoices(req.user._id, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: result.invoices,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error("Failed to list invoices:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list invoices",
+    });
+  }
+};
+
+/**
+ * Download one of the signed-in user's invoices as a PDF
+ * GET /api/user/invoices/:id
+ */
+const downloadInvoice = async (req, res) => {
+  try {
+    const { invoice, pdfBuffer } = await invoiceService.getInvoicePdf(
+      req.params.id,
+      req.user._id
+    );
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${invoice.invoice_number}.pdf"`
+    );
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Access-Control-Expose-Headers", "Content-Disposition");
+    res.status(200).send(pdfBuffer);
+  } catch (error) {
+    logger.error("Failed to download invoice:", error.message);
+    res.status(error.message === "Invoice not found" ? 404 : 500).json({
+      success: false,
+      message: error.message === "Invoice not found" ? error.message : "Failed to download invoice",
+    });
+  }
+};
+
+module.exports = {
+  listInvoices,
+  downloadInvoice,
+};
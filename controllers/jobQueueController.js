@@ -0,0 +1,109 @@
+const jobQueueService = require("../services/jobQueueService");
+const logger = require("../utils/logger");
+
+/**
+ * List background jobs
+ * GET /api/admin/jobs?status=dead&type=lulu_submission&page=1&limit=20
+ */
+const listJobs = async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await jobQueueService.listJobs({ status, type, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Failed to list jobs:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list jobs",
+    });
+  }
+};
+
+/**
+ * Get job counts per type and status
+ * GET /api/admin/jobs/stats
+ */
+const getJobStats = async (req, res) => {
+  try {
+    const stats = await jobQueueService.getStats();
+
+    res.status(200).json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    logger.error("Failed to get job stats:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get job stats",
+    });
+  }
+};
+
+/**
+ * Get a single job including its error history
+ * GET /api/admin/jobs/:jobId
+ */
+const getJob = async (req, res) => {
+  try {
+    const job = await jobQueueService.getJob(req.params.jobId);
+
+    res.status(200).json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    logger.error("Failed to get job:", error.message);
+    const statusCode = error.message === "Job not found" ? 404 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Requeue a dead or completed job
+ * POST /api/admin/jobs/:jobId/requeue
+ */
+const requeueJob = async (req, res) => {
+  try {
+    logger.info(`Admin ${req.user._id} requeueing job ${req.params.jobId}`);
+
+    const job = await jobQueueService.requeueJob(req.params.jobId);
+
+    res.status(200).json({
+      success: true,
+      message: "Job requeued successfully",
+      data: job,
+    });
+  } catch (error) {
+    logger.error("Failed to requeue job:", error.message);
+    let statusCode = 500;
+    if (error.message === "Job not found") statusCode = 404;
+    if (
+      error.message === "Only dead or completed jobs can be requeued" ||
+      error.message === "An active job already exists for this work"
+    ) {
+      statusCode = 409;
+    }
+    res.status(statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  listJobs,
+  getJobStats,
+  getJob,
+  requeueJob,
+};
@@ -1,6 +1,5 @@
 const crypto = require("crypto");
-const printOrderService = require("../services/printOrderService");
-const emailService = require("../services/emailService");
+const webhookEventService = require("../services/webhookEventService");
 const logger = require("../utils/logger");
 const { LULU_WEBHOOK_SECRET } = require("../utils/constants");
 
@@ -76,6 +75,19 @@ const handlePrintJobStatusChange = async (req, res) => {
         receivedSignature: signature,
         payloadLength: payload.length,
       });
+
+      // Keep a record of the rejected delivery for investigation
+      try {
+        await webhookEventService.handleLuluWebhook({
+          topic: req.body.topic,
+          data: req.body.data,
+          rawBody: payload,
+          signatureValid: false,
+        });
+      } catch (recordError) {
+        logger.error("Failed to record rejected Lulu webhook:", recordError);
+      }
+
       return res.status(401).json({
         success: false,
         message: "Invalid signature",
@@ -99,7 +111,14 @@ const handlePrintJobStatusChange = async (req, res) => {
     // Handle different webhook topics
     switch (topic) {
       case "PRINT_JOB_STATUS_CHANGED":
-        await handlePrintJobStatusChanged(data);
+        // Stored first, so Lulu's retries and out-of-order deliveries are
+        // recognised and admins can replay the event later
+        await webhookEventService.handleLuluWebhook({
+          topic,
+          data,
+          rawBody: payload,
+          signatureValid: true,
+        });
         break;
       default:
         logger.warn(`Unknown webhook topic: ${topic}`);
@@ -127,354 +146,6 @@ const handlePrintJobStatusChange = async (req, res) => {
   }
 };
 
-/**
- * Handle print job status change
- */
-const handlePrintJobStatusChanged = async (printJobData) => {
-  try {
-    const { id: luluPrintJobId, status, line_item_statuses } = printJobData;
-
-    logger.info("Processing print job status change", {
-      luluPrintJobId,
-      newStatus: status?.name,
-      message: status?.message,
-    });
-
-    // Update print order in database
-    const updatedOrder = await printOrderService.updatePrintOrderFromWebhook(
-      printJobData
-    );
-
-    if (!updatedOrder) {
-      logger.warn(`No print order found for Lulu job ID: ${luluPrintJobId}`);
-      return;
-    }
-
-    // Handle status-specific actions
-    const statusName = status?.name?.toLowerCase();
-
-    switch (statusName) {
-      case "shipped":
-        await handleOrderShipped(updatedOrder, line_item_statuses);
-        break;
-      case "rejected":
-        await handleOrderRejected(updatedOrder, status?.message);
-        break;
-      case "canceled":
-        await handleOrderCanceled(updatedOrder, status?.message);
-        break;
-      case "in_production":
-        await handleOrderInProduction(updatedOrder);
-        break;
-      default:
-        // Send general status update email
-        await sendOrderStatusEmail(updatedOrder, statusName);
-        break;
-    }
-
-    logger.info("Print job status change processed successfully", {
-      printOrderId: updatedOrder._id,
-      luluPrintJobId,
-      newStatus: statusName,
-    });
-  } catch (error) {
-    logger.error("Error handling print job status change:", error);
-    throw error;
-  }
-};
-
-/**
- * Handle order shipped
- */
-const handleOrderShipped = async (printOrder, lineItemStatuses) => {
-  try {
-    logger.info(`Order ${printOrder.external_id} has been shipped`);
-
-    // Extract tracking information
-    let trackingInfo = null;
-    if (lineItemStatuses && lineItemStatuses.length > 0) {
-      const firstItem = lineItemStatuses[0];
-      if (firstItem.messages) {
-        trackingInfo = {
-          tracking_id: firstItem.messages.tracking_id,
-          tracking_urls: firstItem.messages.tracking_urls || [],
-          carrier_name: firstItem.messages.carrier_name,
-        };
-      }
-    }
-
-    // Send shipped notification email
-    await sendOrderShippedEmail(printOrder, trackingInfo);
-
-    logger.info("Order shipped notification sent", {
-      printOrderId: printOrder._id,
-      trackingId: trackingInfo?.tracking_id,
-    });
-  } catch (error) {
-    logger.error("Error handling shipped order:", error);
-  }
-};
-
-/**
- * Handle order rejected
- */
-const handleOrderRejected = async (printOrder, errorMessage) => {
-  try {
-    logger.info(
-      `Order ${printOrder.external_id} was rejected: ${errorMessage}`
-    );
-
-    // Refund credits to user with specific reason
-    await printOrderService.refundPrintOrder(
-      printOrder._id,
-      null,
-      `Order rejected: ${errorMessage || "Unknown reason"}`
-    );
-
-    // Send rejection notification email
-    await sendOrderRejectedEmail(printOrder, errorMessage);
-
-    logger.info("Order rejection handled", {
-      printOrderId: printOrder._id,
-      creditsRefunded: printOrder.total_cost_credits,
-      reason: errorMessage,
-    });
-  } catch (error) {
-    logger.error("Error handling rejected order:", error);
-  }
-};
-
-/**
- * Handle order canceled
- */
-const handleOrderCanceled = async (printOrder, reason) => {
-  try {
-    logger.info(`Order ${printOrder.external_id} was canceled: ${reason}`);
-
-    // Refund credits to user if not already refunded
-    if (printOrder.status !== "canceled") {
-      await printOrderService.refundPrintOrder(
-        printOrder._id,
-        null,
-        `Order canceled: ${reason || "Unknown reason"}`
-      );
-    }
-
-    // Send cancellation notification email
-    await sendOrderCanceledEmail(printOrder, reason);
-
-    logger.info("Order cancellation handled", {
-      printOrderId: printOrder._id,
-      reason,
-    });
-  } catch (error) {
-    logger.error("Error handling canceled order:", error);
-  }
-};
-
-/**
- * Handle order in production
- */
-const handleOrderInProduction = async (printOrder) => {
-  try {
-    logger.info(`Order ${printOrder.external_id} is now in production`);
-
-    // Send production notification email
-    await sendOrderInProductionEmail(printOrder);
-
-    logger.info("Order in production notification sent", {
-      printOrderId: printOrder._id,
-    });
-  } catch (error) {
-    logger.error("Error handling order in production:", error);
-  }
-};
-
-/**
- * Send order status email
- */
-const sendOrderStatusEmail = async (printOrder, status) => {
-  try {
-    logger.info("Sending order status email", {
-      printOrderId: printOrder._id,
-      status,
-      userEmail: printOrder.shipping_address?.email,
-    });
-
-    // Get user information for email
-    const User = require("../models/User");
-    const user = await User.findById(printOrder.user_id);
-
-    if (user) {
-      const emailService = require("../services/emailService");
-      await emailService.sendPrintOrderStatusUpdateEmail(user, printOrder, status);
-
-      logger.info("Order status email sent successfully", {
-        userId: user._id,
-        orderId: printOrder.external_id,
-        status,
-      });
-    } else {
-      logger.warn("Could not send status email - user not found", {
-        userId: printOrder.user_id,
-        orderId: printOrder.external_id,
-      });
-    }
-  } catch (error) {
-    logger.error("Error sending order status email:", error);
-    // Don't throw - email failure shouldn't fail the webhook processing
-  }
-};
-
-/**
- * Send order shipped email
- */
-const sendOrderShippedEmail = async (printOrder, trackingInfo) => {
-  try {
-    logger.info("Sending order shipped email", {
-      printOrderId: printOrder._id,
-      trackingId: trackingInfo?.tracking_id,
-    });
-
-    // Get user information for email
-    const User = require("../models/User");
-    const user = await User.findById(printOrder.user_id);
-
-    if (user && trackingInfo) {
-      const emailService = require("../services/emailService");
-      await emailService.sendPrintOrderShippedEmail(user, printOrder, trackingInfo);
-
-      logger.info("Order shipped email sent successfully", {
-        userId: user._id,
-        orderId: printOrder.external_id,
-        trackingId: trackingInfo.tracking_id,
-      });
-    } else {
-      logger.warn("Could not send shipped email - missing user or tracking info", {
-        hasUser: !!user,
-        hasTrackingInfo: !!trackingInfo,
-        orderId: printOrder.external_id,
-      });
-    }
-  } catch (error) {
-    logger.error("Error sending order shipped email:", error);
-    // Don't throw - email failure shouldn't fail the webhook processing
-  }
-};
-
-/**
- * Send order rejected email
- */
-const sendOrderRejectedEmail = async (printOrder, errorMessage) => {
-  try {
-    logger.info("Sending order rejected email", {
-      printOrderId: printOrder._id,
-      errorMessage,
-    });
-
-    // Get user information for email
-    const User = require("../models/User");
-    const user = await User.findById(printOrder.user_id);
-
-    if (user) {
-      const emailService = require("../services/emailService");
-      await emailService.sendPrintOrderRejectedEmail(
-        user,
-        printOrder,
-        errorMessage,
-        printOrder.total_cost_credits
-      );
-
-      logger.info("Order rejected email sent successfully", {
-        userId: user._id,
-        orderId: printOrder.external_id,
-        creditsRefunded: printOrder.total_cost_credits,
-      });
-    } else {
-      logger.warn("Could not send rejected email - user not found", {
-        userId: printOrder.user_id,
-        orderId: printOrder.external_id,
-      });
-    }
-  } catch (error) {
-    logger.error("Error sending order rejected email:", error);
-    // Don't throw - email failure shouldn't fail the webhook processing
-  }
-};
-
-/**
- * Send order canceled email
- */
-const sendOrderCanceledEmail = async (printOrder, reason) => {
-  try {
-    logger.info("Sending order canceled email", {
-      printOrderId: printOrder._id,
-      reason,
-    });
-
-    // Get user information for email
-    const User = require("../models/User");
-    const user = await User.findById(printOrder.user_id);
-
-    if (user) {
-      const emailService = require("../services/emailService");
-      await emailService.sendPrintOrderCanceledEmail(
-        user,
-        printOrder,
-        reason,
-        printOrder.total_cost_credits
-      );
-
-      logger.info("Order canceled email sent successfully", {
-        userId: user._id,
-        orderId: printOrder.external_id,
-        creditsRefunded: printOrder.total_cost_credits,
-      });
-    } else {
-      logger.warn("Could not send canceled email - user not found", {
-        userId: printOrder.user_id,
-        orderId: printOrder.external_id,
-      });
-    }
-  } catch (error) {
-    logger.error("Error sending order canceled email:", error);
-    // Don't throw - email failure shouldn't fail the webhook processing
-  }
-};
-
-/**
- * Send order in production email
- */
-const sendOrderInProductionEmail = async (printOrder) => {
-  try {
-    logger.info("Sending order in production email", {
-      printOrderId: printOrder._id,
-    });
-
-    // Get user information for email
-    const User = require("../models/User");
-    const user = await User.findById(printOrder.user_id);
-
-    if (user) {
-      const emailService = require("../services/emailService");
-      await emailService.sendPrintOrderInProductionEmail(user, printOrder);
-
-      logger.info("Order in production email sent successfully", {
-        userId: user._id,
-        orderId: printOrder.external_id,
-      });
-    } else {
-      logger.warn("Could not send in production email - user not found", {
-        userId: printOrder.user_id,
-        orderId: printOrder.external_id,
-      });
-    }
-  } catch (error) {
-    logger.error("Error sending order in production email:", error);
-    // Don't throw - email failure shouldn't fail the webhook processing
-  }
-};
-
 module.exports = {
   handlePrintJobStatusChange,
 };
@@ -1,6 +1,7 @@
 const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
 const PageService = require("../services/pageService");
+const illustrationJobService = require("../services/illustrationJobService");
 const logger = require("../utils/logger");
 
 const pageService = new PageService();
@@ -328,9 +329,175 @@ const updateMultiplePages = async (req, res) => {
   }
 };
 
+/**
+ * Respond to a failed spread edit
+ */
+const sendSpreadError = (res, error, fallbackMessage) => {
+  if (["Book not found", "Spread not found"].includes(error.message)) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.message === "Access denied") {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied",
+    });
+  }
+
+  if (
+    [
+      "Invalid book ID format",
+      "Only completed books can be edited",
+      "Text content cannot be empty",
+      "A book must keep at least one spread",
+      "Order must list every spread exactly once",
+      "Prompt is not suitable for a children's book illustration",
+    ].includes(error.message) ||
+    error.message.startsWith("A book can have at most")
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.message === "A spread is already being added to this book") {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  // Another edit of the same book committed first
+  if (error.hasErrorLabel?.("TransientTransactionError")) {
+    return res.status(409).json({
+      success: false,
+      message: "The book was changed by another edit, please try again",
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+  });
+};
+
+/**
+ * Insert a new spread (text page and generated illustration page). The
+ * illustration is generated in the job queue; the response has the job to
+ * poll (GET /api/illustrations/jobs/:jobId).
+ */
+const insertSpread = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { bookId } = req.params;
+    const userId = req.user._id.toString();
+
+    // The regeneration was counted by enforceRegenerationLimit and
+    // requirePlanQuota; the job gives it back if it fails
+    const job = await illustrationJobService.enqueueSpreadInsertion(bookId, userId, req.body, {
+      subscriptionId: req.subscription?._id,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Spread is being added",
+      data: {
+        jobId: job._id,
+        status: "queued",
+        regenerationsUsed: req.regenerationsUsed,
+      },
+    });
+  } catch (error) {
+    logger.error(`Insert spread error: ${error.message}`);
+    sendSpreadError(res, error, "Failed to add spread");
+  }
+};
+
+/**
+ * Delete a spread
+ */
+const deleteSpread = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { bookId, storyPageNumber } = req.params;
+    const userId = req.user._id.toString();
+
+    const pages = await pageService.deleteSpread(
+      bookId,
+      userId,
+      parseInt(storyPageNumber)
+    );
+
+    res.json({
+      success: true,
+      message: "Spread deleted successfully",
+      data: { pages },
+    });
+  } catch (error) {
+    logger.error(`Delete spread error: ${error.message}`);
+    sendSpreadError(res, error, "Failed to delete spread");
+  }
+};
+
+/**
+ * Reorder a book's spreads
+ */
+const reorderSpreads = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { bookId } = req.params;
+    const userId = req.user._id.toString();
+
+    const pages = await pageService.reorderSpreads(bookId, userId, req.body.order);
+
+    res.json({
+      success: true,
+      message: "Spreads reordered successfully",
+      data: { pages },
+    });
+  } catch (error) {
+    logger.error(`Reorder spreads error: ${error.message}`);
+    sendSpreadError(res, error, "Failed to reorder spreads");
+  }
+};
+
 module.exports = {
   getBookPages,
   getPageById,
   updatePage,
   updateMultiplePages,
+  insertSpread,
+  deleteSpread,
+  reorderSpreads,
 };
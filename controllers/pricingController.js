@@ -0,0 +1,30 @@
+const pricingService = require("../services/pricingService");
+const logger = require("../utils/logger");
+
+/**
+ * Storefront prices: downloads, bundles and volume discounts
+ * GET /api/pricing?pageCount=&currency=
+ */
+const getPriceList = async (req, res) => {
+  try {
+    const priceList = pricingService.getPriceList({
+      pageCount: req.query.pageCount || 12,
+      currency: req.query.currency || req.user?.preferred_currency,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: priceList,
+    });
+  } catch (error) {
+    logger.error("Failed to get price list:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get price list",
+    });
+  }
+};
+
+module.exports = {
+  getPriceList,
+};
@@ -1,7 +1,10 @@
 const printOrderService = require("../services/printOrderService");
+const printProductService = require("../services/printProductService");
+const luluStatusService = require("../services/luluStatusService");
+const pricingService = require("../services/pricingService");
+const emailService = require("../services/emailService");
 const { Book } = require("../models");
 const logger = require("../utils/logger");
-const { PRINT_MARKUP_PERCENTAGE, SHIPPING_MARKUP_PERCENTAGE } = require("../utils/constants");
 
 /**
  * Calculate print order cost
@@ -9,7 +12,7 @@ const { PRINT_MARKUP_PERCENTAGE, SHIPPING_MARKUP_PERCENTAGE } = require("../util
  */
 const calculateCost = async (req, res) => {
   try {
-    const { bookId, quantity, shippingAddress, shippingLevel } = req.body;
+    const { bookId, quantity, shippingAddress, shippingLevel, currency, printProduct, gift } = req.body;
     const userId = req.user?.id || null; // ✅ move this outside logger.info
 
     logger.info(`Calculating cost for print order`, {
@@ -17,13 +20,17 @@ const calculateCost = async (req, res) => {
       bookId,
       quantity,
       shippingLevel,
+      currency,
+      printProduct,
+      isGift: Boolean(gift),
     });
 
     const costData = await printOrderService.calculateOrderCost(
       bookId,
       quantity,
       shippingAddress,
-      shippingLevel
+      shippingLevel,
+      { currency: currency || req.user?.preferred_currency, userId, printProduct, gift }
     );
 
     // Filter out internal markup information for frontend response
@@ -33,6 +40,7 @@ const calculateCost = async (req, res) => {
       lulu_shipping_cost,
       print_markup_percentage, 
       shipping_markup_percentage,
+      lulu_currency,
       ...publicCostData 
     } = costData;
 
@@ -58,7 +66,17 @@ const calculateCost = async (req, res) => {
  */
 const createPrintOrderCheckout = async (req, res) => {
   try {
-    const { bookId, quantity, shippingAddress, shippingLevel } = req.body;
+    const {
+      bookId,
+      quantity,
+      shippingAddress,
+      shippingLevel,
+      currency,
+      quoteId,
+      printProduct,
+      gift,
+      promoCode,
+    } = req.body;
     const userId = req.user?.id || null;
 
     logger.info(`Creating print order checkout session`, {
@@ -66,6 +84,11 @@ const createPrintOrderCheckout = async (req, res) => {
       bookId,
       quantity,
       shippingLevel,
+      currency,
+      quoteId,
+      printProduct,
+      isGift: Boolean(gift),
+      promoCode,
     });
 
     const result = await printOrderService.createPrintOrderCheckout(userId, {
@@ -73,6 +96,11 @@ const createPrintOrderCheckout = async (req, res) => {
       quantity,
       shippingAddress,
       shippingLevel,
+      currency,
+      quoteId,
+      printProduct,
+      gift,
+      promoCode,
     });
 
     res.status(200).json({
@@ -81,6 +109,10 @@ const createPrintOrderCheckout = async (req, res) => {
       data: {
         checkoutUrl: result.checkoutUrl,
         sessionId: result.sessionId,
+        currency: result.costData.currency,
+        subtotalCents: result.costData.total_cost_cents,
+        discountCents: result.discountCents,
+        totalCostCents: result.costData.total_cost_cents - result.discountCents,
       },
     });
   } catch (error) {
@@ -188,6 +220,17 @@ const cancelPrintOrder = async (req, res) => {
       userId
     );
 
+    // Let the customer know about the cancellation and refund
+    try {
+      await emailService.sendPrintOrderCanceledEmail(
+        req.user,
+        canceledOrder,
+        "Canceled at your request"
+      );
+    } catch (emailError) {
+      logger.error("Failed to send cancellation email:", emailError.message);
+    }
+
     res.status(200).json({
       success: true,
       message: "Print order canceled successfully",
@@ -233,9 +276,9 @@ const getPrintOrderStatus = async (req, res) => {
       printOrder.lulu_print_job_id
     );
 
-    // Update local status if different
+    // Update local status if different (and notify like the webhook would)
     if (luluStatus.status?.name?.toLowerCase() !== printOrder.status) {
-      await printOrderService.updatePrintOrderFromWebhook(luluStatus);
+      await luluStatusService.applyPrintJobStatus(luluStatus, "status_check");
     }
 
     res.status(200).json({
@@ -265,7 +308,7 @@ const getPrintOrderStatus = async (req, res) => {
  */
 const getShippingOptions = async (req, res) => {
   try {
-    const { shippingAddress, bookId } = req.body;
+    const { shippingAddress, bookId, printProduct } = req.body;
 
     logger.info(`Getting shipping options for location`, {
       country: shippingAddress.country_code,
@@ -282,12 +325,16 @@ const getShippingOptions = async (req, res) => {
       });
     }
 
-    // Get available shipping options from Lulu API
+    // Get available shipping options from Lulu API for the chosen format
     const luluService = require("../services/luluService");
+    const product = printProductService.getProduct(printProduct);
     const luluShippingOptions = await luluService.getShippingOptions(
       shippingAddress,
-      book.page_count,
-      1 // Default quantity for options lookup
+      [{
+        page_count: printProductService.getPrintedPageCount(product, book.page_count),
+        quantity: 1, // Default quantity for options lookup
+        pod_package_id: product.pod_package_id,
+      }]
     );
 
     // Map Lulu shipping options to our format with user-friendly names
@@ -331,7 +378,9 @@ const getShippingOptions = async (req, res) => {
           `${luluOption.total_days_min || "Unknown"}-${
             luluOption.total_days_max || "Unknown"
           } business days`,
-        cost: (parseFloat(luluOption.cost_incl_tax || 0) * (1 + (SHIPPING_MARKUP_PERCENTAGE || 5) / 100)).toFixed(2),
+        cost: pricingService
+          .getShippingPriceGbp(luluOption.cost_incl_tax, shippingAddress.country_code)
+          .toFixed(2),
         traceable: luluOption.traceable || false,
         minDeliveryDate: luluOption.min_delivery_date,
         maxDeliveryDate: luluOption.max_delivery_date,
@@ -358,7 +407,27 @@ const getShippingOptions = async (req, res) => {
   }
 };
 
+/**
+ * List the print formats customers can choose from
+ * GET /api/print-orders/products
+ */
+const getPrintProducts = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: printProductService.listProducts(),
+    });
+  } catch (error) {
+    logger.error("Failed to list print formats:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list print formats",
+    });
+  }
+};
+
 module.exports = {
+  getPrintProducts,
   calculateCost,
   createPrintOrderCheckout, // New method for Stripe checkout
   createPrintOrder, // Deprecated but redirects to checkout
@@ -0,0 +1,36 @@
+const promotionService = require("../services/promotionService");
+const logger = require("../utils/logger");
+
+/**
+ * Check a promo code before checkout
+ * POST /api/promotions/validate
+ */
+const validatePromoCode = async (req, res) => {
+  try {
+    const { code, product, amountCents, currency } = req.body;
+
+    const promotion = await promotionService.validateCode(code, {
+      product,
+      userId: req.user?._id || null,
+      email: req.user?.email || null,
+      amountCents,
+      currency,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Promo code is valid",
+      data: promotion,
+    });
+  } catch (error) {
+    logger.info(`Promo code rejected: ${error.message}`);
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  validatePromoCode,
+};
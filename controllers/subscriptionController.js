@@ -0,0 +1,107 @@
+const subscriptionService = require("../services/subscriptionService");
+const logger = require("../utils/logger");
+
+/**
+ * List subscription plans and their monthly quotas
+ * GET /api/subscriptions/plans
+ */
+const getPlans = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: subscriptionService.listPlans(),
+    });
+  } catch (error) {
+    logger.error("Failed to list subscription plans:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list subscription plans",
+    });
+  }
+};
+
+/**
+ * Get the user's plan, quotas and usage this period
+ * GET /api/subscriptions/me
+ */
+const getMySubscription = async (req, res) => {
+  try {
+    const status = await subscriptionService.getQuotaStatus(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    logger.error("Failed to get subscription:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get subscription",
+    });
+  }
+};
+
+/**
+ * Start a Stripe checkout for a paid plan
+ * POST /api/subscriptions/checkout
+ */
+const createSubscriptionCheckout = async (req, res) => {
+  try {
+    const session = await subscriptionService.createCheckout(req.user, req.body.plan);
+
+    res.status(200).json({
+      success: true,
+      message: "Checkout session created successfully",
+      data: {
+        checkoutUrl: session.url,
+        sessionId: session.id,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to create subscription checkout:", error.message);
+
+    let statusCode = 500;
+    if (error.message === "Plan not found") {
+      statusCode = 404;
+    } else if (
+      error.message === "Plan is not available for purchase" ||
+      error.message.startsWith("Already subscribed")
+    ) {
+      statusCode = 400;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 500 ? "Failed to create checkout session" : error.message,
+    });
+  }
+};
+
+/**
+ * Open the Stripe billing portal (change plan, payment method or cancel)
+ * POST /api/subscriptions/portal
+ */
+const createBillingPortalSession = async (req, res) => {
+  try {
+    const session = await subscriptionService.createPortalSession(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: { portalUrl: session.url },
+    });
+  } catch (error) {
+    logger.error("Failed to create billing portal session:", error.message);
+    const statusCode = error.message === "No billing account found" ? 404 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 404 ? error.message : "Failed to open billing portal",
+    });
+  }
+};
+
+module.exports = {
+  getPlans,
+  getMySubscription,
+  createSubscriptionCheckout,
+  createBillingPortalSession,
+};
@@ -3,6 +3,7 @@ const { User, Session } = require("../models");
 const logger = require("../utils/logger");
 const emailService = require("../services/emailService");
 const s3Service = require("../services/s3Service");
+const purchaseClaimService = require("../services/purchaseClaimService");
 const tokenUtils = require("../utils/tokenUtils");
 
 /**
@@ -98,6 +99,7 @@ const getProfile = async (req, res) => {
           emailVerified: req.user.email_verified,
           creditsBalance: req.user.credits_balance,
           preferredLanguage: req.user.preferred_language,
+          preferredCurrency: req.user.preferred_currency || null,
           createdAt: req.user.created_at,
           hasPassword: !!req.user.password_hash, // Indicate if user has a password
           role: req.user.role,
@@ -136,13 +138,14 @@ const updateProfile = async (req, res) => {
       });
     }
 
-    const { firstName, lastName, email } = req.body;
+    const { firstName, lastName, email, preferredCurrency } = req.body;
     const user = req.user;
 
     // Prepare update object for immediate changes
     const updateData = {};
     if (firstName !== undefined) updateData.first_name = firstName;
     if (lastName !== undefined) updateData.last_name = lastName;
+    if (preferredCurrency !== undefined) updateData.preferred_currency = preferredCurrency;
 
     // Handle email change separately (requires verification)
     let emailChangeMessage = null;
@@ -227,6 +230,7 @@ const updateProfile = async (req, res) => {
           emailVerified: updatedUser.email_verified,
           creditsBalance: updatedUser.credits_balance,
           preferredLanguage: updatedUser.preferred_language,
+          preferredCurrency: updatedUser.preferred_currency || null,
           pendingEmailChange: updatedUser.new_email, // Include pending email change
         },
       },
@@ -297,6 +301,13 @@ const verifyEmailChange = async (req, res) => {
 
     logger.info(`Email change verified for user: ${oldEmail} -> ${user.email}`);
 
+    // The new email is verified, so guest checkouts made with it are theirs
+    try {
+      await purchaseClaimService.claimForVerifiedUser(user);
+    } catch (claimError) {
+      logger.error(`Failed to claim guest purchases: ${claimError}`);
+    }
+
     res.json({
       success: true,
       message: "Email address updated successfully",
@@ -534,6 +545,29 @@ const updateAvatarUrl = async (req, res) => {
   }
 };
 
+/**
+ * Attach guest purchases to the signed-in user with a receipt's claim link
+ * POST /api/user/claim-purchases
+ */
+const claimPurchases = async (req, res) => {
+  try {
+    const claimed = await purchaseClaimService.claimWithToken(req.user._id, req.body.token);
+
+    res.json({
+      success: true,
+      message: "Purchases added to your account",
+      data: claimed,
+    });
+  } catch (error) {
+    logger.error(`Claim purchases error: ${error.message}`);
+    const isLinkError = ["Invalid claim link", "Claim link has expired"].includes(error.message);
+    res.status(isLinkError ? 400 : 500).json({
+      success: false,
+      message: isLinkError ? error.message : "Internal server error",
+    });
+  }
+};
+
 module.exports = {
   updateLanguagePreference,
   getProfile,
@@ -542,4 +576,5 @@ module.exports = {
   requestPasswordChange,
   generateAvatarUploadUrl,
   updateAvatarUrl,
+  claimPurchases,
 };
@@ -2,6 +2,7 @@ const crypto = require("crypto");
 const { validationResult } = require("express-validator");
 const logger = require("../utils/logger");
 const { emailService } = require("../services");
+const bookEventService = require("../services/bookEventService");
 const { Book } = require("../models");
 const { WEBHOOK_SECRET } = require("../utils/constants");
 
@@ -41,6 +42,39 @@ const verifyWebhookSignature = (payload, signature) => {
   return crypto.timingSafeEqual(providedBuffer, expectedBuffer);
 };
 
+/**
+ * Record a progress event (story written, page illustrated, PDF built) sent
+ * while a book is generating. Called once the webhook is verified.
+ */
+const handleGenerationProgress = async (req, res) => {
+  const { bookId, event, pageNumber, message } = req.body;
+
+  logger.info(`Received ${event} progress for book ${bookId}`, {
+    bookId,
+    event,
+    pageNumber,
+  });
+
+  const book = await bookEventService.recordGenerationEvent(bookId, {
+    event,
+    pageNumber: event === "page_illustrated" ? Number(pageNumber) : null,
+    message: message || null,
+  });
+  if (!book) {
+    logger.warn(`Book not found for progress webhook: ${bookId}`);
+    return res.status(404).json({
+      success: false,
+      message: "Book not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    message: "Progress recorded",
+    received: true,
+  });
+};
+
 /**
  * Handle book generation webhook notifications
  */
@@ -70,7 +104,11 @@ const handleBookGeneration = async (req, res) => {
       });
     }
 
-    const { bookId, status, message, timestamp } = req.body;
+    const { bookId, status, message, timestamp, event } = req.body;
+
+    if (event) {
+      return await handleGenerationProgress(req, res);
+    }
 
     logger.info(`Received webhook for book ${bookId} with status ${status}`, {
       bookId,
@@ -126,6 +164,13 @@ const handleBookGeneration = async (req, res) => {
       );
     }
 
+    bookEventService.publish(bookId, "generation", {
+      event: status === 200 ? "completed" : "failed",
+      message: message || null,
+      generationStatus: book.generation_status,
+      pageCount: book.page_count,
+    });
+
     res.json({
       success: true,
       message: "Webhook processed successfully",
@@ -0,0 +1,93 @@
+const webhookEventService = require("../services/webhookEventService");
+const logger = require("../utils/logger");
+
+/**
+ * List stored webhook events
+ * GET /api/admin/webhook-events?provider=lulu&status=failed&resourceId=&page=1&limit=20
+ */
+const listEvents = async (req, res) => {
+  try {
+    const { provider, status, resourceId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await webhookEventService.listEvents({
+      provider,
+      status,
+      resourceId,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Failed to list webhook events:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list webhook events",
+    });
+  }
+};
+
+/**
+ * Get a stored webhook event including its raw body
+ * GET /api/admin/webhook-events/:eventId
+ */
+const getEvent = async (req, res) => {
+  try {
+    const event = await webhookEventService.getEvent(req.params.eventId);
+
+    res.status(200).json({
+      success: true,
+      data: event,
+    });
+  } catch (error) {
+    logger.error("Failed to get webhook event:", error.message);
+    const statusCode = error.message === "Webhook event not found" ? 404 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Process a stored webhook event again
+ * POST /api/admin/webhook-events/:eventId/replay
+ */
+const replayEvent = async (req, res) => {
+  try {
+    logger.info(`Admin ${req.user._id} replaying webhook event ${req.params.eventId}`);
+
+    const event = await webhookEventService.replayEvent(req.params.eventId, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Webhook event replayed (${event.outcome})`,
+      data: event,
+    });
+  } catch (error) {
+    logger.error("Failed to replay webhook event:", error.message);
+    let statusCode = 500;
+    if (error.message === "Webhook event not found") statusCode = 404;
+    if (
+      error.message === "Events with an invalid signature cannot be replayed" ||
+      error.message === "Event is currently being processed"
+    ) {
+      statusCode = 409;
+    }
+    res.status(statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  listEvents,
+  getEvent,
+  replayEvent,
+};
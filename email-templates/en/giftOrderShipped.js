@@ -0,0 +1,81 @@
+/**
+ * Gift order shipped email template (sent to the gift recipient) - English
+ * Never includes prices: the recipient did not pay for the order.
+ * @param {Object} params - Template parameters
+ * @param {string} params.recipientName - Recipient's name from the shipping address
+ * @param {string} params.senderName - Buyer's name (optional)
+ * @param {string} params.bookTitle - Title of the book
+ * @param {string} params.trackingId - Tracking ID
+ * @param {Array} params.trackingUrls - Array of tracking URLs
+ * @param {string} params.carrierName - Carrier name
+ * @returns {Object} Email template with subject and body
+ */
+const giftOrderShippedTemplate = (params) => {
+  const {
+    recipientName,
+    senderName,
+    bookTitle,
+    trackingId,
+    trackingUrls = [],
+    carrierName,
+  } = params;
+
+  const primaryTrackingUrl = trackingUrls.length > 0 ? trackingUrls[0] : null;
+  const from = senderName || "someone special";
+
+  return {
+    subject: `🎁 A gift from ${from} is on its way!`,
+    textBody: `
+Hello ${recipientName},
+
+Good news! ${from} has sent you a personalized children's book, "${bookTitle}", and it has just been shipped.
+
+Tracking Information:
+- Tracking ID: ${trackingId}
+- Carrier: ${carrierName}
+${primaryTrackingUrl ? `- Track your package: ${primaryTrackingUrl}` : ''}
+
+We hope you enjoy the story!
+
+Best regards,
+The PetTalesAI Team
+    `.trim(),
+    htmlBody: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>A gift is on its way!</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px;">
+    <h1 style="color: #28a745; text-align: center; margin-bottom: 30px;">🎁 A Gift Is On Its Way!</h1>
+
+    <p>Hello ${recipientName},</p>
+
+    <p>Good news! ${from} has sent you a personalized children's book, <strong>"${bookTitle}"</strong>, and it has just been shipped.</p>
+
+    <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #007bff;">
+      <h3 style="color: #007bff; margin-top: 0;">📍 Tracking Information</h3>
+      <p><strong>Tracking ID:</strong> ${trackingId}</p>
+      <p><strong>Carrier:</strong> ${carrierName}</p>
+      ${primaryTrackingUrl ? `
+      <div style="text-align: center; margin: 20px 0;">
+        <a href="${primaryTrackingUrl}" style="background-color: #007bff; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">📦 Track Your Package</a>
+      </div>
+      ` : ''}
+    </div>
+
+    <p style="margin-top: 30px;">We hope you enjoy the story!</p>
+
+    <div style="border-top: 1px solid #dee2e6; margin-top: 30px; padding-top: 20px; text-align: center; color: #6c757d; font-size: 14px;">
+      <p>Best regards,<br>The PetTalesAI Team</p>
+    </div>
+  </div>
+</body>
+</html>
+    `.trim(),
+  };
+};
+
+module.exports = giftOrderShippedTemplate;
@@ -9,8 +9,11 @@ const contactForm = require("./contactForm");
 const printOrderShipped = require("./printOrderShipped");
 const printOrderRejected = require("./printOrderRejected");
 const printOrderCanceled = require("./printOrderCanceled");
+const printOrderRefunded = require("./printOrderRefunded");
 const printOrderInProduction = require("./printOrderInProduction");
 const printOrderStatusUpdate = require("./printOrderStatusUpdate");
+const giftOrderShipped = require("./giftOrderShipped");
+const invoice = require("./invoice");
 
 module.exports = {
   emailVerification,
@@ -24,6 +27,9 @@ module.exports = {
   printOrderShipped,
   printOrderRejected,
   printOrderCanceled,
+  printOrderRefunded,
   printOrderInProduction,
   printOrderStatusUpdate,
+  giftOrderShipped,
+  invoice,
 };
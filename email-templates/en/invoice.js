@@ -0,0 +1,89 @@
+/**
+ * Invoice email template - English (the invoice PDF is attached)
+ * @param {Object} params - Template parameters
+ * @param {string} params.customerName - Customer's name (may be empty for guests)
+ * @param {string} params.invoiceNumber - Invoice number
+ * @param {string} params.issuedDate - Formatted issue date
+ * @param {string} params.total - Formatted invoice total (e.g. "£12.99")
+ * @param {string} params.description - What the invoice is for
+ * @param {string|null} params.myOrdersUrl - My orders URL (null for guests)
+ * @param {string|null} params.claimUrl - Link adding a guest purchase to an account
+ * @param {string} params.supportEmail - Support email address
+ * @returns {Object} Email template with subject and body
+ */
+const invoiceTemplate = (params) => {
+  const {
+    customerName,
+    invoiceNumber,
+    issuedDate,
+    total,
+    description,
+    myOrdersUrl,
+    claimUrl,
+    supportEmail
+  } = params;
+
+  const greeting = customerName ? `Hello ${customerName},` : "Hello,";
+
+  return {
+    subject: `🧾 Your PetTalesAI invoice ${invoiceNumber}`,
+    textBody: `
+${greeting}
+
+Thank you for your purchase! Your invoice is attached to this email as a PDF.
+
+Invoice Details:
+- Invoice Number: ${invoiceNumber}
+- Date: ${issuedDate}
+- For: ${description}
+- Total: ${total}
+${myOrdersUrl ? `\nYou can view your orders and download your invoices at: ${myOrdersUrl}\n` : ""}${claimUrl ? `\nKeep your downloads, orders and invoices in one place: create a free account or sign in, then open this link to add this purchase to it: ${claimUrl}\n` : ""}
+If you have any questions, please contact our support team: ${supportEmail}
+
+Best regards,
+The PetTalesAI Team
+    `.trim(),
+    htmlBody: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Your invoice</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px;">
+    <h1 style="color: #007bff; text-align: center; margin-bottom: 30px;">🧾 Your Invoice</h1>
+
+    <p>${greeting}</p>
+
+    <p>Thank you for your purchase! Your invoice is attached to this email as a PDF.</p>
+
+    <div style="background-color: #e7f1ff; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #007bff;">
+      <h3 style="color: #004085; margin-top: 0;">Invoice Details</h3>
+      <p><strong>Invoice Number:</strong> ${invoiceNumber}</p>
+      <p><strong>Date:</strong> ${issuedDate}</p>
+      <p><strong>For:</strong> ${description}</p>
+      <p><strong>Total:</strong> ${total}</p>
+    </div>
+${myOrdersUrl ? `
+    <div style="text-align: center; margin: 20px 0;">
+      <a href="${myOrdersUrl}" style="background-color: #6c757d; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">View My Orders</a>
+    </div>
+` : ""}${claimUrl ? `
+    <p>Keep your downloads, orders and invoices in one place: create a free account or sign in, and this purchase will be added to it.</p>
+    <div style="text-align: center; margin: 20px 0;">
+      <a href="${claimUrl}" style="background-color: #007bff; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">Add to My Account</a>
+    </div>
+` : ""}
+    <div style="border-top: 1px solid #dee2e6; margin-top: 30px; padding-top: 20px; text-align: center; color: #6c757d; font-size: 14px;">
+      <p>Best regards,<br>The PetTalesAI Team</p>
+      <p>If you have any questions, please contact our support team at <a href="mailto:${supportEmail}" style="color: #007bff;">${supportEmail}</a></p>
+    </div>
+  </div>
+</body>
+</html>
+    `.trim(),
+  };
+};
+
+module.exports = invoiceTemplate;
@@ -5,7 +5,8 @@
  * @param {string} params.bookTitle - Title of the book
  * @param {string} params.orderId - Order ID
  * @param {string} params.reason - Cancellation reason
- * @param {number} params.creditsRefunded - Amount of credits refunded
+ * @param {string} params.refundStatus - Refund status of the order (refunded, partially_refunded, failed, ...)
+ * @param {string} params.refundAmount - Formatted amount refunded (e.g. "£12.99"), null if none yet
  * @param {string} params.myOrdersUrl - My orders URL
  * @param {string} params.supportEmail - Support email address
  * @returns {Object} Email template with subject and body
@@ -16,13 +17,23 @@ const printOrderCanceledTemplate = (params) => {
     bookTitle, 
     orderId, 
     reason, 
-    creditsRefunded,
+    refundStatus,
+    refundAmount,
     myOrdersUrl,
     supportEmail 
   } = params;
 
+  const refundIssued =
+    ["refunded", "partially_refunded"].includes(refundStatus) && refundAmount;
+  const refundMessage = refundIssued
+    ? `We have refunded ${refundAmount} to your original payment method. Refunds usually appear on your statement within 5-10 business days.`
+    : "A full refund to your original payment method is being processed. You will receive a confirmation email once it has been issued.";
+  const refundMessageHtml = refundIssued
+    ? `We have refunded <strong>${refundAmount}</strong> to your original payment method. Refunds usually appear on your statement within 5-10 business days.`
+    : refundMessage;
+
   return {
-    subject: `🚫 Your book order "${bookTitle}" has been canceled - Credits Refunded`,
+    subject: `🚫 Your book order "${bookTitle}" has been canceled - ${refundIssued ? "Refunded" : "Refund in Progress"}`,
     textBody: `
 Hello ${firstName},
 
@@ -34,14 +45,14 @@ Order Details:
 - Cancellation Reason: ${reason || 'Order canceled by system'}
 
 Refund Information:
-We have automatically refunded ${creditsRefunded} credits to your account. These credits are now available for use on your next order.
+${refundMessage}
 
 What's Next:
 1. You can place a new order for the same book if desired
 2. Browse our gallery for other book ideas
 3. Contact our support team if you have questions: ${supportEmail}
 
-You can view your order history and current credit balance at: ${myOrdersUrl}
+You can view your order history at: ${myOrdersUrl}
 
 We apologize for any inconvenience this may have caused.
 
@@ -72,7 +83,7 @@ The PetTalesAI Team
     
     <div style="background-color: #d4edda; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
       <h3 style="color: #155724; margin-top: 0;">💰 Refund Information</h3>
-      <p>We have automatically refunded <strong>${creditsRefunded} credits</strong> to your account. These credits are now available for use on your next order.</p>
+      <p>${refundMessageHtml}</p>
     </div>
     
     <h3 style="color: #E9B80C; margin-top: 30px;">What's Next?</h3>
@@ -82,7 +93,7 @@ The PetTalesAI Team
       <li>Contact our support team if you have questions: <a href="mailto:${supportEmail}" style="color: #007bff;">${supportEmail}</a></li>
     </ol>
     
-    <p>You can view your order history and current credit balance:</p>
+    <p>You can view your order history:</p>
 
     <div style="text-align: center; margin: 20px 0;">
       <a href="${myOrdersUrl}" style="background-color: #6c757d; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">View My Orders</a>
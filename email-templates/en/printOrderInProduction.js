@@ -5,6 +5,7 @@
  * @param {string} params.bookTitle - Title of the book
  * @param {string} params.orderId - Order ID
  * @param {string} params.shippingAddress - Formatted shipping address
+ * @param {string} params.orderTotal - Formatted amount paid, in the order's currency
  * @param {string} params.myOrdersUrl - My orders URL
  * @returns {Object} Email template with subject and body
  */
@@ -14,6 +15,7 @@ const printOrderInProductionTemplate = (params) => {
     bookTitle, 
     orderId, 
     shippingAddress,
+    orderTotal,
     myOrdersUrl 
   } = params;
 
@@ -27,6 +29,7 @@ Great news! Your personalized children's book "${bookTitle}" has entered the pro
 Order Details:
 - Order ID: ${orderId}
 - Book: ${bookTitle}
+- Total Paid: ${orderTotal}
 - Shipping Address: ${shippingAddress}
 
 What's Happening Now:
@@ -63,6 +66,7 @@ The PetTalesAI Team
       <h3 style="color: #17a2b8; margin-top: 0;">Order Details</h3>
       <p><strong>Order ID:</strong> ${orderId}</p>
       <p><strong>Book:</strong> ${bookTitle}</p>
+      <p><strong>Total Paid:</strong> ${orderTotal}</p>
       <p><strong>Shipping Address:</strong><br>${shippingAddress.replace(/\n/g, '<br>')}</p>
     </div>
     
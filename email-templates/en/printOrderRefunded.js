@@ -0,0 +1,90 @@
+/**
+ * Print order refunded email template - English
+ * @param {Object} params - Template parameters
+ * @param {string} params.firstName - User's first name
+ * @param {string} params.bookTitle - Title of the book
+ * @param {string} params.orderId - Order ID
+ * @param {string} params.refundAmount - Formatted amount of this refund (e.g. "£5.00")
+ * @param {string} params.totalRefunded - Formatted total refunded on the order so far
+ * @param {boolean} params.isPartial - Whether part of the order total is still charged
+ * @param {string} params.myOrdersUrl - My orders URL
+ * @param {string} params.supportEmail - Support email address
+ * @returns {Object} Email template with subject and body
+ */
+const printOrderRefundedTemplate = (params) => {
+  const {
+    firstName,
+    bookTitle,
+    orderId,
+    refundAmount,
+    totalRefunded,
+    isPartial,
+    myOrdersUrl,
+    supportEmail
+  } = params;
+
+  const refundType = isPartial ? "partial refund" : "refund";
+
+  return {
+    subject: `💰 A ${refundType} of ${refundAmount} has been issued for "${bookTitle}"`,
+    textBody: `
+Hello ${firstName},
+
+We have issued a ${refundType} for your print order of "${bookTitle}".
+
+Refund Details:
+- Order ID: ${orderId}
+- Book: ${bookTitle}
+- Amount Refunded: ${refundAmount}
+- Total Refunded on This Order: ${totalRefunded}
+
+The refund has been sent to your original payment method. Refunds usually appear on your statement within 5-10 business days.
+
+You can view your order history at: ${myOrdersUrl}
+
+If you have any questions, please contact our support team: ${supportEmail}
+
+Best regards,
+The PetTalesAI Team
+    `.trim(),
+    htmlBody: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Your refund has been issued</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px;">
+    <h1 style="color: #28a745; text-align: center; margin-bottom: 30px;">💰 Refund Issued</h1>
+
+    <p>Hello ${firstName},</p>
+
+    <p>We have issued a ${refundType} for your print order of <strong>"${bookTitle}"</strong>.</p>
+
+    <div style="background-color: #d4edda; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
+      <h3 style="color: #155724; margin-top: 0;">Refund Details</h3>
+      <p><strong>Order ID:</strong> ${orderId}</p>
+      <p><strong>Book:</strong> ${bookTitle}</p>
+      <p><strong>Amount Refunded:</strong> ${refundAmount}</p>
+      <p><strong>Total Refunded on This Order:</strong> ${totalRefunded}</p>
+    </div>
+
+    <p>The refund has been sent to your original payment method. Refunds usually appear on your statement within 5-10 business days.</p>
+
+    <div style="text-align: center; margin: 20px 0;">
+      <a href="${myOrdersUrl}" style="background-color: #6c757d; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">View My Orders</a>
+    </div>
+
+    <div style="border-top: 1px solid #dee2e6; margin-top: 30px; padding-top: 20px; text-align: center; color: #6c757d; font-size: 14px;">
+      <p>Best regards,<br>The PetTalesAI Team</p>
+      <p>If you have any questions, please contact our support team at <a href="mailto:${supportEmail}" style="color: #007bff;">${supportEmail}</a></p>
+    </div>
+  </div>
+</body>
+</html>
+    `.trim(),
+  };
+};
+
+module.exports = printOrderRefundedTemplate;
@@ -0,0 +1,81 @@
+/**
+ * Gift order shipped email template (sent to the gift recipient) - Spanish
+ * Never includes prices: the recipient did not pay for the order.
+ * @param {Object} params - Template parameters
+ * @param {string} params.recipientName - Recipient's name from the shipping address
+ * @param {string} params.senderName - Buyer's name (optional)
+ * @param {string} params.bookTitle - Title of the book
+ * @param {string} params.trackingId - Tracking ID
+ * @param {Array} params.trackingUrls - Array of tracking URLs
+ * @param {string} params.carrierName - Carrier name
+ * @returns {Object} Email template with subject and body
+ */
+const giftOrderShippedTemplate = (params) => {
+  const {
+    recipientName,
+    senderName,
+    bookTitle,
+    trackingId,
+    trackingUrls = [],
+    carrierName,
+  } = params;
+
+  const primaryTrackingUrl = trackingUrls.length > 0 ? trackingUrls[0] : null;
+  const from = senderName || "alguien especial";
+
+  return {
+    subject: `🎁 ¡Un regalo de ${from} está en camino!`,
+    textBody: `
+Hola ${recipientName},
+
+¡Buenas noticias! ${from} te ha enviado un libro personalizado para niños, "${bookTitle}", y acaba de ser enviado.
+
+Información de Seguimiento:
+- ID de Seguimiento: ${trackingId}
+- Transportista: ${carrierName}
+${primaryTrackingUrl ? `- Rastrea tu paquete: ${primaryTrackingUrl}` : ''}
+
+¡Esperamos que disfrutes la historia!
+
+Saludos cordiales,
+El Equipo de PetTalesAI
+    `.trim(),
+    htmlBody: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>¡Un regalo está en camino!</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px;">
+    <h1 style="color: #28a745; text-align: center; margin-bottom: 30px;">🎁 ¡Un Regalo Está en Camino!</h1>
+
+    <p>Hola ${recipientName},</p>
+
+    <p>¡Buenas noticias! ${from} te ha enviado un libro personalizado para niños, <strong>"${bookTitle}"</strong>, y acaba de ser enviado.</p>
+
+    <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #007bff;">
+      <h3 style="color: #007bff; margin-top: 0;">📍 Información de Seguimiento</h3>
+      <p><strong>ID de Seguimiento:</strong> ${trackingId}</p>
+      <p><strong>Transportista:</strong> ${carrierName}</p>
+      ${primaryTrackingUrl ? `
+      <div style="text-align: center; margin: 20px 0;">
+        <a href="${primaryTrackingUrl}" style="background-color: #007bff; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">📦 Rastrear Paquete</a>
+      </div>
+      ` : ''}
+    </div>
+
+    <p style="margin-top: 30px;">¡Esperamos que disfrutes la historia!</p>
+
+    <div style="border-top: 1px solid #dee2e6; margin-top: 30px; padding-top: 20px; text-align: center; color: #6c757d; font-size: 14px;">
+      <p>Saludos cordiales,<br>El Equipo de PetTalesAI</p>
+    </div>
+  </div>
+</body>
+</html>
+    `.trim(),
+  };
+};
+
+module.exports = giftOrderShippedTemplate;
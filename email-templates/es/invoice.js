@@ -0,0 +1,70 @@
+/**
+ * Invoice email template - Spanish (the invoice PDF is attached)
+ */
+const invoiceTemplate = (params) => {
+  const { customerName, invoiceNumber, issuedDate, total, description, myOrdersUrl, claimUrl, supportEmail } = params;
+
+  const greeting = customerName ? `Hola ${customerName},` : "Hola,";
+
+  return {
+    subject: `🧾 Tu factura de PetTalesAI ${invoiceNumber}`,
+    textBody: `
+${greeting}
+
+¡Gracias por tu compra! Adjuntamos tu factura en PDF a este correo.
+
+Detalles de la Factura:
+- Número de Factura: ${invoiceNumber}
+- Fecha: ${issuedDate}
+- Concepto: ${description}
+- Total: ${total}
+${myOrdersUrl ? `\nPuedes ver tus pedidos y descargar tus facturas en: ${myOrdersUrl}\n` : ""}${claimUrl ? `\nTen tus descargas, pedidos y facturas en un solo lugar: crea una cuenta gratuita o inicia sesión y abre este enlace para añadir esta compra: ${claimUrl}\n` : ""}
+Si tienes alguna pregunta, contacta a nuestro equipo de soporte: ${supportEmail}
+
+Saludos cordiales,
+El Equipo de PetTalesAI
+    `.trim(),
+    htmlBody: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Tu factura</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px;">
+    <h1 style="color: #007bff; text-align: center; margin-bottom: 30px;">🧾 Tu Factura</h1>
+
+    <p>${greeting}</p>
+
+    <p>¡Gracias por tu compra! Adjuntamos tu factura en PDF a este correo.</p>
+
+    <div style="background-color: #e7f1ff; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #007bff;">
+      <h3 style="color: #004085; margin-top: 0;">Detalles de la Factura</h3>
+      <p><strong>Número de Factura:</strong> ${invoiceNumber}</p>
+      <p><strong>Fecha:</strong> ${issuedDate}</p>
+      <p><strong>Concepto:</strong> ${description}</p>
+      <p><strong>Total:</strong> ${total}</p>
+    </div>
+${myOrdersUrl ? `
+    <div style="text-align: center; margin: 20px 0;">
+      <a href="${myOrdersUrl}" style="background-color: #6c757d; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">Ver Mis Pedidos</a>
+    </div>
+` : ""}${claimUrl ? `
+    <p>Ten tus descargas, pedidos y facturas en un solo lugar: crea una cuenta gratuita o inicia sesión y añadiremos esta compra a ella.</p>
+    <div style="text-align: center; margin: 20px 0;">
+      <a href="${claimUrl}" style="background-color: #007bff; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">Añadir a Mi Cuenta</a>
+    </div>
+` : ""}
+    <div style="border-top: 1px solid #dee2e6; margin-top: 30px; padding-top: 20px; text-align: center; color: #6c757d; font-size: 14px;">
+      <p>Saludos cordiales,<br>El Equipo de PetTalesAI</p>
+      <p>Si tienes alguna pregunta, contacta a nuestro equipo de soporte en <a href="mailto:${supportEmail}" style="color: #007bff;">${supportEmail}</a></p>
+    </div>
+  </div>
+</body>
+</html>
+    `.trim(),
+  };
+};
+
+module.exports = invoiceTemplate;
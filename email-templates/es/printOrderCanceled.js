@@ -2,10 +2,19 @@
  * Print order canceled email template - Spanish
  */
 const printOrderCanceledTemplate = (params) => {
-  const { firstName, bookTitle, orderId, reason, creditsRefunded, myOrdersUrl, supportEmail } = params;
+  const { firstName, bookTitle, orderId, reason, refundStatus, refundAmount, myOrdersUrl, supportEmail } = params;
+
+  const refundIssued =
+    ["refunded", "partially_refunded"].includes(refundStatus) && refundAmount;
+  const refundMessage = refundIssued
+    ? `Hemos reembolsado ${refundAmount} a tu método de pago original. Los reembolsos suelen aparecer en tu extracto en un plazo de 5 a 10 días hábiles.`
+    : "Estamos procesando un reembolso completo a tu método de pago original. Recibirás un correo de confirmación cuando se haya emitido.";
+  const refundMessageHtml = refundIssued
+    ? `Hemos reembolsado <strong>${refundAmount}</strong> a tu método de pago original. Los reembolsos suelen aparecer en tu extracto en un plazo de 5 a 10 días hábiles.`
+    : refundMessage;
 
   return {
-    subject: `🚫 Tu pedido "${bookTitle}" ha sido cancelado - Créditos Reembolsados`,
+    subject: `🚫 Tu pedido "${bookTitle}" ha sido cancelado - ${refundIssued ? "Reembolsado" : "Reembolso en Proceso"}`,
     textBody: `
 Hola ${firstName},
 
@@ -17,14 +26,14 @@ Detalles del Pedido:
 - Razón de Cancelación: ${reason || 'Pedido cancelado por el sistema'}
 
 Información de Reembolso:
-Hemos reembolsado automáticamente ${creditsRefunded} créditos a tu cuenta. Estos créditos están ahora disponibles para usar en tu próximo pedido.
+${refundMessage}
 
 Próximos Pasos:
 1. Puedes hacer un nuevo pedido del mismo libro si lo deseas
 2. Explora nuestra galería para otras ideas de libros
 3. Contacta a nuestro equipo de soporte si tienes preguntas: ${supportEmail}
 
-Puedes ver tu historial de pedidos y saldo actual de créditos en: ${myOrdersUrl}
+Puedes ver tu historial de pedidos en: ${myOrdersUrl}
 
 Nos disculpamos por cualquier inconveniente que esto pueda haber causado.
 
@@ -55,7 +64,7 @@ El Equipo de PetTalesAI
     
     <div style="background-color: #d4edda; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
       <h3 style="color: #155724; margin-top: 0;">💰 Información de Reembolso</h3>
-      <p>Hemos reembolsado automáticamente <strong>${creditsRefunded} créditos</strong> a tu cuenta. Estos créditos están ahora disponibles para usar en tu próximo pedido.</p>
+      <p>${refundMessageHtml}</p>
     </div>
     
     <div style="text-align: center; margin: 20px 0;">
@@ -2,7 +2,7 @@
  * Print order in production email template - Spanish
  */
 const printOrderInProductionTemplate = (params) => {
-  const { firstName, bookTitle, orderId, shippingAddress, myOrdersUrl } = params;
+  const { firstName, bookTitle, orderId, shippingAddress, orderTotal, myOrdersUrl } = params;
 
   return {
     subject: `🏭 ¡Tu libro "${bookTitle}" está ahora en producción!`,
@@ -14,6 +14,7 @@ Hola ${firstName},
 Detalles del Pedido:
 - ID del Pedido: ${orderId}
 - Libro: ${bookTitle}
+- Total Pagado: ${orderTotal}
 - Dirección de Envío: ${shippingAddress}
 
 ¿Qué está pasando ahora?
@@ -50,6 +51,7 @@ El Equipo de PetTalesAI
       <h3 style="color: #17a2b8; margin-top: 0;">Detalles del Pedido</h3>
       <p><strong>ID del Pedido:</strong> ${orderId}</p>
       <p><strong>Libro:</strong> ${bookTitle}</p>
+      <p><strong>Total Pagado:</strong> ${orderTotal}</p>
       <p><strong>Dirección de Envío:</strong><br>${shippingAddress.replace(/\n/g, '<br>')}</p>
     </div>
     
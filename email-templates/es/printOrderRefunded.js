@@ -0,0 +1,70 @@
+/**
+ * Print order refunded email template - Spanish
+ */
+const printOrderRefundedTemplate = (params) => {
+  const { firstName, bookTitle, orderId, refundAmount, totalRefunded, isPartial, myOrdersUrl, supportEmail } = params;
+
+  const refundType = isPartial ? "un reembolso parcial" : "un reembolso";
+
+  return {
+    subject: `💰 Hemos emitido ${refundType} de ${refundAmount} para "${bookTitle}"`,
+    textBody: `
+Hola ${firstName},
+
+Hemos emitido ${refundType} para tu pedido de impresión de "${bookTitle}".
+
+Detalles del Reembolso:
+- ID del Pedido: ${orderId}
+- Libro: ${bookTitle}
+- Importe Reembolsado: ${refundAmount}
+- Total Reembolsado en Este Pedido: ${totalRefunded}
+
+El reembolso se ha enviado a tu método de pago original. Los reembolsos suelen aparecer en tu extracto en un plazo de 5 a 10 días hábiles.
+
+Puedes ver tu historial de pedidos en: ${myOrdersUrl}
+
+Si tienes alguna pregunta, contacta a nuestro equipo de soporte: ${supportEmail}
+
+Saludos cordiales,
+El Equipo de PetTalesAI
+    `.trim(),
+    htmlBody: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Tu reembolso ha sido emitido</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px;">
+    <h1 style="color: #28a745; text-align: center; margin-bottom: 30px;">💰 Reembolso Emitido</h1>
+
+    <p>Hola ${firstName},</p>
+
+    <p>Hemos emitido ${refundType} para tu pedido de impresión de <strong>"${bookTitle}"</strong>.</p>
+
+    <div style="background-color: #d4edda; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
+      <h3 style="color: #155724; margin-top: 0;">Detalles del Reembolso</h3>
+      <p><strong>ID del Pedido:</strong> ${orderId}</p>
+      <p><strong>Libro:</strong> ${bookTitle}</p>
+      <p><strong>Importe Reembolsado:</strong> ${refundAmount}</p>
+      <p><strong>Total Reembolsado en Este Pedido:</strong> ${totalRefunded}</p>
+    </div>
+
+    <p>El reembolso se ha enviado a tu método de pago original. Los reembolsos suelen aparecer en tu extracto en un plazo de 5 a 10 días hábiles.</p>
+
+    <div style="text-align: center; margin: 20px 0;">
+      <a href="${myOrdersUrl}" style="background-color: #6c757d; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">Ver Mis Pedidos</a>
+    </div>
+
+    <div style="border-top: 1px solid #dee2e6; margin-top: 30px; padding-top: 20px; text-align: center; color: #6c757d; font-size: 14px;">
+      <p>Saludos cordiales,<br>El Equipo de PetTalesAI</p>
+    </div>
+  </div>
+</body>
+</html>
+    `.trim(),
+  };
+};
+
+module.exports = printOrderRefundedTemplate;
@@ -2,10 +2,19 @@
  * Print order rejected email template - Spanish
  */
 const printOrderRejectedTemplate = (params) => {
-  const { firstName, bookTitle, orderId, errorMessage, creditsRefunded, myOrdersUrl, supportEmail } = params;
+  const { firstName, bookTitle, orderId, errorMessage, refundStatus, refundAmount, myOrdersUrl, supportEmail } = params;
+
+  const refundIssued =
+    ["refunded", "partially_refunded"].includes(refundStatus) && refundAmount;
+  const refundMessage = refundIssued
+    ? `Hemos reembolsado ${refundAmount} a tu método de pago original. Los reembolsos suelen aparecer en tu extracto en un plazo de 5 a 10 días hábiles.`
+    : "Estamos procesando un reembolso completo a tu método de pago original. Recibirás un correo de confirmación cuando se haya emitido.";
+  const refundMessageHtml = refundIssued
+    ? `Hemos reembolsado <strong>${refundAmount}</strong> a tu método de pago original. Los reembolsos suelen aparecer en tu extracto en un plazo de 5 a 10 días hábiles.`
+    : refundMessage;
 
   return {
-    subject: `❌ Problema con tu pedido "${bookTitle}" - Créditos Reembolsados`,
+    subject: `❌ Problema con tu pedido "${bookTitle}" - ${refundIssued ? "Reembolsado" : "Reembolso en Proceso"}`,
     textBody: `
 Hola ${firstName},
 
@@ -17,14 +26,14 @@ Detalles del Pedido:
 - Problema: ${errorMessage || 'Problema técnico durante el procesamiento'}
 
 Información de Reembolso:
-Hemos reembolsado automáticamente ${creditsRefunded} créditos a tu cuenta. Estos créditos están ahora disponibles para usar en tu próximo pedido.
+${refundMessage}
 
 Próximos Pasos:
 1. Puedes intentar hacer un nuevo pedido del mismo libro
 2. Verifica si hay problemas con el contenido del libro o las imágenes de portada
 3. Contacta a nuestro equipo de soporte si necesitas ayuda: ${supportEmail}
 
-Puedes ver tu historial de pedidos y saldo actual de créditos en: ${myOrdersUrl}
+Puedes ver tu historial de pedidos en: ${myOrdersUrl}
 
 Nos disculpamos por cualquier inconveniente y agradecemos tu comprensión.
 
@@ -55,7 +64,7 @@ El Equipo de PetTalesAI
     
     <div style="background-color: #d4edda; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
       <h3 style="color: #155724; margin-top: 0;">💰 Información de Reembolso</h3>
-      <p>Hemos reembolsado automáticamente <strong>${creditsRefunded} créditos</strong> a tu cuenta. Estos créditos están ahora disponibles para usar en tu próximo pedido.</p>
+      <p>${refundMessageHtml}</p>
     </div>
     
     <div style="text-align: center; margin: 20px 0;">
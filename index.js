@@ -10,6 +10,10 @@ const routes = require("./routes");
 const { authenticateUser } = require("./middleware");
 const { sessionCleanup } = require("./services");
 const webhookLifecycleService = require("./services/webhookLifecycleService");
+const jobQueueService = require("./services/jobQueueService");
+const luluStatusService = require("./services/luluStatusService");
+const printOrderService = require("./services/printOrderService");
+const bookEventService = require("./services/bookEventService");
 const {
   PORT,
   DEBUG_MODE,
@@ -129,6 +133,16 @@ app
       url: `http://127.0.0.1:${PORT}`,
     });
 
+    // Start background job worker and queue any Lulu submissions left failed
+    jobQueueService.start();
+    printOrderService.retryFailedLuluSubmissions();
+
+    // Catch Lulu status changes whose webhook never arrived
+    luluStatusService.startReconciliation();
+
+    // Relay live book updates between instances when the database allows it
+    bookEventService.detectRelay();
+
     // Initialize webhook service after server starts
     await initializeWebhookService();
   })
@@ -141,6 +155,14 @@ app
 process.on("SIGTERM", async () => {
   logger.info("SIGTERM received, shutting down gracefully");
 
+  luluStatusService.stopReconciliation();
+
+  try {
+    await jobQueueService.stop();
+  } catch (error) {
+    logger.error("Error stopping job queue worker:", error);
+  }
+
   try {
     await webhookLifecycleService.cleanup();
     logger.info("Webhook lifecycle service cleaned up");
@@ -154,6 +176,14 @@ process.on("SIGTERM", async () => {
 process.on("SIGINT", async () => {
   logger.info("SIGINT received, shutting down gracefully");
 
+  luluStatusService.stopReconciliation();
+
+  try {
+    await jobQueueService.stop();
+  } catch (error) {
+    logger.error("Error stopping job queue worker:", error);
+  }
+
   try {
     await webhookLifecycleService.cleanup();
     logger.info("Webhook lifecycle service cleaned up");
@@ -0,0 +1,55 @@
+const { body, param } = require("express-validator");
+const { handleValidationErrors } = require("./index");
+
+const userIdValidation = param("userId").isMongoId().withMessage("Valid user ID is required");
+
+/**
+ * Validation for reading a user's generation limits (admin)
+ */
+const userQuotasValidation = [userIdValidation, handleValidationErrors];
+
+/**
+ * Validation for overriding a user's generation limits (admin). A limit of
+ * null restores the default.
+ */
+const updateUserQuotasValidation = [
+  userIdValidation,
+
+  body("booksPerHour")
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage("booksPerHour must be a non-negative integer or null"),
+
+  body("booksPerDay")
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage("booksPerDay must be a non-negative integer or null"),
+
+  body("concurrentGenerations")
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage("concurrentGenerations must be a non-negative integer or null"),
+
+  body("regenerationsPerBook")
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage("regenerationsPerBook must be a non-negative integer or null"),
+
+  body("note")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note must be less than 500 characters"),
+
+  handleValidationErrors,
+];
+
+module.exports = {
+  userQuotasValidation,
+  updateUserQuotasValidation,
+};
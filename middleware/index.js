@@ -7,7 +7,12 @@ const {
   requireGuest,
 } = require("./auth");
 
-const { webhookRateLimit, strictWebhookRateLimit } = require("./rateLimiting");
+const {
+  webhookRateLimit,
+  generationProgressRateLimit,
+  strictWebhookRateLimit,
+  pricingRateLimit,
+} = require("./rateLimiting");
 
 /**
  * Handle validation errors from express-validator
@@ -33,6 +38,8 @@ module.exports = {
   requireEmailVerification,
   requireGuest,
   webhookRateLimit,
+  generationProgressRateLimit,
   strictWebhookRateLimit,
+  pricingRateLimit,
   handleValidationErrors,
 };
@@ -0,0 +1,26 @@
+const { query } = require("express-validator");
+const { handleValidationErrors } = require("./index");
+const { SUPPORTED_CURRENCIES } = require("../utils/constants");
+
+/**
+ * Validation for the storefront price list
+ */
+const priceListValidation = [
+  query("pageCount")
+    .optional()
+    .isIn([12, 16, 24])
+    .toInt()
+    .withMessage("Page count must be 12, 16, or 24"),
+
+  query("currency")
+    .optional()
+    .toLowerCase()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`),
+
+  handleValidationErrors,
+];
+
+module.exports = {
+  priceListValidation,
+};
@@ -1,5 +1,12 @@
 const { body, param, query, validationResult } = require("express-validator");
 const logger = require("../utils/logger");
+const {
+  SUPPORTED_CURRENCIES,
+  CART_MAX_QUANTITY,
+  PRINT_PRODUCTS,
+  GIFT_MESSAGE_MAX_LENGTH,
+  PROMO_CODE_MAX_LENGTH,
+} = require("../utils/constants");
 
 /**
  * Handle validation errors
@@ -81,6 +88,35 @@ const calculateCostValidation = [
     .isIn(["MAIL", "PRIORITY_MAIL", "GROUND", "EXPEDITED", "EXPRESS"])
     .withMessage("Valid shipping level is required"),
 
+  body("currency")
+    .optional()
+    .toLowerCase()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`),
+
+  body("printProduct")
+    .optional()
+    .isIn(Object.keys(PRINT_PRODUCTS))
+    .withMessage(`Print format must be one of: ${Object.keys(PRINT_PRODUCTS).join(", ")}`),
+
+  body("gift")
+    .optional()
+    .isObject()
+    .withMessage("Gift details must be an object"),
+
+  body("gift.message")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: GIFT_MESSAGE_MAX_LENGTH })
+    .withMessage(`Gift message must be less than ${GIFT_MESSAGE_MAX_LENGTH} characters`),
+
+  body("gift.recipientEmail")
+    .optional({ values: "falsy" })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid recipient email address is required"),
+
   handleValidationErrors,
 ];
 
@@ -148,6 +184,48 @@ const createPrintOrderValidation = [
     .isIn(["MAIL", "PRIORITY_MAIL", "GROUND", "EXPEDITED", "EXPRESS"])
     .withMessage("Valid shipping level is required"),
 
+  body("currency")
+    .optional()
+    .toLowerCase()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`),
+
+  body("quoteId")
+    .optional()
+    .isString()
+    .matches(/^[a-f\d]{24}\.[\w-]{43}$/i)
+    .withMessage("Invalid quote ID"),
+
+  body("printProduct")
+    .optional()
+    .isIn(Object.keys(PRINT_PRODUCTS))
+    .withMessage(`Print format must be one of: ${Object.keys(PRINT_PRODUCTS).join(", ")}`),
+
+  body("promoCode")
+    .optional({ values: "falsy" })
+    .isString()
+    .trim()
+    .isLength({ max: PROMO_CODE_MAX_LENGTH })
+    .withMessage(`Promo code must be at most ${PROMO_CODE_MAX_LENGTH} characters`),
+
+  body("gift")
+    .optional()
+    .isObject()
+    .withMessage("Gift details must be an object"),
+
+  body("gift.message")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: GIFT_MESSAGE_MAX_LENGTH })
+    .withMessage(`Gift message must be less than ${GIFT_MESSAGE_MAX_LENGTH} characters`),
+
+  body("gift.recipientEmail")
+    .optional({ values: "falsy" })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid recipient email address is required"),
+
   handleValidationErrors,
 ];
 
@@ -215,6 +293,335 @@ const shippingOptionsValidation = [
     .isLength({ max: 20 })
     .withMessage("Postal code must be less than 20 characters"),
 
+  body("printProduct")
+    .optional()
+    .isIn(Object.keys(PRINT_PRODUCTS))
+    .withMessage(`Print format must be one of: ${Object.keys(PRINT_PRODUCTS).join(", ")}`),
+
+  handleValidationErrors,
+];
+
+const PRINT_ORDER_STATUSES = [
+  "created",
+  "unpaid",
+  "payment_in_progress",
+  "production_delayed",
+  "production_ready",
+  "in_production",
+  "shipped",
+  "rejected",
+  "canceled",
+];
+
+/**
+ * Validation for admin print order list filters
+ */
+const adminListPrintOrdersValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  query("status")
+    .optional()
+    .isIn(PRINT_ORDER_STATUSES)
+    .withMessage("Invalid status filter"),
+
+  query("luluSubmissionStatus")
+    .optional()
+    .isIn([
+      "pending",
+      "submitting",
+      "submitted",
+      "failed",
+      "retry_needed",
+      "dead_letter",
+      "validation_failed",
+    ])
+    .withMessage("Invalid Lulu submission status filter"),
+
+  query("from").optional().isISO8601().withMessage("From must be an ISO 8601 date"),
+
+  query("to").optional().isISO8601().withMessage("To must be an ISO 8601 date"),
+
+  query("countryCode")
+    .optional()
+    .isLength({ min: 2, max: 2 })
+    .isAlpha()
+    .withMessage("Country code must be a 2-letter code"),
+
+  query("userId").optional().isMongoId().withMessage("Invalid user ID"),
+
+  query("userEmail").optional().isEmail().withMessage("Invalid user email"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation for admin shipping address edits (partial updates)
+ */
+const updateShippingAddressValidation = [
+  param("orderId").isMongoId().withMessage("Valid order ID is required"),
+
+  body("shippingAddress")
+    .isObject()
+    .withMessage("Shipping address is required"),
+
+  body("shippingAddress.name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+
+  body("shippingAddress.street1")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Street address must be between 1 and 200 characters"),
+
+  body("shippingAddress.street2")
+    .optional({ values: "null" })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Street address 2 must be less than 200 characters"),
+
+  body("shippingAddress.city")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("City must be between 1 and 100 characters"),
+
+  body("shippingAddress.state_code")
+    .optional({ values: "null" })
+    .trim()
+    .isLength({ max: 10 })
+    .withMessage("State code must be less than 10 characters"),
+
+  body("shippingAddress.postcode")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage("Postal code must be between 1 and 20 characters"),
+
+  body("shippingAddress.country_code")
+    .optional()
+    .isLength({ min: 2, max: 2 })
+    .isAlpha()
+    .toUpperCase()
+    .withMessage("Valid 2-letter country code is required"),
+
+  body("shippingAddress.phone_number")
+    .optional()
+    .trim()
+    .matches(/^[\+]?[\d\s\-\.\(\)]{8,20}$/)
+    .withMessage("Valid phone number is required (8-20 characters)"),
+
+  body("shippingAddress.email")
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid email address is required"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation for admin resubmission
+ */
+const resubmitPrintOrderValidation = [
+  param("orderId").isMongoId().withMessage("Valid order ID is required"),
+
+  body("regeneratePdfs")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("regeneratePdfs must be a boolean"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation for admin cancellation
+ */
+const adminCancelPrintOrderValidation = [
+  param("orderId").isMongoId().withMessage("Valid order ID is required"),
+
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Reason must be between 1 and 500 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation for internal notes
+ */
+const adminNoteValidation = [
+  param("orderId").isMongoId().withMessage("Valid order ID is required"),
+
+  body("note")
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage("Note is required and must be less than 2000 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation for adding a book to the cart
+ */
+const addCartItemValidation = [
+  body("bookId").isMongoId().withMessage("Valid book ID is required"),
+
+  body("quantity")
+    .isInt({ min: 1, max: CART_MAX_QUANTITY })
+    .toInt()
+    .withMessage(`Quantity must be between 1 and ${CART_MAX_QUANTITY}`),
+
+  body("printProduct")
+    .optional()
+    .isIn(Object.keys(PRINT_PRODUCTS))
+    .withMessage(`Print format must be one of: ${Object.keys(PRINT_PRODUCTS).join(", ")}`),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation for changing a cart item's quantity
+ */
+const updateCartItemValidation = [
+  param("bookId").isMongoId().withMessage("Valid book ID is required"),
+
+  body("quantity")
+    .isInt({ min: 1, max: CART_MAX_QUANTITY })
+    .toInt()
+    .withMessage(`Quantity must be between 1 and ${CART_MAX_QUANTITY}`),
+
+  body("printProduct")
+    .optional()
+    .isIn(Object.keys(PRINT_PRODUCTS))
+    .withMessage(`Print format must be one of: ${Object.keys(PRINT_PRODUCTS).join(", ")}`),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation for cart item routes
+ */
+const cartItemIdValidation = [
+  param("bookId").isMongoId().withMessage("Valid book ID is required"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation for the cart's shipping details
+ */
+const cartShippingValidation = [
+  body("shippingAddress.name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name is required and must be less than 100 characters"),
+
+  body("shippingAddress.street1")
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage(
+      "Street address is required and must be less than 200 characters"
+    ),
+
+  body("shippingAddress.street2")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Street address 2 must be less than 200 characters"),
+
+  body("shippingAddress.city")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("City is required and must be less than 100 characters"),
+
+  body("shippingAddress.state_code")
+    .optional()
+    .trim()
+    .isLength({ max: 10 })
+    .withMessage("State code must be less than 10 characters"),
+
+  body("shippingAddress.postcode")
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage("Postal code is required and must be less than 20 characters"),
+
+  body("shippingAddress.country_code")
+    .isLength({ min: 2, max: 2 })
+    .isAlpha()
+    .toUpperCase()
+    .withMessage("Valid 2-letter country code is required"),
+
+  body("shippingAddress.phone_number")
+    .trim()
+    .matches(/^[\+]?[\d\s\-\.\(\)]{8,20}$/)
+    .withMessage("Valid phone number is required (8-20 characters)"),
+
+  body("shippingAddress.email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid email address is required"),
+
+  body("shippingLevel")
+    .isIn(["MAIL", "PRIORITY_MAIL", "GROUND", "EXPEDITED", "EXPRESS"])
+    .withMessage("Valid shipping level is required"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation for cart quote and checkout
+ */
+const cartCheckoutValidation = [
+  body("currency")
+    .optional()
+    .toLowerCase()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`),
+
+  body("quoteId")
+    .optional()
+    .isString()
+    .matches(/^[a-f\d]{24}\.[\w-]{43}$/i)
+    .withMessage("Invalid quote ID"),
+
+  body("promoCode")
+    .optional({ values: "falsy" })
+    .isString()
+    .trim()
+    .isLength({ max: PROMO_CODE_MAX_LENGTH })
+    .withMessage(`Promo code must be at most ${PROMO_CODE_MAX_LENGTH} characters`),
+
+  body("gift")
+    .optional()
+    .isObject()
+    .withMessage("Gift details must be an object"),
+
+  body("gift.message")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: GIFT_MESSAGE_MAX_LENGTH })
+    .withMessage(`Gift message must be less than ${GIFT_MESSAGE_MAX_LENGTH} characters`),
+
+  body("gift.recipientEmail")
+    .optional({ values: "falsy" })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid recipient email address is required"),
+
   handleValidationErrors,
 ];
 
@@ -224,4 +631,14 @@ module.exports = {
   getPrintOrdersValidation,
   printOrderIdValidation,
   shippingOptionsValidation,
+  adminListPrintOrdersValidation,
+  updateShippingAddressValidation,
+  resubmitPrintOrderValidation,
+  adminCancelPrintOrderValidation,
+  adminNoteValidation,
+  addCartItemValidation,
+  updateCartItemValidation,
+  cartItemIdValidation,
+  cartShippingValidation,
+  cartCheckoutValidation,
 };
@@ -0,0 +1,219 @@
+const { body, param, query } = require("express-validator");
+const { handleValidationErrors } = require("./index");
+const {
+  SUPPORTED_CURRENCIES,
+  PROMOTION_PRODUCTS,
+  PROMO_CODE_MAX_LENGTH,
+} = require("../utils/constants");
+
+/**
+ * Validation for checking a promo code from the storefront
+ */
+const validatePromoCodeValidation = [
+  body("code")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: PROMO_CODE_MAX_LENGTH })
+    .withMessage("Promo code is required"),
+
+  body("product")
+    .isIn(PROMOTION_PRODUCTS)
+    .withMessage(`Product must be one of: ${PROMOTION_PRODUCTS.join(", ")}`),
+
+  body("amountCents")
+    .optional()
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage("Amount must be a whole number of minor units"),
+
+  body("currency")
+    .optional()
+    .toLowerCase()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation for listing promotions (admin)
+ */
+const listPromotionsValidation = [
+  query("isActive")
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage("isActive must be true or false"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation for creating a promotion (admin)
+ */
+const createPromotionValidation = [
+  body("code")
+    .isString()
+    .trim()
+    .matches(new RegExp(`^[A-Za-z0-9_-]{3,${PROMO_CODE_MAX_LENGTH}}$`))
+    .withMessage(
+      `Code must be 3-${PROMO_CODE_MAX_LENGTH} letters, digits, dashes or underscores`
+    ),
+
+  body("description")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description must be less than 500 characters"),
+
+  body("discountType")
+    .isIn(["percent", "fixed"])
+    .withMessage("Discount type must be percent or fixed"),
+
+  body("percentOff")
+    .if(body("discountType").equals("percent"))
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+    .withMessage("Percent off must be between 1 and 100"),
+
+  body("amountOffCents")
+    .if(body("discountType").equals("fixed"))
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Amount off must be a positive whole number of minor units"),
+
+  body("currency")
+    .if(body("discountType").equals("fixed"))
+    .toLowerCase()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`),
+
+  body("products")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Products must be a non-empty list"),
+
+  body("products.*")
+    .isIn(PROMOTION_PRODUCTS)
+    .withMessage(`Products must be among: ${PROMOTION_PRODUCTS.join(", ")}`),
+
+  body("firstPurchaseOnly")
+    .optional()
+    .isBoolean()
+    .withMessage("firstPurchaseOnly must be true or false"),
+
+  body("maxRedemptions")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Max redemptions must be a positive integer"),
+
+  body("maxRedemptionsPerUser")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Max redemptions per user must be a positive integer"),
+
+  body("startsAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("startsAt must be an ISO 8601 date"),
+
+  body("expiresAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("expiresAt must be an ISO 8601 date"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be true or false"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation for updating a promotion (admin). The code and the discount
+ * cannot be changed.
+ */
+const updatePromotionValidation = [
+  param("promotionId").isMongoId().withMessage("Valid promotion ID is required"),
+
+  body("description")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description must be less than 500 characters"),
+
+  body("products")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Products must be a non-empty list"),
+
+  body("products.*")
+    .isIn(PROMOTION_PRODUCTS)
+    .withMessage(`Products must be among: ${PROMOTION_PRODUCTS.join(", ")}`),
+
+  body("firstPurchaseOnly")
+    .optional()
+    .isBoolean()
+    .withMessage("firstPurchaseOnly must be true or false"),
+
+  body("maxRedemptions")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Max redemptions must be a positive integer"),
+
+  body("maxRedemptionsPerUser")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Max redemptions per user must be a positive integer"),
+
+  body("startsAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("startsAt must be an ISO 8601 date"),
+
+  body("expiresAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("expiresAt must be an ISO 8601 date"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be true or false"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation for promotion ID routes (admin)
+ */
+const promotionIdValidation = [
+  param("promotionId").isMongoId().withMessage("Valid promotion ID is required"),
+
+  handleValidationErrors,
+];
+
+module.exports = {
+  validatePromoCodeValidation,
+  listPromotionsValidation,
+  createPromotionValidation,
+  updatePromotionValidation,
+  promotionIdValidation,
+};
@@ -1,5 +1,10 @@
 const rateLimit = require("express-rate-limit");
 const logger = require("../utils/logger");
+const {
+  PRICING_RATE_LIMIT_WINDOW_MS,
+  PRICING_RATE_LIMIT_MAX,
+  GENERATION_PROGRESS_RATE_LIMIT_MAX,
+} = require("../utils/constants");
 
 /**
  * Rate limiting middleware for webhook endpoints
@@ -36,6 +41,41 @@ const webhookRateLimit = rateLimit({
   },
 });
 
+/**
+ * Rate limiting for generation progress callbacks. A book sends one per
+ * page, so they are counted apart from webhookRateLimit and can't use up
+ * the allowance of the final status callback.
+ */
+const generationProgressRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: GENERATION_PROGRESS_RATE_LIMIT_MAX,
+  message: {
+    success: false,
+    message: "Too many progress events from this IP, please try again later.",
+    code: "RATE_LIMIT_EXCEEDED",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Generation progress rate limit exceeded for IP: ${req.ip}`, {
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      endpoint: req.originalUrl,
+    });
+
+    res.status(429).json({
+      success: false,
+      message: "Too many progress events from this IP, please try again later.",
+      code: "RATE_LIMIT_EXCEEDED",
+    });
+  },
+  skip: (req) => {
+    // Skip rate limiting in development mode for easier testing
+    const { DEBUG_MODE } = require("../utils/constants");
+    return DEBUG_MODE && req.ip === "127.0.0.1";
+  },
+});
+
 /**
  * More restrictive rate limiting for sensitive webhook operations
  */
@@ -69,7 +109,43 @@ const strictWebhookRateLimit = rateLimit({
   },
 });
 
+/**
+ * Rate limiting for endpoints that price print orders with Lulu
+ * (cost calculations, shipping options, cart quotes)
+ */
+const pricingRateLimit = rateLimit({
+  windowMs: PRICING_RATE_LIMIT_WINDOW_MS,
+  max: PRICING_RATE_LIMIT_MAX,
+  message: {
+    success: false,
+    message: "Too many pricing requests from this IP, please try again later.",
+    code: "RATE_LIMIT_EXCEEDED",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Pricing rate limit exceeded for IP: ${req.ip}`, {
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      endpoint: req.originalUrl,
+    });
+
+    res.status(429).json({
+      success: false,
+      message: "Too many pricing requests from this IP, please try again later.",
+      code: "RATE_LIMIT_EXCEEDED",
+    });
+  },
+  skip: (req) => {
+    // Skip rate limiting in development mode for easier testing
+    const { DEBUG_MODE } = require("../utils/constants");
+    return DEBUG_MODE && req.ip === "127.0.0.1";
+  },
+});
+
 module.exports = {
   webhookRateLimit,
+  generationProgressRateLimit,
   strictWebhookRateLimit,
+  pricingRateLimit,
 };
@@ -0,0 +1,60 @@
+const subscriptionService = require("../services/subscriptionService");
+const logger = require("../utils/logger");
+const { sendErrorResponse } = require("../utils/errorCodes");
+
+// Messages for a used-up quota, by feature
+const QUOTA_MESSAGES = {
+  book_generations: "Your plan's book allowance for this period is used up",
+  regenerations: "Your plan's illustration regeneration allowance for this period is used up",
+  downloads: "Your plan's download allowance for this period is used up",
+};
+
+/**
+ * Middleware that uses one unit of the user's plan quota for a feature.
+ * The unit is given back if the request fails, so only successful
+ * generations count. Must run after requireAuth.
+ * @param {string} feature - One of SUBSCRIPTION_QUOTA_FEATURES
+ * @returns {Function} Express middleware
+ */
+const requirePlanQuota = (feature) => async (req, res, next) => {
+  try {
+    const userId = req.user._id.toString();
+    const subscription = await subscriptionService.consumeQuota(userId, feature);
+
+    if (!subscription) {
+      const status = await subscriptionService.getQuotaStatus(userId);
+      logger.warn(`User ${userId} is out of ${feature} quota on the ${status.plan} plan`);
+
+      return sendErrorResponse(res, "SUB_001", QUOTA_MESSAGES[feature], {
+        data: {
+          feature,
+          plan: status.plan,
+          quota: status.quotas[feature] || 0,
+          used: status.usage[feature],
+          periodEnd: status.current_period_end,
+        },
+      });
+    }
+
+    res.on("finish", () => {
+      if (res.statusCode >= 400) {
+        subscriptionService.releaseQuota(subscription._id, feature).catch((error) => {
+          logger.error(`Failed to release ${feature} quota for user ${userId}: ${error.message}`);
+        });
+      }
+    });
+
+    req.subscription = subscription;
+    next();
+  } catch (error) {
+    logger.error(`Plan quota check error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: "Failed to check plan quota",
+    });
+  }
+};
+
+module.exports = {
+  requirePlanQuota,
+};
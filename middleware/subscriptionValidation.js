@@ -0,0 +1,18 @@
+const { body } = require("express-validator");
+const { handleValidationErrors } = require("./index");
+const { SUBSCRIPTION_PLANS } = require("../utils/constants");
+
+/**
+ * Validation for starting a subscription checkout
+ */
+const subscriptionCheckoutValidation = [
+  body("plan")
+    .isIn(Object.keys(SUBSCRIPTION_PLANS).filter((id) => id !== "free"))
+    .withMessage("A paid plan is required"),
+
+  handleValidationErrors,
+];
+
+module.exports = {
+  subscriptionCheckoutValidation,
+};
@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+const { Book, Page } = require("../models");
+const usageQuotaService = require("../services/usageQuotaService");
+const logger = require("../utils/logger");
+const { sendErrorResponse } = require("../utils/errorCodes");
+
+/**
+ * Middleware enforcing the book generation limits (per hour, per day and
+ * books generating at once). The user's reservation is held until the
+ * response is sent, by which time the new book counts. Must run after
+ * requireAuth.
+ */
+const enforceGenerationLimits = async (req, res, next) => {
+  try {
+    const { reservation, exceeded } = await usageQuotaService.reserveBookGeneration(req.user);
+
+    if (exceeded) {
+      logger.warn(`User ${req.user._id} hit generation limit ${exceeded.errorCode}`, {
+        limit: exceeded.limit,
+        used: exceeded.used,
+      });
+      return sendErrorResponse(res, exceeded.errorCode, null, {
+        data: { limit: exceeded.limit, used: exceeded.used },
+      });
+    }
+
+    res.on("close", () => {
+      usageQuotaService.releaseBookGeneration(reservation).catch((error) => {
+        logger.error(`Failed to release generation reservation for user ${req.user._id}: ${error.message}`);
+      });
+    });
+
+    next();
+  } catch (error) {
+    logger.error(`Generation limit check error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: "Failed to check generation limits",
+    });
+  }
+};
+
+/**
+ * Book targeted by a regeneration route (:bookId, or the book of :pageId)
+ */
+const getRegenerationBookId = async (req) => {
+  if (req.params.bookId) {
+    return req.params.bookId;
+  }
+  if (req.params.pageId && mongoose.isValidObjectId(req.params.pageId)) {
+    const page = await Page.findById(req.params.pageId).select("book_id");
+    return page?.book_id || null;
+  }
+  return null;
+};
+
+/**
+ * Middleware counting an illustration regeneration against the book's
+ * limit. The regeneration is given back if the request fails. Unknown books
+ * and other users' books are left to the controller to reject. Must run
+ * after requireAuth.
+ */
+const enforceRegenerationLimit = async (req, res, next) => {
+  try {
+    const bookId = await getRegenerationBookId(req);
+    if (!bookId || !mongoose.isValidObjectId(bookId)) {
+      return next();
+    }
+
+    const book = await Book.findById(bookId).select("user_id");
+    if (!book || book.user_id.toString() !== req.user._id.toString()) {
+      return next();
+    }
+
+    const updatedBook = await usageQuotaService.reserveRegeneration(req.user, bookId);
+    if (!updatedBook) {
+      const limit = usageQuotaService.getLimits(req.user).regenerations_per_book;
+      logger.warn(`User ${req.user._id} hit the regeneration limit for book ${bookId}`);
+      return sendErrorResponse(res, "QUOTA_004", null, {
+        data: { limit, used: limit },
+      });
+    }
+
+    res.on("finish", () => {
+      if (res.statusCode >= 400) {
+        usageQuotaService.releaseRegeneration(bookId).catch((error) => {
+          logger.error(`Failed to release regeneration for book ${bookId}: ${error.message}`);
+        });
+      }
+    });
+
+    req.regenerationsUsed = updatedBook.regenerations_used;
+    next();
+  } catch (error) {
+    logger.error(`Regeneration limit check error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: "Failed to check regeneration limit",
+    });
+  }
+};
+
+module.exports = {
+  enforceGenerationLimits,
+  enforceRegenerationLimit,
+};
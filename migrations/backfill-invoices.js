@@ -0,0 +1,90 @@
+/**
+ * Migration script to issue invoices for purchases completed before the
+ * invoice feature. Invoices are numbered in order of purchase and their PDFs
+ * stored in S3; no emails are sent. Safe to run again.
+ */
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const { BookPurchase, PrintOrder } = require("../models");
+const invoiceService = require("../services/invoiceService");
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  console.error("MONGODB_URI environment variable is required");
+  process.exit(1);
+}
+
+async function runMigration() {
+  try {
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(MONGODB_URI);
+    console.log("Connected to MongoDB successfully");
+
+    // Same rules as invoiceService.issueForPurchase / issueForPrintOrder
+    const [purchases, printOrders] = await Promise.all([
+      BookPurchase.find({
+        status: "completed",
+        purchase_type: /^download/,
+        amount_cents: { $gt: 0 },
+      })
+        .select("_id created_at")
+        .lean(),
+      PrintOrder.find({
+        stripe_session_id: { $ne: null },
+        total_cost_cents: { $gt: 0 },
+      })
+        .select("_id created_at")
+        .lean(),
+    ]);
+
+    // Number invoices in the order the purchases were made
+    const sources = [
+      ...purchases.map((doc) => ({ type: "book_purchase", model: BookPurchase, ...doc })),
+      ...printOrders.map((doc) => ({ type: "print_order", model: PrintOrder, ...doc })),
+    ].sort((a, b) => a.created_at - b.created_at);
+
+    console.log(`Found ${purchases.length} download purchases and ${printOrders.length} print orders`);
+
+    let issued = 0;
+    let failed = 0;
+    for (const source of sources) {
+      try {
+        const doc = await source.model.findById(source._id);
+        const invoice = await invoiceService.createInvoice(source.type, doc);
+        await invoiceService.deliverInvoice(invoice, { sendEmail: false });
+        issued++;
+      } catch (error) {
+        failed++;
+        console.error(`✗ Failed to invoice ${source.type} ${source._id}:`, error.message);
+      }
+    }
+
+    console.log(`✓ ${issued} invoices issued or already present, ${failed} failed`);
+    console.log("\n✅ Migration completed successfully!");
+  } catch (error) {
+    console.error("❌ Migration failed:", error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+console.log("🚀 Starting migration...");
+runMigration();
+
+// Handle process termination
+process.on('SIGINT', async () => {
+  console.log('\n⚠ Migration interrupted');
+  await mongoose.disconnect();
+  process.exit(0);
+});
+
+process.on('SIGTERM', async () => {
+  console.log('\n⚠ Migration terminated');
+  await mongoose.disconnect();
+  process.exit(0);
+});
@@ -0,0 +1,116 @@
+/**
+ * Migration script to drop the TTL index on BookPurchase.expires_at
+ * The index deleted purchase records once their download window ended,
+ * which removed the only proof that a book had been paid for.
+ */
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  console.error("MONGODB_URI environment variable is required");
+  process.exit(1);
+}
+
+const COLLECTION = "bookpurchases";
+const TTL_INDEX_NAME = "expires_at_1";
+
+async function runMigration() {
+  try {
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(MONGODB_URI);
+    console.log("Connected to MongoDB successfully");
+
+    const db = mongoose.connection.db;
+
+    const collections = await db.listCollections({ name: COLLECTION }).toArray();
+    if (collections.length === 0) {
+      console.log("BookPurchase collection does not exist, nothing to do");
+      return;
+    }
+
+    const bookPurchaseCollection = db.collection(COLLECTION);
+    const indexes = await bookPurchaseCollection.indexes();
+    const ttlIndexes = indexes.filter(
+      (index) => index.expireAfterSeconds !== undefined
+    );
+
+    if (ttlIndexes.length === 0) {
+      console.log("No TTL index found on BookPurchase, skipping");
+    }
+
+    for (const index of ttlIndexes) {
+      await bookPurchaseCollection.dropIndex(index.name);
+      console.log(`✓ Dropped TTL index: ${index.name}`);
+    }
+
+    // Index used for guest entitlement lookups
+    try {
+      await bookPurchaseCollection.createIndex(
+        { guest_email: 1, book_id: 1, status: 1 },
+        { name: "guest_email_1_book_id_1_status_1" }
+      );
+      console.log("✓ Created index: guest_email_1_book_id_1_status_1");
+    } catch (error) {
+      if (error.code === 85) {
+        console.log("⚠ Index guest_email_1_book_id_1_status_1 already exists, skipping");
+      } else {
+        console.error("✗ Failed to create guest email index:", error.message);
+      }
+    }
+
+    console.log("\n✅ Migration completed successfully!");
+  } catch (error) {
+    console.error("❌ Migration failed:", error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Rollback function (if needed)
+async function rollbackMigration() {
+  try {
+    console.log("Restoring BookPurchase TTL index...");
+    await mongoose.connect(MONGODB_URI);
+
+    const db = mongoose.connection.db;
+    await db
+      .collection(COLLECTION)
+      .createIndex({ expires_at: 1 }, { name: TTL_INDEX_NAME, expireAfterSeconds: 0 });
+    console.log("✅ TTL index restored (expired purchases will be deleted again)");
+  } catch (error) {
+    console.error("❌ Rollback failed:", error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Check command line arguments
+const command = process.argv[2];
+
+if (command === "rollback") {
+  console.log("🔄 Starting rollback...");
+  rollbackMigration();
+} else {
+  console.log("🚀 Starting migration...");
+  runMigration();
+}
+
+// Handle process termination
+process.on('SIGINT', async () => {
+  console.log('\n⚠ Migration interrupted');
+  await mongoose.disconnect();
+  process.exit(0);
+});
+
+process.on('SIGTERM', async () => {
+  console.log('\n⚠ Migration terminated');
+  await mongoose.disconnect();
+  process.exit(0);
+});
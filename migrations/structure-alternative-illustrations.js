@@ -0,0 +1,146 @@
+/**
+ * Migration script to turn the alternative illustration URL arrays of pages
+ * (alternative_illustrations) and books (alternative_front_covers,
+ * alternative_back_covers) into records with their metadata.
+ *
+ * Seeds and models were never stored, so they stay null. Prompts come from
+ * the interim alternative_prompts / alternative_*_cover_prompts arrays where
+ * a regeneration recorded one; those arrays are removed. Safe to run again.
+ */
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  console.error("MONGODB_URI environment variable is required");
+  process.exit(1);
+}
+
+const BATCH_SIZE = 500;
+
+// Alternatives arrays of each collection, with the URL in use and the
+// interim prompt array of each
+const COLLECTIONS = {
+  pages: [
+    {
+      field: "alternative_illustrations",
+      urlField: "illustration_url",
+      promptsField: "alternative_prompts",
+    },
+  ],
+  books: [
+    {
+      field: "alternative_front_covers",
+      urlField: "front_cover_image_url",
+      promptsField: "alternative_front_cover_prompts",
+    },
+    {
+      field: "alternative_back_covers",
+      urlField: "back_cover_image_url",
+      promptsField: "alternative_back_cover_prompts",
+    },
+  ],
+};
+
+/**
+ * Record for an alternative (records from an earlier run are kept as they are)
+ */
+function toRecord(alternative, currentUrl, prompts) {
+  if (typeof alternative !== "string") {
+    return alternative;
+  }
+
+  const prompt = (prompts || []).find((entry) => entry.url === alternative);
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    url: alternative,
+    seed: null,
+    prompt: prompt?.prompt || null,
+    model: null,
+    custom: Boolean(prompt?.custom),
+    selected: alternative === currentUrl,
+    created_at: prompt?.created_at || null,
+  };
+}
+
+async function migrateCollection(db, name, fields) {
+  const collection = db.collection(name);
+  const filter = {
+    $or: fields.flatMap(({ field, promptsField }) => [
+      { [field]: { $type: "string" } },
+      { [promptsField]: { $exists: true } },
+    ]),
+  };
+
+  const cursor = collection.find(filter);
+  let operations = [];
+  let migrated = 0;
+
+  for await (const doc of cursor) {
+    const $set = {};
+    const $unset = {};
+
+    for (const { field, urlField, promptsField } of fields) {
+      $set[field] = (doc[field] || []).map((alternative) =>
+        toRecord(alternative, doc[urlField], doc[promptsField])
+      );
+      $unset[promptsField] = "";
+    }
+
+    operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set, $unset } } });
+
+    if (operations.length >= BATCH_SIZE) {
+      await collection.bulkWrite(operations);
+      migrated += operations.length;
+      operations = [];
+      console.log(`  ${migrated} ${name} migrated...`);
+    }
+  }
+
+  if (operations.length > 0) {
+    await collection.bulkWrite(operations);
+    migrated += operations.length;
+  }
+
+  console.log(`✓ ${migrated} ${name} migrated`);
+}
+
+async function runMigration() {
+  try {
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(MONGODB_URI);
+    console.log("Connected to MongoDB successfully");
+
+    // Raw collections: the models no longer accept the old string arrays
+    const db = mongoose.connection.db;
+    for (const [name, fields] of Object.entries(COLLECTIONS)) {
+      await migrateCollection(db, name, fields);
+    }
+
+    console.log("\n✅ Migration completed successfully!");
+  } catch (error) {
+    console.error("❌ Migration failed:", error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+console.log("🚀 Starting migration...");
+runMigration();
+
+// Handle process termination
+process.on('SIGINT', async () => {
+  console.log('\n⚠ Migration interrupted');
+  await mongoose.disconnect();
+  process.exit(0);
+});
+
+process.on('SIGTERM', async () => {
+  console.log('\n⚠ Migration terminated');
+  await mongoose.disconnect();
+  process.exit(0);
+});
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { BOOK_PAGE_COUNTS, BOOK_GENERATION_EVENTS } = require("../utils/constants");
+const alternativeIllustrationSchema = require("./schemas/alternativeIllustration");
 
 const bookSchema = new mongoose.Schema(
   {
@@ -41,7 +43,7 @@ const bookSchema = new mongoose.Schema(
     page_count: {
       type: Number,
       required: true,
-      enum: [12, 16, 24],
+      enum: BOOK_PAGE_COUNTS,
     },
     illustration_style: {
       type: String,
@@ -64,7 +66,7 @@ const bookSchema = new mongoose.Schema(
       default: null,
     },
     alternative_front_covers: {
-      type: [String],
+      type: [alternativeIllustrationSchema],
       default: [],
     },
     back_cover_image_url: {
@@ -72,7 +74,7 @@ const bookSchema = new mongoose.Schema(
       default: null,
     },
     alternative_back_covers: {
-      type: [String],
+      type: [alternativeIllustrationSchema],
       default: [],
     },
     front_cover_prompt: {
@@ -100,6 +102,31 @@ const bookSchema = new mongoose.Schema(
       enum: ["pending", "generating", "completed", "failed"],
       default: "pending",
     },
+    // Progress reported by the generation Lambda, oldest first (capped at
+    // BOOK_GENERATION_EVENTS_MAX)
+    generation_events: [
+      {
+        _id: false,
+        event: {
+          type: String,
+          enum: BOOK_GENERATION_EVENTS,
+          required: true,
+        },
+        // Story page number, for page_illustrated
+        page_number: {
+          type: Number,
+          default: null,
+        },
+        message: {
+          type: String,
+          default: null,
+        },
+        created_at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     regenerations_used: {
       type: Number,
       default: 0,
@@ -153,6 +180,16 @@ bookSchema.set("toJSON", {
       delete ret.generation_status;
     }
 
+    if (ret.generation_events) {
+      ret.generationEvents = ret.generation_events.map((entry) => ({
+        event: entry.event,
+        pageNumber: entry.page_number,
+        message: entry.message,
+        createdAt: entry.created_at,
+      }));
+      delete ret.generation_events;
+    }
+
     if (ret.regenerations_used !== undefined) {
       ret.regenerationsUsed = ret.regenerations_used;
       delete ret.regenerations_used;
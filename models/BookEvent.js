@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Live book updates relayed between server instances (see bookEventService).
+// Only needed while they are delivered, so they expire after an hour.
+const bookEventSchema = new mongoose.Schema(
+  {
+    book_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Book",
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Instance that published the update (and already delivered it locally)
+    origin: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: false },
+    versionKey: false,
+  }
+);
+
+bookEventSchema.index({ created_at: 1 }, { expireAfterSeconds: 60 * 60 });
+
+module.exports = mongoose.model("BookEvent", bookEventSchema);
@@ -32,9 +32,28 @@ const bookPurchaseSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Currency the Stripe session was charged in
     currency: {
       type: String,
-      default: "usd",
+      lowercase: true,
+      default: "gbp",
+    },
+    // Promo code used at checkout (amount_cents is after the discount)
+    promotion: {
+      promotion_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Promotion",
+        default: null,
+      },
+      code: {
+        type: String,
+        default: null,
+      },
+      discount_cents: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
     },
     stripe_session_id: {
       type: String,
@@ -84,6 +103,16 @@ const bookPurchaseSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Refund tracking
+    refunded_amount_cents: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refunded_at: {
+      type: Date,
+      default: null,
+    },
     metadata: {
       page_count: Number,
       is_owner: Boolean,
@@ -98,6 +127,12 @@ const bookPurchaseSchema = new mongoose.Schema(
         ref: "BookPurchase",
         default: null,
       },
+      // Downloads included in a subscription reference the subscription
+      subscription_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Subscription",
+        default: null,
+      },
     },
   },
   {
@@ -109,7 +144,10 @@ const bookPurchaseSchema = new mongoose.Schema(
 bookPurchaseSchema.index({ user_id: 1, book_id: 1, purchase_type: 1 });
 bookPurchaseSchema.index({ user_id: 1, book_id: 1, status: 1 });
 bookPurchaseSchema.index({ stripe_session_id: 1 });
-bookPurchaseSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+bookPurchaseSchema.index({ guest_email: 1, book_id: 1, status: 1 });
+bookPurchaseSchema.index({ stripe_payment_intent_id: 1 });
+// Note: expires_at only ends download access. Purchases are a permanent ledger
+// and must not be removed by a TTL index (see migrations/drop-book-purchase-ttl.js)
 
 // Virtual to check if this purchase grants download access
 bookPurchaseSchema.virtual("grants_download").get(function () {
@@ -256,6 +294,14 @@ bookPurchaseSchema.set("toJSON", {
       ret.luluOrderId = ret.lulu_order_id;
       delete ret.lulu_order_id;
     }
+    if (ret.refunded_amount_cents !== undefined) {
+      ret.refundedAmountCents = ret.refunded_amount_cents;
+      delete ret.refunded_amount_cents;
+    }
+    if (ret.refunded_at !== undefined) {
+      ret.refundedAt = ret.refunded_at;
+      delete ret.refunded_at;
+    }
     if (ret.created_at) {
       ret.createdAt = ret.created_at;
       delete ret.created_at;
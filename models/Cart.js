@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+const cartSchema = new mongoose.Schema(
+  {
+    // One cart per user
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    items: [
+      {
+        book_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Book",
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+          max: 100,
+        },
+        // Print format (see PRINT_PRODUCTS); null means the default format
+        print_product: {
+          type: String,
+          default: null,
+        },
+        added_at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // All books in the cart ship together to one address
+    shipping_address: {
+      name: { type: String, trim: true, default: null },
+      street1: { type: String, trim: true, default: null },
+      street2: { type: String, trim: true, default: null },
+      city: { type: String, trim: true, default: null },
+      state_code: { type: String, trim: true, default: null },
+      postcode: { type: String, trim: true, default: null },
+      country_code: { type: String, trim: true, uppercase: true, default: null },
+      phone_number: { type: String, trim: true, default: null },
+      email: { type: String, trim: true, lowercase: true, default: null },
+    },
+    shipping_level: {
+      type: String,
+      enum: ["MAIL", "PRIORITY_MAIL", "GROUND", "EXPEDITED", "EXPRESS", null],
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+// Total copies across all books
+cartSchema.methods.getTotalQuantity = function () {
+  return this.items.reduce((total, item) => total + item.quantity, 0);
+};
+
+cartSchema.methods.hasShippingDetails = function () {
+  return !!(
+    this.shipping_level &&
+    this.shipping_address?.street1 &&
+    this.shipping_address?.postcode &&
+    this.shipping_address?.country_code
+  );
+};
+
+cartSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("Cart", cartSchema);
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Named sequences (e.g. invoice numbers), incremented atomically with $inc
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model("Counter", counterSchema);
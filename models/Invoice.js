@@ -0,0 +1,115 @@
+const mongoose = require("mongoose");
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    // Sequential number, e.g. PT-000042
+    invoice_number: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+    },
+
+    // What the invoice is for (one invoice per purchase or print order)
+    source_type: {
+      type: String,
+      enum: ["book_purchase", "print_order"],
+      required: true,
+    },
+    source_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    // Null for guest purchases
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    customer: {
+      name: { type: String, default: null },
+      email: { type: String, default: null, lowercase: true, trim: true },
+      address: [String],
+    },
+    // Seller details as printed on the invoice
+    seller: {
+      name: String,
+      address: [String],
+      vat_number: String,
+      email: String,
+    },
+
+    // Amounts in minor units of currency; line amounts include tax
+    currency: {
+      type: String,
+      lowercase: true,
+      required: true,
+    },
+    line_items: [
+      {
+        description: { type: String, required: true },
+        details: [String],
+        quantity: { type: Number, default: 1 },
+        amount_cents: { type: Number, required: true },
+      },
+    ],
+    discount_cents: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    promo_code: {
+      type: String,
+      default: null,
+    },
+    subtotal_cents: {
+      type: Number,
+      required: true,
+    },
+    tax_cents: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Tax included in the total, by what it was charged on
+    tax_lines: [
+      {
+        description: String,
+        rate_percent: { type: Number, default: null },
+        amount_cents: Number,
+      },
+    ],
+    total_cents: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // Private S3 object, served through the API
+    pdf_s3_key: {
+      type: String,
+      default: null,
+    },
+    emailed_at: {
+      type: Date,
+      default: null,
+    },
+    issued_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+invoiceSchema.index({ source_type: 1, source_id: 1 }, { unique: true });
+invoiceSchema.index({ user_id: 1, issued_at: -1 });
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
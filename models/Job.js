@@ -0,0 +1,116 @@
+const mongoose = require("mongoose");
+
+const jobSchema = new mongoose.Schema(
+  {
+    // Handler name registered with the job queue (e.g. "lulu_submission")
+    type: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "dead"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    max_attempts: {
+      type: Number,
+      default: 5,
+      min: 1,
+    },
+    // Earliest time the job may run (used for backoff)
+    run_at: {
+      type: Date,
+      default: Date.now,
+    },
+    locked_at: {
+      type: Date,
+      default: null,
+    },
+    locked_by: {
+      type: String,
+      default: null,
+    },
+    last_error: {
+      type: String,
+      default: null,
+    },
+    // Error of every failed attempt, most recent last
+    error_history: [
+      {
+        attempt: Number,
+        message: String,
+        failed_at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Progress reported by the handler while the job runs
+    progress: {
+      stage: { type: String, default: null },
+      percent: { type: Number, default: null, min: 0, max: 100 },
+      updated_at: { type: Date, default: null },
+    },
+    // Value returned by the handler
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    completed_at: {
+      type: Date,
+      default: null,
+    },
+    dead_at: {
+      type: Date,
+      default: null,
+    },
+    // Optional key identifying the work (e.g. "lulu_submission:<orderId>")
+    dedupe_key: {
+      type: String,
+      default: null,
+    },
+    // Copy of dedupe_key while the job is queued or running, so only one
+    // active job exists per key
+    active_key: {
+      type: String,
+      default: undefined,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+// Indexes for efficient queries
+jobSchema.index({ status: 1, run_at: 1 });
+jobSchema.index({ status: 1, locked_at: 1 });
+jobSchema.index({ type: 1, status: 1, created_at: -1 });
+jobSchema.index({ dedupe_key: 1 });
+jobSchema.index({ active_key: 1 }, { unique: true, sparse: true });
+
+// Instance method to check if job can be requeued by an admin
+jobSchema.methods.canBeRequeued = function () {
+  return ["dead", "completed"].includes(this.status);
+};
+
+jobSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.active_key;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("Job", jobSchema);
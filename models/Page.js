@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const alternativeIllustrationSchema = require("./schemas/alternativeIllustration");
 
 const pageSchema = new mongoose.Schema(
   {
@@ -52,7 +53,7 @@ const pageSchema = new mongoose.Schema(
       max: 4294967295, // 32-bit unsigned integer max value
     },
     alternative_illustrations: {
-      type: [String],
+      type: [alternativeIllustrationSchema],
       default: [],
       validate: {
         validator: function (value) {
@@ -1,12 +1,46 @@
 const mongoose = require("mongoose");
 
+// Lulu file validation preflight, run before the print job is created
+const fileValidationFields = {
+  status: {
+    type: String,
+    enum: ["not_started", "pending", "passed", "failed"],
+    default: "not_started",
+  },
+  interior: {
+    validation_id: { type: String, default: null },
+    source_url: { type: String, default: null },
+    status: { type: String, default: null },
+    page_count: { type: Number, default: null },
+    error_messages: [String],
+  },
+  cover: {
+    validation_id: { type: String, default: null },
+    source_url: { type: String, default: null },
+    status: { type: String, default: null },
+    error_messages: [String],
+  },
+  validated_at: {
+    type: Date,
+    default: null,
+  },
+};
+
 const printOrderSchema = new mongoose.Schema(
   {
+    // Null for guest checkouts until the buyer claims the order
     user_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      default: null,
     },
+    guest_email: {
+      type: String,
+      default: null,
+      lowercase: true,
+      trim: true,
+    },
+    // First book of the order (the only one for single-book orders)
     book_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Book",
@@ -24,13 +58,65 @@ const printOrderSchema = new mongoose.Schema(
       // This will be our internal order ID (e.g., "PTO_" + timestamp + random)
     },
 
-    // Order Details
+    // Order Details (total number of copies across all books)
     quantity: {
       type: Number,
       required: true,
       min: 1,
       max: 100, // Reasonable limit for print orders
     },
+    // Print format (see PRINT_PRODUCTS) and the Lulu package it had when
+    // ordered; null on orders placed before formats could be chosen
+    print_product: {
+      type: String,
+      default: null,
+    },
+    pod_package_id: {
+      type: String,
+      default: null,
+    },
+
+    // Books of a multi-book (cart) order, each with its own print files.
+    // Empty for single-book orders, which use the top-level PDF fields.
+    line_items: [
+      {
+        book_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Book",
+          required: true,
+        },
+        title: {
+          type: String,
+          default: "",
+        },
+        page_count: {
+          type: Number,
+          default: null,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        print_product: {
+          type: String,
+          default: null,
+        },
+        pod_package_id: {
+          type: String,
+          default: null,
+        },
+        cover_pdf_url: {
+          type: String,
+          default: null,
+        },
+        interior_pdf_url: {
+          type: String,
+          default: null,
+        },
+        file_validation: fileValidationFields,
+      },
+    ],
 
     // Legacy (no longer required, retained for backwards compatibility)
     total_cost_credits: {
@@ -57,6 +143,65 @@ const printOrderSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Currency total_cost_cents and refunds are charged in
+    currency: {
+      type: String,
+      lowercase: true,
+      default: "gbp",
+    },
+    // GBP -> currency rate the order was priced at
+    fx_snapshot: {
+      base_currency: {
+        type: String,
+        default: "gbp",
+      },
+      currency: {
+        type: String,
+        default: "gbp",
+      },
+      rate: {
+        type: Number,
+        default: 1,
+      },
+      captured_at: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Part of total_cost_cents charged for shipping (null on older orders)
+    shipping_cost_cents: {
+      type: Number,
+      default: null,
+    },
+    // Tax included in Lulu's costs, in GBP (rate is a fraction, e.g. 0.2)
+    lulu_tax: {
+      total_gbp: { type: Number, default: null },
+      shipping_gbp: { type: Number, default: null },
+      rate: { type: Number, default: null },
+    },
+    // Quote the order was priced from
+    print_quote_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PrintQuote",
+      default: null,
+    },
+    // Promo code used at checkout (total_cost_cents is after the discount)
+    promotion: {
+      promotion_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Promotion",
+        default: null,
+      },
+      code: {
+        type: String,
+        default: null,
+      },
+      discount_cents: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
 
     // Shipping Information
     shipping_address: {
@@ -115,6 +260,36 @@ const printOrderSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Gift orders ship to the recipient in shipping_address; the buyer stays
+    // the Lulu contact and gets the usual emails
+    gift: {
+      is_gift: {
+        type: Boolean,
+        default: false,
+      },
+      // Printed on an insert page before the story
+      message: {
+        type: String,
+        trim: true,
+        default: null,
+      },
+      // Gets a shipping notification without prices (optional)
+      recipient_email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null,
+      },
+      buyer_name: {
+        type: String,
+        default: null,
+      },
+      buyer_email: {
+        type: String,
+        default: null,
+      },
+    },
+
     // Status & Tracking
     status: {
       type: String,
@@ -131,6 +306,11 @@ const printOrderSchema = new mongoose.Schema(
       ],
       default: "created",
     },
+    // Lulu's timestamp for the current status, used to ignore late events
+    lulu_status_changed_at: {
+      type: Date,
+      default: null,
+    },
     tracking_info: {
       tracking_id: {
         type: String,
@@ -199,10 +379,95 @@ const printOrderSchema = new mongoose.Schema(
       type: String,
     },
 
+    // Refund tracking (amounts in the currency charged by Stripe)
+    refund_status: {
+      type: String,
+      enum: ["none", "pending", "partially_refunded", "refunded", "failed"],
+      default: "none",
+    },
+    refunded_amount_cents: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refund_reason: {
+      type: String,
+      default: null,
+    },
+    refund_error: {
+      type: String,
+      default: null,
+    },
+    refunded_at: {
+      type: Date,
+      default: null,
+    },
+    refunds: [
+      {
+        stripe_refund_id: {
+          type: String,
+          required: true,
+        },
+        amount_cents: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        currency: {
+          type: String,
+          default: "gbp",
+        },
+        status: {
+          type: String,
+          default: "pending",
+        },
+        reason: {
+          type: String,
+          default: null,
+        },
+        created_at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Set when the customer opens a chargeback on the payment
+    dispute: {
+      stripe_dispute_id: {
+        type: String,
+        default: null,
+      },
+      status: {
+        type: String,
+        default: null,
+      },
+      reason: {
+        type: String,
+        default: null,
+      },
+      amount_cents: {
+        type: Number,
+        default: null,
+      },
+      created_at: {
+        type: Date,
+        default: null,
+      },
+    },
+
     // Lulu submission tracking
     lulu_submission_status: {
       type: String,
-      enum: ["pending", "submitting", "submitted", "failed", "retry_needed"],
+      enum: [
+        "pending",
+        "submitting",
+        "submitted",
+        "failed",
+        "retry_needed",
+        "dead_letter",
+        "validation_failed",
+      ],
       default: "pending",
     },
     lulu_submission_attempts: {
@@ -217,6 +482,54 @@ const printOrderSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+
+    // Fulfillment pipeline progress (render PDFs -> validate -> submit to Lulu)
+    pipeline_stage: {
+      type: String,
+      enum: ["queued", "rendering", "validating", "submitting", "submitted", "failed"],
+      default: "queued",
+    },
+    pipeline_stage_updated_at: {
+      type: Date,
+      default: null,
+    },
+    pipeline_error: {
+      type: String,
+      default: null,
+    },
+
+    // Overall preflight result (per book in line_items for cart orders)
+    file_validation: fileValidationFields,
+
+    // Lulu statuses the customer has been notified about, so a status seen by
+    // both the webhook and the reconciler is only emailed once
+    notified_statuses: {
+      type: [String],
+      default: [],
+    },
+
+    // Internal notes from the ops team (never returned to customers)
+    admin_notes: {
+      type: [
+        {
+          note: {
+            type: String,
+            required: true,
+            trim: true,
+          },
+          author_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+          },
+          created_at: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      select: false,
+    },
   },
   {
     timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
@@ -225,8 +538,12 @@ const printOrderSchema = new mongoose.Schema(
 
 // Indexes for efficient queries
 printOrderSchema.index({ user_id: 1, created_at: -1 });
+printOrderSchema.index({ guest_email: 1, user_id: 1 });
 printOrderSchema.index({ status: 1 });
 printOrderSchema.index({ book_id: 1 });
+printOrderSchema.index({ stripe_payment_intent_id: 1 });
+printOrderSchema.index({ lulu_submission_status: 1, created_at: -1 });
+printOrderSchema.index({ "shipping_address.country_code": 1, created_at: -1 });
 // Note: lulu_print_job_id, external_id, stripe_session_id unique indexes are created by the schema definitions
 
 // Pre-save middleware to generate external_id if not provided
@@ -262,6 +579,22 @@ printOrderSchema.methods.canBeCanceled = function () {
   return ["created", "unpaid"].includes(this.status);
 };
 
+// Support can also cancel paid orders Lulu has not started producing (Lulu
+// accepts cancellation until production_ready)
+printOrderSchema.methods.canBeCanceledByAdmin = function () {
+  return ["created", "unpaid", "payment_in_progress", "production_delayed"].includes(this.status);
+};
+
+// Shipping address can change until Lulu starts producing the order
+printOrderSchema.methods.canEditShippingAddress = function () {
+  return ["created", "unpaid"].includes(this.status);
+};
+
+// Amount that can still be refunded
+printOrderSchema.methods.getRefundableAmount = function () {
+  return Math.max(0, (this.total_cost_cents || 0) - (this.refunded_amount_cents || 0));
+};
+
 // Instance method to check if order is in progress
 printOrderSchema.methods.isInProgress = function () {
   return [
@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+
+const printQuoteSchema = new mongoose.Schema(
+  {
+    // Null for quotes requested without signing in
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    items: [
+      {
+        book_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Book",
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        page_count: {
+          type: Number,
+          required: true,
+        },
+        print_product: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+
+    // Destination the price applies to (Lulu prices by country, state and postcode)
+    destination: {
+      country_code: { type: String, uppercase: true, required: true },
+      state_code: { type: String, uppercase: true, default: null },
+      postcode: { type: String, uppercase: true, default: null },
+    },
+    shipping_level: {
+      type: String,
+      enum: ["MAIL", "PRIORITY_MAIL", "GROUND", "EXPEDITED", "EXPRESS"],
+      required: true,
+    },
+    // Gift orders with a message print an extra gift message page
+    gift_message_page: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Price the customer was shown, charged as-is at checkout
+    currency: {
+      type: String,
+      lowercase: true,
+      required: true,
+    },
+    total_cost_cents: {
+      type: Number,
+      required: true,
+    },
+    cost_data: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Hash of the customer, order, destination and price, so an identical
+    // quote can be handed out again (see printQuoteService.createQuote)
+    fingerprint: {
+      type: String,
+      default: null,
+    },
+
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+// Automatically remove expired quotes (TTL index)
+printQuoteSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+printQuoteSchema.index({ fingerprint: 1, expires_at: -1 });
+
+module.exports = mongoose.model("PrintQuote", printQuoteSchema);
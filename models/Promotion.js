@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+const { PROMOTION_PRODUCTS } = require("../utils/constants");
+
+const promotionSchema = new mongoose.Schema(
+  {
+    // Stored uppercase; customers may type codes in any case
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    // Discount
+    discount_type: {
+      type: String,
+      enum: ["percent", "fixed"],
+      required: true,
+    },
+    percent_off: {
+      type: Number,
+      min: 1,
+      max: 100,
+      default: null,
+    },
+    // Fixed discounts are converted to the checkout currency at the
+    // configured FX rate
+    amount_off_cents: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    currency: {
+      type: String,
+      lowercase: true,
+      default: "gbp",
+    },
+
+    // Restrictions
+    products: {
+      type: [{ type: String, enum: PROMOTION_PRODUCTS }],
+      default: () => [...PROMOTION_PRODUCTS],
+    },
+    first_purchase_only: {
+      type: Boolean,
+      default: false,
+    },
+    // Null for no limit
+    max_redemptions: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    max_redemptions_per_user: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    starts_at: {
+      type: Date,
+      default: null,
+    },
+    expires_at: {
+      type: Date,
+      default: null,
+    },
+    is_active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    // Paid checkouts that used the code, and open checkouts holding a use
+    // of it (see PromotionRedemption)
+    redemption_count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+promotionSchema.pre("validate", function (next) {
+  if (this.discount_type === "percent" && !this.percent_off) {
+    return next(new Error("Percent discounts require percent_off"));
+  }
+  if (this.discount_type === "fixed" && !this.amount_off_cents) {
+    return next(new Error("Fixed discounts require amount_off_cents"));
+  }
+  next();
+});
+
+module.exports = mongoose.model("Promotion", promotionSchema);
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+const { PROMOTION_PRODUCTS } = require("../utils/constants");
+
+// One row per checkout that used a promo code. The use is held while the
+// checkout is open, and released if it expires unpaid.
+const promotionRedemptionSchema = new mongoose.Schema(
+  {
+    promotion_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null for guest purchases
+    },
+    guest_email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    product: {
+      type: String,
+      enum: PROMOTION_PRODUCTS,
+      required: true,
+    },
+    discount_cents: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      lowercase: true,
+      required: true,
+    },
+    stripe_session_id: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["reserved", "redeemed", "released"],
+      default: "redeemed",
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+promotionRedemptionSchema.index({ promotion_id: 1, user_id: 1 });
+promotionRedemptionSchema.index({ promotion_id: 1, guest_email: 1 });
+
+module.exports = mongoose.model("PromotionRedemption", promotionRedemptionSchema);
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+const { SUBSCRIPTION_PLANS } = require("../utils/constants");
+
+// Statuses Stripe reports for a subscription
+const STRIPE_SUBSCRIPTION_STATUSES = [
+  "incomplete",
+  "incomplete_expired",
+  "trialing",
+  "active",
+  "past_due",
+  "unpaid",
+  "canceled",
+  "paused",
+];
+
+const subscriptionSchema = new mongoose.Schema(
+  {
+    // One subscription per user; users who never subscribed get a free plan row
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    plan: {
+      type: String,
+      enum: Object.keys(SUBSCRIPTION_PLANS),
+      default: "free",
+    },
+    status: {
+      type: String,
+      enum: STRIPE_SUBSCRIPTION_STATUSES,
+      default: "active",
+    },
+
+    // Stripe Billing (null on the free plan)
+    stripe_customer_id: {
+      type: String,
+      default: null,
+    },
+    stripe_subscription_id: {
+      type: String,
+      default: null,
+    },
+    stripe_price_id: {
+      type: String,
+      default: null,
+    },
+    cancel_at_period_end: {
+      type: Boolean,
+      default: false,
+    },
+    canceled_at: {
+      type: Date,
+      default: null,
+    },
+    latest_invoice_id: {
+      type: String,
+      default: null,
+    },
+
+    // Billing period the usage below counts against
+    current_period_start: {
+      type: Date,
+      required: true,
+    },
+    current_period_end: {
+      type: Date,
+      required: true,
+    },
+    usage: {
+      book_generations: { type: Number, default: 0, min: 0 },
+      regenerations: { type: Number, default: 0, min: 0 },
+      downloads: { type: Number, default: 0, min: 0 },
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+subscriptionSchema.index({ stripe_subscription_id: 1 }, { sparse: true });
+subscriptionSchema.index({ stripe_customer_id: 1 }, { sparse: true });
+
+module.exports = mongoose.model("Subscription", subscriptionSchema);
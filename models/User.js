@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { SUPPORTED_CURRENCIES } = require("../utils/constants");
 
 const userSchema = new mongoose.Schema(
   {
@@ -77,11 +78,34 @@ const userSchema = new mongoose.Schema(
       enum: ["en", "es"],
       default: "en",
     },
+    // Checkout currency for print orders; null follows the shipping country
+    preferred_currency: {
+      type: String,
+      enum: [...SUPPORTED_CURRENCIES, null],
+      default: null,
+    },
     status: {
       type: String,
       enum: ["active", "suspended", "deleted"],
       default: "active",
     },
+    // Per-user generation limits set by an admin; null keeps the default
+    // from GENERATION_LIMITS
+    quota_overrides: {
+      books_per_hour: { type: Number, min: 0, default: null },
+      books_per_day: { type: Number, min: 0, default: null },
+      concurrent_generations: { type: Number, min: 0, default: null },
+      regenerations_per_book: { type: Number, min: 0, default: null },
+      note: { type: String, trim: true, maxlength: 500, default: null },
+      updated_by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      updated_at: { type: Date, default: null },
+    },
+    // Set while a request is starting a book generation (see
+    // usageQuotaService.reserveBookGeneration)
+    generation_reserved_until: {
+      type: Date,
+      default: null,
+    },
     // Admin role support
     role: {
       type: String,
@@ -145,6 +169,8 @@ userSchema.set("toJSON", {
     delete ret.email_verification_token;
     delete ret.password_reset_token;
     delete ret.email_change_token;
+    delete ret.quota_overrides; // admin-only
+    delete ret.generation_reserved_until;
 
     // Convert field names to camelCase for frontend consistency
     if (ret.first_name !== undefined) {
@@ -167,6 +193,11 @@ userSchema.set("toJSON", {
       delete ret.preferred_language;
     }
 
+    if (ret.preferred_currency !== undefined) {
+      ret.preferredCurrency = ret.preferred_currency;
+      delete ret.preferred_currency;
+    }
+
     if (ret.email_verified !== undefined) {
       ret.emailVerified = ret.email_verified;
       delete ret.email_verified;
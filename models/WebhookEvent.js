@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    // Service that sent the webhook
+    provider: {
+      type: String,
+      enum: ["lulu", "stripe"],
+      required: true,
+    },
+    // Identifies the event across retries ("stripe:<eventId>" or
+    // "lulu:<topic>:<jobId>:<status>:<changedAt>")
+    event_key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    topic: {
+      type: String,
+      default: null,
+    },
+    // Object the event is about (Lulu print job ID, Stripe object ID)
+    resource_id: {
+      type: String,
+      default: null,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    raw_body: {
+      type: String,
+      default: null,
+    },
+    signature_valid: {
+      type: Boolean,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["received", "processing", "processed", "skipped", "failed", "rejected"],
+      default: "received",
+    },
+    // Result of the last processing run (e.g. "applied", "stale", "unknown_order")
+    outcome: {
+      type: String,
+      default: null,
+    },
+    error_message: {
+      type: String,
+      default: null,
+    },
+    // Provider timestamp of the status change carried by the event
+    occurred_at: {
+      type: Date,
+      default: null,
+    },
+    // When the current (or last) processing run started
+    processing_started_at: {
+      type: Date,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Times the same event was delivered again after the first receipt
+    duplicate_count: {
+      type: Number,
+      default: 0,
+    },
+    last_received_at: {
+      type: Date,
+      default: Date.now,
+    },
+    processed_at: {
+      type: Date,
+      default: null,
+    },
+    replay_count: {
+      type: Number,
+      default: 0,
+    },
+    replayed_at: {
+      type: Date,
+      default: null,
+    },
+    replayed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Set on rejected deliveries, which are removed after this time
+    expires_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+// Indexes for efficient queries
+webhookEventSchema.index({ provider: 1, created_at: -1 });
+webhookEventSchema.index({ provider: 1, status: 1, created_at: -1 });
+webhookEventSchema.index({ resource_id: 1, created_at: -1 });
+webhookEventSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+webhookEventSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("WebhookEvent", webhookEventSchema);
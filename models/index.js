@@ -8,6 +8,16 @@ const PrintOrder = require("./PrintOrder");
 const Charity = require("./Charity");
 const CharityDonation = require("./CharityDonation");
 const BookPurchase = require("./BookPurchase");
+const Job = require("./Job");
+const WebhookEvent = require("./WebhookEvent");
+const Cart = require("./Cart");
+const PrintQuote = require("./PrintQuote");
+const Promotion = require("./Promotion");
+const PromotionRedemption = require("./PromotionRedemption");
+const Subscription = require("./Subscription");
+const Counter = require("./Counter");
+const Invoice = require("./Invoice");
+const BookEvent = require("./BookEvent");
 
 module.exports = {
   User,
@@ -20,5 +30,15 @@ module.exports = {
   Charity,
   CharityDonation,
   BookPurchase,
+  Job,
+  WebhookEvent,
+  Cart,
+  PrintQuote,
+  Promotion,
+  PromotionRedemption,
+  Subscription,
+  Counter,
+  Invoice,
+  BookEvent,
 };
 
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// A candidate illustration for a page or cover: the original and every
+// regeneration. Metadata is null for candidates made before it was recorded.
+const alternativeIllustrationSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    seed: {
+      type: Number,
+      default: null,
+    },
+    prompt: {
+      type: String,
+      default: null,
+    },
+    // Image model that generated it
+    model: {
+      type: String,
+      default: null,
+    },
+    // Whether the user edited or added to the stored prompt
+    custom: {
+      type: Boolean,
+      default: false,
+    },
+    // Whether it is the illustration in use
+    selected: {
+      type: Boolean,
+      default: false,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+alternativeIllustrationSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+
+    if (ret.created_at !== undefined) {
+      ret.createdAt = ret.created_at;
+      delete ret.created_at;
+    }
+
+    return ret;
+  },
+});
+
+module.exports = alternativeIllustrationSchema;
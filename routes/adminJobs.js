@@ -0,0 +1,56 @@
+const express = require("express");
+const { param, query } = require("express-validator");
+const router = express.Router();
+const jobQueueController = require("../controllers/jobQueueController");
+const { requireAuth, requireAdmin } = require("../middleware/auth");
+const { handleValidationErrors } = require("../middleware");
+
+// Apply admin requirement to all routes
+router.use(requireAuth, requireAdmin);
+
+const jobIdValidation = [
+  param("jobId").isMongoId().withMessage("Valid job ID is required"),
+  handleValidationErrors,
+];
+
+/**
+ * @route GET /api/admin/jobs
+ * @desc List background jobs (filter by status and type)
+ * @access Admin
+ */
+router.get(
+  "/",
+  [
+    query("status")
+      .optional()
+      .isIn(["queued", "running", "completed", "dead"])
+      .withMessage("Invalid job status"),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+    handleValidationErrors,
+  ],
+  jobQueueController.listJobs
+);
+
+/**
+ * @route GET /api/admin/jobs/stats
+ * @desc Get job counts per type and status and worker info
+ * @access Admin
+ */
+router.get("/stats", jobQueueController.getJobStats);
+
+/**
+ * @route GET /api/admin/jobs/:jobId
+ * @desc Get a job including its error history
+ * @access Admin
+ */
+router.get("/:jobId", jobIdValidation, jobQueueController.getJob);
+
+/**
+ * @route POST /api/admin/jobs/:jobId/requeue
+ * @desc Requeue a dead or completed job with a fresh attempt budget
+ * @access Admin
+ */
+router.post("/:jobId/requeue", jobIdValidation, jobQueueController.requeueJob);
+
+module.exports = router;
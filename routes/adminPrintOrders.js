@@ -0,0 +1,101 @@
+const express = require("express");
+const router = express.Router();
+const adminPrintOrderController = require("../controllers/adminPrintOrderController");
+const { requireAuth, requireAdmin } = require("../middleware/auth");
+const {
+  printOrderIdValidation,
+  adminListPrintOrdersValidation,
+  updateShippingAddressValidation,
+  resubmitPrintOrderValidation,
+  adminCancelPrintOrderValidation,
+  adminNoteValidation,
+} = require("../middleware/printOrderValidation");
+
+// Apply admin requirement to all routes
+router.use(requireAuth, requireAdmin);
+
+/**
+ * @route GET /api/admin/print-orders
+ * @desc List all print orders (filter by status, Lulu submission status, date range, country and user)
+ * @access Admin
+ */
+router.get(
+  "/",
+  adminListPrintOrdersValidation,
+  adminPrintOrderController.listPrintOrders
+);
+
+/**
+ * @route POST /api/admin/print-orders/reconcile
+ * @desc Compare all open orders with Lulu now and apply missed status updates
+ * @access Admin
+ */
+router.post("/reconcile", adminPrintOrderController.reconcilePrintOrders);
+
+/**
+ * @route GET /api/admin/print-orders/:orderId
+ * @desc Get a print order including internal notes
+ * @access Admin
+ */
+router.get(
+  "/:orderId",
+  printOrderIdValidation,
+  adminPrintOrderController.getPrintOrder
+);
+
+/**
+ * @route POST /api/admin/print-orders/:orderId/resubmit
+ * @desc Queue the order for Lulu submission again (optionally re-rendering the PDFs)
+ * @access Admin
+ */
+router.post(
+  "/:orderId/resubmit",
+  resubmitPrintOrderValidation,
+  adminPrintOrderController.resubmitPrintOrder
+);
+
+/**
+ * @route POST /api/admin/print-orders/:orderId/sync
+ * @desc Fetch the print job status from Lulu and apply any change
+ * @access Admin
+ */
+router.post(
+  "/:orderId/sync",
+  printOrderIdValidation,
+  adminPrintOrderController.syncPrintOrder
+);
+
+/**
+ * @route PATCH /api/admin/print-orders/:orderId/shipping-address
+ * @desc Edit the shipping address before production
+ * @access Admin
+ */
+router.patch(
+  "/:orderId/shipping-address",
+  updateShippingAddressValidation,
+  adminPrintOrderController.updateShippingAddress
+);
+
+/**
+ * @route POST /api/admin/print-orders/:orderId/cancel
+ * @desc Cancel a print order and refund the customer
+ * @access Admin
+ */
+router.post(
+  "/:orderId/cancel",
+  adminCancelPrintOrderValidation,
+  adminPrintOrderController.cancelPrintOrder
+);
+
+/**
+ * @route POST /api/admin/print-orders/:orderId/notes
+ * @desc Add an internal note
+ * @access Admin
+ */
+router.post(
+  "/:orderId/notes",
+  adminNoteValidation,
+  adminPrintOrderController.addNote
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require("express");
+const router = express.Router();
+const adminPromotionController = require("../controllers/adminPromotionController");
+const { requireAuth, requireAdmin } = require("../middleware/auth");
+const {
+  listPromotionsValidation,
+  createPromotionValidation,
+  updatePromotionValidation,
+  promotionIdValidation,
+} = require("../middleware/promotionValidation");
+
+// Apply admin requirement to all routes
+router.use(requireAuth, requireAdmin);
+
+/**
+ * @route GET /api/admin/promotions
+ * @desc List promo codes (filter by isActive)
+ * @access Admin
+ */
+router.get("/", listPromotionsValidation, adminPromotionController.listPromotions);
+
+/**
+ * @route POST /api/admin/promotions
+ * @desc Create a promo code
+ * @access Admin
+ */
+router.post("/", createPromotionValidation, adminPromotionController.createPromotion);
+
+/**
+ * @route GET /api/admin/promotions/:promotionId
+ * @desc Get a promo code with its redemption totals per product and currency
+ * @access Admin
+ */
+router.get(
+  "/:promotionId",
+  promotionIdValidation,
+  adminPromotionController.getPromotion
+);
+
+/**
+ * @route PATCH /api/admin/promotions/:promotionId
+ * @desc Update a promo code's restrictions, dates or active flag
+ * @access Admin
+ */
+router.patch(
+  "/:promotionId",
+  updatePromotionValidation,
+  adminPromotionController.updatePromotion
+);
+
+module.exports = router;
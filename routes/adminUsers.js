@@ -0,0 +1,31 @@
+const express = require("express");
+const router = express.Router();
+const adminUserController = require("../controllers/adminUserController");
+const { requireAuth, requireAdmin } = require("../middleware/auth");
+const {
+  userQuotasValidation,
+  updateUserQuotasValidation,
+} = require("../middleware/adminUserValidation");
+
+// Apply admin requirement to all routes
+router.use(requireAuth, requireAdmin);
+
+/**
+ * @route GET /api/admin/users/:userId/quotas
+ * @desc Get a user's generation limits, overrides and current usage
+ * @access Admin
+ */
+router.get("/:userId/quotas", userQuotasValidation, adminUserController.getUserQuotas);
+
+/**
+ * @route PATCH /api/admin/users/:userId/quotas
+ * @desc Override a user's generation limits (null restores the default)
+ * @access Admin
+ */
+router.patch(
+  "/:userId/quotas",
+  updateUserQuotasValidation,
+  adminUserController.updateUserQuotas
+);
+
+module.exports = router;
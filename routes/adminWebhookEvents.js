@@ -0,0 +1,53 @@
+const express = require("express");
+const { param, query } = require("express-validator");
+const router = express.Router();
+const webhookEventController = require("../controllers/webhookEventController");
+const { requireAuth, requireAdmin } = require("../middleware/auth");
+const { handleValidationErrors } = require("../middleware");
+
+// Apply admin requirement to all routes
+router.use(requireAuth, requireAdmin);
+
+const eventIdValidation = [
+  param("eventId").isMongoId().withMessage("Valid event ID is required"),
+  handleValidationErrors,
+];
+
+/**
+ * @route GET /api/admin/webhook-events
+ * @desc List stored inbound webhook events (filter by provider, status and resource)
+ * @access Admin
+ */
+router.get(
+  "/",
+  [
+    query("provider")
+      .optional()
+      .isIn(["lulu", "stripe"])
+      .withMessage("Invalid webhook provider"),
+    query("status")
+      .optional()
+      .isIn(["received", "processing", "processed", "skipped", "failed", "rejected"])
+      .withMessage("Invalid event status"),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+    handleValidationErrors,
+  ],
+  webhookEventController.listEvents
+);
+
+/**
+ * @route GET /api/admin/webhook-events/:eventId
+ * @desc Get a stored webhook event including its raw payload
+ * @access Admin
+ */
+router.get("/:eventId", eventIdValidation, webhookEventController.getEvent);
+
+/**
+ * @route POST /api/admin/webhook-events/:eventId/replay
+ * @desc Process a stored webhook event again
+ * @access Admin
+ */
+router.post("/:eventId/replay", eventIdValidation, webhookEventController.replayEvent);
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require("express");
 const { body, param, query } = require("express-validator");
 const { bookController } = require("../controllers");
 const { requireAuth } = require("../middleware");
+const { requirePlanQuota } = require("../middleware/subscriptionMiddleware");
+const { enforceGenerationLimits } = require("../middleware/usageQuota");
+const { PROMO_CODE_MAX_LENGTH, SUPPORTED_CURRENCIES } = require("../utils/constants");
 const router = express.Router();
 
 // Validation rules
@@ -9,6 +12,19 @@ const mongoIdValidation = param("id")
   .isMongoId()
   .withMessage("Invalid ID format");
 
+const promoCodeValidation = query("promoCode")
+  .optional({ values: "falsy" })
+  .isString()
+  .trim()
+  .isLength({ max: PROMO_CODE_MAX_LENGTH })
+  .withMessage(`Promo code must be at most ${PROMO_CODE_MAX_LENGTH} characters`);
+
+const currencyValidation = query("currency")
+  .optional({ values: "falsy" })
+  .toLowerCase()
+  .isIn(SUPPORTED_CURRENCIES)
+  .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`);
+
 const createBookValidation = [
   body("title")
     .isLength({ min: 2, max: 100 })
@@ -126,6 +142,8 @@ router.post(
   "/",
   requireAuth,
   createBookValidation,
+  enforceGenerationLimits,
+  requirePlanQuota("book_generations"),
   bookController.createBook
 );
 
@@ -184,7 +202,21 @@ router.get(
   bookController.checkPDFStatus
 );
 
+// Live generation, illustration and PDF progress (Server-Sent Events)
+router.get(
+  "/:id/events",
+  requireAuth,
+  mongoIdValidation,
+  bookController.streamBookEvents
+);
+
 // Download PDF for a book (handles CORS issues)
-router.get("/:id/download-pdf", mongoIdValidation, bookController.downloadPDF);
+router.get(
+  "/:id/download-pdf",
+  mongoIdValidation,
+  promoCodeValidation,
+  currencyValidation,
+  bookController.downloadPDF
+);
 
 module.exports = router;
@@ -0,0 +1,76 @@
+const express = require("express");
+const router = express.Router();
+const cartController = require("../controllers/cartController");
+const { requireAuth, pricingRateLimit } = require("../middleware");
+const {
+  addCartItemValidation,
+  updateCartItemValidation,
+  cartItemIdValidation,
+  cartShippingValidation,
+  cartCheckoutValidation,
+} = require("../middleware/printOrderValidation");
+
+router.use(requireAuth);
+
+/**
+ * @route GET /api/cart
+ * @desc Get the current user's print cart
+ * @access Private
+ */
+router.get("/", cartController.getCart);
+
+/**
+ * @route DELETE /api/cart
+ * @desc Remove every book from the cart
+ * @access Private
+ */
+router.delete("/", cartController.clearCart);
+
+/**
+ * @route POST /api/cart/items
+ * @desc Add copies of a book to the cart
+ * @access Private
+ */
+router.post("/items", addCartItemValidation, cartController.addItem);
+
+/**
+ * @route PATCH /api/cart/items/:bookId
+ * @desc Change the number of copies of a book
+ * @access Private
+ */
+router.patch("/items/:bookId", updateCartItemValidation, cartController.updateItem);
+
+/**
+ * @route DELETE /api/cart/items/:bookId
+ * @desc Remove a book from the cart
+ * @access Private
+ */
+router.delete("/items/:bookId", cartItemIdValidation, cartController.removeItem);
+
+/**
+ * @route PUT /api/cart/shipping
+ * @desc Set the shipping address and level for all books in the cart
+ * @access Private
+ */
+router.put("/shipping", cartShippingValidation, cartController.setShipping);
+
+/**
+ * @route POST /api/cart/quote
+ * @desc Quote the cart as one shipment
+ * @access Private
+ */
+router.post(
+  "/quote",
+  pricingRateLimit,
+  cartCheckoutValidation,
+  cartController.getQuote
+);
+
+/**
+ * @route POST /api/cart/checkout
+ * @desc Create one Stripe checkout session for the whole cart
+ * @access Private
+ */
+router.post("/checkout", cartCheckoutValidation, cartController.checkout);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const { param, query } = require("express-validator");
 const { galleryController } = require("../controllers");
 const { authenticateUser } = require("../middleware");
+const { SUPPORTED_CURRENCIES } = require("../utils/constants");
 
 const router = express.Router();
 
@@ -14,6 +15,12 @@ const languageValidation = param("language")
   .isIn(["en", "es"])
   .withMessage("Language must be either 'en' or 'es'");
 
+const currencyValidation = query("currency")
+  .optional()
+  .toLowerCase()
+  .isIn(SUPPORTED_CURRENCIES)
+  .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`);
+
 const paginationValidation = [
   query("page")
     .optional()
@@ -49,12 +56,18 @@ const featuredLimitValidation = [
 // Routes
 
 // Get all public books with pagination and search
-router.get("/", paginationValidation, galleryController.getPublicBooks);
+router.get(
+  "/",
+  paginationValidation,
+  currencyValidation,
+  galleryController.getPublicBooks
+);
 
 // Get featured public books
 router.get(
   "/featured",
   featuredLimitValidation,
+  currencyValidation,
   galleryController.getFeaturedBooks
 );
 
@@ -66,6 +79,7 @@ router.get(
   "/language/:language",
   languageValidation,
   paginationValidation,
+  currencyValidation,
   galleryController.getPublicBooksByLanguage
 );
 
@@ -1,11 +1,46 @@
 const express = require("express");
+const { body, param } = require("express-validator");
 const router = express.Router();
 const {
   regenerateFrontCover,
   regenerateBackCover,
   regeneratePageIllustration,
+  getRegenerationJob,
+  deletePageAlternative,
+  deleteFrontCoverAlternative,
+  deleteBackCoverAlternative,
 } = require("../controllers/illustrationController");
-const { requireAuth } = require("../middleware");
+const { requireAuth, handleValidationErrors } = require("../middleware");
+const { requirePlanQuota } = require("../middleware/subscriptionMiddleware");
+const { enforceRegenerationLimit } = require("../middleware/usageQuota");
+const { CUSTOM_PROMPT_MAX_LENGTH } = require("../utils/constants");
+
+// Optional prompt changes: an edited prompt replacing the stored one, and/or
+// direction added to it ("make the dog jump")
+const promptValidation = [
+  body("prompt")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Prompt must be a string")
+    .trim()
+    .isLength({ min: 1, max: CUSTOM_PROMPT_MAX_LENGTH })
+    .withMessage(`Prompt must be between 1 and ${CUSTOM_PROMPT_MAX_LENGTH} characters`),
+  body("additional_prompt")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Additional prompt must be a string")
+    .trim()
+    .isLength({ min: 1, max: CUSTOM_PROMPT_MAX_LENGTH })
+    .withMessage(`Additional prompt must be between 1 and ${CUSTOM_PROMPT_MAX_LENGTH} characters`),
+  handleValidationErrors,
+];
+
+const alternativeValidation = [
+  param("alternativeId")
+    .isMongoId()
+    .withMessage("Invalid alternative ID format"),
+  handleValidationErrors,
+];
 
 /**
  * @route POST /api/illustrations/regenerate/front-cover/:bookId
@@ -15,6 +50,9 @@ const { requireAuth } = require("../middleware");
 router.post(
   "/regenerate/front-cover/:bookId",
   requireAuth,
+  promptValidation,
+  enforceRegenerationLimit,
+  requirePlanQuota("regenerations"),
   regenerateFrontCover
 );
 
@@ -26,6 +64,9 @@ router.post(
 router.post(
   "/regenerate/back-cover/:bookId",
   requireAuth,
+  promptValidation,
+  enforceRegenerationLimit,
+  requirePlanQuota("regenerations"),
   regenerateBackCover
 );
 
@@ -37,7 +78,59 @@ router.post(
 router.post(
   "/regenerate/page/:pageId",
   requireAuth,
+  promptValidation,
+  enforceRegenerationLimit,
+  requirePlanQuota("regenerations"),
   regeneratePageIllustration
 );
 
+/**
+ * @route GET /api/illustrations/jobs/:jobId
+ * @desc Get the progress and result of a regeneration job
+ * @access Private (Job Owner)
+ */
+router.get(
+  "/jobs/:jobId",
+  requireAuth,
+  param("jobId").isMongoId().withMessage("Invalid job ID format"),
+  handleValidationErrors,
+  getRegenerationJob
+);
+
+/**
+ * @route DELETE /api/illustrations/front-cover/:bookId/alternatives/:alternativeId
+ * @desc Delete an alternative front cover and its image
+ * @access Private (Book Owner)
+ */
+router.delete(
+  "/front-cover/:bookId/alternatives/:alternativeId",
+  requireAuth,
+  alternativeValidation,
+  deleteFrontCoverAlternative
+);
+
+/**
+ * @route DELETE /api/illustrations/back-cover/:bookId/alternatives/:alternativeId
+ * @desc Delete an alternative back cover and its image
+ * @access Private (Book Owner)
+ */
+router.delete(
+  "/back-cover/:bookId/alternatives/:alternativeId",
+  requireAuth,
+  alternativeValidation,
+  deleteBackCoverAlternative
+);
+
+/**
+ * @route DELETE /api/illustrations/page/:pageId/alternatives/:alternativeId
+ * @desc Delete an alternative page illustration and its image
+ * @access Private (Book Owner)
+ */
+router.delete(
+  "/page/:pageId/alternatives/:alternativeId",
+  requireAuth,
+  alternativeValidation,
+  deletePageAlternative
+);
+
 module.exports = router;
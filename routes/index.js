@@ -5,12 +5,21 @@ const characterRoutes = require("./character");
 const webhookRoutes = require("./webhook");
 const bookRoutes = require("./book");
 const webhookManagementRoutes = require("./webhookManagement");
+const adminJobRoutes = require("./adminJobs");
+const adminPrintOrderRoutes = require("./adminPrintOrders");
+const adminWebhookEventRoutes = require("./adminWebhookEvents");
+const adminPromotionRoutes = require("./adminPromotions");
+const adminUserRoutes = require("./adminUsers");
 const pageRoutes = require("./page");
 const galleryRoutes = require("./gallery");
 const illustrationRoutes = require("./illustrationRoutes");
 // REMOVED: const creditRoutes = require("./credit");
 const contactRoutes = require("./contact");
 const printOrderRoutes = require("./printOrder");
+const cartRoutes = require("./cart");
+const promotionRoutes = require("./promotion");
+const pricingRoutes = require("./pricing");
+const subscriptionRoutes = require("./subscription");
 const charityRoutes = require("./charity");
 
 const router = express.Router();
@@ -45,12 +54,39 @@ router.use("/contact", contactRoutes);
 // Mount print order routes
 router.use("/print-orders", printOrderRoutes);
 
+// Mount print cart routes
+router.use("/cart", cartRoutes);
+
+// Mount promo code routes
+router.use("/promotions", promotionRoutes);
+
+// Mount pricing routes (public, no auth required)
+router.use("/pricing", pricingRoutes);
+
+// Mount subscription routes
+router.use("/subscriptions", subscriptionRoutes);
+
 // Mount webhook routes
 router.use("/webhook", webhookRoutes);
 
 // Admin webhook management routes
 router.use("/admin/webhooks", webhookManagementRoutes);
 
+// Admin background job queue routes
+router.use("/admin/jobs", adminJobRoutes);
+
+// Admin print order management routes
+router.use("/admin/print-orders", adminPrintOrderRoutes);
+
+// Admin inbound webhook event store routes
+router.use("/admin/webhook-events", adminWebhookEventRoutes);
+
+// Admin promo code routes
+router.use("/admin/promotions", adminPromotionRoutes);
+
+// Admin user quota override routes
+router.use("/admin/users", adminUserRoutes);
+
 // Charity routes (public + admin)
 router.use("/charities", charityRoutes);
 
@@ -2,6 +2,8 @@ const express = require("express");
 const { body, param, query } = require("express-validator");
 const { pageController } = require("../controllers");
 const { requireAuth } = require("../middleware");
+const { requirePlanQuota } = require("../middleware/subscriptionMiddleware");
+const { enforceRegenerationLimit } = require("../middleware/usageQuota");
 
 const router = express.Router();
 
@@ -51,6 +53,34 @@ const batchUpdateValidation = [
     .withMessage("Illustration URL must be a valid URL"),
 ];
 
+const insertSpreadValidation = [
+  body("text_content")
+    .isString()
+    .withMessage("Text content must be a string")
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage("Text content must be between 1 and 2000 characters"),
+  body("position")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Position must be a positive integer")
+    .toInt(),
+];
+
+const storyPageNumberValidation = param("storyPageNumber")
+  .isInt({ min: 1 })
+  .withMessage("Story page number must be a positive integer");
+
+const reorderSpreadsValidation = [
+  body("order")
+    .isArray({ min: 1 })
+    .withMessage("Order must be a non-empty array"),
+  body("order.*")
+    .isInt({ min: 1 })
+    .withMessage("Order must contain story page numbers")
+    .toInt(),
+];
+
 const queryValidation = [
   query("grouped")
     .optional()
@@ -92,4 +122,45 @@ router.patch(
   pageController.updateMultiplePages
 );
 
+/**
+ * @route POST /api/pages/book/:bookId/spreads
+ * @desc Queue a new spread (text page and an illustration generated from its text)
+ * @access Private (Book Owner)
+ */
+router.post(
+  "/book/:bookId/spreads",
+  requireAuth,
+  bookIdValidation,
+  insertSpreadValidation,
+  enforceRegenerationLimit,
+  requirePlanQuota("regenerations"),
+  pageController.insertSpread
+);
+
+/**
+ * @route PUT /api/pages/book/:bookId/spreads/order
+ * @desc Reorder a book's spreads
+ * @access Private (Book Owner)
+ */
+router.put(
+  "/book/:bookId/spreads/order",
+  requireAuth,
+  bookIdValidation,
+  reorderSpreadsValidation,
+  pageController.reorderSpreads
+);
+
+/**
+ * @route DELETE /api/pages/book/:bookId/spreads/:storyPageNumber
+ * @desc Delete a spread
+ * @access Private (Book Owner)
+ */
+router.delete(
+  "/book/:bookId/spreads/:storyPageNumber",
+  requireAuth,
+  bookIdValidation,
+  storyPageNumberValidation,
+  pageController.deleteSpread
+);
+
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+const pricingController = require("../controllers/pricingController");
+const { priceListValidation } = require("../middleware/pricingValidation");
+
+/**
+ * @route GET /api/pricing
+ * @desc Download price, bundle prices and volume discount tiers for a book size
+ * @access Public
+ */
+router.get("/", priceListValidation, pricingController.getPriceList);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const printOrderController = require("../controllers/printOrderController");
-const { requireAuth } = require("../middleware");
+const { requireAuth, pricingRateLimit } = require("../middleware");
 const {
   calculateCostValidation,
   createPrintOrderValidation,
@@ -10,6 +10,13 @@ const {
   shippingOptionsValidation,
 } = require("../middleware/printOrderValidation");
 
+/**
+ * @route GET /api/print-orders/products
+ * @desc List available print formats (trim size, binding, paper and finish)
+ * @access Public
+ */
+router.get("/products", printOrderController.getPrintProducts);
+
 /**
  * @route POST /api/print-orders/calculate-cost
  * @desc Calculate print order cost
@@ -17,6 +24,7 @@ const {
  */
 router.post(
   "/calculate-cost",
+  pricingRateLimit,
   calculateCostValidation,
   printOrderController.calculateCost
 );
@@ -98,6 +106,7 @@ router.get(
  */
 router.post(
   "/shipping-options",
+  pricingRateLimit,
   shippingOptionsValidation,
   printOrderController.getShippingOptions
 );
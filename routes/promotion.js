@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const promotionController = require("../controllers/promotionController");
+const { pricingRateLimit } = require("../middleware");
+const { validatePromoCodeValidation } = require("../middleware/promotionValidation");
+
+/**
+ * @route POST /api/promotions/validate
+ * @desc Check a promo code for a product (and work out the discount on an amount)
+ * @access Public
+ */
+router.post(
+  "/validate",
+  pricingRateLimit,
+  validatePromoCodeValidation,
+  promotionController.validatePromoCode
+);
+
+module.exports = router;
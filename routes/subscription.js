@@ -0,0 +1,40 @@
+const express = require("express");
+const router = express.Router();
+const subscriptionController = require("../controllers/subscriptionController");
+const { requireAuth } = require("../middleware");
+const { subscriptionCheckoutValidation } = require("../middleware/subscriptionValidation");
+
+/**
+ * @route GET /api/subscriptions/plans
+ * @desc List subscription plans and their monthly quotas
+ * @access Public
+ */
+router.get("/plans", subscriptionController.getPlans);
+
+/**
+ * @route GET /api/subscriptions/me
+ * @desc Get the current plan, quotas and usage this period
+ * @access Private
+ */
+router.get("/me", requireAuth, subscriptionController.getMySubscription);
+
+/**
+ * @route POST /api/subscriptions/checkout
+ * @desc Create a Stripe checkout session for a paid plan
+ * @access Private
+ */
+router.post(
+  "/checkout",
+  requireAuth,
+  subscriptionCheckoutValidation,
+  subscriptionController.createSubscriptionCheckout
+);
+
+/**
+ * @route POST /api/subscriptions/portal
+ * @desc Create a Stripe billing portal session to manage the subscription
+ * @access Private
+ */
+router.post("/portal", requireAuth, subscriptionController.createBillingPortalSession);
+
+module.exports = router;
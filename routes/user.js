@@ -1,7 +1,9 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, param, query } = require("express-validator");
 const { userController } = require("../controllers");
-const { requireAuth } = require("../middleware");
+const invoiceController = require("../controllers/invoiceController");
+const { requireAuth, handleValidationErrors } = require("../middleware");
+const { SUPPORTED_CURRENCIES } = require("../utils/constants");
 
 const router = express.Router();
 
@@ -28,6 +30,30 @@ const profileUpdateValidation = [
     .isEmail()
     .withMessage("Please provide a valid email address")
     .normalizeEmail(),
+  body("preferredCurrency")
+    .optional({ values: "null" })
+    .toLowerCase()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Preferred currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`),
+];
+
+const claimPurchasesValidation = [
+  body("token").isString().notEmpty().withMessage("Claim token is required"),
+  handleValidationErrors,
+];
+
+const invoiceListValidation = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+  handleValidationErrors,
+];
+
+const invoiceIdValidation = [
+  param("id").isMongoId().withMessage("Invalid invoice ID"),
+  handleValidationErrors,
 ];
 
 // No validation needed for password change request since it just sends an email
@@ -71,4 +97,30 @@ router.post(
 // Update avatar URL after successful upload
 router.put("/avatar", requireAuth, userController.updateAvatarUrl);
 
+/**
+ * @route POST /api/user/claim-purchases
+ * @desc Attach guest purchases to the account with the link from a guest receipt
+ * @access Private
+ */
+router.post(
+  "/claim-purchases",
+  requireAuth,
+  claimPurchasesValidation,
+  userController.claimPurchases
+);
+
+/**
+ * @route GET /api/user/invoices
+ * @desc List the user's invoices (download purchases and print orders)
+ * @access Private
+ */
+router.get("/invoices", requireAuth, invoiceListValidation, invoiceController.listInvoices);
+
+/**
+ * @route GET /api/user/invoices/:id
+ * @desc Download an invoice PDF
+ * @access Private
+ */
+router.get("/invoices/:id", requireAuth, invoiceIdValidation, invoiceController.downloadInvoice);
+
 module.exports = router;
@@ -4,8 +4,9 @@ const { webhookController } = require("../controllers");
 const {
   handleStripeWebhook,
 } = require("../controllers/stripeWebhookController");
-const { webhookRateLimit } = require("../middleware");
+const { webhookRateLimit, generationProgressRateLimit } = require("../middleware");
 const luluWebhookRoutes = require("./luluWebhook");
+const { BOOK_GENERATION_EVENTS } = require("../utils/constants");
 
 const router = express.Router();
 
@@ -25,12 +26,26 @@ const bookGenerationValidation = [
   body("timestamp")
     .isISO8601()
     .withMessage("Timestamp must be a valid ISO 8601 date"),
+  // Progress events come before the final notification (which has no event)
+  body("event")
+    .optional()
+    .isIn(BOOK_GENERATION_EVENTS)
+    .withMessage(`Event must be one of: ${BOOK_GENERATION_EVENTS.join(", ")}`),
+  body("pageNumber")
+    .if(body("event").equals("page_illustrated"))
+    .isInt({ min: 1 })
+    .withMessage("Page number is required for page_illustrated events"),
 ];
 
+// Progress events are limited apart from the final status callback, so a
+// busy period can't get the callback that finishes a book rejected
+const bookGenerationRateLimit = (req, res, next) =>
+  (req.body?.event ? generationProgressRateLimit : webhookRateLimit)(req, res, next);
+
 // Book generation webhook endpoint
 router.post(
   "/book-generation",
-  webhookRateLimit, // Apply rate limiting
+  bookGenerationRateLimit, // Apply rate limiting
   bookGenerationValidation,
   webhookController.handleBookGeneration
 );
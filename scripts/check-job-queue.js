@@ -0,0 +1,144 @@
+/**
+ * Check the job queue against a local MongoDB: claiming and completing jobs,
+ * dedupe keys, retry backoff, dead-lettering and recovery of jobs whose
+ * worker died mid-run.
+ *
+ * Uses its own database (CHECK_MONGODB_URI, default
+ * mongodb://localhost:27017/pettales_checks), which is dropped afterwards.
+ */
+
+const assert = require("assert");
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const { Job } = require("../models");
+const jobQueueService = require("../services/jobQueueService");
+
+const CHECK_MONGODB_URI =
+  process.env.CHECK_MONGODB_URI || "mongodb://localhost:27017/pettales_checks";
+
+const BASE_DELAY_MS = 60 * 1000;
+
+// Jobs that reached onDead, by ID
+const deadJobs = [];
+
+function registerCheckHandlers() {
+  jobQueueService.registerHandler("check_success", async (payload) => ({ echo: payload.value }), {
+    storeResult: true,
+  });
+  jobQueueService.registerHandler(
+    "check_failure",
+    async () => {
+      throw new Error("Check failure");
+    },
+    {
+      maxAttempts: 2,
+      baseDelayMs: BASE_DELAY_MS,
+      onDead: async (payload, job) => {
+        deadJobs.push(job._id.toString());
+      },
+    }
+  );
+}
+
+/**
+ * Make a queued job due now (skipping its backoff delay)
+ */
+async function makeDue(jobId) {
+  await Job.updateOne({ _id: jobId }, { $set: { run_at: new Date() } });
+}
+
+async function checkClaimAndComplete() {
+  const job = await jobQueueService.enqueue("check_success", { value: 42 });
+  const processed = await jobQueueService.tick();
+
+  const stored = await Job.findById(job._id);
+  assert.strictEqual(processed, 1);
+  assert.strictEqual(stored.status, "completed");
+  assert.strictEqual(stored.attempts, 1);
+  assert.deepStrictEqual(stored.result, { echo: 42 });
+
+  console.log("✓ Jobs are claimed, run and completed");
+}
+
+async function checkDedupe() {
+  const first = await jobQueueService.enqueue("check_success", {}, { dedupeKey: "check:dedupe", delayMs: BASE_DELAY_MS });
+  const second = await jobQueueService.enqueue("check_success", {}, { dedupeKey: "check:dedupe" });
+  assert.strictEqual(second._id.toString(), first._id.toString());
+
+  await assert.rejects(
+    jobQueueService.enqueue("check_success", {}, { dedupeKey: "check:dedupe", rejectDuplicate: true }),
+    /An active job already exists/
+  );
+
+  await Job.deleteOne({ _id: first._id });
+  console.log("✓ An active job blocks duplicates of the same dedupe key");
+}
+
+async function checkBackoffAndDeadLetter() {
+  const job = await jobQueueService.enqueue("check_failure", {}, { dedupeKey: "check:failure" });
+
+  const beforeRun = Date.now();
+  await jobQueueService.tick();
+  let stored = await Job.findById(job._id);
+  assert.strictEqual(stored.status, "queued");
+  assert.strictEqual(stored.attempts, 1);
+  assert.strictEqual(stored.error_history.length, 1);
+  assert.ok(stored.run_at.getTime() >= beforeRun + BASE_DELAY_MS, "retry should wait the base delay");
+  console.log("✓ A failed job is retried with backoff");
+
+  await makeDue(job._id);
+  await jobQueueService.tick();
+  stored = await Job.findById(job._id);
+  assert.strictEqual(stored.status, "dead");
+  assert.strictEqual(stored.attempts, 2);
+  assert.strictEqual(stored.active_key, undefined);
+  assert.deepStrictEqual(deadJobs, [job._id.toString()]);
+  console.log("✓ A job out of attempts is dead-lettered and onDead runs");
+}
+
+async function checkStaleRecovery() {
+  const staleLock = new Date(Date.now() - jobQueueService.lockTimeout - 1000);
+  const [retrying, exhausted] = await Job.create([
+    { type: "check_failure", status: "running", attempts: 1, max_attempts: 2, locked_at: staleLock },
+    { type: "check_failure", status: "running", attempts: 2, max_attempts: 2, locked_at: staleLock },
+  ]);
+
+  await jobQueueService.recoverStaleJobs();
+
+  const [retried, dead] = await Promise.all([Job.findById(retrying._id), Job.findById(exhausted._id)]);
+  assert.strictEqual(retried.status, "queued");
+  assert.strictEqual(retried.last_error, "Worker lock expired");
+  assert.strictEqual(dead.status, "dead");
+  assert.ok(deadJobs.includes(exhausted._id.toString()), "onDead should run for the exhausted job");
+
+  console.log("✓ Jobs whose worker died are retried, or dead-lettered when out of attempts");
+}
+
+async function runChecks() {
+  try {
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(CHECK_MONGODB_URI);
+    console.log("Connected to MongoDB successfully");
+
+    // The unique active_key index is needed for the dedupe check
+    await Job.init();
+    registerCheckHandlers();
+
+    await checkClaimAndComplete();
+    await checkDedupe();
+    await checkBackoffAndDeadLetter();
+    await checkStaleRecovery();
+
+    console.log("\n✅ All checks passed");
+  } catch (error) {
+    console.error("❌ Check failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.dropDatabase().catch(() => {});
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+runChecks();
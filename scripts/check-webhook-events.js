@@ -0,0 +1,124 @@
+/**
+ * Check against a local MongoDB that a Stripe print checkout whose order
+ * cannot be created is stored as a failed webhook event, so Stripe retries
+ * it and admins can replay it, and that concurrent deliveries of one event
+ * run its handler once.
+ *
+ * Uses its own database (CHECK_MONGODB_URI, default
+ * mongodb://localhost:27017/pettales_checks), which is dropped afterwards.
+ */
+
+const assert = require("assert");
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const { WebhookEvent } = require("../models");
+const stripeWebhookService = require("../services/stripeWebhookService");
+const webhookEventService = require("../services/webhookEventService");
+
+const CHECK_MONGODB_URI =
+  process.env.CHECK_MONGODB_URI || "mongodb://localhost:27017/pettales_checks";
+
+/**
+ * A paid print checkout for a book that does not exist
+ */
+function buildFailingPrintCheckout() {
+  const sessionId = `cs_check_${Date.now()}`;
+  return {
+    id: `evt_check_${Date.now()}`,
+    type: "checkout.session.completed",
+    created: Math.floor(Date.now() / 1000),
+    data: {
+      object: {
+        id: sessionId,
+        payment_status: "paid",
+        amount_total: 2500,
+        currency: "gbp",
+        metadata: {
+          type: "book_print",
+          order_type: "print",
+          book_id: new mongoose.Types.ObjectId().toString(),
+          quantity: "1",
+        },
+      },
+    },
+  };
+}
+
+async function checkFailedPrintPayment() {
+  const stripeEvent = buildFailingPrintCheckout();
+
+  await assert.rejects(
+    webhookEventService.handleStripeWebhook(stripeEvent),
+    "the webhook should fail when the print order cannot be created"
+  );
+
+  const stored = await WebhookEvent.findOne({ event_key: `stripe:${stripeEvent.id}` });
+  assert.ok(stored, "the event should be stored");
+  assert.strictEqual(stored.status, "failed");
+  assert.strictEqual(stored.outcome, "error");
+  assert.ok(stored.error_message, "the error should be recorded");
+
+  console.log("✓ Failed print payment is stored as a failed event");
+}
+
+async function checkConcurrentDeliveries() {
+  const stripeEvent = {
+    id: `evt_check_concurrent_${Date.now()}`,
+    type: "customer.created",
+    created: Math.floor(Date.now() / 1000),
+    data: { object: { id: `cus_check_${Date.now()}` } },
+  };
+
+  const originalHandleEvent = stripeWebhookService.handleEvent;
+  let runs = 0;
+  stripeWebhookService.handleEvent = async () => {
+    runs += 1;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    return "processed";
+  };
+
+  try {
+    const results = await Promise.all([
+      webhookEventService.handleStripeWebhook(stripeEvent),
+      webhookEventService.handleStripeWebhook(stripeEvent),
+    ]);
+
+    assert.strictEqual(runs, 1, "the handler should run once");
+    assert.strictEqual(
+      results.filter(({ duplicate }) => duplicate).length,
+      1,
+      "the delivery that lost the claim should be reported as a duplicate"
+    );
+
+    const stored = await WebhookEvent.findOne({ event_key: `stripe:${stripeEvent.id}` });
+    assert.strictEqual(stored.status, "processed");
+    assert.strictEqual(stored.attempts, 1);
+  } finally {
+    stripeWebhookService.handleEvent = originalHandleEvent;
+  }
+
+  console.log("✓ Concurrent deliveries of one event are processed once");
+}
+
+async function runChecks() {
+  try {
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(CHECK_MONGODB_URI);
+    console.log("Connected to MongoDB successfully");
+
+    await checkFailedPrintPayment();
+    await checkConcurrentDeliveries();
+
+    console.log("\n✅ All checks passed");
+  } catch (error) {
+    console.error("❌ Check failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.dropDatabase().catch(() => {});
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+runChecks();
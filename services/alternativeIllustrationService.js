@@ -0,0 +1,172 @@
+const mongoose = require("mongoose");
+const { Book, Page } = require("../models");
+const s3Service = require("./s3Service");
+const logger = require("../utils/logger");
+
+// Book field holding the URL in use and the alternatives of each cover
+const COVER_FIELDS = {
+  front: { urlField: "front_cover_image_url", alternativesField: "alternative_front_covers" },
+  back: { urlField: "back_cover_image_url", alternativesField: "alternative_back_covers" },
+};
+
+/**
+ * Alternative illustrations of pages and covers: which one is in use, and
+ * removing the ones a user does not want (with their S3 objects).
+ */
+class AlternativeIllustrationService {
+  /**
+   * Flag the alternative with a URL as the one in use and clear the others.
+   * Uses array filters rather than rewriting the array, so an alternative
+   * pushed by a concurrent regeneration is not lost.
+   * @param {Object} Model - Page or Book
+   * @param {Object} filter - Filter matching the document
+   * @param {string} field - Alternatives array field
+   * @param {string} url - URL now in use
+   */
+  async markSelected(Model, filter, field, url) {
+    await Model.bulkWrite([
+      {
+        updateOne: {
+          filter,
+          update: { $set: { [`${field}.$[alternative].selected`]: true } },
+          arrayFilters: [{ "alternative.url": url }],
+        },
+      },
+      {
+        updateOne: {
+          filter,
+          update: { $set: { [`${field}.$[alternative].selected`]: false } },
+          arrayFilters: [{ "alternative.url": { $ne: url } }],
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Delete an alternative illustration of a page
+   * @param {string} pageId - Page ID
+   * @param {string} alternativeId - Alternative ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Remaining alternatives
+   */
+  async deletePageAlternative(pageId, alternativeId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(pageId)) {
+      throw new Error("Invalid page ID format");
+    }
+
+    const page = await Page.findById(pageId).populate("book_id");
+    if (!page) {
+      throw new Error("Page not found");
+    }
+    if (!page.book_id || page.book_id.user_id.toString() !== userId) {
+      throw new Error("Access denied");
+    }
+
+    const alternative = page.alternative_illustrations.id(alternativeId);
+    if (!alternative) {
+      throw new Error("Alternative not found");
+    }
+    if (alternative.url === page.illustration_url) {
+      throw new Error("The illustration in use cannot be deleted");
+    }
+
+    // Only removed if it is still not in use (it may have been selected since)
+    const updatedPage = await Page.findOneAndUpdate(
+      {
+        _id: pageId,
+        illustration_url: { $ne: alternative.url },
+        "alternative_illustrations._id": alternative._id,
+      },
+      { $pull: { alternative_illustrations: { _id: alternative._id } } },
+      { new: true }
+    );
+    if (!updatedPage) {
+      throw new Error(await this.getDeleteConflict(Page, pageId, "alternative_illustrations", alternative._id));
+    }
+
+    await this.deleteS3Object(alternative.url);
+
+    logger.info(`Alternative ${alternativeId} deleted from page ${pageId}`);
+    return updatedPage.alternative_illustrations;
+  }
+
+  /**
+   * Delete an alternative of a book cover
+   * @param {string} bookId - Book ID
+   * @param {string} cover - "front" or "back"
+   * @param {string} alternativeId - Alternative ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Remaining alternatives
+   */
+  async deleteCoverAlternative(bookId, cover, alternativeId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(bookId)) {
+      throw new Error("Invalid book ID format");
+    }
+
+    const { urlField, alternativesField } = COVER_FIELDS[cover];
+    const book = await Book.findById(bookId);
+    if (!book) {
+      throw new Error("Book not found");
+    }
+    if (book.user_id.toString() !== userId) {
+      throw new Error("Access denied");
+    }
+
+    const alternative = book[alternativesField].id(alternativeId);
+    if (!alternative) {
+      throw new Error("Alternative not found");
+    }
+    if (alternative.url === book[urlField]) {
+      throw new Error("The illustration in use cannot be deleted");
+    }
+
+    // Only removed if it is still not in use (it may have been selected since)
+    const updatedBook = await Book.findOneAndUpdate(
+      {
+        _id: bookId,
+        [urlField]: { $ne: alternative.url },
+        [`${alternativesField}._id`]: alternative._id,
+      },
+      { $pull: { [alternativesField]: { _id: alternative._id } } },
+      { new: true }
+    );
+    if (!updatedBook) {
+      throw new Error(await this.getDeleteConflict(Book, bookId, alternativesField, alternative._id));
+    }
+
+    await this.deleteS3Object(alternative.url);
+
+    logger.info(`Alternative ${alternativeId} deleted from ${cover} cover of book ${bookId}`);
+    return updatedBook[alternativesField];
+  }
+
+  /**
+   * Why a guarded delete matched nothing: the alternative was selected, or
+   * another request already deleted it
+   * @returns {Promise<string>} Error message
+   */
+  async getDeleteConflict(Model, id, field, alternativeId) {
+    const stillThere = await Model.exists({ _id: id, [`${field}._id`]: alternativeId });
+    return stillThere ? "The illustration in use cannot be deleted" : "Alternative not found";
+  }
+
+  /**
+   * Delete the S3 object behind an illustration URL. The record is already
+   * gone, so a failure is logged rather than thrown.
+   */
+  async deleteS3Object(url) {
+    try {
+      const s3Key = s3Service.extractS3KeyFromCloudFrontUrl(url);
+      if (!s3Key) {
+        logger.warn(`Could not extract S3 key from URL: ${url}`);
+        return;
+      }
+      await s3Service.deleteFile(s3Key);
+      logger.info(`S3 asset deleted: ${url}`);
+    } catch (error) {
+      logger.warn(`Failed to delete S3 asset: ${url}`, error);
+    }
+  }
+}
+
+module.exports = new AlternativeIllustrationService();
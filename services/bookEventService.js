@@ -0,0 +1,224 @@
+const { EventEmitter } = require("events");
+const os = require("os");
+const mongoose = require("mongoose");
+const { Book, BookEvent } = require("../models");
+const logger = require("../utils/logger");
+const { BOOK_GENERATION_EVENTS_MAX } = require("../utils/constants");
+
+/**
+ * Live updates about a book for its owner's event stream
+ * (GET /api/books/:id/events): generation progress, illustration
+ * regenerations and PDF regenerations.
+ *
+ * Updates are delivered to streams in this process straight away and
+ * relayed to the other server instances through the BookEvent collection,
+ * which each instance with open streams watches (a change stream). Change
+ * streams need a replica set, so the relay is only used when detectRelay
+ * finds one at start-up. Generation progress is also stored on the book, so
+ * a client that connects late still gets it in the snapshot sent when the
+ * stream opens.
+ */
+class BookEventService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open stream
+    this.emitter.setMaxListeners(0);
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    // Whether the database supports the relay (see detectRelay)
+    this.relayEnabled = false;
+    // Change stream on BookEvent, open while this process has streams
+    this.relay = null;
+  }
+
+  /**
+   * Enable the relay if the database is a replica set (or sharded cluster),
+   * which change streams need. Called once at start-up.
+   */
+  async detectRelay() {
+    try {
+      await mongoose.connection.asPromise();
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      this.relayEnabled = Boolean(hello.setName) || hello.msg === "isdbgrid";
+    } catch (error) {
+      logger.warn(`Could not check the database for the book event relay: ${error.message}`);
+      this.relayEnabled = false;
+    }
+
+    if (!this.relayEnabled) {
+      logger.warn("Book event relay disabled (no replica set) - live updates reach this instance's streams only");
+    }
+    return this.relayEnabled;
+  }
+
+  /**
+   * Send an update to the book's open streams
+   * @param {string} bookId - Book ID
+   * @param {string} type - "generation", "illustration" or "pdf"
+   * @param {Object} data - Update sent to the client
+   */
+  publish(bookId, type, data = {}) {
+    const update = {
+      type,
+      data: { ...data, bookId: bookId.toString(), timestamp: new Date().toISOString() },
+    };
+
+    try {
+      this.emitter.emit(bookId.toString(), update);
+    } catch (error) {
+      // A broken stream must not fail the work reporting on it
+      logger.warn(`Failed to publish ${type} event for book ${bookId}: ${error.message}`);
+    }
+
+    if (!this.relayEnabled) {
+      return;
+    }
+
+    BookEvent.create({ book_id: bookId, ...update, origin: this.instanceId }).catch((error) => {
+      logger.warn(`Failed to relay ${type} event for book ${bookId}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Deliver updates published by other instances to this process's streams
+   */
+  startRelay() {
+    if (this.relay || !this.relayEnabled) {
+      return;
+    }
+
+    let relay;
+    try {
+      relay = BookEvent.watch([
+        { $match: { operationType: "insert", "fullDocument.origin": { $ne: this.instanceId } } },
+      ]);
+    } catch (error) {
+      logger.warn(`Book event relay unavailable: ${error.message}`);
+      return;
+    }
+    this.relay = relay;
+
+    relay.on("change", ({ fullDocument }) => {
+      try {
+        this.emitter.emit(fullDocument.book_id.toString(), {
+          type: fullDocument.type,
+          data: fullDocument.data,
+        });
+      } catch (error) {
+        logger.warn(`Failed to deliver relayed event for book ${fullDocument.book_id}: ${error.message}`);
+      }
+    });
+
+    // Reopened by the next stream (e.g. after a failover)
+    relay.on("error", (error) => {
+      logger.warn(`Book event relay stopped: ${error.message}`);
+      relay.close().catch(() => {});
+      if (this.relay === relay) {
+        this.relay = null;
+      }
+    });
+  }
+
+  /**
+   * Close the relay once this process has no open streams
+   */
+  stopRelay() {
+    if (!this.relay) {
+      return;
+    }
+
+    const relay = this.relay;
+    this.relay = null;
+    relay.close().catch((error) => {
+      logger.warn(`Failed to close book event relay: ${error.message}`);
+    });
+  }
+
+  /**
+   * Listen to a book's updates
+   * @param {string} bookId - Book ID
+   * @param {Function} listener - ({ type, data }) => void
+   * @returns {Function} - Stops listening
+   */
+  subscribe(bookId, listener) {
+    this.startRelay();
+    const key = bookId.toString();
+    this.emitter.on(key, listener);
+    return () => {
+      this.emitter.off(key, listener);
+      if (this.emitter.eventNames().length === 0) {
+        this.stopRelay();
+      }
+    };
+  }
+
+  /**
+   * Store a progress event from the generation Lambda and publish it
+   * @param {string} bookId - Book ID
+   * @param {Object} progress - { event, pageNumber, message }
+   * @returns {Promise<Object|null>} - Updated book, null if not found
+   */
+  async recordGenerationEvent(bookId, { event, pageNumber = null, message = null }) {
+    const entry = {
+      event,
+      page_number: pageNumber,
+      message,
+      created_at: new Date(),
+    };
+
+    const book = await Book.findByIdAndUpdate(
+      bookId,
+      {
+        $push: {
+          generation_events: { $each: [entry], $slice: -BOOK_GENERATION_EVENTS_MAX },
+        },
+      },
+      { new: true }
+    );
+    if (!book) {
+      return null;
+    }
+
+    this.publish(bookId, "generation", {
+      event,
+      pageNumber,
+      message,
+      generationStatus: book.generation_status,
+      pageCount: book.page_count,
+    });
+    return book;
+  }
+
+  /**
+   * Book state sent when a stream opens, for the owner only
+   * @param {string} bookId - Book ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Snapshot of the generation state
+   */
+  async getSnapshot(bookId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(bookId)) {
+      throw new Error("Invalid book ID format");
+    }
+
+    const book = await Book.findById(bookId).select(
+      "user_id generation_status generation_events page_count pdf_url pdf_needs_regeneration"
+    );
+    if (!book) {
+      throw new Error("Book not found");
+    }
+    if (book.user_id.toString() !== userId) {
+      throw new Error("Access denied");
+    }
+
+    const { generationEvents = [] } = book.toJSON();
+    return {
+      bookId: book._id.toString(),
+      generationStatus: book.generation_status,
+      generationEvents,
+      pageCount: book.page_count,
+      pdfUrl: book.pdf_url,
+      pdfNeedsRegeneration: book.pdf_needs_regeneration,
+    };
+  }
+}
+
+module.exports = new BookEventService();
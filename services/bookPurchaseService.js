@@ -0,0 +1,729 @@
+const { Book, BookPurchase, Charity, CharityDonation } = require("../models");
+const stripeService = require("./stripeService");
+const promotionService = require("./promotionService");
+const pricingService = require("./pricingService");
+const logger = require("../utils/logger");
+const {
+  WEB_URL,
+  DEFAULT_CURRENCY,
+  MAX_DOWNLOADS_PER_PURCHASE,
+  DOWNLOAD_LINK_EXPIRY_DAYS,
+} = require("../utils/constants");
+
+// Checkout session types that grant a BookPurchase entitlement
+const ENTITLEMENT_SESSION_TYPES = ["book_download", "book_print", "pdf_download"];
+
+class BookPurchaseService {
+  /**
+   * Get price for book download based on page count
+   * @returns {Object} { amount_cents, currency, fx_snapshot }
+   */
+  getDownloadPrice(pageCount, currency = null) {
+    return pricingService.getDownloadPrice(pageCount, currency);
+  }
+
+  /**
+   * Download limits applied when a purchase is completed
+   */
+  getDownloadWindow() {
+    return {
+      max_downloads: MAX_DOWNLOADS_PER_PURCHASE,
+      expires_at: new Date(
+        Date.now() + DOWNLOAD_LINK_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+      ),
+    };
+  }
+
+  /**
+   * Resolve the buyer of a checkout session (registered user or guest)
+   */
+  getPurchaser(stripeSession) {
+    const { metadata = {} } = stripeSession;
+    const userId =
+      metadata.user_id && !metadata.user_id.startsWith("guest_")
+        ? metadata.user_id
+        : null;
+
+    return {
+      user_id: userId,
+      guest_email:
+        stripeSession.customer_details?.email ||
+        stripeSession.customer_email ||
+        null,
+    };
+  }
+
+  /**
+   * Map a checkout session to a BookPurchase purchase_type
+   */
+  getPurchaseType(stripeSession) {
+    const { metadata = {} } = stripeSession;
+    const pageCount = parseInt(metadata.page_count || 12);
+    const prefix = metadata.type === "book_print" ? "print" : "download";
+    return { purchaseType: `${prefix}-${pageCount}`, pageCount };
+  }
+
+  /**
+   * Discount a promo code gives on a download, or null without a code
+   * @param {Object} buyer - { pageCount, userId, email, currency }
+   */
+  async getDownloadDiscount(promoCode, { pageCount, userId = null, email = null, currency = null }) {
+    if (!promoCode) {
+      return null;
+    }
+
+    const price = this.getDownloadPrice(pageCount, currency);
+    const discount = await promotionService.getCheckoutDiscount(promoCode, {
+      product: "download",
+      userId,
+      email,
+      amountCents: price.amount_cents,
+      currency: price.currency,
+    });
+
+    return {
+      ...discount,
+      coupon: {
+        code: discount.promotion.code,
+        amountOffCents: discount.discountCents,
+        currency: price.currency,
+      },
+    };
+  }
+
+  /**
+   * Promo code fields for the purchase of a checkout session
+   */
+  getPromotionFields(metadata) {
+    const promotion = promotionService.getOrderPromotion(metadata);
+    return promotion ? { promotion } : {};
+  }
+
+  /**
+   * Create Stripe checkout session for book download
+   */
+  async createDownloadCheckout(bookId, userId = null, userEmail = null, promoCode = null, currency = null) {
+    try {
+      const book = await Book.findById(bookId);
+      if (!book) {
+        throw new Error("Book not found");
+      }
+
+      if (book.generation_status !== "completed") {
+        throw new Error("Book generation not completed");
+      }
+
+      const isOwner = !!(userId && book.user_id.toString() === userId);
+
+      // Check for charities if needed (keeping existing charity logic)
+      const enabledCharities = await Charity.countDocuments({ is_enabled: true });
+
+      const discount = await this.getDownloadDiscount(promoCode, {
+        pageCount: book.page_count,
+        userId,
+        email: userEmail,
+        currency,
+      });
+
+      // Build metadata
+      const metadata = {
+        is_owner: isOwner.toString(),
+        page_count: book.page_count.toString(),
+        returnUrl: `/books/${bookId}`,
+        ...(currency && { currency }),
+        ...discount?.metadata,
+      };
+
+      // Priced in the buyer's currency by pricingService
+      const session = await stripeService.createDownloadCheckoutSession(
+        bookId,
+        book.page_count,
+        userId,
+        userEmail,
+        metadata,
+        discount?.coupon
+      );
+
+      await promotionService.reserveRedemption(session, { userId, email: userEmail });
+      await this.recordPendingPurchase(session);
+
+      logger.info(`Created download checkout session for book ${bookId}`);
+      return session;
+    } catch (error) {
+      logger.error(`Error creating download checkout: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a pending purchase for a freshly created checkout session.
+   * The row is completed by processPaymentSuccess once Stripe confirms payment.
+   */
+  async recordPendingPurchase(stripeSession) {
+    try {
+      const { metadata = {} } = stripeSession;
+      if (!ENTITLEMENT_SESSION_TYPES.includes(metadata.type)) {
+        return null;
+      }
+
+      const { purchaseType, pageCount } = this.getPurchaseType(stripeSession);
+
+      return await BookPurchase.findOneAndUpdate(
+        { stripe_session_id: stripeSession.id },
+        {
+          $setOnInsert: {
+            ...this.getPurchaser(stripeSession),
+            book_id: metadata.book_id || metadata.bookId,
+            purchase_type: purchaseType,
+            amount_cents: stripeSession.amount_total || 0,
+            currency: stripeSession.currency || DEFAULT_CURRENCY,
+            stripe_session_id: stripeSession.id,
+            status: "pending",
+            ...this.getPromotionFields(metadata),
+            metadata: {
+              page_count: pageCount,
+              is_owner: metadata.is_owner === "true",
+            },
+          },
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // A missing pending row is recovered when the webhook completes the purchase
+      logger.warn(
+        `Failed to record pending purchase for session ${stripeSession.id}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Close the pending purchase of a checkout session that expired unpaid
+   * @returns {Promise<Object|null>} The closed purchase, if one was pending
+   */
+  async markSessionExpired(sessionId) {
+    return BookPurchase.findOneAndUpdate(
+      { stripe_session_id: sessionId, status: "pending" },
+      { status: "failed" },
+      { new: true }
+    );
+  }
+
+  /**
+   * Process successful payment webhook
+   * Completes (or creates) the purchase for the session. Safe to call more than
+   * once for the same session: completed and refunded purchases are returned as-is.
+   */
+  async processPaymentSuccess(stripeSession) {
+    try {
+      const { metadata = {} } = stripeSession;
+
+      // Handle different payment types
+      const paymentType = metadata.type;
+      if (!ENTITLEMENT_SESSION_TYPES.includes(paymentType)) {
+        logger.info(`Ignoring payment type: ${paymentType}`);
+        return null;
+      }
+
+      if (
+        stripeSession.payment_status &&
+        !["paid", "no_payment_required"].includes(stripeSession.payment_status)
+      ) {
+        logger.info(
+          `Session ${stripeSession.id} not paid yet (${stripeSession.payment_status}), leaving purchase pending`
+        );
+        return this.recordPendingPurchase(stripeSession);
+      }
+
+      const existingPurchase = await BookPurchase.findOne({
+        stripe_session_id: stripeSession.id,
+      });
+
+      if (existingPurchase && ["completed", "refunded"].includes(existingPurchase.status)) {
+        logger.info(`Purchase already ${existingPurchase.status} for session ${stripeSession.id}`);
+        return existingPurchase;
+      }
+
+      const bookId = metadata.book_id || metadata.bookId;
+      const { purchaseType, pageCount } = this.getPurchaseType(stripeSession);
+
+      let purchase;
+      try {
+        purchase = await BookPurchase.findOneAndUpdate(
+          {
+            stripe_session_id: stripeSession.id,
+            status: { $in: ["pending", "failed"] },
+          },
+          {
+            $setOnInsert: {
+              book_id: bookId,
+              purchase_type: purchaseType,
+              stripe_session_id: stripeSession.id,
+              ...this.getPromotionFields(metadata),
+              metadata: {
+                page_count: pageCount,
+                is_owner: metadata.is_owner === "true",
+              },
+            },
+            $set: {
+              ...this.getPurchaser(stripeSession),
+              ...this.getDownloadWindow(),
+              amount_cents: stripeSession.amount_total || 0,
+              currency: stripeSession.currency || DEFAULT_CURRENCY,
+              stripe_payment_intent_id: stripeSession.payment_intent || null,
+              status: "completed",
+            },
+          },
+          { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+      } catch (error) {
+        // A concurrent delivery completed the purchase first
+        if (error.code === 11000) {
+          return await BookPurchase.findOne({ stripe_session_id: stripeSession.id });
+        }
+        throw error;
+      }
+
+      // If this is a print purchase, also create a complementary download purchase
+      if (paymentType === "book_print") {
+        await this.linkComplementaryDownload(purchase, stripeSession);
+        await this.linkCartDownloads(purchase, stripeSession);
+      }
+
+      // Update book download count
+      await Book.findByIdAndUpdate(bookId, {
+        $inc: { total_downloads: 1 },
+      });
+
+      // Handle charity donation if present (keeping existing logic)
+      if (metadata.charity_id || metadata.charityId) {
+        try {
+          await CharityDonation.findOneAndUpdate(
+            { stripe_session_id: stripeSession.id },
+            {
+              book_id: bookId,
+              user_id: purchase.user_id,
+              guest_email: stripeSession.customer_details?.email,
+              charity_id: metadata.charity_id || metadata.charityId,
+              amount_cents: stripeSession.amount_total,
+              currency: stripeSession.currency,
+              stripe_payment_intent_id: stripeSession.payment_intent,
+              status: "paid",
+            },
+            { upsert: true, new: true }
+          );
+          logger.info(`Charity donation recorded for session ${stripeSession.id}`);
+        } catch (charityError) {
+          logger.error(`Failed to record charity donation: ${charityError.message}`);
+        }
+      }
+
+      logger.info(`Purchase completed for book ${bookId}`, {
+        purchaseId: purchase._id,
+        purchaseType,
+        sessionId: stripeSession.id,
+      });
+      return purchase;
+    } catch (error) {
+      logger.error(`Error processing payment success: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the free download that comes with a print purchase.
+   * The child row points at its print purchase through metadata.parent_purchase_id
+   * and only grants access while the parent is completed.
+   * @param {Object} book - Another book of the same cart checkout (defaults
+   *   to the purchased book)
+   */
+  async linkComplementaryDownload(printPurchase, stripeSession, book = null) {
+    const pageCount = book ? book.page_count : printPurchase.getPageCount() || 12;
+    const downloadSessionId = book
+      ? `${stripeSession.id}_download_${book._id}`
+      : `${stripeSession.id}_download`;
+
+    const downloadPurchase = await BookPurchase.findOneAndUpdate(
+      { stripe_session_id: downloadSessionId },
+      {
+        $setOnInsert: {
+          user_id: printPurchase.user_id,
+          guest_email: printPurchase.guest_email,
+          book_id: book ? book._id : printPurchase.book_id,
+          purchase_type: `download-${pageCount}`,
+          amount_cents: 0, // Complementary - no additional charge
+          currency: printPurchase.currency,
+          stripe_session_id: downloadSessionId,
+          stripe_payment_intent_id: printPurchase.stripe_payment_intent_id,
+          status: "completed",
+          max_downloads: printPurchase.max_downloads,
+          expires_at: printPurchase.expires_at,
+          metadata: {
+            page_count: pageCount,
+            is_owner: printPurchase.metadata?.is_owner,
+            is_complementary_download: true,
+            parent_purchase_id: printPurchase._id,
+          },
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+    logger.info(`Linked complementary download ${downloadPurchase._id} to print purchase ${printPurchase._id}`);
+    return downloadPurchase;
+  }
+
+  /**
+   * Grant a download from a subscription's monthly allowance. One purchase
+   * per book and billing period, so repeated calls do not grant it twice.
+   * @param {Object} book - Book document
+   * @param {Object} subscription - Subscription whose allowance was used
+   */
+  async grantSubscriptionDownload(book, userId, subscription) {
+    const periodStart = subscription.current_period_start.getTime();
+    const downloadSessionId = `subscription_${subscription._id}_${periodStart}_download_${book._id}`;
+
+    const purchase = await BookPurchase.findOneAndUpdate(
+      { stripe_session_id: downloadSessionId },
+      {
+        $setOnInsert: {
+          user_id: userId,
+          book_id: book._id,
+          purchase_type: `download-${book.page_count}`,
+          amount_cents: 0, // Included in the subscription
+          currency: DEFAULT_CURRENCY,
+          stripe_session_id: downloadSessionId,
+          status: "completed",
+          ...this.getDownloadWindow(),
+          metadata: {
+            page_count: book.page_count,
+            is_owner: book.user_id.toString() === userId.toString(),
+            subscription_id: subscription._id,
+          },
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    logger.info(`Granted subscription download ${purchase._id} for book ${book._id}`, {
+      userId,
+      plan: subscription.plan,
+    });
+    return purchase;
+  }
+
+  /**
+   * Create complementary downloads for the other books of a cart checkout.
+   * The purchase itself covers the first book (metadata.book_id).
+   */
+  async linkCartDownloads(printPurchase, stripeSession) {
+    const cartItems = (stripeSession.metadata?.cart_items || "")
+      .split(",")
+      .map((entry) => entry.split(":")[0])
+      .filter((bookId) => bookId && bookId !== String(printPurchase.book_id));
+
+    for (const bookId of cartItems) {
+      const book = await Book.findById(bookId).select("page_count");
+      if (!book) {
+        logger.warn(`Cart book ${bookId} not found, no download linked for session ${stripeSession.id}`);
+        continue;
+      }
+      await this.linkComplementaryDownload(printPurchase, stripeSession, book);
+    }
+  }
+
+  /**
+   * Record a Stripe refund against the purchases paid by a session or payment intent.
+   * A full refund revokes the purchase (and with it any complementary download).
+   * @param {Object} payment - { stripeSessionId, paymentIntentId }
+   * @param {number} refundedAmountCents - Total refunded so far on the payment
+   * @param {boolean} fullyRefunded - Whether the whole payment has been refunded
+   */
+  async recordRefund({ stripeSessionId = null, paymentIntentId = null }, refundedAmountCents, fullyRefunded) {
+    const paymentMatch = [];
+    if (stripeSessionId) paymentMatch.push({ stripe_session_id: stripeSessionId });
+    if (paymentIntentId) paymentMatch.push({ stripe_payment_intent_id: paymentIntentId });
+    if (paymentMatch.length === 0) return [];
+
+    const purchases = await BookPurchase.find({
+      $or: paymentMatch,
+      "metadata.is_complementary_download": { $ne: true },
+    });
+
+    for (const purchase of purchases) {
+      purchase.refunded_amount_cents = Math.max(
+        purchase.refunded_amount_cents || 0,
+        Math.min(refundedAmountCents, purchase.amount_cents)
+      );
+      purchase.refunded_at = purchase.refunded_at || new Date();
+      if (fullyRefunded && purchase.status === "completed") {
+        purchase.status = "refunded";
+      }
+      await purchase.save();
+
+      logger.info(`Recorded refund on purchase ${purchase._id}`, {
+        refundedAmountCents: purchase.refunded_amount_cents,
+        status: purchase.status,
+      });
+    }
+
+    return purchases;
+  }
+
+  /**
+   * Complementary downloads are only valid while their print purchase is completed
+   */
+  async isParentPurchaseValid(purchase) {
+    const parentId = purchase.metadata?.parent_purchase_id;
+    if (!parentId) return true;
+
+    const parent = await BookPurchase.findById(parentId).select("status");
+    return parent?.status === "completed";
+  }
+
+  /**
+   * Throw if a purchase can no longer be used for a download
+   */
+  async assertDownloadAllowed(purchase) {
+    if (!purchase || purchase.status !== "completed") {
+      throw new Error("Purchase not found or not completed");
+    }
+
+    if (purchase.expires_at && purchase.expires_at <= new Date()) {
+      throw new Error("Download link expired");
+    }
+
+    if (purchase.download_count >= purchase.max_downloads) {
+      throw new Error("Download limit reached");
+    }
+
+    if (!(await this.isParentPurchaseValid(purchase))) {
+      throw new Error("Purchase not found or not completed");
+    }
+  }
+
+  /**
+   * Find an active download entitlement for a book.
+   * Only pass guestEmail when it comes from a verified source (e.g. the
+   * logged-in user's email), never from unauthenticated request input.
+   */
+  async findActiveDownloadEntitlement(bookId, { userId = null, guestEmail = null } = {}) {
+    const owners = [];
+    if (userId) owners.push({ user_id: userId });
+    if (guestEmail) owners.push({ guest_email: guestEmail.toLowerCase() });
+    if (owners.length === 0) return null;
+
+    const candidates = await BookPurchase.find({
+      book_id: bookId,
+      status: "completed",
+      purchase_type: { $regex: /^download-/ },
+      expires_at: { $gt: new Date() },
+      $expr: { $lt: ["$download_count", "$max_downloads"] },
+      $or: owners,
+    }).sort({ expires_at: -1 });
+
+    for (const purchase of candidates) {
+      if (await this.isParentPurchaseValid(purchase)) {
+        return purchase;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the download purchase created for a checkout session.
+   * Print sessions resolve to their complementary download (one per book
+   * for cart checkouts).
+   */
+  async findSessionDownloadPurchase(bookId, sessionId) {
+    return BookPurchase.findOne({
+      book_id: bookId,
+      stripe_session_id: {
+        $in: [sessionId, `${sessionId}_download`, `${sessionId}_download_${bookId}`],
+      },
+      purchase_type: { $regex: /^download-/ },
+    });
+  }
+
+  /**
+   * Record a checkout session straight from Stripe.
+   * Used when the buyer comes back before the webhook has been processed.
+   */
+  async syncCheckoutSession(sessionId) {
+    try {
+      const session = await stripeService.retrieveSession(sessionId);
+      if (session?.payment_status !== "paid") {
+        return null;
+      }
+      return await this.processPaymentSuccess(session);
+    } catch (error) {
+      logger.warn(`Failed to sync checkout session ${sessionId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the purchase that authorizes a download.
+   * With a session ID the purchase for that session must be usable (errors are
+   * thrown otherwise); without one, any active entitlement of the user is used.
+   * @returns {Promise<Object|null>} BookPurchase, or null if the user has none
+   */
+  async resolveDownloadEntitlement(bookId, { userId = null, sessionId = null } = {}) {
+    if (sessionId) {
+      let purchase = await this.findSessionDownloadPurchase(bookId, sessionId);
+
+      if (!purchase || purchase.status === "pending") {
+        await this.syncCheckoutSession(sessionId);
+        purchase = await this.findSessionDownloadPurchase(bookId, sessionId);
+      }
+
+      await this.assertDownloadAllowed(purchase);
+      return purchase;
+    }
+
+    if (!userId) return null;
+    return this.findActiveDownloadEntitlement(bookId, { userId });
+  }
+
+  /**
+   * Atomically count a download against a purchase
+   */
+  async consumeDownload(purchase) {
+    const updated = await BookPurchase.findOneAndUpdate(
+      {
+        _id: purchase._id,
+        status: "completed",
+        expires_at: { $gt: new Date() },
+        $expr: { $lt: ["$download_count", "$max_downloads"] },
+      },
+      { $inc: { download_count: 1 } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new Error("Download limit reached");
+    }
+
+    return updated;
+  }
+
+  /**
+   * Verify purchase and return download URL
+   */
+  async verifyAndGetDownload(bookId, sessionId, userId = null) {
+    try {
+      const purchase = await this.resolveDownloadEntitlement(bookId, {
+        userId,
+        sessionId,
+      });
+      if (!purchase) {
+        throw new Error("Purchase not found or not completed");
+      }
+
+      // Get book PDF URL
+      const book = await Book.findById(bookId);
+      if (!book || !book.pdf_url) {
+        throw new Error("Book PDF not available");
+      }
+
+      const updated = await this.consumeDownload(purchase);
+
+      logger.info(`Download verified for book ${bookId}, purchase ${purchase._id}`);
+      return {
+        pdfUrl: book.pdf_url,
+        title: book.title,
+        downloadsRemaining: updated.max_downloads - updated.download_count,
+        expiresAt: updated.expires_at,
+      };
+    } catch (error) {
+      logger.error(`Error verifying download: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if user has a purchase for the book that can still be downloaded
+   */
+  async hasValidPurchase(bookId, userId) {
+    if (!userId) return false;
+
+    return !!(await this.findActiveDownloadEntitlement(bookId, { userId }));
+  }
+
+  /**
+   * Check if a user or guest owns a book (any completed purchase,
+   * regardless of remaining downloads)
+   */
+  async ownsBook(bookId, { userId = null, guestEmail = null } = {}) {
+    const owners = [];
+    if (userId) owners.push({ user_id: userId });
+    if (guestEmail) owners.push({ guest_email: guestEmail.toLowerCase() });
+    if (owners.length === 0) return false;
+
+    const purchase = await BookPurchase.exists({
+      book_id: bookId,
+      status: "completed",
+      "metadata.is_complementary_download": { $ne: true },
+      $or: owners,
+    });
+
+    return !!purchase;
+  }
+
+  /**
+   * Get user's purchase history
+   */
+  async getUserPurchases(userId, page = 1, limit = 10) {
+    try {
+      const skip = (page - 1) * limit;
+
+      const purchases = await BookPurchase.find({
+        user_id: userId,
+        status: "completed",
+        // Exclude complementary downloads from the list to avoid duplicates
+        "metadata.is_complementary_download": { $ne: true }
+      })
+        .populate("book_id", "title page_count front_cover_image_url")
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await BookPurchase.countDocuments({
+        user_id: userId,
+        status: "completed",
+        "metadata.is_complementary_download": { $ne: true }
+      });
+
+      return {
+        purchases,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error(`Error getting user purchases: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check user's entitlements for a specific book
+   */
+  async getBookEntitlements(bookId, userId) {
+    if (!userId) {
+      return {
+        hasDownload: false,
+        hasPrint: false,
+        canDownload: false,
+      };
+    }
+
+    return await BookPurchase.getUserEntitlements(bookId, userId);
+  }
+}
+
+module.exports = new BookPurchaseService();
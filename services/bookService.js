@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 const { Book, Page, Character } = require("../models");
 const s3Service = require("./s3Service");
+const alternativeIllustrationService = require("./alternativeIllustrationService");
 const LambdaService = require("./lambdaService");
 const logger = require("../utils/logger");
 
@@ -251,7 +252,9 @@ class BookService {
             const coverType =
               key === "front_cover_image_url" ? "front" : "back";
             const alternativesField = `alternative_${coverType}_covers`;
-            const alternatives = book[alternativesField] || [];
+            const alternatives = (book[alternativesField] || []).map(
+              (alternative) => alternative.url
+            );
 
             // Validate that the selected URL is in the alternatives array
             if (updateData[key] && !alternatives.includes(updateData[key])) {
@@ -281,6 +284,24 @@ class BookService {
         );
       }
 
+      // Keep the alternatives' selected flags in step with the covers in use
+      if (filteredUpdate.front_cover_image_url) {
+        await alternativeIllustrationService.markSelected(
+          Book,
+          { _id: bookId },
+          "alternative_front_covers",
+          filteredUpdate.front_cover_image_url
+        );
+      }
+      if (filteredUpdate.back_cover_image_url) {
+        await alternativeIllustrationService.markSelected(
+          Book,
+          { _id: bookId },
+          "alternative_back_covers",
+          filteredUpdate.back_cover_image_url
+        );
+      }
+
       const updatedBook = await Book.findByIdAndUpdate(bookId, filteredUpdate, {
         new: true,
         runValidators: true,
@@ -369,10 +390,14 @@ class BookService {
         s3UrlsToDelete.push(book.back_cover_image_url);
       }
       if (book.alternative_front_covers) {
-        s3UrlsToDelete.push(...book.alternative_front_covers);
+        s3UrlsToDelete.push(
+          ...book.alternative_front_covers.map((alternative) => alternative.url)
+        );
       }
       if (book.alternative_back_covers) {
-        s3UrlsToDelete.push(...book.alternative_back_covers);
+        s3UrlsToDelete.push(
+          ...book.alternative_back_covers.map((alternative) => alternative.url)
+        );
       }
       if (book.pdf_url) {
         s3UrlsToDelete.push(book.pdf_url);
@@ -384,7 +409,9 @@ class BookService {
           s3UrlsToDelete.push(page.illustration_url);
         }
         if (page.alternative_illustrations) {
-          s3UrlsToDelete.push(...page.alternative_illustrations);
+          s3UrlsToDelete.push(
+            ...page.alternative_illustrations.map((alternative) => alternative.url)
+          );
         }
       });
 
@@ -453,8 +480,11 @@ class BookService {
         throw new Error("Only failed books can be retried");
       }
 
-      // Update status to pending
-      await Book.findByIdAndUpdate(bookId, { generation_status: "pending" });
+      // Update status to pending and forget the failed attempt's progress
+      await Book.findByIdAndUpdate(bookId, {
+        generation_status: "pending",
+        generation_events: [],
+      });
 
       // Trigger Lambda function
       try {
@@ -0,0 +1,205 @@
+const { Cart } = require("../models");
+const printOrderService = require("./printOrderService");
+const printProductService = require("./printProductService");
+const logger = require("../utils/logger");
+const { CART_MAX_ITEMS, CART_MAX_QUANTITY } = require("../utils/constants");
+
+const SHIPPING_ADDRESS_FIELDS = [
+  "name",
+  "street1",
+  "street2",
+  "city",
+  "state_code",
+  "postcode",
+  "country_code",
+  "phone_number",
+  "email",
+];
+
+/**
+ * Print cart: several books, one shipping address, one checkout.
+ *
+ * Books are checked for print access when added and again at checkout.
+ * The checkout carries its own copy of the items, so the cart can keep
+ * changing while a payment is in progress.
+ */
+class CartService {
+  /**
+   * Get the user's cart, creating an empty one on first use
+   */
+  async getCart(userId) {
+    return Cart.findOneAndUpdate(
+      { user_id: userId },
+      { $setOnInsert: { user_id: userId, items: [] } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).populate("items.book_id", "title front_cover_image_url page_count");
+  }
+
+  /**
+   * Add copies of a book (merged with any copies already in the cart).
+   * A book is printed in one format per cart; a new printProduct replaces
+   * the format of copies already in the cart.
+   */
+  async addItem(userId, bookId, quantity, printProduct = null) {
+    await printOrderService.getPrintableBook(bookId, userId);
+    if (printProduct) {
+      printProductService.getProduct(printProduct);
+    }
+
+    const cart = await this.getCart(userId);
+    const existing = cart.items.find(
+      (item) => String(item.book_id?._id || item.book_id) === String(bookId)
+    );
+
+    if (!existing && cart.items.length >= CART_MAX_ITEMS) {
+      throw new Error(`Cart can hold at most ${CART_MAX_ITEMS} different books`);
+    }
+    if (cart.getTotalQuantity() + quantity > CART_MAX_QUANTITY) {
+      throw new Error(`Cart can hold at most ${CART_MAX_QUANTITY} books in total`);
+    }
+
+    if (existing) {
+      existing.quantity += quantity;
+      if (printProduct) {
+        existing.print_product = printProduct;
+      }
+    } else {
+      cart.items.push({ book_id: bookId, quantity, print_product: printProduct });
+    }
+    await cart.save();
+
+    logger.info(`Added book ${bookId} x ${quantity} to cart of user ${userId}`);
+    return this.getCart(userId);
+  }
+
+  /**
+   * Set the number of copies (and optionally the format) of a book already
+   * in the cart
+   */
+  async updateItemQuantity(userId, bookId, quantity, printProduct = null) {
+    const cart = await this.getCart(userId);
+    const item = this.findItem(cart, bookId);
+
+    if (cart.getTotalQuantity() - item.quantity + quantity > CART_MAX_QUANTITY) {
+      throw new Error(`Cart can hold at most ${CART_MAX_QUANTITY} books in total`);
+    }
+    if (printProduct) {
+      item.print_product = printProductService.getProduct(printProduct).id;
+    }
+
+    item.quantity = quantity;
+    await cart.save();
+    return this.getCart(userId);
+  }
+
+  /**
+   * Remove a book from the cart
+   */
+  async removeItem(userId, bookId) {
+    const cart = await this.getCart(userId);
+    this.findItem(cart, bookId).deleteOne();
+    await cart.save();
+    return this.getCart(userId);
+  }
+
+  /**
+   * Empty the cart (shipping details are kept for the next order)
+   */
+  async clearCart(userId) {
+    await Cart.updateOne({ user_id: userId }, { $set: { items: [] } });
+    return this.getCart(userId);
+  }
+
+  /**
+   * Set the address and shipping level all books ship with
+   */
+  async setShipping(userId, { shippingAddress, shippingLevel }) {
+    const update = { shipping_level: shippingLevel };
+    for (const field of SHIPPING_ADDRESS_FIELDS) {
+      update[`shipping_address.${field}`] = shippingAddress[field] ?? null;
+    }
+
+    await Cart.updateOne(
+      { user_id: userId },
+      { $set: update, $setOnInsert: { items: [] } },
+      { upsert: true, runValidators: true }
+    );
+    return this.getCart(userId);
+  }
+
+  /**
+   * Quote the whole cart as one Lulu shipment
+   * @param {Object} options - { currency, gift }
+   */
+  async getQuote(userId, options = {}) {
+    const cart = await this.getCheckoutReadyCart(userId);
+
+    return printOrderService.calculateItemsCost(
+      cart.items.map((item) => ({
+        bookId: item.book_id._id,
+        quantity: item.quantity,
+        printProduct: item.print_product,
+      })),
+      cart.shipping_address,
+      cart.shipping_level,
+      { ...options, userId }
+    );
+  }
+
+  /**
+   * Start one Stripe checkout for everything in the cart
+   * @param {Object} options - { currency, quoteId, gift, promoCode } (a quote from
+   *   getQuote is only accepted while the cart still matches it; gifts ship
+   *   to the cart's shipping address)
+   */
+  async checkout(userId, options = {}) {
+    const cart = await this.getCheckoutReadyCart(userId);
+    return printOrderService.createCartCheckout(userId, cart, options);
+  }
+
+  /**
+   * Drop books that were paid for (called when a cart checkout completes).
+   * Books added after the checkout started stay in the cart.
+   * @param {string} userId - Cart owner
+   * @param {Array} bookIds - Books in the completed checkout
+   */
+  async removePurchasedItems(userId, bookIds) {
+    const result = await Cart.updateOne(
+      { user_id: userId },
+      { $pull: { items: { book_id: { $in: bookIds } } } }
+    );
+
+    logger.info(`Removed ${bookIds.length} purchased books from cart of user ${userId}`, {
+      modified: result.modifiedCount,
+    });
+  }
+
+  async getCheckoutReadyCart(userId) {
+    const cart = await this.getCart(userId);
+
+    if (cart.items.length === 0) {
+      throw new Error("Cart is empty");
+    }
+    if (!cart.hasShippingDetails()) {
+      throw new Error("Shipping address and shipping level are required");
+    }
+    if (cart.items.some((item) => !item.book_id)) {
+      // A book was deleted after it was added
+      throw new Error("Book not found");
+    }
+
+    return cart;
+  }
+
+  findItem(cart, bookId) {
+    const item = cart.items.find(
+      (cartItem) => String(cartItem.book_id?._id || cartItem.book_id) === String(bookId)
+    );
+    if (!item) {
+      throw new Error("Book not found in cart");
+    }
+    return item;
+  }
+}
+
+module.exports = new CartService();
@@ -0,0 +1,80 @@
+const {
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  FX_RATES,
+  COUNTRY_CURRENCIES,
+} = require("../utils/constants");
+
+// Currency Lulu quotes are requested in
+const BASE_CURRENCY = "gbp";
+
+/**
+ * Checkout currency selection and conversion of GBP prices.
+ *
+ * Rates come from the configured FX table (units per 1 GBP). Each order
+ * keeps a snapshot of the rate it was charged at, so later rate changes
+ * never alter what an existing order cost.
+ */
+class CurrencyService {
+  isSupported(currency) {
+    return !!currency && SUPPORTED_CURRENCIES.includes(String(currency).toLowerCase());
+  }
+
+  /**
+   * Pick the checkout currency: an explicit supported preference wins, then
+   * the shipping country's currency, then the default
+   * @param {Object} options - { countryCode, preferredCurrency }
+   * @returns {string} Lowercase ISO currency code
+   */
+  resolveCurrency({ countryCode, preferredCurrency } = {}) {
+    if (this.isSupported(preferredCurrency)) {
+      return String(preferredCurrency).toLowerCase();
+    }
+
+    const countryCurrency = COUNTRY_CURRENCIES[String(countryCode || "").toUpperCase()];
+    if (this.isSupported(countryCurrency)) {
+      return countryCurrency;
+    }
+
+    return DEFAULT_CURRENCY;
+  }
+
+  /**
+   * Rate from GBP to a currency
+   */
+  getRate(currency) {
+    const code = String(currency || "").toLowerCase();
+    const rate = Number(FX_RATES[code]);
+
+    if (!this.isSupported(code) || !Number.isFinite(rate) || rate <= 0) {
+      throw new Error(`Unsupported currency: ${currency}`);
+    }
+
+    return rate;
+  }
+
+  /**
+   * Rate record stored with an order
+   * @returns {Object} { base_currency, currency, rate, captured_at }
+   */
+  createFxSnapshot(currency) {
+    const code = String(currency).toLowerCase();
+    return {
+      base_currency: BASE_CURRENCY,
+      currency: code,
+      rate: this.getRate(code),
+      captured_at: new Date(),
+    };
+  }
+
+  /**
+   * Convert a GBP amount to minor units of the snapshot currency,
+   * rounding up like the GBP price itself
+   */
+  convertFromGbp(amountGbp, fxSnapshot) {
+    // toFixed drops float noise so 12.99 GBP stays 1299, not 1300
+    return Math.ceil(Number((amountGbp * fxSnapshot.rate * 100).toFixed(6)));
+  }
+}
+
+module.exports = new CurrencyService();
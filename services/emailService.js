@@ -1,4 +1,4 @@
-const { SESClient, SendEmailCommand } = require("@aws-sdk/client-ses");
+const { SESClient, SendEmailCommand, SendRawEmailCommand } = require("@aws-sdk/client-ses");
 const logger = require("../utils/logger");
 const { getEmailTemplate } = require("../email-templates");
 const {
@@ -95,6 +95,94 @@ const sendEmail = async (to, subject, textBody, htmlBody = null) => {
   }
 };
 
+/**
+ * Build a MIME message with attachments (SendEmailCommand cannot attach files)
+ * @param {Array} attachments - [{ filename, contentType, content (Buffer) }]
+ */
+const buildRawEmail = (to, subject, textBody, htmlBody, attachments) => {
+  const mixedBoundary = `mixed_${Date.now().toString(36)}`;
+  const altBoundary = `alt_${Date.now().toString(36)}`;
+  const encodeBase64 = (content) =>
+    Buffer.from(content).toString("base64").replace(/.{76}/g, "$&\r\n");
+
+  const lines = [
+    `From: "${FROM_NAME}" <${NO_REPLY_EMAIL_ADDRESS}>`,
+    `To: ${to}`,
+    `Subject: =?UTF-8?B?${Buffer.from(subject).toString("base64")}?=`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/mixed; boundary="${mixedBoundary}"`,
+    "",
+    `--${mixedBoundary}`,
+    `Content-Type: multipart/alternative; boundary="${altBoundary}"`,
+    "",
+    `--${altBoundary}`,
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    encodeBase64(textBody),
+  ];
+
+  if (htmlBody) {
+    lines.push(
+      `--${altBoundary}`,
+      "Content-Type: text/html; charset=UTF-8",
+      "Content-Transfer-Encoding: base64",
+      "",
+      encodeBase64(htmlBody)
+    );
+  }
+  lines.push(`--${altBoundary}--`);
+
+  for (const attachment of attachments) {
+    lines.push(
+      `--${mixedBoundary}`,
+      `Content-Type: ${attachment.contentType}; name="${attachment.filename}"`,
+      `Content-Disposition: attachment; filename="${attachment.filename}"`,
+      "Content-Transfer-Encoding: base64",
+      "",
+      encodeBase64(attachment.content)
+    );
+  }
+  lines.push(`--${mixedBoundary}--`);
+
+  return lines.join("\r\n");
+};
+
+/**
+ * Send email with attachments using AWS SES
+ * @param {Array} attachments - [{ filename, contentType, content (Buffer) }]
+ */
+const sendEmailWithAttachments = async (to, subject, textBody, htmlBody, attachments) => {
+  if (!AWS_ACCESS_KEY_ID || !AWS_SECRET_ACCESS_KEY || !AWS_REGION) {
+    logger.warn("AWS credentials not configured. Skipping email send.", {
+      to,
+      subject,
+    });
+    return {
+      success: false,
+      message: "Email service not configured",
+    };
+  }
+
+  try {
+    const client = getSESClient();
+    const command = new SendRawEmailCommand({
+      RawMessage: {
+        Data: Buffer.from(buildRawEmail(to, subject, textBody, htmlBody, attachments)),
+      },
+    });
+    const result = await client.send(command);
+    logger.info("Email with attachments sent successfully:", result.MessageId);
+    return {
+      success: true,
+      messageId: result.MessageId,
+    };
+  } catch (error) {
+    logger.error(`Error sending email with attachments: ${error}`);
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
+};
+
 /**
  * Send email verification email
  * @param {string} email - User email
@@ -354,16 +442,31 @@ const sendContactForm = async (
   }
 };
 
+/**
+ * Send a plain-text operational alert to the team
+ * @param {Object} alert - { to, subject, body, priority }
+ */
+const sendAlert = async ({ to, subject, body, priority = "normal" }) => {
+  const recipient = to || CONTACT_EMAIL_ADDRESS;
+  if (!recipient) {
+    logger.warn("No alert recipient configured. Skipping alert email.", {
+      subject,
+    });
+    return { success: false, message: "Alert recipient not configured" };
+  }
+
+  const prefixedSubject = priority === "high" ? `[URGENT] ${subject}` : subject;
+  return sendEmail(recipient, prefixedSubject, body);
+};
+
 /**
  * Send print order shipped email
  */
 const sendPrintOrderShippedEmail = async (user, printOrder, trackingInfo) => {
   try {
-    const { WEB_URL } = require("../utils/constants");
-
     const templateParams = {
       firstName: user.first_name,
-      bookTitle: printOrder.book_title,
+      bookTitle: await getPrintOrderBookTitle(printOrder),
       orderId: printOrder.external_id,
       trackingId: trackingInfo.tracking_id,
       trackingUrls: trackingInfo.tracking_urls || [],
@@ -372,15 +475,18 @@ const sendPrintOrderShippedEmail = async (user, printOrder, trackingInfo) => {
       myOrdersUrl: `${WEB_URL}/my-orders`,
     };
 
-    const template = getTemplate("printOrderShipped", user.language || "en");
-    const emailContent = template(templateParams);
+    const template = getEmailTemplate(
+      user.preferred_language || "en",
+      "printOrderShipped",
+      templateParams
+    );
 
-    await sendEmail({
-      to: user.email,
-      subject: emailContent.subject,
-      textBody: emailContent.textBody,
-      htmlBody: emailContent.htmlBody,
-    });
+    await sendEmail(
+      user.email,
+      template.subject,
+      template.textBody,
+      template.htmlBody
+    );
 
     logger.info("Print order shipped email sent successfully", {
       userId: user._id,
@@ -394,36 +500,78 @@ const sendPrintOrderShippedEmail = async (user, printOrder, trackingInfo) => {
 };
 
 /**
- * Send print order rejected email
+ * Send the shipped email to a gift recipient (no prices or order links)
+ * @param {Object} printOrder - Gift order with gift.recipient_email
+ * @param {Object} trackingInfo - Tracking details from Lulu
+ * @param {Object} buyer - Buyer's user document (language and sender name), may be null
  */
-const sendPrintOrderRejectedEmail = async (user, printOrder, errorMessage, creditsRefunded) => {
+const sendGiftOrderShippedEmail = async (printOrder, trackingInfo, buyer = null) => {
   try {
-    const { WEB_URL, NO_REPLY_EMAIL_ADDRESS } = require("../utils/constants");
+    const templateParams = {
+      recipientName: printOrder.shipping_address?.name,
+      senderName: buyer?.first_name || printOrder.gift?.buyer_name || null,
+      bookTitle: await getPrintOrderBookTitle(printOrder),
+      trackingId: trackingInfo.tracking_id,
+      trackingUrls: trackingInfo.tracking_urls || [],
+      carrierName: trackingInfo.carrier_name,
+    };
+
+    const template = getEmailTemplate(
+      buyer?.preferred_language || "en",
+      "giftOrderShipped",
+      templateParams
+    );
+
+    await sendEmail(
+      printOrder.gift.recipient_email,
+      template.subject,
+      template.textBody,
+      template.htmlBody
+    );
+
+    logger.info("Gift order shipped email sent successfully", {
+      orderId: printOrder.external_id,
+      trackingId: trackingInfo.tracking_id,
+    });
+  } catch (error) {
+    logger.error("Failed to send gift order shipped email:", error);
+    throw error;
+  }
+};
 
+/**
+ * Send print order rejected email
+ * Refund details are read from the order's refund fields
+ */
+const sendPrintOrderRejectedEmail = async (user, printOrder, errorMessage) => {
+  try {
     const templateParams = {
       firstName: user.first_name,
-      bookTitle: printOrder.book_title,
+      bookTitle: await getPrintOrderBookTitle(printOrder),
       orderId: printOrder.external_id,
       errorMessage: errorMessage,
-      creditsRefunded: creditsRefunded,
+      ...getRefundTemplateParams(printOrder),
       myOrdersUrl: `${WEB_URL}/my-orders`,
-      supportEmail: NO_REPLY_EMAIL_ADDRESS,
+      supportEmail: CONTACT_EMAIL_ADDRESS || NO_REPLY_EMAIL_ADDRESS,
     };
 
-    const template = getTemplate("printOrderRejected", user.language || "en");
-    const emailContent = template(templateParams);
+    const template = getEmailTemplate(
+      user.preferred_language || "en",
+      "printOrderRejected",
+      templateParams
+    );
 
-    await sendEmail({
-      to: user.email,
-      subject: emailContent.subject,
-      textBody: emailContent.textBody,
-      htmlBody: emailContent.htmlBody,
-    });
+    await sendEmail(
+      user.email,
+      template.subject,
+      template.textBody,
+      template.htmlBody
+    );
 
     logger.info("Print order rejected email sent successfully", {
       userId: user._id,
       orderId: printOrder.external_id,
-      creditsRefunded,
+      refundStatus: printOrder.refund_status,
     });
   } catch (error) {
     logger.error("Failed to send print order rejected email:", error);
@@ -433,35 +581,37 @@ const sendPrintOrderRejectedEmail = async (user, printOrder, errorMessage, credi
 
 /**
  * Send print order canceled email
+ * Refund details are read from the order's refund fields
  */
-const sendPrintOrderCanceledEmail = async (user, printOrder, reason, creditsRefunded) => {
+const sendPrintOrderCanceledEmail = async (user, printOrder, reason) => {
   try {
-    const { WEB_URL, NO_REPLY_EMAIL_ADDRESS } = require("../utils/constants");
-
     const templateParams = {
       firstName: user.first_name,
-      bookTitle: printOrder.book_title,
+      bookTitle: await getPrintOrderBookTitle(printOrder),
       orderId: printOrder.external_id,
       reason: reason,
-      creditsRefunded: creditsRefunded,
+      ...getRefundTemplateParams(printOrder),
       myOrdersUrl: `${WEB_URL}/my-orders`,
-      supportEmail: NO_REPLY_EMAIL_ADDRESS,
+      supportEmail: CONTACT_EMAIL_ADDRESS || NO_REPLY_EMAIL_ADDRESS,
     };
 
-    const template = getTemplate("printOrderCanceled", user.language || "en");
-    const emailContent = template(templateParams);
+    const template = getEmailTemplate(
+      user.preferred_language || "en",
+      "printOrderCanceled",
+      templateParams
+    );
 
-    await sendEmail({
-      to: user.email,
-      subject: emailContent.subject,
-      textBody: emailContent.textBody,
-      htmlBody: emailContent.htmlBody,
-    });
+    await sendEmail(
+      user.email,
+      template.subject,
+      template.textBody,
+      template.htmlBody
+    );
 
     logger.info("Print order canceled email sent successfully", {
       userId: user._id,
       orderId: printOrder.external_id,
-      creditsRefunded,
+      refundStatus: printOrder.refund_status,
     });
   } catch (error) {
     logger.error("Failed to send print order canceled email:", error);
@@ -469,30 +619,79 @@ const sendPrintOrderCanceledEmail = async (user, printOrder, reason, creditsRefu
   }
 };
 
+/**
+ * Send print order refunded email
+ * Used for refunds that are not part of a cancellation or rejection
+ * (e.g. partial refunds or refunds issued from the Stripe dashboard)
+ * @param {Object} user - User document
+ * @param {Object} printOrder - Print order with up-to-date refund fields
+ * @param {number} amountCents - Amount refunded by this refund
+ */
+const sendPrintOrderRefundedEmail = async (user, printOrder, amountCents) => {
+  try {
+    const { refundCurrency } = getRefundTemplateParams(printOrder);
+
+    const templateParams = {
+      firstName: user.first_name,
+      bookTitle: await getPrintOrderBookTitle(printOrder),
+      orderId: printOrder.external_id,
+      refundAmount: formatAmount(amountCents, refundCurrency),
+      totalRefunded: formatAmount(printOrder.refunded_amount_cents, refundCurrency),
+      isPartial: printOrder.refund_status === "partially_refunded",
+      myOrdersUrl: `${WEB_URL}/my-orders`,
+      supportEmail: CONTACT_EMAIL_ADDRESS || NO_REPLY_EMAIL_ADDRESS,
+    };
+
+    const template = getEmailTemplate(
+      user.preferred_language || "en",
+      "printOrderRefunded",
+      templateParams
+    );
+
+    await sendEmail(
+      user.email,
+      template.subject,
+      template.textBody,
+      template.htmlBody
+    );
+
+    logger.info("Print order refunded email sent successfully", {
+      userId: user._id,
+      orderId: printOrder.external_id,
+      amountCents,
+    });
+  } catch (error) {
+    logger.error("Failed to send print order refunded email:", error);
+    throw error;
+  }
+};
+
 /**
  * Send print order in production email
  */
 const sendPrintOrderInProductionEmail = async (user, printOrder) => {
   try {
-    const { WEB_URL } = require("../utils/constants");
-
     const templateParams = {
       firstName: user.first_name,
-      bookTitle: printOrder.book_title,
+      bookTitle: await getPrintOrderBookTitle(printOrder),
       orderId: printOrder.external_id,
       shippingAddress: formatShippingAddress(printOrder.shipping_address),
+      orderTotal: formatAmount(printOrder.total_cost_cents, printOrder.currency),
       myOrdersUrl: `${WEB_URL}/my-orders`,
     };
 
-    const template = getTemplate("printOrderInProduction", user.language || "en");
-    const emailContent = template(templateParams);
+    const template = getEmailTemplate(
+      user.preferred_language || "en",
+      "printOrderInProduction",
+      templateParams
+    );
 
-    await sendEmail({
-      to: user.email,
-      subject: emailContent.subject,
-      textBody: emailContent.textBody,
-      htmlBody: emailContent.htmlBody,
-    });
+    await sendEmail(
+      user.email,
+      template.subject,
+      template.textBody,
+      template.htmlBody
+    );
 
     logger.info("Print order in production email sent successfully", {
       userId: user._id,
@@ -509,26 +708,27 @@ const sendPrintOrderInProductionEmail = async (user, printOrder) => {
  */
 const sendPrintOrderStatusUpdateEmail = async (user, printOrder, status) => {
   try {
-    const { WEB_URL } = require("../utils/constants");
-
     const templateParams = {
       firstName: user.first_name,
-      bookTitle: printOrder.book_title,
+      bookTitle: await getPrintOrderBookTitle(printOrder),
       orderId: printOrder.external_id,
       status: status,
       statusMessage: null, // Will be generated by template
       myOrdersUrl: `${WEB_URL}/my-orders`,
     };
 
-    const template = getTemplate("printOrderStatusUpdate", user.language || "en");
-    const emailContent = template(templateParams);
+    const template = getEmailTemplate(
+      user.preferred_language || "en",
+      "printOrderStatusUpdate",
+      templateParams
+    );
 
-    await sendEmail({
-      to: user.email,
-      subject: emailContent.subject,
-      textBody: emailContent.textBody,
-      htmlBody: emailContent.htmlBody,
-    });
+    await sendEmail(
+      user.email,
+      template.subject,
+      template.textBody,
+      template.htmlBody
+    );
 
     logger.info("Print order status update email sent successfully", {
       userId: user._id,
@@ -541,6 +741,95 @@ const sendPrintOrderStatusUpdateEmail = async (user, printOrder, status) => {
   }
 };
 
+/**
+ * Resolve the book title for a print order (book_id may or may not be populated)
+ */
+const getPrintOrderBookTitle = async (printOrder) => {
+  // Cart orders name every book
+  if (printOrder.line_items?.length > 1) {
+    return printOrder.line_items.map((item) => item.title).join(", ");
+  }
+  if (printOrder.book_id?.title) return printOrder.book_id.title;
+
+  const Book = require("../models/Book");
+  const book = await Book.findById(printOrder.book_id).select("title");
+  return book?.title || "";
+};
+
+/**
+ * Refund parameters shared by the rejected/canceled templates
+ */
+const getRefundTemplateParams = (printOrder) => {
+  const refundCurrency =
+    printOrder.refunds?.[printOrder.refunds.length - 1]?.currency ||
+    printOrder.currency ||
+    "gbp";
+
+  return {
+    refundStatus: printOrder.refund_status || "none",
+    refundAmount:
+      printOrder.refunded_amount_cents > 0
+        ? formatAmount(printOrder.refunded_amount_cents, refundCurrency)
+        : null,
+    refundCurrency,
+  };
+};
+
+/**
+ * Send an invoice with its PDF attached
+ * @param {Object} invoice - Invoice document
+ * @param {Buffer} pdfBuffer - Invoice PDF
+ * @param {Object} options - { description, language, isGuest, claimUrl }
+ */
+const sendInvoiceEmail = async (invoice, pdfBuffer, options = {}) => {
+  try {
+    const templateParams = {
+      customerName: invoice.customer?.name || "",
+      invoiceNumber: invoice.invoice_number,
+      issuedDate: new Date(invoice.issued_at).toLocaleDateString("en-GB"),
+      total: formatAmount(invoice.total_cents, invoice.currency),
+      description: options.description,
+      myOrdersUrl: options.isGuest ? null : `${WEB_URL}/my-orders`,
+      claimUrl: options.claimUrl || null,
+      supportEmail: CONTACT_EMAIL_ADDRESS || NO_REPLY_EMAIL_ADDRESS,
+    };
+
+    const template = getEmailTemplate(options.language || "en", "invoice", templateParams);
+
+    await sendEmailWithAttachments(
+      invoice.customer.email,
+      template.subject,
+      template.textBody,
+      template.htmlBody,
+      [
+        {
+          filename: `${invoice.invoice_number}.pdf`,
+          contentType: "application/pdf",
+          content: pdfBuffer,
+        },
+      ]
+    );
+
+    logger.info("Invoice email sent successfully", {
+      invoiceNumber: invoice.invoice_number,
+      userId: invoice.user_id,
+    });
+  } catch (error) {
+    logger.error("Failed to send invoice email:", error);
+    throw error;
+  }
+};
+
+/**
+ * Format an amount in minor units for display (e.g. 1299, "gbp" -> "£12.99")
+ */
+const formatAmount = (amountCents, currency = "gbp") => {
+  return new Intl.NumberFormat("en-GB", {
+    style: "currency",
+    currency: currency.toUpperCase(),
+  }).format((amountCents || 0) / 100);
+};
+
 /**
  * Format shipping address for display
  */
@@ -560,6 +849,7 @@ const formatShippingAddress = (address) => {
 
 module.exports = {
   sendEmail,
+  sendEmailWithAttachments,
   sendEmailVerification,
   sendPasswordReset,
   sendWelcomeEmail,
@@ -568,9 +858,14 @@ module.exports = {
   sendBookGenerationSuccess,
   sendBookGenerationFailure,
   sendContactForm,
+  sendAlert,
   sendPrintOrderShippedEmail,
+  sendGiftOrderShippedEmail,
   sendPrintOrderRejectedEmail,
   sendPrintOrderCanceledEmail,
+  sendPrintOrderRefundedEmail,
   sendPrintOrderInProductionEmail,
   sendPrintOrderStatusUpdateEmail,
+  sendInvoiceEmail,
+  formatAmount,
 };
@@ -1,8 +1,29 @@
 const mongoose = require("mongoose");
 const { Book } = require("../models");
+const pricingService = require("./pricingService");
 const logger = require("../utils/logger");
 
 class GalleryService {
+  /**
+   * Add the download price in the visitor's currency to gallery books
+   * @param {Array} books - Book documents or their JSON
+   * @param {string} currency - Preferred currency, if any
+   * @returns {Array} Book JSON with downloadPrice { amountCents, currency }
+   */
+  withDownloadPrices(books, currency = null) {
+    return books.map((book) => {
+      const bookJson = typeof book.toJSON === "function" ? book.toJSON() : book;
+      const price = pricingService.getDownloadPrice(bookJson.pageCount, currency);
+      return {
+        ...bookJson,
+        downloadPrice: {
+          amountCents: price.amount_cents,
+          currency: price.currency,
+        },
+      };
+    });
+  }
+
   /**
    * Get public books for gallery with pagination and search
    * @param {Object} options - Query options
@@ -17,6 +38,7 @@ class GalleryService {
         searchType = "all", // 'all', 'title_description', 'user'
         sortBy = "created_at",
         sortOrder = "desc",
+        currency = null,
       } = options;
 
       const skip = (page - 1) * limit;
@@ -297,7 +319,7 @@ class GalleryService {
       const hasNextPage = page < totalPages;
 
       return {
-        books,
+        books: this.withDownloadPrices(books, currency),
         pagination: {
           currentPage: page,
           totalPages,
@@ -393,9 +415,10 @@ class GalleryService {
   /**
    * Get featured public books (most recent or popular)
    * @param {number} limit - Number of books to return
+   * @param {string} currency - Currency for the download prices (optional)
    * @returns {Promise<Array>} - Featured books
    */
-  async getFeaturedBooks(limit = 6) {
+  async getFeaturedBooks(limit = 6, currency = null) {
     try {
       const books = await Book.find({
         is_public: true,
@@ -406,7 +429,7 @@ class GalleryService {
         .sort({ created_at: -1 })
         .limit(limit);
 
-      return books;
+      return this.withDownloadPrices(books, currency);
     } catch (error) {
       logger.error("Failed to get featured books:", error);
       throw error;
@@ -426,6 +449,7 @@ class GalleryService {
         limit = 12,
         sortBy = "created_at",
         sortOrder = "desc",
+        currency = null,
       } = options;
 
       const skip = (page - 1) * limit;
@@ -454,7 +478,7 @@ class GalleryService {
       const hasNextPage = page < totalPages;
 
       return {
-        books,
+        books: this.withDownloadPrices(books, currency),
         pagination: {
           currentPage: page,
           totalPages,
@@ -0,0 +1,348 @@
+const mongoose = require("mongoose");
+const { Book, Page } = require("../models");
+const jobQueueService = require("./jobQueueService");
+const illustrationService = require("./illustrationService");
+const usageQuotaService = require("./usageQuotaService");
+const subscriptionService = require("./subscriptionService");
+const bookEventService = require("./bookEventService");
+const PageService = require("./pageService");
+const logger = require("../utils/logger");
+
+const ILLUSTRATION_REGENERATION_JOB = "illustration_regeneration";
+const SPREAD_INSERTION_JOB = "spread_insertion";
+const ILLUSTRATION_JOB_TYPES = [ILLUSTRATION_REGENERATION_JOB, SPREAD_INSERTION_JOB];
+
+const pageService = new PageService();
+
+// How far each regeneration stage gets a job, for progress bars
+const STAGE_PERCENT = {
+  queued: 0,
+  generating: 10,
+  upscaling: 60,
+  uploading: 85,
+  saving: 95,
+  completed: 100,
+};
+
+// Job statuses as clients see them
+const CLIENT_STATUS = {
+  queued: "queued",
+  running: "running",
+  completed: "completed",
+  dead: "failed",
+};
+
+/**
+ * Illustration regenerations and new spreads run on the job queue instead of
+ * in the request: generating and upscaling can take minutes. The request gets
+ * a job ID and polls it for progress and the result, which also go to the
+ * book's event stream.
+ *
+ * The regeneration and plan quota counted when the request was accepted are
+ * given back if the job fails. Only one regeneration of the same page or
+ * cover, and one new spread per book, can be queued or running at a time.
+ */
+class IllustrationJobService {
+  constructor() {
+    const options = {
+      // Generation and upscaling already retry with backoff
+      maxAttempts: 1,
+      storeResult: true,
+      // Users wait on these, so they don't queue behind print fulfilment
+      lane: "illustrations",
+      onDead: (payload, job, error) => this.handleIllustrationJobDead(payload, job, error),
+    };
+
+    jobQueueService.registerHandler(
+      ILLUSTRATION_REGENERATION_JOB,
+      (payload, job) => this.runRegenerationJob(payload, job),
+      options
+    );
+    jobQueueService.registerHandler(
+      SPREAD_INSERTION_JOB,
+      (payload, job) => this.runSpreadInsertionJob(payload, job),
+      options
+    );
+  }
+
+  /**
+   * Check a regeneration request before queueing it, so ownership and
+   * missing pages are reported to the request rather than to the job
+   * @param {string} target - "page", "front_cover" or "back_cover"
+   * @param {string} targetId - Page ID for pages, book ID for covers
+   * @returns {Promise<string>} - ID of the book the illustration belongs to
+   */
+  async getRegenerationBookId(target, targetId, userId) {
+    if (target === "page") {
+      if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        throw new Error("Page not found");
+      }
+      const page = await Page.findById(targetId).select("book_id page_type");
+      if (!page) {
+        throw new Error("Page not found");
+      }
+      if (page.page_type !== "illustration") {
+        throw new Error("Page is not an illustration page");
+      }
+      targetId = page.book_id;
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw new Error("Book not found");
+    }
+    const book = await Book.findById(targetId).select("user_id");
+    if (!book) {
+      throw new Error("Book not found");
+    }
+    if (book.user_id.toString() !== userId) {
+      throw new Error("Access denied");
+    }
+
+    return book._id.toString();
+  }
+
+  /**
+   * Queue a regeneration
+   * @param {string} target - "page", "front_cover" or "back_cover"
+   * @param {string} targetId - Page ID for pages, book ID for covers
+   * @param {string} userId - User ID
+   * @param {Object} options - { promptOptions, subscriptionId } where
+   *   subscriptionId is the subscription whose quota was used
+   * @returns {Promise<Object>} - Job document
+   */
+  async enqueueRegeneration(target, targetId, userId, options = {}) {
+    const bookId = await this.getRegenerationBookId(target, targetId, userId);
+
+    // Prompt problems are reported now rather than when the job runs
+    illustrationService.buildRegenerationPrompt("", options.promptOptions);
+
+    const payload = {
+      target,
+      targetId: targetId.toString(),
+      bookId,
+      userId,
+      promptOptions: options.promptOptions || {},
+      subscriptionId: options.subscriptionId?.toString() || null,
+    };
+
+    let job;
+    try {
+      job = await jobQueueService.enqueue(ILLUSTRATION_REGENERATION_JOB, payload, {
+        dedupeKey: `${ILLUSTRATION_REGENERATION_JOB}:${target}:${targetId}`,
+        rejectDuplicate: true,
+      });
+    } catch (error) {
+      if (error.message === "An active job already exists for this work") {
+        throw new Error("This illustration is already being regenerated");
+      }
+      throw error;
+    }
+
+    this.publishProgress(payload, job, "queued");
+    return job;
+  }
+
+  /**
+   * Queue a new spread, whose illustration is generated from its text
+   * @param {string} bookId - Book ID
+   * @param {string} userId - User ID
+   * @param {Object} spreadData - { text_content, position }
+   * @param {Object} options - { subscriptionId }, the subscription whose
+   *   quota was used
+   * @returns {Promise<Object>} - Job document
+   */
+  async enqueueSpreadInsertion(bookId, userId, spreadData, options = {}) {
+    // Size, ownership and text problems are reported now rather than when
+    // the job runs
+    const { textContent } = await pageService.prepareSpreadInsertion(
+      bookId,
+      userId,
+      spreadData
+    );
+
+    const payload = {
+      target: "new_spread",
+      targetId: bookId.toString(),
+      bookId: bookId.toString(),
+      userId,
+      textContent,
+      position: spreadData.position ?? null,
+      subscriptionId: options.subscriptionId?.toString() || null,
+    };
+
+    let job;
+    try {
+      job = await jobQueueService.enqueue(SPREAD_INSERTION_JOB, payload, {
+        dedupeKey: `${SPREAD_INSERTION_JOB}:${bookId}`,
+        rejectDuplicate: true,
+      });
+    } catch (error) {
+      if (error.message === "An active job already exists for this work") {
+        throw new Error("A spread is already being added to this book");
+      }
+      throw error;
+    }
+
+    this.publishProgress(payload, job, "queued");
+    return job;
+  }
+
+  /**
+   * Tell the book's event stream how a regeneration is going
+   */
+  publishProgress({ target, targetId, bookId }, job, stage, extra = {}) {
+    bookEventService.publish(bookId, "illustration", {
+      jobId: job._id.toString(),
+      target,
+      targetId,
+      stage,
+      percent: STAGE_PERCENT[stage] ?? null,
+      ...extra,
+    });
+  }
+
+  /**
+   * Job handler: regenerate the illustration and report each stage
+   */
+  async runRegenerationJob(payload, job) {
+    const { target, targetId, userId, promptOptions } = payload;
+    const onProgress = this.createProgressReporter(payload, job);
+
+    try {
+      let newImageUrl;
+      if (target === "page") {
+        newImageUrl = await illustrationService.regeneratePageIllustration(
+          targetId,
+          userId,
+          promptOptions,
+          onProgress
+        );
+      } else if (target === "front_cover") {
+        newImageUrl = await illustrationService.regenerateFrontCover(
+          targetId,
+          userId,
+          promptOptions,
+          onProgress
+        );
+      } else if (target === "back_cover") {
+        newImageUrl = await illustrationService.regenerateBackCover(
+          targetId,
+          userId,
+          promptOptions,
+          onProgress
+        );
+      } else {
+        throw new Error(`Unknown regeneration target: ${target}`);
+      }
+
+      return await this.completeJob(payload, job, { newImageUrl });
+    } finally {
+      await this.cleanupTempFiles();
+    }
+  }
+
+  /**
+   * Job handler: generate the new spread's illustration and add the spread
+   */
+  async runSpreadInsertionJob(payload, job) {
+    const { bookId, userId, textContent, position } = payload;
+
+    try {
+      const result = await pageService.insertSpread(
+        bookId,
+        userId,
+        { text_content: textContent, position },
+        this.createProgressReporter(payload, job)
+      );
+      return await this.completeJob(payload, job, result);
+    } finally {
+      await this.cleanupTempFiles();
+    }
+  }
+
+  /**
+   * Progress callback recording each stage on the job and the event stream
+   */
+  createProgressReporter(payload, job) {
+    return async (stage) => {
+      await jobQueueService.updateProgress(job._id, { stage, percent: STAGE_PERCENT[stage] });
+      this.publishProgress(payload, job, stage);
+    };
+  }
+
+  /**
+   * Record a finished job's last stage and return its result
+   */
+  async completeJob(payload, job, result) {
+    await jobQueueService.updateProgress(job._id, {
+      stage: "completed",
+      percent: STAGE_PERCENT.completed,
+    });
+    this.publishProgress(payload, job, "completed", result);
+    return result;
+  }
+
+  /**
+   * Remove the job's temporary image files
+   */
+  async cleanupTempFiles() {
+    try {
+      await illustrationService.cleanupTempFiles();
+    } catch (cleanupError) {
+      logger.warn("Failed to cleanup temp files:", cleanupError);
+    }
+  }
+
+  /**
+   * Give back the quota a failed regeneration or new spread used
+   */
+  async handleIllustrationJobDead(payload, job, error) {
+    const { bookId, subscriptionId, target, targetId } = payload;
+    logger.error(`${job.type} of ${target} ${targetId} failed: ${error.message}`, {
+      jobId: job._id,
+    });
+    this.publishProgress(payload, job, "failed", { error: error.message });
+
+    await usageQuotaService.releaseRegeneration(bookId);
+    if (subscriptionId) {
+      await subscriptionService.releaseQuota(subscriptionId, "regenerations");
+    }
+  }
+
+  /**
+   * Status of a regeneration or new spread job for the user who requested it
+   * @returns {Promise<Object>} - { id, status, target, progress, result, error }
+   */
+  async getJobStatus(jobId, userId) {
+    const job = mongoose.Types.ObjectId.isValid(jobId)
+      ? await jobQueueService.getJob(jobId).catch(() => null)
+      : null;
+
+    if (
+      !job ||
+      !ILLUSTRATION_JOB_TYPES.includes(job.type) ||
+      job.payload?.userId !== userId
+    ) {
+      throw new Error("Job not found");
+    }
+
+    return {
+      id: job._id,
+      status: CLIENT_STATUS[job.status],
+      target: job.payload.target,
+      targetId: job.payload.targetId,
+      bookId: job.payload.bookId,
+      progress: {
+        stage: job.progress?.stage || (job.status === "queued" ? "queued" : null),
+        percent: job.progress?.percent ?? STAGE_PERCENT.queued,
+        updatedAt: job.progress?.updated_at || null,
+      },
+      result: job.result || null,
+      error: job.status === "dead" ? job.last_error : null,
+      createdAt: job.created_at,
+      completedAt: job.completed_at,
+    };
+  }
+}
+
+module.exports = new IllustrationJobService();
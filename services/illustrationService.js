@@ -3,6 +3,8 @@ const path = require("path");
 const os = require("os");
 const Replicate = require("replicate");
 const s3Service = require("./s3Service");
+const promptModerationService = require("./promptModerationService");
+const alternativeIllustrationService = require("./alternativeIllustrationService");
 const { Book, Page } = require("../models");
 const logger = require("../utils/logger");
 const {
@@ -12,6 +14,9 @@ const {
   ILLUST_CLASSIC_WATERCOLOR,
 } = require("../utils/constants");
 
+// Replicate model illustrations are generated with (recorded on each alternative)
+const ILLUSTRATION_MODEL = "flux-kontext-apps/multi-image-list";
+
 // Map internal style keys to safe, descriptive text (no brand words)
 function mapStyleToDescription(styleKey) {
   switch (styleKey) {
@@ -77,12 +82,9 @@ class IllustrationService {
           )}...`
         );
 
-        const output = await this.replicate.run(
-          "flux-kontext-apps/multi-image-list",
-          {
-            input,
-          }
-        );
+        const output = await this.replicate.run(ILLUSTRATION_MODEL, {
+          input,
+        });
 
         // Save the output directly to local file
         await fs.promises.writeFile(localImagePath, output);
@@ -166,6 +168,21 @@ class IllustrationService {
     );
   }
 
+  /**
+   * Report a regeneration stage to an optional progress callback. Progress
+   * is informational, so a failing callback does not stop the work.
+   * @param {Function|null} onProgress - async (stage) => void
+   * @param {string} stage - generating, upscaling, uploading or saving
+   */
+  async reportProgress(onProgress, stage) {
+    if (!onProgress) return;
+    try {
+      await onProgress(stage);
+    } catch (error) {
+      logger.warn(`Failed to report illustration progress (${stage}): ${error.message}`);
+    }
+  }
+
   /**
    * Generate and upscale illustration using Replicate
    */
@@ -173,13 +190,15 @@ class IllustrationService {
     prompt,
     inputImages,
     seed,
-    localImagePath
+    localImagePath,
+    onProgress = null
   ) {
     // Create temporary path for the original image
     const tempOriginalPath = localImagePath.replace(".jpg", "_original.jpg");
 
     try {
       // Generate the original illustration
+      await this.reportProgress(onProgress, "generating");
       await this.generateIllustration(
         prompt,
         inputImages,
@@ -188,6 +207,7 @@ class IllustrationService {
       );
 
       // Upscale the generated image
+      await this.reportProgress(onProgress, "upscaling");
       await this.upscaleImage(tempOriginalPath, localImagePath);
 
       // Clean up the temporary original image
@@ -235,22 +255,59 @@ class IllustrationService {
   }
 
   /**
-   * Generate seed for regeneration based on original book seed
+   * Generate seed for regeneration based on original book seed. The seed is
+   * past every seed the alternatives already used, so deleting an
+   * alternative never leads to an existing image being generated again.
    * @param {number} originalSeed - Original book generation seed
-   * @param {number} alternativesLength - Current number of alternatives
+   * @param {Array} alternatives - Current alternatives (seed is null on old ones)
    * @returns {number} - New seed for regeneration
    */
-  generateRegenerationSeed(originalSeed, alternativesLength) {
-    return originalSeed + alternativesLength;
+  generateRegenerationSeed(originalSeed, alternatives) {
+    const usedSeeds = alternatives
+      .map((alternative) => alternative.seed)
+      .filter((seed) => Number.isInteger(seed));
+    const nextUnusedSeed = usedSeeds.length > 0 ? Math.max(...usedSeeds) + 1 : 0;
+    return Math.max(originalSeed + alternatives.length, nextUnusedSeed);
+  }
+
+  /**
+   * Prompt for a regeneration: the stored prompt, or the user's edited
+   * version of it, plus any direction the user added. User text is moderated.
+   * @param {string} storedPrompt - Prompt the current illustration came from
+   * @param {Object} promptOptions - { prompt, additionalPrompt } from the user
+   * @returns {Object} - { prompt, custom }
+   */
+  buildRegenerationPrompt(storedPrompt, promptOptions = {}) {
+    const editedPrompt = promptOptions.prompt?.trim();
+    const additionalPrompt = promptOptions.additionalPrompt?.trim();
+
+    if (editedPrompt) {
+      promptModerationService.checkPrompt(editedPrompt);
+    }
+    if (additionalPrompt) {
+      promptModerationService.checkPrompt(additionalPrompt);
+    }
+
+    let prompt = editedPrompt || storedPrompt;
+    if (additionalPrompt) {
+      prompt = `${prompt} Additionally: ${additionalPrompt}`;
+    }
+
+    return {
+      prompt: sanitizeStyleTerms(prompt),
+      custom: Boolean(editedPrompt || additionalPrompt),
+    };
   }
 
   /**
    * Regenerate front cover illustration
    * @param {string} bookId - Book ID
    * @param {string} userId - User ID
+   * @param {Object} promptOptions - Optional edited or additional prompt
+   * @param {Function|null} onProgress - Optional async (stage) => void
    * @returns {Promise<string>} - New illustration URL
    */
-  async regenerateFrontCover(bookId, userId) {
+  async regenerateFrontCover(bookId, userId, promptOptions = {}, onProgress = null) {
     try {
       logger.info(`Regenerating front cover for book: ${bookId}`);
 
@@ -291,13 +348,15 @@ class IllustrationService {
         );
       }
 
-      // Generate new illustration using book's original seed + current alternatives length
+      const regeneration = this.buildRegenerationPrompt(prompt, promptOptions);
+
+      // Generate new illustration from the book's original seed, past the seeds already used
       let seed;
       if (book.generation_seed) {
-        // Use original seed + current alternatives length for consistency
+        // Derived from the original seed for consistency
         seed = this.generateRegenerationSeed(
           book.generation_seed,
-          book.alternative_front_covers.length
+          book.alternative_front_covers
         );
       } else {
         // Backward compatibility: generate random seed for books without stored seed
@@ -317,10 +376,11 @@ class IllustrationService {
 
       // Generate and upscale image and save to local file
       const localImagePath = await this.generateAndUpscaleIllustration(
-        prompt,
+        regeneration.prompt,
         inputImages,
         seed,
-        tempFilePath
+        tempFilePath,
+        onProgress
       );
 
       // Upload to S3
@@ -333,6 +393,7 @@ class IllustrationService {
       );
 
       // Upload local file to S3
+      await this.reportProgress(onProgress, "uploading");
       const cloudFrontUrl = await s3Service.uploadLocalFile(
         localImagePath,
         s3Key,
@@ -340,8 +401,17 @@ class IllustrationService {
       );
 
       // Add to alternatives array and set PDF regeneration flag
+      await this.reportProgress(onProgress, "saving");
       await Book.findByIdAndUpdate(bookId, {
-        $push: { alternative_front_covers: cloudFrontUrl },
+        $push: {
+          alternative_front_covers: {
+            url: cloudFrontUrl,
+            seed,
+            prompt: regeneration.prompt,
+            model: ILLUSTRATION_MODEL,
+            custom: regeneration.custom,
+          },
+        },
         pdf_needs_regeneration: true,
       });
 
@@ -366,9 +436,11 @@ class IllustrationService {
    * Regenerate back cover illustration
    * @param {string} bookId - Book ID
    * @param {string} userId - User ID
+   * @param {Object} promptOptions - Optional edited or additional prompt
+   * @param {Function|null} onProgress - Optional async (stage) => void
    * @returns {Promise<string>} - New illustration URL
    */
-  async regenerateBackCover(bookId, userId) {
+  async regenerateBackCover(bookId, userId, promptOptions = {}, onProgress = null) {
     try {
       logger.info(`Regenerating back cover for book: ${bookId}`);
 
@@ -411,13 +483,15 @@ if (!prompt) {
   );
 }
 
-      // Generate new illustration using book's original seed + current alternatives length
+      const regeneration = this.buildRegenerationPrompt(prompt, promptOptions);
+
+      // Generate new illustration from the book's original seed, past the seeds already used
       let seed;
       if (book.generation_seed) {
-        // Use original seed + current alternatives length for consistency
+        // Derived from the original seed for consistency
         seed = this.generateRegenerationSeed(
           book.generation_seed,
-          book.alternative_back_covers.length
+          book.alternative_back_covers
         );
       } else {
         // Backward compatibility: generate random seed for books without stored seed
@@ -437,10 +511,11 @@ if (!prompt) {
 
       // Generate and upscale image and save to local file
       const localImagePath = await this.generateAndUpscaleIllustration(
-        prompt,
+        regeneration.prompt,
         inputImages,
         seed,
-        tempFilePath
+        tempFilePath,
+        onProgress
       );
 
       // Upload to S3
@@ -453,6 +528,7 @@ if (!prompt) {
       );
 
       // Upload local file to S3
+      await this.reportProgress(onProgress, "uploading");
       const cloudFrontUrl = await s3Service.uploadLocalFile(
         localImagePath,
         s3Key,
@@ -460,8 +536,17 @@ if (!prompt) {
       );
 
       // Add to alternatives array and set PDF regeneration flag
+      await this.reportProgress(onProgress, "saving");
       await Book.findByIdAndUpdate(bookId, {
-        $push: { alternative_back_covers: cloudFrontUrl },
+        $push: {
+          alternative_back_covers: {
+            url: cloudFrontUrl,
+            seed,
+            prompt: regeneration.prompt,
+            model: ILLUSTRATION_MODEL,
+            custom: regeneration.custom,
+          },
+        },
         pdf_needs_regeneration: true,
       });
 
@@ -486,9 +571,11 @@ if (!prompt) {
    * Regenerate page illustration
    * @param {string} pageId - Page ID
    * @param {string} userId - User ID
+   * @param {Object} promptOptions - Optional edited or additional prompt
+   * @param {Function|null} onProgress - Optional async (stage) => void
    * @returns {Promise<string>} - New illustration URL
    */
-  async regeneratePageIllustration(pageId, userId) {
+  async regeneratePageIllustration(pageId, userId, promptOptions = {}, onProgress = null) {
     try {
       logger.info(`Regenerating page illustration for page: ${pageId}`);
 
@@ -525,17 +612,19 @@ if (!prompt) {
         inputImages.push(ILLUST_CLASSIC_WATERCOLOR);
       }
 
-      // Use the existing illustration prompt from the page
-const prompt = page.illustration_prompt;
-const safePrompt = sanitizeStyleTerms(prompt);
+      // Start from the existing illustration prompt from the page
+      const regeneration = this.buildRegenerationPrompt(
+        page.illustration_prompt,
+        promptOptions
+      );
 
-// Generate new illustration using book's original seed + current alternatives length
+// Generate new illustration from the book's original seed, past the seeds already used
 let seed;
 if (book.generation_seed) {
-  // Use original seed + current alternatives length for consistency
+  // Derived from the original seed for consistency
   seed = this.generateRegenerationSeed(
     book.generation_seed,
-    page.alternative_illustrations.length
+    page.alternative_illustrations
   );
 } else {
   // Backward compatibility: generate random seed for books without stored seed
@@ -555,10 +644,11 @@ if (book.generation_seed) {
 
       // Generate and upscale image and save to local file
       const localImagePath = await this.generateAndUpscaleIllustration(
-        prompt,
+        regeneration.prompt,
         inputImages,
         seed,
-        tempFilePath
+        tempFilePath,
+        onProgress
       );
 
       // Upload to S3
@@ -572,6 +662,7 @@ if (book.generation_seed) {
       );
 
       // Upload local file to S3
+      await this.reportProgress(onProgress, "uploading");
       const cloudFrontUrl = await s3Service.uploadLocalFile(
         localImagePath,
         s3Key,
@@ -580,7 +671,16 @@ if (book.generation_seed) {
 
       // Add to alternatives array, set as main illustration, and update seed if not set
       const updateData = {
-        $push: { alternative_illustrations: cloudFrontUrl },
+        $push: {
+          alternative_illustrations: {
+            url: cloudFrontUrl,
+            seed,
+            prompt: regeneration.prompt,
+            model: ILLUSTRATION_MODEL,
+            custom: regeneration.custom,
+            selected: true,
+          },
+        },
         illustration_url: cloudFrontUrl, // Automatically set as main illustration
       };
 
@@ -589,7 +689,14 @@ if (book.generation_seed) {
         updateData.illustration_seed = seed;
       }
 
+      await this.reportProgress(onProgress, "saving");
       await Page.findByIdAndUpdate(pageId, updateData);
+      await alternativeIllustrationService.markSelected(
+        Page,
+        { _id: pageId },
+        "alternative_illustrations",
+        cloudFrontUrl
+      );
 
       // Set PDF regeneration flag on the associated book
       await Book.findByIdAndUpdate(book._id, {
@@ -615,6 +722,98 @@ if (book.generation_seed) {
     }
   }
 
+  /**
+   * Build the illustration prompt for a page added in the editor from its
+   * text, the book's characters and the book's style
+   * @param {Object} book - Book with populated character_ids
+   * @param {string} textContent - Text of the page the illustration faces
+   * @returns {string} - Illustration prompt
+   */
+  buildPagePrompt(book, textContent) {
+    const characterNames = (book.character_ids || [])
+      .map((character) => character.character_name)
+      .filter(Boolean);
+    const styleDescription = mapStyleToDescription(book.illustration_style);
+
+    let prompt = `A children's storybook illustration for a page of the story "${book.title}". The page reads: "${textContent}".`;
+    if (characterNames.length > 0) {
+      prompt += ` Featuring ${characterNames.join(", ")}.`;
+    }
+    prompt += ` Art style: ${styleDescription}. Colorful, engaging, and suitable for children.`;
+
+    return sanitizeStyleTerms(prompt);
+  }
+
+  /**
+   * Generate the illustration of a new page and upload it to S3
+   * @param {Object} book - Book with populated character_ids
+   * @param {string} pageId - ID the new illustration page will have
+   * @param {string} prompt - Illustration prompt
+   * @param {Function|null} onProgress - Optional async (stage) => void
+   * @returns {Promise<Object>} - { illustrationUrl, seed, model }
+   */
+  async generateNewPageIllustration(book, pageId, prompt, onProgress = null) {
+    try {
+      logger.info(`Generating illustration for new page ${pageId} of book ${book._id}`);
+
+      // Extract character reference images
+      let inputImages = this.extractInputImages(book.character_ids);
+
+      if (book.illustration_style === "anime") {
+        inputImages.push(ILLUST_ANIME);
+      } else if (book.illustration_style === "disney") {
+        inputImages.push(ILLUST_DISNEY);
+      } else if (book.illustration_style === "vector_art") {
+        inputImages.push(ILLUST_VECTOR_ART);
+      } else if (book.illustration_style === "classic_watercolor") {
+        inputImages.push(ILLUST_CLASSIC_WATERCOLOR);
+      }
+
+      // Same seed as the rest of the book keeps the new page consistent with it
+      const seed = book.generation_seed || this.generateRandomSeed();
+
+      const tempFileName = `page_new_${pageId}_${Date.now()}.jpg`;
+      const tempDir = getTempDir();
+      const tempFilePath = path.join(tempDir, tempFileName);
+
+      // Ensure temp directory exists
+      if (!fs.existsSync(tempDir)) {
+        fs.mkdirSync(tempDir, { recursive: true });
+      }
+
+      const localImagePath = await this.generateAndUpscaleIllustration(
+        prompt,
+        inputImages,
+        seed,
+        tempFilePath,
+        onProgress
+      );
+
+      await this.reportProgress(onProgress, "uploading");
+      const s3Key = s3Service.generateIllustrationS3Key(
+        book.user_id.toString(),
+        book._id.toString(),
+        pageId.toString(),
+        Date.now(),
+        "jpg"
+      );
+      const illustrationUrl = await s3Service.uploadLocalFile(
+        localImagePath,
+        s3Key,
+        "image/jpeg"
+      );
+
+      // Track temp file for cleanup
+      this.tempFilesToCleanup.push(localImagePath);
+
+      logger.info(`Successfully generated new page illustration: ${illustrationUrl}`);
+      return { illustrationUrl, seed, model: ILLUSTRATION_MODEL };
+    } catch (error) {
+      logger.error(`Failed to generate illustration for new page ${pageId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Clean up temporary files
    */
@@ -0,0 +1,550 @@
+const PDFDocument = require("pdfkit");
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const { Invoice, Counter, BookPurchase, PrintOrder, Book, User } = require("../models");
+const s3Service = require("./s3Service");
+const emailService = require("./emailService");
+const currencyService = require("./currencyService");
+const purchaseClaimService = require("./purchaseClaimService");
+const jobQueueService = require("./jobQueueService");
+const logger = require("../utils/logger");
+const {
+  INVOICE_SELLER,
+  INVOICE_NUMBER_PREFIX,
+  DOWNLOAD_TAX_RATE,
+} = require("../utils/constants");
+
+const FONT_PATH = path.join(__dirname, "..", "assets", "fonts", "PatrickHand-Regular.ttf");
+const LOGO_PATH = path.join(__dirname, "..", "assets", "logo.png");
+
+const INVOICE_ISSUE_JOB = "invoice_issue";
+
+// Tries at numbering an invoice while other invoices take the counter
+const INVOICE_NUMBER_ATTEMPTS = 5;
+
+/**
+ * Numbered invoices for completed download purchases and print orders.
+ *
+ * Each purchase or order gets one invoice, numbered from a single counter
+ * (PREFIX-000001, ...). Amounts are tax inclusive: print orders carry the
+ * tax Lulu reported on its costs, downloads DOWNLOAD_TAX_RATE. The PDF is
+ * stored privately in S3, emailed to the customer and served through the API.
+ * Checkout invoices are issued in the job queue, so an S3 or SES outage is
+ * retried there instead of failing the Stripe webhook.
+ */
+class InvoiceService {
+  constructor() {
+    jobQueueService.registerHandler(INVOICE_ISSUE_JOB, (payload) =>
+      this.issueForCheckoutSession(payload.stripeSessionId)
+    );
+  }
+
+  /**
+   * Seller details printed on new invoices
+   */
+  getSeller() {
+    return {
+      name: INVOICE_SELLER.name,
+      address: INVOICE_SELLER.address.split("|").map((line) => line.trim()).filter(Boolean),
+      vat_number: INVOICE_SELLER.vat_number,
+      email: INVOICE_SELLER.email,
+    };
+  }
+
+  /**
+   * Take the next invoice number
+   * @param {Object} session - Transaction the number is taken in
+   * @returns {Promise<Object>} { sequence, invoice_number }
+   */
+  async getNextInvoiceNumber(session) {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: "invoice" },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true, session }
+    );
+
+    return {
+      sequence: counter.seq,
+      invoice_number: `${INVOICE_NUMBER_PREFIX}-${String(counter.seq).padStart(6, "0")}`,
+    };
+  }
+
+  /**
+   * Tax included in a tax-inclusive amount at a percentage rate
+   */
+  getIncludedTax(amountCents, ratePercent) {
+    return Math.round((amountCents * ratePercent) / (100 + ratePercent));
+  }
+
+  getUserName(user) {
+    return user ? `${user.first_name || ""} ${user.last_name || ""}`.trim() : null;
+  }
+
+  /**
+   * Invoice fields for a paid PDF download
+   */
+  async buildPurchaseInvoice(purchase) {
+    const [book, user] = await Promise.all([
+      Book.findById(purchase.book_id).select("title"),
+      purchase.user_id ? User.findById(purchase.user_id) : null,
+    ]);
+
+    const discountCents = purchase.promotion?.discount_cents || 0;
+    const subtotalCents = purchase.amount_cents + discountCents;
+    const taxCents = this.getIncludedTax(purchase.amount_cents, DOWNLOAD_TAX_RATE);
+
+    return {
+      user_id: purchase.user_id,
+      customer: {
+        name: this.getUserName(user),
+        email: user?.email || purchase.guest_email,
+        address: [],
+      },
+      currency: purchase.currency,
+      line_items: [
+        {
+          description: `PDF download: ${book?.title || "Storybook"}`,
+          details: [`${purchase.metadata?.page_count || 12} pages`],
+          quantity: 1,
+          amount_cents: subtotalCents,
+        },
+      ],
+      discount_cents: discountCents,
+      promo_code: purchase.promotion?.code || null,
+      subtotal_cents: subtotalCents,
+      tax_cents: taxCents,
+      tax_lines:
+        taxCents > 0
+          ? [{ description: "VAT", rate_percent: DOWNLOAD_TAX_RATE, amount_cents: taxCents }]
+          : [],
+      total_cents: purchase.amount_cents,
+    };
+  }
+
+  /**
+   * Invoice fields for a paid print order (tax from Lulu's total_tax,
+   * converted at the rate the order was priced at)
+   */
+  async buildPrintOrderInvoice(printOrder) {
+    const [book, user] = await Promise.all([
+      Book.findById(printOrder.book_id).select("title"),
+      printOrder.user_id ? User.findById(printOrder.user_id) : null,
+    ]);
+
+    const books = printOrder.line_items?.length
+      ? printOrder.line_items
+      : [{ title: book?.title || "Storybook", quantity: printOrder.quantity }];
+    const details = books.map((item) => `${item.title || "Storybook"} × ${item.quantity}`);
+
+    const discountCents = printOrder.promotion?.discount_cents || 0;
+    const subtotalCents = printOrder.total_cost_cents + discountCents;
+    const shippingCents = printOrder.shipping_cost_cents;
+
+    // Orders from before the shipping price was recorded get a single line
+    const lineItems =
+      shippingCents !== null && shippingCents !== undefined
+        ? [
+            {
+              description: "Printed books",
+              details,
+              quantity: books.reduce((total, item) => total + item.quantity, 0),
+              amount_cents: subtotalCents - shippingCents,
+            },
+            {
+              description: `Shipping (${printOrder.shipping_level})`,
+              details: [],
+              quantity: 1,
+              amount_cents: shippingCents,
+            },
+          ]
+        : [
+            {
+              description: "Printed books and shipping",
+              details,
+              quantity: 1,
+              amount_cents: subtotalCents,
+            },
+          ];
+
+    const taxLines = [];
+    const luluTax = printOrder.lulu_tax || {};
+    if (luluTax.total_gbp > 0) {
+      const fxSnapshot = printOrder.fx_snapshot || { rate: 1 };
+      const ratePercent = luluTax.rate !== null ? Math.round(luluTax.rate * 10000) / 100 : null;
+      const totalTaxCents = Math.min(
+        currencyService.convertFromGbp(luluTax.total_gbp, fxSnapshot),
+        printOrder.total_cost_cents
+      );
+      const shippingTaxCents = Math.min(
+        currencyService.convertFromGbp(luluTax.shipping_gbp || 0, fxSnapshot),
+        totalTaxCents
+      );
+
+      taxLines.push({
+        description: "VAT on printing",
+        rate_percent: ratePercent,
+        amount_cents: totalTaxCents - shippingTaxCents,
+      });
+      if (shippingTaxCents > 0) {
+        taxLines.push({
+          description: "VAT on shipping",
+          rate_percent: ratePercent,
+          amount_cents: shippingTaxCents,
+        });
+      }
+    }
+
+    const address = printOrder.shipping_address || {};
+    return {
+      user_id: printOrder.user_id,
+      customer: {
+        name: this.getUserName(user) || printOrder.gift?.buyer_name || address.name,
+        email:
+          user?.email || printOrder.guest_email || printOrder.gift?.buyer_email || address.email,
+        // Gifts ship to someone else, so the address is not the customer's
+        address: printOrder.gift?.is_gift
+          ? []
+          : [
+              address.street1,
+              address.street2,
+              [address.city, address.state_code, address.postcode].filter(Boolean).join(" "),
+              address.country_code,
+            ].filter(Boolean),
+      },
+      currency: printOrder.currency,
+      line_items: lineItems,
+      discount_cents: discountCents,
+      promo_code: printOrder.promotion?.code || null,
+      subtotal_cents: subtotalCents,
+      tax_cents: taxLines.reduce((total, line) => total + line.amount_cents, 0),
+      tax_lines: taxLines,
+      total_cents: printOrder.total_cost_cents,
+    };
+  }
+
+  /**
+   * Create the invoice for a purchase or print order, or return the one it
+   * already has
+   * @param {string} sourceType - "book_purchase" or "print_order"
+   */
+  async createInvoice(sourceType, source) {
+    const existing = await Invoice.findOne({ source_type: sourceType, source_id: source._id });
+    if (existing) {
+      return existing;
+    }
+
+    const fields =
+      sourceType === "print_order"
+        ? await this.buildPrintOrderInvoice(source)
+        : await this.buildPurchaseInvoice(source);
+
+    // The number is taken in the same transaction as the insert, so an insert
+    // that fails hands it back and the numbering stays sequential
+    for (let attempt = 1; ; attempt++) {
+      const session = await mongoose.startSession();
+      session.startTransaction();
+
+      try {
+        const [invoice] = await Invoice.create(
+          [
+            {
+              ...fields,
+              ...(await this.getNextInvoiceNumber(session)),
+              source_type: sourceType,
+              source_id: source._id,
+              seller: this.getSeller(),
+              issued_at: new Date(),
+            },
+          ],
+          { session }
+        );
+        await session.commitTransaction();
+
+        logger.info(`Invoice ${invoice.invoice_number} issued`, {
+          sourceType,
+          sourceId: source._id,
+          totalCents: invoice.total_cents,
+          currency: invoice.currency,
+        });
+        return invoice;
+      } catch (error) {
+        if (session.inTransaction()) {
+          await session.abortTransaction();
+        }
+
+        // Issued by a concurrent delivery
+        if (error.code === 11000) {
+          return Invoice.findOne({ source_type: sourceType, source_id: source._id });
+        }
+        // Another invoice took the counter at the same time
+        if (error.hasErrorLabel?.("TransientTransactionError") && attempt < INVOICE_NUMBER_ATTEMPTS) {
+          continue;
+        }
+        throw error;
+      } finally {
+        session.endSession();
+      }
+    }
+  }
+
+  /**
+   * Store the invoice PDF and email it, doing whichever is still missing
+   * @param {Object} options - { sendEmail } (false stores the PDF only)
+   * @returns {Promise<Object>} The updated invoice
+   */
+  async deliverInvoice(invoice, { sendEmail = true } = {}) {
+    const needsEmail = sendEmail && !invoice.emailed_at && Boolean(invoice.customer?.email);
+    if (invoice.pdf_s3_key && !needsEmail) {
+      return invoice;
+    }
+
+    const pdfBuffer = await this.renderPdf(invoice);
+
+    if (!invoice.pdf_s3_key) {
+      invoice.pdf_s3_key = await s3Service.uploadPrivateBuffer(
+        pdfBuffer,
+        s3Service.generateInvoiceS3Key(invoice.user_id, invoice.invoice_number),
+        "application/pdf"
+      );
+      await invoice.save();
+    }
+
+    if (needsEmail) {
+      const user = invoice.user_id ? await User.findById(invoice.user_id) : null;
+      await emailService.sendInvoiceEmail(invoice, pdfBuffer, {
+        description: invoice.line_items.map((line) => line.description).join(", "),
+        language: user?.preferred_language,
+        isGuest: !user,
+        // Guests can add the purchase to an account they create later
+        claimUrl: user ? null : purchaseClaimService.getClaimUrl(invoice.customer.email),
+      });
+      invoice.emailed_at = new Date();
+      await invoice.save();
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Issue and deliver the invoice for a completed download purchase.
+   * Print purchases are invoiced through their print order; complementary
+   * and subscription downloads cost nothing and get no invoice.
+   * @returns {Promise<Object|null>} The invoice, or null when none is due
+   */
+  async issueForPurchase(purchase) {
+    if (
+      purchase.status !== "completed" ||
+      !purchase.purchase_type.startsWith("download") ||
+      !(purchase.amount_cents > 0)
+    ) {
+      return null;
+    }
+    return this.deliverInvoice(await this.createInvoice("book_purchase", purchase));
+  }
+
+  /**
+   * Issue and deliver the invoice for a paid print order
+   * @returns {Promise<Object|null>} The invoice, or null when none is due
+   */
+  async issueForPrintOrder(printOrder) {
+    if (!printOrder.stripe_session_id || !(printOrder.total_cost_cents > 0)) {
+      return null;
+    }
+    return this.deliverInvoice(await this.createInvoice("print_order", printOrder));
+  }
+
+  /**
+   * Queue the invoice for a completed checkout session (deduplicated per
+   * session)
+   * @param {Object} stripeSession - Stripe checkout session object
+   */
+  async enqueueForCheckoutSession(stripeSession) {
+    return jobQueueService.enqueue(
+      INVOICE_ISSUE_JOB,
+      { stripeSessionId: stripeSession.id },
+      { dedupeKey: `${INVOICE_ISSUE_JOB}:${stripeSession.id}` }
+    );
+  }
+
+  /**
+   * Job handler: issue the invoice for a completed checkout session (safe to
+   * run again for the same session)
+   */
+  async issueForCheckoutSession(stripeSessionId) {
+    const printOrder = await PrintOrder.findOne({ stripe_session_id: stripeSessionId });
+    if (printOrder) {
+      return this.issueForPrintOrder(printOrder);
+    }
+
+    const purchase = await BookPurchase.findOne({ stripe_session_id: stripeSessionId });
+    return purchase ? this.issueForPurchase(purchase) : null;
+  }
+
+  /**
+   * Render an invoice as an A4 PDF in the Patrick Hand font
+   * @returns {Promise<Buffer>}
+   */
+  renderPdf(invoice) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: "A4", margin: 50 });
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      let font = "Helvetica";
+      if (fs.existsSync(FONT_PATH)) {
+        doc.registerFont("PatrickHand", FONT_PATH);
+        font = "PatrickHand";
+      } else {
+        logger.warn("Patrick Hand font not found for invoice, using Helvetica");
+      }
+
+      const money = (cents) => emailService.formatAmount(cents, invoice.currency);
+      const left = 50;
+      const right = doc.page.width - 50;
+      const width = right - left;
+
+      // Header: logo and seller on the left, invoice details on the right
+      if (fs.existsSync(LOGO_PATH)) {
+        doc.image(LOGO_PATH, left, 45, { height: 50 });
+      }
+      doc.font(font).fillColor("#333").fontSize(28).text("Invoice", left, 50, {
+        width,
+        align: "right",
+      });
+      doc
+        .fontSize(12)
+        .text(`No. ${invoice.invoice_number}`, { width, align: "right" })
+        .text(`Date: ${new Date(invoice.issued_at).toLocaleDateString("en-GB")}`, {
+          width,
+          align: "right",
+        });
+
+      const seller = invoice.seller || {};
+      doc.fontSize(12).text(seller.name || "", left, 130);
+      doc.fontSize(10).fillColor("#555");
+      (seller.address || []).forEach((line) => doc.text(line));
+      if (seller.email) doc.text(seller.email);
+      if (seller.vat_number) doc.text(`VAT number: ${seller.vat_number}`);
+
+      // Customer
+      const customer = invoice.customer || {};
+      doc.fillColor("#333").fontSize(12).text("Bill to", left + width / 2, 130);
+      doc.fontSize(10).fillColor("#555");
+      [customer.name, ...(customer.address || []), customer.email]
+        .filter(Boolean)
+        .forEach((line) => doc.text(line, left + width / 2));
+
+      // Line items
+      let y = Math.max(doc.y, 230) + 20;
+      doc.fillColor("#333").fontSize(11);
+      doc.text("Description", left, y);
+      doc.text("Qty", left + width - 160, y, { width: 40, align: "right" });
+      doc.text("Amount", right - 100, y, { width: 100, align: "right" });
+      y += 18;
+      doc.moveTo(left, y).lineTo(right, y).strokeColor("#ccc").stroke();
+      y += 8;
+
+      for (const line of invoice.line_items) {
+        doc.fillColor("#333").fontSize(11);
+        doc.text(line.description, left, y, { width: width - 180 });
+        doc.text(String(line.quantity), left + width - 160, y, { width: 40, align: "right" });
+        doc.text(money(line.amount_cents), right - 100, y, { width: 100, align: "right" });
+        y = doc.y + 2;
+        doc.fontSize(9).fillColor("#777");
+        for (const detail of line.details || []) {
+          doc.text(detail, left + 10, y, { width: width - 190 });
+          y = doc.y;
+        }
+        y += 8;
+      }
+      doc.moveTo(left, y).lineTo(right, y).strokeColor("#ccc").stroke();
+      y += 10;
+
+      // Totals
+      const totalRow = (label, value, size = 11) => {
+        doc.fontSize(size).fillColor("#333");
+        doc.text(label, right - 300, y, { width: 190, align: "right" });
+        doc.text(value, right - 100, y, { width: 100, align: "right" });
+        y = doc.y + 4;
+      };
+      totalRow("Subtotal", money(invoice.subtotal_cents));
+      if (invoice.discount_cents > 0) {
+        const label = invoice.promo_code ? `Discount (${invoice.promo_code})` : "Discount";
+        totalRow(label, `-${money(invoice.discount_cents)}`);
+      }
+      totalRow("Total", money(invoice.total_cents), 14);
+      totalRow("Total excluding tax", money(invoice.total_cents - invoice.tax_cents));
+      for (const taxLine of invoice.tax_lines || []) {
+        const rate = taxLine.rate_percent !== null ? ` (${taxLine.rate_percent}%)` : "";
+        totalRow(`${taxLine.description}${rate}`, money(taxLine.amount_cents));
+      }
+      totalRow("Total tax included", money(invoice.tax_cents));
+
+      doc
+        .fontSize(10)
+        .fillColor("#777")
+        .text(
+          `All prices include tax. Amounts in ${invoice.currency.toUpperCase()}. Thank you for your order!`,
+          left,
+          y + 30,
+          { width, align: "center" }
+        );
+
+      doc.end();
+    });
+  }
+
+  /**
+   * A user's invoices, newest first
+   */
+  async listUserInvoices(userId, { page = 1, limit = 20 } = {}) {
+    const query = { user_id: userId };
+    const [invoices, total] = await Promise.all([
+      Invoice.find(query)
+        .select("-seller -pdf_s3_key")
+        .sort({ issued_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Invoice.countDocuments(query),
+    ]);
+
+    return {
+      invoices,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * PDF of one of a user's invoices (rendered and stored again if missing)
+   * @returns {Promise<Object>} { invoice, pdfBuffer }
+   */
+  async getInvoicePdf(invoiceId, userId) {
+    const invoice = await Invoice.findOne({ _id: invoiceId, user_id: userId });
+    if (!invoice) {
+      throw new Error("Invoice not found");
+    }
+
+    if (invoice.pdf_s3_key) {
+      return { invoice, pdfBuffer: await s3Service.getObjectBuffer(invoice.pdf_s3_key) };
+    }
+
+    const pdfBuffer = await this.renderPdf(invoice);
+    invoice.pdf_s3_key = await s3Service.uploadPrivateBuffer(
+      pdfBuffer,
+      s3Service.generateInvoiceS3Key(invoice.user_id, invoice.invoice_number),
+      "application/pdf"
+    );
+    await invoice.save();
+    return { invoice, pdfBuffer };
+  }
+}
+
+module.exports = new InvoiceService();
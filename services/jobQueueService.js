@@ -0,0 +1,490 @@
+const os = require("os");
+const { Job } = require("../models");
+const logger = require("../utils/logger");
+const {
+  JOB_QUEUE_POLL_INTERVAL_MS,
+  JOB_QUEUE_LOCK_TIMEOUT_MS,
+} = require("../utils/constants");
+
+/**
+ * MongoDB-backed job queue with an in-process worker loop.
+ *
+ * Jobs are claimed atomically (findOneAndUpdate), so several server instances
+ * can poll the same collection. The worker refreshes a job's lock while its
+ * handler runs; a lock that stops being refreshed (the worker died) expires
+ * and the job is recovered. A failed job is retried with exponential
+ * backoff until max_attempts, after which it is moved to the "dead" state and
+ * the handler's onDead callback runs. Admins can inspect and requeue jobs.
+ *
+ * Each job type runs in a lane, and lanes are worked in parallel (one job at
+ * a time per lane), so short user-facing jobs don't wait behind long
+ * fulfilment jobs.
+ */
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollInterval = JOB_QUEUE_POLL_INTERVAL_MS;
+    this.lockTimeout = JOB_QUEUE_LOCK_TIMEOUT_MS;
+    this.batchSize = 5;
+    this.timer = null;
+    // Running batch of each lane
+    this.currentTicks = new Map();
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload, job) => result
+   * @param {Object} options - { maxAttempts, baseDelayMs, maxDelayMs, onDead,
+   *   storeResult, lane } where storeResult saves the handler's return value on
+   *   the job and lane names the worker lane (default "default")
+   */
+  registerHandler(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      maxAttempts: options.maxAttempts || 5,
+      baseDelayMs: options.baseDelayMs || 60 * 1000,
+      maxDelayMs: options.maxDelayMs || 60 * 60 * 1000,
+      onDead: options.onDead || null,
+      storeResult: Boolean(options.storeResult),
+      lane: options.lane || "default",
+    });
+  }
+
+  /**
+   * Lanes with at least one registered job type
+   */
+  getLanes() {
+    return [...new Set([...this.handlers.values()].map(({ lane }) => lane))];
+  }
+
+  /**
+   * Job types worked in a lane
+   */
+  getLaneTypes(lane) {
+    return [...this.handlers.entries()]
+      .filter(([, registered]) => registered.lane === lane)
+      .map(([type]) => type);
+  }
+
+  /**
+   * Add a job to the queue.
+   * With a dedupeKey, an already queued/running job for the same key is
+   * returned instead of creating a duplicate, or with rejectDuplicate an
+   * error is thrown.
+   * @param {string} type - Job type
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - { dedupeKey, rejectDuplicate, delayMs, maxAttempts }
+   * @returns {Promise<Object>} Job document
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const { dedupeKey = null, rejectDuplicate = false, delayMs = 0, maxAttempts } = options;
+    const registered = this.handlers.get(type);
+
+    try {
+      const job = await Job.create({
+        type,
+        payload,
+        dedupe_key: dedupeKey,
+        active_key: dedupeKey || undefined,
+        max_attempts: maxAttempts || registered?.maxAttempts || 5,
+        run_at: new Date(Date.now() + delayMs),
+      });
+
+      logger.info(`Enqueued ${type} job ${job._id}`, { dedupeKey, delayMs });
+      return job;
+    } catch (error) {
+      if (error.code === 11000 && dedupeKey) {
+        const existingJob = await Job.findOne({ active_key: dedupeKey });
+        logger.info(`Active ${type} job already exists for ${dedupeKey}`, {
+          jobId: existingJob?._id,
+        });
+        if (rejectDuplicate) {
+          throw new Error("An active job already exists for this work");
+        }
+        return existingJob;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Backoff before the next attempt: base * 2^(attempts - 1), capped
+   */
+  getRetryDelay(type, attempts) {
+    const { baseDelayMs, maxDelayMs } = this.handlers.get(type);
+    return Math.min(baseDelayMs * 2 ** Math.max(0, attempts - 1), maxDelayMs);
+  }
+
+  /**
+   * Atomically claim the next due job of a lane's types
+   */
+  async claimNextJob(lane) {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      {
+        status: "queued",
+        run_at: { $lte: now },
+        type: { $in: this.getLaneTypes(lane) },
+      },
+      {
+        $set: { status: "running", locked_at: now, locked_by: this.workerId },
+        $inc: { attempts: 1 },
+      },
+      { sort: { run_at: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Fail jobs whose worker died mid-run. Each one goes through the normal
+   * failure path, so it is retried with backoff, and a job that keeps
+   * killing its worker is moved to dead once it runs out of attempts.
+   */
+  async recoverStaleJobs(lane = null) {
+    const types = lane ? this.getLaneTypes(lane) : [...this.handlers.keys()];
+    const staleBefore = new Date(Date.now() - this.lockTimeout);
+    let recovered = 0;
+
+    // Re-lock each job first so only one worker recovers it
+    let job;
+    while (
+      (job = await Job.findOneAndUpdate(
+        {
+          status: "running",
+          locked_at: { $lt: staleBefore },
+          type: { $in: types },
+        },
+        { $set: { locked_at: new Date(), locked_by: this.workerId } },
+        { new: true }
+      ))
+    ) {
+      await this.handleJobFailure(job, new Error("Worker lock expired"));
+      recovered += 1;
+    }
+
+    if (recovered > 0) {
+      logger.warn(`Recovered ${recovered} stale jobs`);
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   */
+  async processJob(job) {
+    const { handler, storeResult } = this.handlers.get(job.type);
+
+    logger.info(`Running ${job.type} job ${job._id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+    const heartbeat = this.startHeartbeat(job);
+    try {
+      const result = await handler(job.payload, job);
+      clearInterval(heartbeat);
+
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: "completed",
+            result: storeResult ? result ?? null : null,
+            completed_at: new Date(),
+            locked_at: null,
+            locked_by: null,
+            last_error: null,
+          },
+          $unset: { active_key: "" },
+        }
+      );
+
+      logger.info(`Completed ${job.type} job ${job._id}`);
+      return "completed";
+    } catch (error) {
+      clearInterval(heartbeat);
+      return this.handleJobFailure(job, error);
+    }
+  }
+
+  /**
+   * Keep refreshing a running job's lock so a handler that outlives the lock
+   * timeout is not recovered (and run again) by another worker
+   * @returns {NodeJS.Timeout} Interval to clear once the handler returns
+   */
+  startHeartbeat(job) {
+    const heartbeat = setInterval(async () => {
+      try {
+        const { matchedCount } = await Job.updateOne(
+          { _id: job._id, status: "running", locked_by: this.workerId },
+          { $set: { locked_at: new Date() } }
+        );
+        if (matchedCount === 0) {
+          logger.warn(`Lost the lock on ${job.type} job ${job._id}`);
+          clearInterval(heartbeat);
+        }
+      } catch (error) {
+        logger.error(`Failed to refresh the lock on job ${job._id}: ${error.message}`);
+      }
+    }, Math.max(Math.floor(this.lockTimeout / 3), 1000));
+    heartbeat.unref();
+
+    return heartbeat;
+  }
+
+  /**
+   * Record how far a running job has got (for clients polling the job)
+   * @param {Object} progress - { stage, percent }
+   */
+  async updateProgress(jobId, progress) {
+    await Job.updateOne(
+      { _id: jobId },
+      {
+        $set: {
+          progress: {
+            stage: progress.stage,
+            percent: progress.percent ?? null,
+            updated_at: new Date(),
+          },
+        },
+      }
+    );
+  }
+
+  /**
+   * Schedule a retry, or move the job to the dead-letter state
+   */
+  async handleJobFailure(job, error) {
+    const errorEntry = {
+      attempt: job.attempts,
+      message: error.message,
+      failed_at: new Date(),
+    };
+
+    if (job.attempts >= job.max_attempts) {
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: "dead",
+            dead_at: new Date(),
+            locked_at: null,
+            locked_by: null,
+            last_error: error.message,
+          },
+          $push: { error_history: errorEntry },
+          $unset: { active_key: "" },
+        }
+      );
+
+      logger.error(`${job.type} job ${job._id} moved to dead letter after ${job.attempts} attempts: ${error.message}`);
+
+      const { onDead } = this.handlers.get(job.type);
+      if (onDead) {
+        try {
+          await onDead(job.payload, job, error);
+        } catch (deadError) {
+          logger.error(`onDead callback failed for job ${job._id}: ${deadError.message}`);
+        }
+      }
+      return "dead";
+    }
+
+    const delayMs = this.getRetryDelay(job.type, job.attempts);
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: "queued",
+          run_at: new Date(Date.now() + delayMs),
+          locked_at: null,
+          locked_by: null,
+          last_error: error.message,
+        },
+        $push: { error_history: errorEntry },
+      }
+    );
+
+    logger.warn(`${job.type} job ${job._id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${Math.round(delayMs / 1000)}s: ${error.message}`);
+    return "retrying";
+  }
+
+  /**
+   * Process due jobs once in every lane. Safe to call directly (e.g. from a
+   * script or test).
+   * @returns {Promise<number>} Number of jobs processed
+   */
+  async tick() {
+    const counts = await Promise.all(this.getLanes().map((lane) => this.tickLane(lane)));
+    return counts.reduce((total, count) => total + count, 0);
+  }
+
+  /**
+   * Process a lane's due jobs, unless its previous batch is still running
+   * @returns {Promise<number>} Number of jobs processed
+   */
+  async tickLane(lane) {
+    if (this.currentTicks.has(lane)) {
+      return 0;
+    }
+
+    const currentTick = (async () => {
+      let processed = 0;
+      try {
+        await this.recoverStaleJobs(lane);
+
+        while (processed < this.batchSize) {
+          const job = await this.claimNextJob(lane);
+          if (!job) break;
+
+          await this.processJob(job);
+          processed += 1;
+        }
+      } catch (error) {
+        logger.error(`Job queue tick failed (${lane} lane): ${error.message}`);
+      }
+      return processed;
+    })();
+    this.currentTicks.set(lane, currentTick);
+
+    try {
+      return await currentTick;
+    } finally {
+      this.currentTicks.delete(lane);
+    }
+  }
+
+  /**
+   * Start the worker loop
+   */
+  start() {
+    if (this.timer) {
+      return this.timer;
+    }
+
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+
+    logger.info(`Job queue worker started - polling every ${this.pollInterval}ms`, {
+      workerId: this.workerId,
+      jobTypes: [...this.handlers.keys()],
+      lanes: this.getLanes(),
+    });
+
+    return this.timer;
+  }
+
+  /**
+   * Stop the worker loop and wait for the running batches to finish
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    await Promise.all(this.currentTicks.values());
+
+    logger.info("Job queue worker stopped");
+  }
+
+  /**
+   * List jobs for the admin console
+   */
+  async listJobs({ status, type, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const skip = (page - 1) * limit;
+    const [jobs, total] = await Promise.all([
+      Job.find(query).sort({ created_at: -1 }).skip(skip).limit(limit),
+      Job.countDocuments(query),
+    ]);
+
+    return {
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * The queued or running job for a dedupe key, if any
+   */
+  async getActiveJob(dedupeKey) {
+    return Job.findOne({ active_key: dedupeKey });
+  }
+
+  /**
+   * Get a single job
+   */
+  async getJob(jobId) {
+    const job = await Job.findById(jobId);
+    if (!job) {
+      throw new Error("Job not found");
+    }
+    return job;
+  }
+
+  /**
+   * Count jobs per type and status
+   */
+  async getStats() {
+    const counts = await Job.aggregate([
+      { $group: { _id: { type: "$type", status: "$status" }, count: { $sum: 1 } } },
+    ]);
+
+    const stats = {};
+    for (const { _id, count } of counts) {
+      stats[_id.type] = stats[_id.type] || { queued: 0, running: 0, completed: 0, dead: 0 };
+      stats[_id.type][_id.status] = count;
+    }
+
+    return {
+      stats,
+      worker: {
+        id: this.workerId,
+        running: !!this.timer,
+        pollInterval: this.pollInterval,
+        jobTypes: [...this.handlers.keys()],
+      },
+    };
+  }
+
+  /**
+   * Requeue a dead (or completed) job with a fresh attempt budget
+   */
+  async requeueJob(jobId) {
+    const job = await this.getJob(jobId);
+
+    if (!job.canBeRequeued()) {
+      throw new Error("Only dead or completed jobs can be requeued");
+    }
+
+    job.status = "queued";
+    job.attempts = 0;
+    job.run_at = new Date();
+    job.dead_at = null;
+    job.completed_at = null;
+    job.active_key = job.dedupe_key || undefined;
+
+    try {
+      await job.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error("An active job already exists for this work");
+      }
+      throw error;
+    }
+
+    logger.info(`Requeued ${job.type} job ${job._id}`);
+    return job;
+  }
+}
+
+module.exports = new JobQueueService();
@@ -7,6 +7,8 @@ const {
   LULU_SANDBOX_API_BASE_URL,
   LULU_ENVIRONMENT,
   LULU_POD_PACKAGE_ID,
+  LULU_QUOTE_CACHE_TTL_MS,
+  LULU_QUOTE_CACHE_MAX_ENTRIES,
 } = require("../utils/constants");
 
 class LuluService {
@@ -18,6 +20,8 @@ class LuluService {
     this.podPackageId = LULU_POD_PACKAGE_ID;
     this.accessToken = null;
     this.tokenExpiry = null;
+    // Shipping option and cost responses, keyed by getQuoteCacheKey
+    this.quoteCache = new Map();
   }
 
   /**
@@ -198,8 +202,68 @@ class LuluService {
     return false;
   }
 
+  /**
+   * Line items for shipping and cost quotes
+   * @param {number|Array} pageCount - Page count of one book, or
+   *   [{ page_count, quantity, pod_package_id }] to quote several books
+   *   together (pod_package_id defaults to the configured package)
+   * @param {number} quantity - Quantity when quoting one book
+   */
+  buildQuoteLineItems(pageCount, quantity) {
+    const items = Array.isArray(pageCount)
+      ? pageCount
+      : [{ page_count: pageCount, quantity }];
+
+    return items.map((item) => ({
+      page_count: item.page_count,
+      pod_package_id: item.pod_package_id || this.podPackageId,
+      quantity: item.quantity,
+    }));
+  }
+
+  /**
+   * Cache key for a quote. Lulu prices depend only on the books (page count,
+   * quantity, package), the destination and the shipping level, so quotes for
+   * different customers and street addresses in one postcode share an entry.
+   */
+  getQuoteCacheKey(type, lineItems, shippingAddress, shippingLevel = null) {
+    return JSON.stringify({
+      type,
+      items: lineItems.map((item) => [item.pod_package_id, item.page_count, item.quantity]),
+      country: String(shippingAddress.country_code || "").toUpperCase(),
+      state: String(shippingAddress.state_code || "").toUpperCase(),
+      postcode: String(shippingAddress.postcode || "").replace(/\s+/g, "").toUpperCase(),
+      shippingLevel,
+    });
+  }
+
+  getCachedQuote(key) {
+    const entry = this.quoteCache.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.quoteCache.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  setCachedQuote(key, value) {
+    if (this.quoteCache.size >= LULU_QUOTE_CACHE_MAX_ENTRIES) {
+      // Maps keep insertion order, so the first key is the oldest entry
+      this.quoteCache.delete(this.quoteCache.keys().next().value);
+    }
+    this.quoteCache.set(key, {
+      value,
+      expiresAt: Date.now() + LULU_QUOTE_CACHE_TTL_MS,
+    });
+  }
+
   /**
    * Get available shipping options for a destination
+   * Responses are cached for LULU_QUOTE_CACHE_TTL_MS.
+   * @param {number|Array} pageCount - See buildQuoteLineItems
    */
   async getShippingOptions(shippingAddress, pageCount, quantity = 1) {
     try {
@@ -207,16 +271,21 @@ class LuluService {
         `Getting shipping options for ${shippingAddress.country_code}`
       );
 
+      const lineItems = this.buildQuoteLineItems(pageCount, quantity);
+      const cacheKey = this.getQuoteCacheKey("shipping_options", lineItems, shippingAddress);
+      const cached = this.getCachedQuote(cacheKey);
+      if (cached) {
+        logger.info("Shipping options served from cache", {
+          country: shippingAddress.country_code,
+          optionsCount: cached.length,
+        });
+        return cached;
+      }
+
       // Prepare request data according to Lulu API specification
       const requestData = {
         currency: "GBP", // Required field
-        line_items: [
-          {
-            page_count: pageCount,
-            pod_package_id: this.podPackageId,
-            quantity: quantity,
-          },
-        ],
+        line_items: lineItems,
         shipping_address: {
           city: shippingAddress.city,
           country: shippingAddress.country_code, // Note: 'country' not 'country_code'
@@ -250,7 +319,9 @@ class LuluService {
       });
 
       // The response is directly an array of shipping options
-      return result || [];
+      const options = result || [];
+      this.setCachedQuote(cacheKey, options);
+      return options;
     } catch (error) {
       logger.error("Failed to get shipping options:", {
         error: error.message,
@@ -265,6 +336,8 @@ class LuluService {
 
   /**
    * Calculate print job cost
+   * Responses are cached for LULU_QUOTE_CACHE_TTL_MS.
+   * @param {number|Array} pageCount - See buildQuoteLineItems
    */
   async calculatePrintCost(
     pageCount,
@@ -273,16 +346,21 @@ class LuluService {
     shippingLevel
   ) {
     try {
+      const lineItems = this.buildQuoteLineItems(pageCount, quantity);
+
       logger.info(
-        `Calculating print cost for ${quantity} books with ${pageCount} pages`
+        `Calculating print cost for ${lineItems.length} line items`,
+        { lineItems: lineItems.map((item) => `${item.quantity} x ${item.page_count} pages`) }
       );
 
       // Validate inputs
-      if (!pageCount || pageCount < 1) {
-        throw new Error(`Invalid page count: ${pageCount}`);
-      }
-      if (!quantity || quantity < 1) {
-        throw new Error(`Invalid quantity: ${quantity}`);
+      for (const item of lineItems) {
+        if (!item.page_count || item.page_count < 1) {
+          throw new Error(`Invalid page count: ${item.page_count}`);
+        }
+        if (!item.quantity || item.quantity < 1) {
+          throw new Error(`Invalid quantity: ${item.quantity}`);
+        }
       }
       if (!this.podPackageId) {
         throw new Error("POD package ID not configured");
@@ -291,14 +369,23 @@ class LuluService {
         throw new Error("Shipping address is required");
       }
 
+      const cacheKey = this.getQuoteCacheKey(
+        "cost",
+        lineItems,
+        shippingAddress,
+        shippingLevel
+      );
+      const cached = this.getCachedQuote(cacheKey);
+      if (cached) {
+        logger.info("Print cost served from cache", {
+          totalCostGBP: cached.total_cost_incl_tax,
+          shippingLevel,
+        });
+        return cached;
+      }
+
       const requestData = {
-        line_items: [
-          {
-            page_count: pageCount,
-            pod_package_id: this.podPackageId,
-            quantity: quantity,
-          },
-        ],
+        line_items: lineItems,
         shipping_address: {
           name: shippingAddress.name,
           street1: shippingAddress.street1,
@@ -324,6 +411,7 @@ class LuluService {
         currency: result.currency,
       });
 
+      this.setCachedQuote(cacheKey, result);
       return result;
     } catch (error) {
       logger.error("Failed to calculate print cost:", error);
@@ -334,6 +422,10 @@ class LuluService {
 
   /**
    * Create a print job
+   * printOrderData.line_items ([{ title, quantity, cover_pdf_url,
+   * interior_pdf_url, pod_package_id }]) prints several books in one job;
+   * without it the single book described by title/quantity/*_pdf_url is
+   * printed. pod_package_id defaults to the configured package.
    */
   async createPrintJob(printOrderData) {
     try {
@@ -344,24 +436,24 @@ class LuluService {
         throw new Error(`Invalid shipping address: missing street1 or postcode`);
       }
 
+      const items = printOrderData.line_items || [printOrderData];
+
       const requestData = {
         external_id: printOrderData.external_id,
-        line_items: [
-          {
-            external_id: `${printOrderData.external_id}_item_1`,
-            title: printOrderData.title,
-            printable_normalization: {
-              pod_package_id: this.podPackageId,
-              cover: {
-                source_url: printOrderData.cover_pdf_url,
-              },
-              interior: {
-                source_url: printOrderData.interior_pdf_url,
-              },
+        line_items: items.map((item, index) => ({
+          external_id: `${printOrderData.external_id}_item_${index + 1}`,
+          title: item.title,
+          printable_normalization: {
+            pod_package_id: item.pod_package_id || this.podPackageId,
+            cover: {
+              source_url: item.cover_pdf_url,
+            },
+            interior: {
+              source_url: item.interior_pdf_url,
             },
-            quantity: printOrderData.quantity,
           },
-        ],
+          quantity: item.quantity,
+        })),
         shipping_address: printOrderData.shipping_address,
         shipping_level: printOrderData.shipping_level,
         contact_email: printOrderData.shipping_address.email,
@@ -424,6 +516,32 @@ class LuluService {
     }
   }
 
+  /**
+   * Find the print job created for an order's external id (null if none)
+   */
+  async findPrintJobByExternalId(externalId) {
+    try {
+      const params = new URLSearchParams({ search: externalId });
+      const result = await this.makeRequest(
+        "GET",
+        `/print-jobs/?${params.toString()}`
+      );
+
+      // Search also matches other fields - only accept an exact match
+      const printJob = (result.results || []).find(
+        (job) => job.external_id === externalId
+      );
+
+      return printJob || null;
+    } catch (error) {
+      logger.error(
+        `Failed to look up print job for ${externalId}:`,
+        error.message
+      );
+      throw new Error("Failed to look up print job");
+    }
+  }
+
   /**
    * Cancel a print job (only if unpaid)
    */
@@ -453,6 +571,35 @@ class LuluService {
     }
   }
 
+  /**
+   * Update a print job (only while CREATED or UNPAID)
+   */
+  async updatePrintJob(luluPrintJobId, updates) {
+    try {
+      logger.info(`Updating print job ${luluPrintJobId}`, {
+        fields: Object.keys(updates),
+      });
+
+      const result = await this.makeRequest(
+        "PATCH",
+        `/print-jobs/${luluPrintJobId}/`,
+        updates
+      );
+
+      logger.info("Print job updated successfully", {
+        printJobId: luluPrintJobId,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error(
+        `Failed to update print job ${luluPrintJobId}:`,
+        error.message
+      );
+      throw new Error("Failed to update print job");
+    }
+  }
+
   /**
    * Validate interior PDF file
    */
@@ -557,12 +704,12 @@ class LuluService {
   /**
    * Calculate cover dimensions
    */
-  async calculateCoverDimensions(pageCount, unit = "pt") {
+  async calculateCoverDimensions(pageCount, unit = "pt", podPackageId = null) {
     try {
       logger.info(`Calculating cover dimensions for ${pageCount} pages`);
 
       const requestData = {
-        pod_package_id: this.podPackageId,
+        pod_package_id: podPackageId || this.podPackageId,
         interior_page_count: pageCount,
         unit: unit,
       };
@@ -0,0 +1,612 @@
+const { PrintOrder, User } = require("../models");
+const luluService = require("./luluService");
+const printOrderService = require("./printOrderService");
+const refundService = require("./refundService");
+const jobQueueService = require("./jobQueueService");
+const emailService = require("./emailService");
+const logger = require("../utils/logger");
+const { LULU_STATUS_RECONCILE_INTERVAL_MS } = require("../utils/constants");
+
+const LULU_STATUS_RECONCILE_JOB = "lulu_status_reconcile";
+
+// Lulu statuses after which a print job no longer changes
+const FINAL_PRINT_ORDER_STATUSES = ["shipped", "rejected", "canceled"];
+
+/**
+ * Applies Lulu print job statuses to print orders and notifies customers.
+ *
+ * Statuses arrive through the Lulu webhook, the admin force-sync and the
+ * scheduled reconciler. All three use applyPrintJobStatus, and each status
+ * is notified at most once per order (see claimStatusNotification), so a
+ * status seen by both the webhook and the reconciler is emailed only once.
+ */
+class LuluStatusService {
+  constructor() {
+    this.reconcileTimer = null;
+
+    jobQueueService.registerHandler(
+      LULU_STATUS_RECONCILE_JOB,
+      () => this.reconcileOpenOrders(),
+      // Runs on a schedule anyway - a failed run is not retried
+      { maxAttempts: 1 }
+    );
+  }
+
+  /**
+   * Apply a Lulu print job (webhook payload or GET /print-jobs/:id response)
+   * @returns {Promise<Object>} { printOrder, outcome } where outcome is one of
+   *   "applied", "already_notified", "stale" or "unknown_order"
+   */
+  async applyPrintJobStatus(printJobData, source = "webhook") {
+    const { id: luluPrintJobId, status, line_item_statuses } = printJobData;
+
+    logger.info("Processing print job status change", {
+      luluPrintJobId,
+      newStatus: status?.name,
+      message: status?.message,
+      changedAt: status?.changed,
+      source,
+    });
+
+    const currentOrder = await PrintOrder.findOne({
+      lulu_print_job_id: luluPrintJobId,
+    }).select("external_id status lulu_status_changed_at");
+
+    if (!currentOrder) {
+      logger.warn(`No print order found for Lulu job ID: ${luluPrintJobId}`);
+      return { printOrder: null, outcome: "unknown_order" };
+    }
+
+    if (this.isStaleStatus(currentOrder, status)) {
+      logger.warn(`Ignoring stale Lulu status ${status.name} for order ${currentOrder.external_id}`, {
+        currentStatus: currentOrder.status,
+        currentChangedAt: currentOrder.lulu_status_changed_at,
+        eventChangedAt: status.changed,
+        source,
+      });
+      return { printOrder: currentOrder, outcome: "stale" };
+    }
+
+    // Update print order in database
+    const updatedOrder = await printOrderService.updatePrintOrderFromWebhook(
+      printJobData
+    );
+    if (!updatedOrder) {
+      return { printOrder: null, outcome: "unknown_order" };
+    }
+
+    const statusName = status?.name?.toLowerCase();
+
+    if (!(await this.claimStatusNotification(updatedOrder._id, statusName))) {
+      logger.info(`Status ${statusName} already handled for order ${updatedOrder.external_id}`, {
+        source,
+      });
+      return { printOrder: updatedOrder, outcome: "already_notified" };
+    }
+
+    // Handle status-specific actions
+    switch (statusName) {
+      case "shipped":
+        await this.handleOrderShipped(updatedOrder, line_item_statuses);
+        break;
+      case "rejected":
+        await this.handleOrderRejected(updatedOrder, status?.message);
+        break;
+      case "canceled":
+        await this.handleOrderCanceled(updatedOrder, status?.message);
+        break;
+      case "in_production":
+        await this.handleOrderInProduction(updatedOrder);
+        break;
+      default:
+        // Send general status update email
+        await this.sendOrderStatusEmail(updatedOrder, statusName);
+        break;
+    }
+
+    logger.info("Print job status change processed successfully", {
+      printOrderId: updatedOrder._id,
+      luluPrintJobId,
+      newStatus: statusName,
+      source,
+    });
+
+    return { printOrder: updatedOrder, outcome: "applied" };
+  }
+
+  /**
+   * An event is stale when Lulu changed the status again after it was sent,
+   * e.g. an in_production retry arriving after shipped.
+   */
+  isStaleStatus(printOrder, status) {
+    if (!status?.changed || !printOrder.lulu_status_changed_at) {
+      return false;
+    }
+    return new Date(status.changed) < printOrder.lulu_status_changed_at;
+  }
+
+  /**
+   * Atomically mark a status as notified.
+   * Returns false when another webhook or reconciler run got there first.
+   */
+  async claimStatusNotification(printOrderId, status) {
+    const result = await PrintOrder.updateOne(
+      { _id: printOrderId, notified_statuses: { $ne: status } },
+      { $push: { notified_statuses: status } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Handle order shipped
+   */
+  async handleOrderShipped(printOrder, lineItemStatuses) {
+    try {
+      logger.info(`Order ${printOrder.external_id} has been shipped`);
+
+      // Extract tracking information
+      let trackingInfo = null;
+      if (lineItemStatuses && lineItemStatuses.length > 0) {
+        const firstItem = lineItemStatuses[0];
+        if (firstItem.messages) {
+          trackingInfo = {
+            tracking_id: firstItem.messages.tracking_id,
+            tracking_urls: firstItem.messages.tracking_urls || [],
+            carrier_name: firstItem.messages.carrier_name,
+          };
+        }
+      }
+
+      // Send shipped notification email
+      await this.sendOrderShippedEmail(printOrder, trackingInfo);
+
+      logger.info("Order shipped notification sent", {
+        printOrderId: printOrder._id,
+        trackingId: trackingInfo?.tracking_id,
+      });
+    } catch (error) {
+      logger.error("Error handling shipped order:", error);
+    }
+  }
+
+  /**
+   * Handle order rejected
+   */
+  async handleOrderRejected(printOrder, errorMessage) {
+    try {
+      logger.info(
+        `Order ${printOrder.external_id} was rejected: ${errorMessage}`
+      );
+
+      // Refund the customer's payment
+      const refundResult = await this.refundOrder(
+        printOrder,
+        `Order rejected: ${errorMessage || "Unknown reason"}`
+      );
+
+      // Send rejection notification email
+      await this.sendOrderRejectedEmail(refundResult.printOrder, errorMessage);
+
+      logger.info("Order rejection handled", {
+        printOrderId: printOrder._id,
+        refundStatus: refundResult.printOrder.refund_status,
+        refundedAmountCents: refundResult.printOrder.refunded_amount_cents,
+        reason: errorMessage,
+      });
+    } catch (error) {
+      logger.error("Error handling rejected order:", error);
+    }
+  }
+
+  /**
+   * Handle order canceled
+   */
+  async handleOrderCanceled(printOrder, reason) {
+    try {
+      logger.info(`Order ${printOrder.external_id} was canceled: ${reason}`);
+
+      // Refund the customer's payment if not already refunded
+      const refundResult = await this.refundOrder(
+        printOrder,
+        `Order canceled: ${reason || "Unknown reason"}`
+      );
+
+      // Orders refunded before this status arrived (e.g. canceled by the
+      // customer) have already been notified
+      if (!refundResult.alreadyRefunded) {
+        await this.sendOrderCanceledEmail(refundResult.printOrder, reason);
+      }
+
+      logger.info("Order cancellation handled", {
+        printOrderId: printOrder._id,
+        refundStatus: refundResult.printOrder.refund_status,
+        reason,
+      });
+    } catch (error) {
+      logger.error("Error handling canceled order:", error);
+    }
+  }
+
+  /**
+   * Refund a rejected or canceled order.
+   * Refund failures are recorded on the order and reported in the email
+   * instead of failing the status update.
+   */
+  async refundOrder(printOrder, reason) {
+    try {
+      return await refundService.refundPrintOrder(printOrder._id, null, reason);
+    } catch (error) {
+      logger.error(`Failed to refund print order ${printOrder.external_id}:`, error);
+      return {
+        printOrder: (await PrintOrder.findById(printOrder._id)) || printOrder,
+        refund: null,
+        alreadyRefunded: false,
+      };
+    }
+  }
+
+  /**
+   * Handle order in production
+   */
+  async handleOrderInProduction(printOrder) {
+    try {
+      logger.info(`Order ${printOrder.external_id} is now in production`);
+
+      // Send production notification email
+      await this.sendOrderInProductionEmail(printOrder);
+
+      logger.info("Order in production notification sent", {
+        printOrderId: printOrder._id,
+      });
+    } catch (error) {
+      logger.error("Error handling order in production:", error);
+    }
+  }
+
+  /**
+   * Who to email about an order: the account holder, or for a guest order the
+   * email given at checkout
+   * @returns {Promise<Object|null>} User document, or { email, first_name }
+   *   for a guest (null when there is no one to email)
+   */
+  async getOrderBuyer(printOrder) {
+    if (printOrder.user_id) {
+      return User.findById(printOrder.user_id);
+    }
+
+    const email = printOrder.guest_email || printOrder.gift?.buyer_email;
+    if (!email) {
+      return null;
+    }
+
+    // A gift ships to the recipient, so only a plain order's address is the buyer's
+    const name = printOrder.gift?.is_gift
+      ? printOrder.gift.buyer_name
+      : printOrder.shipping_address?.name;
+    return {
+      _id: null,
+      email,
+      first_name: name ? name.split(" ")[0] : "",
+      preferred_language: "en",
+    };
+  }
+
+  /**
+   * Send order status email
+   */
+  async sendOrderStatusEmail(printOrder, status) {
+    try {
+      logger.info("Sending order status email", {
+        printOrderId: printOrder._id,
+        status,
+        userEmail: printOrder.shipping_address?.email,
+      });
+
+      const user = await this.getOrderBuyer(printOrder);
+
+      if (user) {
+        await emailService.sendPrintOrderStatusUpdateEmail(user, printOrder, status);
+
+        logger.info("Order status email sent successfully", {
+          userId: user._id,
+          orderId: printOrder.external_id,
+          status,
+        });
+      } else {
+        logger.warn("Could not send status email - no buyer email", {
+          userId: printOrder.user_id,
+          orderId: printOrder.external_id,
+        });
+      }
+    } catch (error) {
+      logger.error("Error sending order status email:", error);
+      // Don't throw - email failure shouldn't fail the status update
+    }
+  }
+
+  /**
+   * Send order shipped email
+   */
+  async sendOrderShippedEmail(printOrder, trackingInfo) {
+    let user = null;
+    try {
+      logger.info("Sending order shipped email", {
+        printOrderId: printOrder._id,
+        trackingId: trackingInfo?.tracking_id,
+      });
+
+      user = await this.getOrderBuyer(printOrder);
+
+      if (user && trackingInfo) {
+        await emailService.sendPrintOrderShippedEmail(user, printOrder, trackingInfo);
+
+        logger.info("Order shipped email sent successfully", {
+          userId: user._id,
+          orderId: printOrder.external_id,
+          trackingId: trackingInfo.tracking_id,
+        });
+      } else {
+        logger.warn("Could not send shipped email - missing buyer or tracking info", {
+          hasUser: !!user,
+          hasTrackingInfo: !!trackingInfo,
+          orderId: printOrder.external_id,
+        });
+      }
+
+    } catch (error) {
+      logger.error("Error sending order shipped email:", error);
+      // Don't throw - email failure shouldn't fail the status update
+    }
+
+    // Gift recipients get their own notification, without prices, whether
+    // or not the buyer's went out
+    if (printOrder.gift?.is_gift && printOrder.gift.recipient_email && trackingInfo) {
+      try {
+        await emailService.sendGiftOrderShippedEmail(printOrder, trackingInfo, user);
+      } catch (error) {
+        logger.error("Error sending gift recipient shipped email:", error);
+      }
+    }
+  }
+
+  /**
+   * Send order rejected email
+   */
+  async sendOrderRejectedEmail(printOrder, errorMessage) {
+    try {
+      logger.info("Sending order rejected email", {
+        printOrderId: printOrder._id,
+        errorMessage,
+      });
+
+      const user = await this.getOrderBuyer(printOrder);
+
+      if (user) {
+        await emailService.sendPrintOrderRejectedEmail(
+          user,
+          printOrder,
+          errorMessage
+        );
+
+        logger.info("Order rejected email sent successfully", {
+          userId: user._id,
+          orderId: printOrder.external_id,
+          refundedAmountCents: printOrder.refunded_amount_cents,
+        });
+      } else {
+        logger.warn("Could not send rejected email - no buyer email", {
+          userId: printOrder.user_id,
+          orderId: printOrder.external_id,
+        });
+      }
+    } catch (error) {
+      logger.error("Error sending order rejected email:", error);
+      // Don't throw - email failure shouldn't fail the status update
+    }
+  }
+
+  /**
+   * Send order canceled email
+   */
+  async sendOrderCanceledEmail(printOrder, reason) {
+    try {
+      logger.info("Sending order canceled email", {
+        printOrderId: printOrder._id,
+        reason,
+      });
+
+      const user = await this.getOrderBuyer(printOrder);
+
+      if (user) {
+        await emailService.sendPrintOrderCanceledEmail(
+          user,
+          printOrder,
+          reason
+        );
+
+        logger.info("Order canceled email sent successfully", {
+          userId: user._id,
+          orderId: printOrder.external_id,
+          refundedAmountCents: printOrder.refunded_amount_cents,
+        });
+      } else {
+        logger.warn("Could not send canceled email - no buyer email", {
+          userId: printOrder.user_id,
+          orderId: printOrder.external_id,
+        });
+      }
+    } catch (error) {
+      logger.error("Error sending order canceled email:", error);
+      // Don't throw - email failure shouldn't fail the status update
+    }
+  }
+
+  /**
+   * Send order in production email
+   */
+  async sendOrderInProductionEmail(printOrder) {
+    try {
+      logger.info("Sending order in production email", {
+        printOrderId: printOrder._id,
+      });
+
+      const user = await this.getOrderBuyer(printOrder);
+
+      if (user) {
+        await emailService.sendPrintOrderInProductionEmail(user, printOrder);
+
+        logger.info("Order in production email sent successfully", {
+          userId: user._id,
+          orderId: printOrder.external_id,
+        });
+      } else {
+        logger.warn("Could not send in production email - no buyer email", {
+          userId: printOrder.user_id,
+          orderId: printOrder.external_id,
+        });
+      }
+    } catch (error) {
+      logger.error("Error sending order in production email:", error);
+      // Don't throw - email failure shouldn't fail the status update
+    }
+  }
+
+  /**
+   * Poll Lulu for every submitted, non-final order and apply any status the
+   * webhook missed.
+   * @returns {Promise<Object>} Report: { checked, differences, errors, ... }
+   */
+  async reconcileOpenOrders() {
+    const startedAt = new Date();
+    const openOrders = await PrintOrder.find({
+      lulu_print_job_id: { $ne: null },
+      status: { $nin: FINAL_PRINT_ORDER_STATUSES },
+    }).select("_id external_id lulu_print_job_id status");
+
+    logger.info(`Reconciling ${openOrders.length} open print orders with Lulu`);
+
+    const differences = [];
+    const errors = [];
+
+    for (const order of openOrders) {
+      try {
+        const printJob = await luluService.getPrintJobStatus(order.lulu_print_job_id);
+        const luluStatus = printJob.status?.name?.toLowerCase();
+
+        if (!luluStatus || luluStatus === order.status) {
+          continue;
+        }
+
+        differences.push({
+          orderId: order._id,
+          externalId: order.external_id,
+          luluPrintJobId: order.lulu_print_job_id,
+          localStatus: order.status,
+          luluStatus,
+        });
+
+        logger.warn(`Print order ${order.external_id} is ${order.status} locally but ${luluStatus} at Lulu`, {
+          orderId: order._id,
+          luluPrintJobId: order.lulu_print_job_id,
+        });
+
+        await this.applyPrintJobStatus(printJob, "reconciler");
+      } catch (error) {
+        logger.error(`Failed to reconcile print order ${order.external_id}: ${error.message}`);
+        errors.push({
+          orderId: order._id,
+          externalId: order.external_id,
+          error: error.message,
+        });
+      }
+    }
+
+    const report = {
+      startedAt,
+      finishedAt: new Date(),
+      checked: openOrders.length,
+      differences,
+      errors,
+    };
+
+    logger.info("Lulu status reconciliation finished", {
+      checked: report.checked,
+      differences: differences.length,
+      errors: errors.length,
+    });
+
+    if (differences.length > 0) {
+      await this.sendReconciliationAlert(report);
+    }
+
+    return report;
+  }
+
+  /**
+   * Tell the team about statuses the webhook missed
+   */
+  async sendReconciliationAlert(report) {
+    try {
+      await emailService.sendAlert({
+        subject: `Lulu reconciliation found ${report.differences.length} missed status update(s)`,
+        body: [
+          `The Lulu status reconciler checked ${report.checked} open print orders and applied these missed updates:`,
+          "",
+          ...report.differences.map(
+            (diff) => `- ${diff.externalId} (Lulu job ${diff.luluPrintJobId}): ${diff.localStatus} -> ${diff.luluStatus}`
+          ),
+          "",
+          ...(report.errors.length > 0
+            ? [`${report.errors.length} order(s) could not be checked; see the server logs.`, ""]
+            : []),
+          "Frequent differences mean Lulu webhooks are not reaching the server.",
+        ].join("\n"),
+      });
+    } catch (error) {
+      logger.error(`Failed to send reconciliation alert: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue a reconciliation run (one at a time across server instances)
+   */
+  async enqueueReconciliation() {
+    return jobQueueService.enqueue(LULU_STATUS_RECONCILE_JOB, {}, {
+      dedupeKey: LULU_STATUS_RECONCILE_JOB,
+    });
+  }
+
+  /**
+   * Start scheduling reconciliation runs
+   */
+  startReconciliation() {
+    if (this.reconcileTimer || !LULU_STATUS_RECONCILE_INTERVAL_MS) {
+      return;
+    }
+
+    this.reconcileTimer = setInterval(async () => {
+      try {
+        await this.enqueueReconciliation();
+      } catch (error) {
+        logger.error("Failed to queue Lulu status reconciliation:", error);
+      }
+    }, LULU_STATUS_RECONCILE_INTERVAL_MS);
+
+    logger.info("Lulu status reconciliation scheduled", {
+      interval: LULU_STATUS_RECONCILE_INTERVAL_MS,
+    });
+  }
+
+  /**
+   * Stop scheduling reconciliation runs
+   */
+  stopReconciliation() {
+    if (this.reconcileTimer) {
+      clearInterval(this.reconcileTimer);
+      this.reconcileTimer = null;
+      logger.info("Lulu status reconciliation stopped");
+    }
+  }
+}
+
+module.exports = new LuluStatusService();
@@ -1,6 +1,12 @@
 const mongoose = require("mongoose");
 const { Book, Page } = require("../models");
+const illustrationService = require("./illustrationService");
+const alternativeIllustrationService = require("./alternativeIllustrationService");
+const promptModerationService = require("./promptModerationService");
 const logger = require("../utils/logger");
+const { BOOK_PAGE_COUNTS } = require("../utils/constants");
+
+const MAX_BOOK_PAGES = Math.max(...BOOK_PAGE_COUNTS);
 
 class PageService {
   /**
@@ -139,7 +145,9 @@ class PageService {
           // Validate that the new URL is in the alternatives list or is the current URL
           const validUrls = [
             page.illustration_url,
-            ...(page.alternative_illustrations || []),
+            ...(page.alternative_illustrations || []).map(
+              (alternative) => alternative.url
+            ),
           ].filter(Boolean);
 
           if (!validUrls.includes(updateData.illustration_url)) {
@@ -157,6 +165,15 @@ class PageService {
         throw new Error("No valid updates provided");
       }
 
+      if (allowedUpdates.illustration_url) {
+        await alternativeIllustrationService.markSelected(
+          Page,
+          { _id: pageId },
+          "alternative_illustrations",
+          allowedUpdates.illustration_url
+        );
+      }
+
       // Update the page
       const updatedPage = await Page.findByIdAndUpdate(pageId, allowedUpdates, {
         new: true,
@@ -262,6 +279,362 @@ class PageService {
       throw error;
     }
   }
+
+  /**
+   * Get a book its owner may restructure
+   * @param {string} bookId - Book ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Book with populated characters
+   */
+  async getEditableBook(bookId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(bookId)) {
+      throw new Error("Invalid book ID format");
+    }
+
+    const book = await Book.findById(bookId).populate("character_ids");
+    if (!book) {
+      throw new Error("Book not found");
+    }
+
+    if (book.user_id.toString() !== userId) {
+      throw new Error("Access denied");
+    }
+
+    if (book.generation_status !== "completed") {
+      throw new Error("Only completed books can be edited");
+    }
+
+    return book;
+  }
+
+  /**
+   * Group a book's pages into spreads (the text and illustration pages
+   * sharing a story page number), in story order
+   * @param {Array} pages - Page documents
+   * @returns {Array<Array>} - Pages of each spread, in book page order
+   */
+  groupSpreads(pages) {
+    const spreads = new Map();
+    for (const page of pages) {
+      if (!spreads.has(page.story_page_number)) {
+        spreads.set(page.story_page_number, []);
+      }
+      spreads.get(page.story_page_number).push(page);
+    }
+
+    return [...spreads.keys()]
+      .sort((a, b) => a - b)
+      .map((storyPageNumber) =>
+        spreads
+          .get(storyPageNumber)
+          .sort((a, b) => a.book_page_number - b.book_page_number)
+      );
+  }
+
+  /**
+   * Smallest book size that holds a number of pages
+   * @param {number} totalPages - Number of text and illustration pages
+   * @returns {number} - One of BOOK_PAGE_COUNTS
+   */
+  getPageCountFor(totalPages) {
+    const pageCount = [...BOOK_PAGE_COUNTS]
+      .sort((a, b) => a - b)
+      .find((size) => size >= totalPages);
+    if (!pageCount) {
+      throw new Error(`A book can have at most ${MAX_BOOK_PAGES} pages`);
+    }
+    return pageCount;
+  }
+
+  /**
+   * Number spreads in the given order and save it with the book's new size.
+   * Pages keep their order within a spread.
+   * @param {Object} book - Book document
+   * @param {Array<Array>} spreads - Pages of each spread, in the new order
+   * @param {Object} session - Mongoose session of the running transaction
+   */
+  async saveSpreadOrder(book, spreads, session) {
+    const operations = [];
+    let bookPageNumber = 0;
+
+    spreads.forEach((spreadPages, index) => {
+      for (const page of spreadPages) {
+        bookPageNumber += 1;
+        if (
+          page.book_page_number !== bookPageNumber ||
+          page.story_page_number !== index + 1
+        ) {
+          operations.push({
+            updateOne: {
+              filter: { _id: page._id, book_id: book._id },
+              update: {
+                book_page_number: bookPageNumber,
+                story_page_number: index + 1,
+              },
+            },
+          });
+        }
+      }
+    });
+
+    if (operations.length > 0) {
+      await Page.bulkWrite(operations, { session });
+    }
+
+    // Writing the book in every structural edit also makes concurrent edits
+    // of the same book conflict, so one of them aborts instead of interleaving
+    await Book.updateOne(
+      { _id: book._id },
+      {
+        page_count: this.getPageCountFor(bookPageNumber),
+        pdf_needs_regeneration: true,
+      },
+      { session }
+    );
+  }
+
+  /**
+   * Check a new spread before its illustration is generated: the book can be
+   * edited and has room, and the text is fit for an illustration prompt
+   * @param {string} bookId - Book ID
+   * @param {string} userId - User ID
+   * @param {Object} spreadData - { text_content, position }
+   * @returns {Promise<Object>} - { book, textContent }
+   */
+  async prepareSpreadInsertion(bookId, userId, spreadData) {
+    const book = await this.getEditableBook(bookId, userId);
+
+    const textContent =
+      typeof spreadData.text_content === "string"
+        ? spreadData.text_content.trim()
+        : "";
+    if (textContent.length === 0) {
+      throw new Error("Text content cannot be empty");
+    }
+
+    // The text goes into the image prompt
+    promptModerationService.checkPrompt(textContent);
+
+    // Check the size before paying for an illustration
+    const pageTotal = await Page.countDocuments({ book_id: book._id });
+    this.getPageCountFor(pageTotal + 2);
+
+    return { book, textContent };
+  }
+
+  /**
+   * Insert a new spread: a text page and an illustration page generated
+   * from its text. Generation takes minutes, so this runs in the job queue
+   * (see illustrationJobService.enqueueSpreadInsertion).
+   * @param {string} bookId - Book ID
+   * @param {string} userId - User ID
+   * @param {Object} spreadData - { text_content, position } where position
+   *   is the story page number the spread takes (appended when omitted)
+   * @param {Function|null} onProgress - Optional async (stage) => void
+   * @returns {Promise<Object>} - { textPageId, illustrationPageId,
+   *   illustrationUrl, storyPageNumber }
+   */
+  async insertSpread(bookId, userId, spreadData, onProgress = null) {
+    const { book, textContent } = await this.prepareSpreadInsertion(
+      bookId,
+      userId,
+      spreadData
+    );
+
+    const textPageId = new mongoose.Types.ObjectId();
+    const illustrationPageId = new mongoose.Types.ObjectId();
+    const illustrationPrompt = illustrationService.buildPagePrompt(
+      book,
+      textContent
+    );
+    const { illustrationUrl, seed, model } =
+      await illustrationService.generateNewPageIllustration(
+        book,
+        illustrationPageId,
+        illustrationPrompt,
+        onProgress
+      );
+
+    await illustrationService.reportProgress(onProgress, "saving");
+    let position;
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const pages = await Page.find({ book_id: book._id }).session(session);
+      const spreads = this.groupSpreads(pages);
+
+      position = spreadData.position
+        ? Math.min(Math.max(parseInt(spreadData.position), 1), spreads.length + 1)
+        : spreads.length + 1;
+
+      // Lay the new spread out like the book's existing ones
+      const illustrationFirst = spreads[0]?.[0]?.page_type !== "text";
+      const [textPage, illustrationPage] = await Page.create(
+        [
+          {
+            _id: textPageId,
+            book_id: book._id,
+            book_page_number: 0,
+            story_page_number: position,
+            page_type: "text",
+            text_content: textContent,
+          },
+          {
+            _id: illustrationPageId,
+            book_id: book._id,
+            book_page_number: 0,
+            story_page_number: position,
+            page_type: "illustration",
+            illustration_url: illustrationUrl,
+            illustration_prompt: illustrationPrompt,
+            illustration_seed: seed,
+            alternative_illustrations: [
+              {
+                url: illustrationUrl,
+                seed,
+                prompt: illustrationPrompt,
+                model,
+                selected: true,
+              },
+            ],
+          },
+        ],
+        { session, ordered: true }
+      );
+
+      spreads.splice(
+        position - 1,
+        0,
+        illustrationFirst ? [illustrationPage, textPage] : [textPage, illustrationPage]
+      );
+      await this.saveSpreadOrder(book, spreads, session);
+
+      await session.commitTransaction();
+
+      logger.info(`Spread inserted at story page ${position} of book ${bookId}`, {
+        textPageId,
+        illustrationPageId,
+      });
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      logger.error(`Failed to insert spread into book ${bookId}:`, error);
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return {
+      textPageId: textPageId.toString(),
+      illustrationPageId: illustrationPageId.toString(),
+      illustrationUrl,
+      storyPageNumber: position,
+    };
+  }
+
+  /**
+   * Delete a spread (its text and illustration pages)
+   * @param {string} bookId - Book ID
+   * @param {string} userId - User ID
+   * @param {number} storyPageNumber - Story page number of the spread
+   * @returns {Promise<Array>} - The book's grouped pages
+   */
+  async deleteSpread(bookId, userId, storyPageNumber) {
+    const book = await this.getEditableBook(bookId, userId);
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const pages = await Page.find({ book_id: book._id }).session(session);
+      const spreads = this.groupSpreads(pages);
+
+      const index = spreads.findIndex(
+        (spreadPages) => spreadPages[0].story_page_number === storyPageNumber
+      );
+      if (index === -1) {
+        throw new Error("Spread not found");
+      }
+      if (spreads.length === 1) {
+        throw new Error("A book must keep at least one spread");
+      }
+
+      const [removed] = spreads.splice(index, 1);
+      await Page.deleteMany(
+        { _id: { $in: removed.map((page) => page._id) } },
+        { session }
+      );
+      await this.saveSpreadOrder(book, spreads, session);
+
+      await session.commitTransaction();
+
+      logger.info(`Spread at story page ${storyPageNumber} deleted from book ${bookId}`);
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      logger.error(`Failed to delete spread from book ${bookId}:`, error);
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return this.getGroupedBookPages(bookId, userId);
+  }
+
+  /**
+   * Reorder a book's spreads
+   * @param {string} bookId - Book ID
+   * @param {string} userId - User ID
+   * @param {Array<number>} order - Every current story page number, in the
+   *   new order
+   * @returns {Promise<Array>} - The book's grouped pages
+   */
+  async reorderSpreads(bookId, userId, order) {
+    const book = await this.getEditableBook(bookId, userId);
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const pages = await Page.find({ book_id: book._id }).session(session);
+      const spreads = this.groupSpreads(pages);
+      const byStoryPage = new Map(
+        spreads.map((spreadPages) => [spreadPages[0].story_page_number, spreadPages])
+      );
+
+      if (
+        !Array.isArray(order) ||
+        order.length !== spreads.length ||
+        new Set(order).size !== order.length ||
+        !order.every((storyPageNumber) => byStoryPage.has(storyPageNumber))
+      ) {
+        throw new Error("Order must list every spread exactly once");
+      }
+
+      await this.saveSpreadOrder(
+        book,
+        order.map((storyPageNumber) => byStoryPage.get(storyPageNumber)),
+        session
+      );
+
+      await session.commitTransaction();
+
+      logger.info(`Spreads of book ${bookId} reordered`, { order });
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      logger.error(`Failed to reorder spreads of book ${bookId}:`, error);
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return this.getGroupedBookPages(bookId, userId);
+  }
 }
 
 module.exports = PageService;
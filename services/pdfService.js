@@ -6,6 +6,7 @@ const mongoose = require("mongoose");
 const Book = require("../models/Book");
 const Page = require("../models/Page");
 const s3Service = require("./s3Service");
+const bookEventService = require("./bookEventService");
 const logger = require("../utils/logger");
 
 /**
@@ -479,6 +480,11 @@ class PDFRegenerationService {
    * @returns {Promise<string>} - New PDF URL
    */
   async regeneratePDF(bookId, userId) {
+    // Progress goes to the book's event stream once the checks have passed
+    let started = false;
+    const publishProgress = (stage, extra = {}) =>
+      bookEventService.publish(bookId, "pdf", { stage, ...extra });
+
     try {
       if (!mongoose.Types.ObjectId.isValid(bookId)) {
         throw new Error("Invalid book ID format");
@@ -499,6 +505,8 @@ class PDFRegenerationService {
       }
 
       logger.info(`Regenerating PDF for book ${bookId} by user ${userId}`);
+      started = true;
+      publishProgress("started");
 
       // Get current book content
       const bookData = await this.getCurrentBookContent(bookId);
@@ -507,6 +515,7 @@ class PDFRegenerationService {
       await this.downloadImagesToTemp(bookData);
 
       // Generate PDF
+      publishProgress("building");
       const tempDir = getTempDir();
       const pdfPath = path.join(tempDir, `book_${bookId}_${Date.now()}.pdf`);
 
@@ -533,6 +542,7 @@ class PDFRegenerationService {
       }
 
       // Upload new PDF to S3
+      publishProgress("uploading");
       const pdfS3Key = s3Service.generateBookPdfS3Key(userId, bookId);
       const newPdfUrl = await s3Service.uploadLocalFile(
         pdfPath,
@@ -550,9 +560,13 @@ class PDFRegenerationService {
       await this.cleanupTempFiles();
 
       logger.info(`PDF regenerated successfully for book ${bookId}`);
+      publishProgress("completed", { pdfUrl: newPdfUrl });
       return newPdfUrl;
     } catch (error) {
       logger.error(`PDF regeneration failed for book ${bookId}:`, error);
+      if (started) {
+        publishProgress("failed", { error: error.message });
+      }
       await this.cleanupTempFiles();
       throw error;
     }
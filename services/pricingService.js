@@ -0,0 +1,178 @@
+const currencyService = require("./currencyService");
+const {
+  DOWNLOAD_PRICES,
+  PRINT_MARKUP_PERCENTAGE,
+  SHIPPING_MARKUP_PERCENTAGE,
+  COUNTRY_MARKUPS,
+  VOLUME_DISCOUNTS,
+  PRICING_BUNDLES,
+} = require("../utils/constants");
+
+// Page count priced when a book's page count has no download price
+const DEFAULT_DOWNLOAD_PAGE_COUNT = 12;
+
+/**
+ * Prices for everything we sell.
+ *
+ * Base prices are in GBP (download prices, and Lulu costs, which Lulu quotes
+ * in GBP). Markups, volume discounts and bundles are applied in GBP and the
+ * result is converted to the checkout currency once, so the parts shown to
+ * the customer add up to the amount charged.
+ */
+class PricingService {
+  /**
+   * Print and shipping markup percentages for a shipping country
+   * @returns {Object} { print_percentage, shipping_percentage }
+   */
+  getMarkup(countryCode) {
+    const countryMarkup = COUNTRY_MARKUPS[String(countryCode || "").toUpperCase()] || {};
+
+    return {
+      print_percentage: countryMarkup.print ?? PRINT_MARKUP_PERCENTAGE,
+      shipping_percentage: countryMarkup.shipping ?? SHIPPING_MARKUP_PERCENTAGE,
+    };
+  }
+
+  /**
+   * Volume discount for ordering several copies of one book (applies to the
+   * copies after the first)
+   * @returns {number} Percent off, 0 below the first tier
+   */
+  getVolumeDiscountPercent(copies) {
+    return VOLUME_DISCOUNTS.reduce(
+      (percentOff, tier) =>
+        copies >= tier.min_copies ? Math.max(percentOff, tier.percent_off) : percentOff,
+      0
+    );
+  }
+
+  /**
+   * Bundle a print format is sold in
+   * @param {Object} product - Print product (see printProductService)
+   * @returns {Object|null} { id, name, bindings, download_percent }
+   */
+  getBundle(product) {
+    const id = Object.keys(PRICING_BUNDLES).find((bundleId) =>
+      PRICING_BUNDLES[bundleId].bindings.includes(product.binding)
+    );
+    return id ? { id, ...PRICING_BUNDLES[id] } : null;
+  }
+
+  getDownloadPriceGbp(pageCount) {
+    const pence = DOWNLOAD_PRICES[pageCount] ?? DOWNLOAD_PRICES[DEFAULT_DOWNLOAD_PAGE_COUNT];
+    return pence / 100;
+  }
+
+  /**
+   * Price of a PDF download
+   * @param {string} currency - Checkout currency (default currency when
+   *   unsupported or empty)
+   * @returns {Object} { amount_cents, currency, fx_snapshot }
+   */
+  getDownloadPrice(pageCount, currency = null) {
+    const fxSnapshot = currencyService.createFxSnapshot(
+      currencyService.resolveCurrency({ preferredCurrency: currency })
+    );
+
+    return {
+      amount_cents: currencyService.convertFromGbp(this.getDownloadPriceGbp(pageCount), fxSnapshot),
+      currency: fxSnapshot.currency,
+      fx_snapshot: fxSnapshot,
+    };
+  }
+
+  /**
+   * Customer price of a Lulu shipping option in GBP
+   */
+  getShippingPriceGbp(luluShippingCostGbp, countryCode) {
+    const { shipping_percentage } = this.getMarkup(countryCode);
+    return parseFloat(luluShippingCostGbp || 0) * (1 + shipping_percentage / 100);
+  }
+
+  /**
+   * Price a print order from Lulu's costs
+   * @param {Object} order
+   * @param {Array} order.items - [{ quantity, pageCount, product, luluCostGbp }]
+   *   where luluCostGbp is Lulu's cost for all copies of the line item
+   * @param {number} order.luluShippingCostGbp - Lulu's shipping cost
+   * @param {string} order.countryCode - Shipping country (picks the markup)
+   * @param {string} order.currency - Checkout currency
+   * @returns {Object} Per-item and total prices in GBP and in the checkout currency
+   */
+  pricePrintOrder({ items, luluShippingCostGbp, countryCode, currency }) {
+    const markup = this.getMarkup(countryCode);
+
+    const lineItems = items.map((item) => {
+      const printCostGbp = item.luluCostGbp * (1 + markup.print_percentage / 100);
+      const volumeDiscountPercent = this.getVolumeDiscountPercent(item.quantity);
+      const volumeDiscountGbp =
+        (printCostGbp / item.quantity) * (item.quantity - 1) * (volumeDiscountPercent / 100);
+      const bundle = this.getBundle(item.product);
+      const downloadCostGbp = bundle
+        ? this.getDownloadPriceGbp(item.pageCount) * (bundle.download_percent / 100)
+        : 0;
+
+      return {
+        print_cost_gbp: printCostGbp - volumeDiscountGbp + downloadCostGbp,
+        volume_discount_percent: volumeDiscountPercent,
+        volume_discount_gbp: volumeDiscountGbp,
+        bundle: bundle?.id || null,
+        bundle_name: bundle?.name || null,
+        download_cost_gbp: downloadCostGbp,
+      };
+    });
+
+    const printCostGbp = lineItems.reduce((total, item) => total + item.print_cost_gbp, 0);
+    const shippingCostGbp = this.getShippingPriceGbp(luluShippingCostGbp, countryCode);
+
+    // Convert each part so the displayed parts add up to the amount charged
+    const fxSnapshot = currencyService.createFxSnapshot(currency);
+    const printCostCents = currencyService.convertFromGbp(printCostGbp, fxSnapshot);
+    const shippingCostCents = currencyService.convertFromGbp(shippingCostGbp, fxSnapshot);
+
+    return {
+      print_markup_percentage: markup.print_percentage,
+      shipping_markup_percentage: markup.shipping_percentage,
+      line_items: lineItems,
+      volume_discount_gbp: lineItems.reduce((total, item) => total + item.volume_discount_gbp, 0),
+      print_cost_gbp: printCostGbp,
+      shipping_cost_gbp: shippingCostGbp,
+      total_cost_gbp: printCostGbp + shippingCostGbp,
+      currency: fxSnapshot.currency,
+      fx_snapshot: fxSnapshot,
+      print_cost_cents: printCostCents,
+      shipping_cost_cents: shippingCostCents,
+      total_cost_cents: printCostCents + shippingCostCents,
+    };
+  }
+
+  /**
+   * Storefront price list for a book: the download price, what each bundle
+   * adds for the PDF and the volume discount tiers (print prices depend on
+   * the destination, so they come from a quote)
+   * @param {Object} options - { pageCount, currency }
+   */
+  getPriceList({ pageCount, currency = null }) {
+    const download = this.getDownloadPrice(pageCount, currency);
+
+    return {
+      currency: download.currency,
+      download: {
+        page_count: pageCount,
+        amount_cents: download.amount_cents,
+      },
+      bundles: Object.keys(PRICING_BUNDLES).map((id) => ({
+        id,
+        name: PRICING_BUNDLES[id].name,
+        bindings: PRICING_BUNDLES[id].bindings,
+        download_amount_cents: currencyService.convertFromGbp(
+          this.getDownloadPriceGbp(pageCount) * (PRICING_BUNDLES[id].download_percent / 100),
+          download.fx_snapshot
+        ),
+      })),
+      volume_discounts: VOLUME_DISCOUNTS,
+    };
+  }
+}
+
+module.exports = new PricingService();
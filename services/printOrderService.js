@@ -3,132 +3,258 @@ const { PrintOrder, Book, User } = require("../models");
 const luluService = require("./luluService");
 const stripeService = require("./stripeService");
 const printReadyPDFService = require("./printReadyPDFService");
+const refundService = require("./refundService");
+const jobQueueService = require("./jobQueueService");
+const emailService = require("./emailService");
+const currencyService = require("./currencyService");
+const printQuoteService = require("./printQuoteService");
+const printProductService = require("./printProductService");
+const promotionService = require("./promotionService");
+const pricingService = require("./pricingService");
 const logger = require("../utils/logger");
-const { PRINT_MARKUP_PERCENTAGE, SHIPPING_MARKUP_PERCENTAGE } = require("../utils/constants");
+const {
+  LULU_SUBMISSION_MAX_ATTEMPTS,
+  LULU_SUBMISSION_RETRY_BASE_DELAY_MS,
+  LULU_SUBMISSION_RETRY_MAX_DELAY_MS,
+  LULU_VALIDATION_POLL_INTERVAL_MS,
+  LULU_VALIDATION_TIMEOUT_MS,
+  GIFT_MESSAGE_MAX_LENGTH,
+  PROMOTION_MIN_CHARGE_CENTS,
+} = require("../utils/constants");
+
+const LULU_SUBMISSION_JOB = "lulu_submission";
+
+// Lulu file validation statuses that end polling
+const LULU_VALIDATION_PASSED_STATUSES = ["VALIDATED", "NORMALIZED"];
+const LULU_VALIDATION_FAILED_STATUSES = ["ERROR"];
 
 class PrintOrderService {
+  constructor() {
+    jobQueueService.registerHandler(
+      LULU_SUBMISSION_JOB,
+      (payload) => this.runLuluSubmissionJob(payload),
+      {
+        maxAttempts: LULU_SUBMISSION_MAX_ATTEMPTS,
+        baseDelayMs: LULU_SUBMISSION_RETRY_BASE_DELAY_MS,
+        maxDelayMs: LULU_SUBMISSION_RETRY_MAX_DELAY_MS,
+        onDead: (payload, job, error) =>
+          this.handleLuluSubmissionDead(payload, job, error),
+      }
+    );
+  }
+
   /**
    * Calculate order cost including markup
+   * Lulu quotes in GBP; the total is converted to the checkout currency
+   * (options.currency, or the shipping country's currency) at the current rate.
+   * options.printProduct picks the print format (default format when empty).
+   */
+  async calculateOrderCost(bookId, quantity, shippingAddress, shippingLevel, options = {}) {
+    const costData = await this.calculateItemsCost(
+      [{ bookId, quantity, printProduct: options.printProduct }],
+      shippingAddress,
+      shippingLevel,
+      options
+    );
+    const [item] = costData.line_items;
+
+    return {
+      book_id: item.book_id,
+      book_title: item.book_title,
+      page_count: item.page_count,
+      print_product: item.print_product,
+      ...costData,
+    };
+  }
+
+  /**
+   * Calculate the cost of printing several books in one shipment
+   * @param {Array} items - [{ bookId, quantity, printProduct }]
+   * @param {Object} options - { currency, userId, gift }; gift orders with
+   *   a message print an extra gift message page in the first book
+   * @returns {Promise<Object>} Cost breakdown with line_items, the total
+   *   quantity and the signed quote_id checkout accepts; see
+   *   calculateOrderCost for the currency handling
    */
-  async calculateOrderCost(bookId, quantity, shippingAddress, shippingLevel) {
+  async calculateItemsCost(items, shippingAddress, shippingLevel, options = {}) {
     try {
-      logger.info(
-        `Calculating order cost for book ${bookId}, quantity: ${quantity}`
-      );
+      logger.info(`Calculating order cost for ${items.length} books`, {
+        items: items.map((item) => `${item.bookId} x ${item.quantity}`),
+      });
 
       // Get book details
-      const book = await Book.findById(bookId);
-      if (!book) {
+      const books = await Promise.all(items.map((item) => Book.findById(item.bookId)));
+      if (books.some((book) => !book)) {
         throw new Error("Book not found");
       }
 
-      // First, get available shipping options for the destination
-      logger.info("Getting available shipping options for destination", {
+      const products = items.map((item) => printProductService.getProduct(item.printProduct));
+      const lineItems = items.map((item, index) => ({
+        book_id: item.bookId,
+        book_title: books[index].title,
+        page_count: books[index].page_count,
+        quantity: item.quantity,
+        print_product: products[index].id,
+        print_product_name: products[index].name,
+      }));
+      // Lulu prices the pages actually printed in each format's package
+      const giftPages = printReadyPDFService.hasGiftMessagePage(options.gift?.message) ? 1 : 0;
+      const quoteItems = lineItems.map((item, index) => ({
+        page_count: printProductService.getPrintedPageCount(
+          products[index],
+          item.page_count + (index === 0 ? giftPages : 0)
+        ),
+        quantity: item.quantity,
+        pod_package_id: products[index].pod_package_id,
+      }));
+      const quantity = lineItems.reduce((total, item) => total + item.quantity, 0);
+
+      // One Lulu call per quote (cached by luluService); the shipping
+      // options are only fetched to explain a failed calculation
+      logger.info("Calculating cost with Lulu", {
+        lineItems: quoteItems,
+        shippingLevel,
         country: shippingAddress.country_code,
-        requestedShippingLevel: shippingLevel,
       });
 
-      const availableShippingOptions = await luluService.getShippingOptions(
-        shippingAddress,
-        book.page_count,
-        quantity
-      );
-
-      // Validate that the requested shipping level is available
-      const isShippingLevelAvailable = availableShippingOptions.some(
-        (option) => option.level === shippingLevel
-      );
-
-      if (!isShippingLevelAvailable) {
-        const availableLevels = availableShippingOptions.map(
-          (option) => option.level
-        );
-        logger.error("Requested shipping level not available", {
-          requestedLevel: shippingLevel,
-          availableLevels,
-          country: shippingAddress.country_code,
-          totalOptionsFound: availableShippingOptions.length,
-        });
-        throw new Error(
-          `Shipping level "${shippingLevel}" is not available for ${
-            shippingAddress.country_code
-          }. Available options: ${availableLevels.join(", ") || "None"}`
+      let luluCostData;
+      try {
+        luluCostData = await luluService.calculatePrintCost(
+          quoteItems,
+          null,
+          shippingAddress,
+          shippingLevel
         );
+      } catch (error) {
+        await this.assertShippingLevelAvailable(quoteItems, shippingAddress, shippingLevel);
+        throw error;
       }
 
-      // Calculate cost using Lulu API
-      logger.info("Calculating cost with validated shipping option", {
-        bookPageCount: book.page_count,
-        quantity,
-        shippingLevel,
-        country: shippingAddress.country_code,
-      });
-
-      const luluCostData = await luluService.calculatePrintCost(
-        book.page_count,
-        quantity,
-        shippingAddress,
-        shippingLevel
+      const luluPrintCost = (luluCostData.line_item_costs || []).reduce(
+        (total, lineItemCost) => total + parseFloat(lineItemCost.total_cost_incl_tax || 0),
+        0
       );
-
-      // Calculate costs with markup
-      const luluPrintCost = parseFloat(luluCostData.line_item_costs?.[0]?.total_cost_incl_tax || 0);
       const luluShippingCost = parseFloat(luluCostData.shipping_cost?.total_cost_incl_tax || 0);
       const luluTotalCost = parseFloat(luluCostData.total_cost_incl_tax);
 
-      // Apply markups
-      const printMarkupPercentage = PRINT_MARKUP_PERCENTAGE || 100;
-      const shippingMarkupPercentage = SHIPPING_MARKUP_PERCENTAGE || 5;
-
-      const printCostWithMarkup = luluPrintCost * (1 + printMarkupPercentage / 100);
-      const shippingCostWithMarkup = luluShippingCost * (1 + shippingMarkupPercentage / 100);
-      const totalCostGBP = printCostWithMarkup + shippingCostWithMarkup;
-      const totalCostCents = Math.ceil(totalCostGBP * 100);
+      // Markups, volume discounts and bundles come from the pricing engine
+      const pricing = pricingService.pricePrintOrder({
+        items: lineItems.map((item, index) => ({
+          quantity: item.quantity,
+          pageCount: item.page_count,
+          product: products[index],
+          luluCostGbp: parseFloat(luluCostData.line_item_costs?.[index]?.total_cost_incl_tax || 0),
+        })),
+        luluShippingCostGbp: luluShippingCost,
+        countryCode: shippingAddress.country_code,
+        currency: currencyService.resolveCurrency({
+          countryCode: shippingAddress.country_code,
+          preferredCurrency: options.currency,
+        }),
+      });
 
       const costBreakdown = {
-        book_id: bookId,
-        book_title: book.title,
-        page_count: book.page_count,
-        quantity: quantity,
+        line_items: lineItems.map((item, index) => ({
+          ...item,
+          ...pricing.line_items[index],
+        })),
+        quantity,
         lulu_cost_gbp: luluTotalCost,
         lulu_print_cost: luluPrintCost,
         lulu_shipping_cost: luluShippingCost,
-        print_markup_percentage: printMarkupPercentage,
-        shipping_markup_percentage: shippingMarkupPercentage,
-        total_cost_gbp: totalCostGBP,
-        total_cost_cents: totalCostCents,
+        // Tax included in Lulu's costs, shown on the invoice
+        lulu_total_tax: parseFloat(luluCostData.total_tax || 0),
+        lulu_shipping_tax: parseFloat(luluCostData.shipping_cost?.total_tax || 0),
+        lulu_tax_rate: luluCostData.line_item_costs?.[0]?.tax_rate ?? null,
+        print_markup_percentage: pricing.print_markup_percentage,
+        shipping_markup_percentage: pricing.shipping_markup_percentage,
+        volume_discount_gbp: pricing.volume_discount_gbp,
+        total_cost_gbp: pricing.total_cost_gbp,
+        total_cost_cents: pricing.total_cost_cents,
         shipping_level: shippingLevel,
-        currency: luluCostData.currency,
+        is_gift: Boolean(options.gift),
+        gift_message_page: giftPages > 0,
+        currency: pricing.currency,
+        fx_snapshot: pricing.fx_snapshot,
+        lulu_currency: luluCostData.currency,
         cost_breakdown: {
           line_items: luluCostData.line_item_costs,
           shipping: luluCostData.shipping_cost,
           fulfillment: luluCostData.fulfillment_cost,
           fees: luluCostData.fees || [],
         },
-        display_print_cost_gbp: printCostWithMarkup,
-        display_shipping_cost_gbp: shippingCostWithMarkup,
+        display_print_cost_gbp: pricing.print_cost_gbp,
+        display_shipping_cost_gbp: pricing.shipping_cost_gbp,
+        display_print_cost_cents: pricing.print_cost_cents,
+        display_shipping_cost_cents: pricing.shipping_cost_cents,
       };
 
+      const quote = await printQuoteService.createQuote(costBreakdown, {
+        userId: options.userId,
+        shippingAddress,
+      });
+
       logger.info("Order cost calculated successfully", {
-        bookId,
+        books: lineItems.length,
+        quantity,
         lulu_print_cost: luluPrintCost,
         lulu_shipping_cost: luluShippingCost,
-        display_print_cost_gbp: printCostWithMarkup,
-        display_shipping_cost_gbp: shippingCostWithMarkup,
-        total_cost_gbp: totalCostGBP,
-        totalCostCents,
+        display_print_cost_gbp: pricing.print_cost_gbp,
+        display_shipping_cost_gbp: pricing.shipping_cost_gbp,
+        volume_discount_gbp: pricing.volume_discount_gbp,
+        total_cost_gbp: pricing.total_cost_gbp,
+        currency: pricing.currency,
+        fxRate: pricing.fx_snapshot.rate,
+        totalCostCents: pricing.total_cost_cents,
         luluTotalCost,
+        quoteId: quote.quote_id,
       });
 
-      return costBreakdown;
+      return { ...costBreakdown, ...quote };
     } catch (error) {
       logger.error("Failed to calculate order cost:", error.message);
       throw new Error(`${error.message.replace("Error: ", "")}`);
     }
   }
 
+  /**
+   * Throw a descriptive error if Lulu does not offer the shipping level
+   * for the destination
+   */
+  async assertShippingLevelAvailable(quoteItems, shippingAddress, shippingLevel) {
+    const availableShippingOptions = await luluService.getShippingOptions(
+      shippingAddress,
+      quoteItems
+    );
+
+    const isShippingLevelAvailable = availableShippingOptions.some(
+      (option) => option.level === shippingLevel
+    );
+
+    if (!isShippingLevelAvailable) {
+      const availableLevels = availableShippingOptions.map(
+        (option) => option.level
+      );
+      logger.error("Requested shipping level not available", {
+        requestedLevel: shippingLevel,
+        availableLevels,
+        country: shippingAddress.country_code,
+        totalOptionsFound: availableShippingOptions.length,
+      });
+      throw new Error(
+        `Shipping level "${shippingLevel}" is not available for ${
+          shippingAddress.country_code
+        }. Available options: ${availableLevels.join(", ") || "None"}`
+      );
+    }
+  }
+
   /**
    * Create a Stripe checkout session for print order
+   * With orderData.quoteId the stored quote's price is charged; otherwise
+   * the order is priced now. With orderData.gift ({ message, recipientEmail })
+   * the book ships to shippingAddress as a gift (see getGiftMetadata).
+   * orderData.promoCode takes a promotion's discount off the total.
    */
     async createPrintOrderCheckout(userId, orderData) {
     try {
@@ -139,6 +265,11 @@ class PrintOrderService {
         quantity,
         shippingAddress,
         shippingLevel,
+        currency,
+        quoteId,
+        printProduct,
+        gift,
+        promoCode,
       } = orderData ?? {};
 
       const qty = Number.isFinite(Number(quantity)) ? Number(quantity) : 1;
@@ -151,44 +282,45 @@ class PrintOrderService {
       });
 
       // Validate book exists and user has access
-      const book = await Book.findById(bookId);
-      if (!book) {
-        throw new Error("Book not found");
-      }
-
-      // Treat several possible flags as "public"
-      const isPublic = !!(
-        book?.is_public === true ||
-        book?.isPublic === true ||
-        book?.visibility === "public" ||
-        book?.public === true ||
-        book?.is_template_public === true
-      );
-
-      // Normalise owner id field (user_id vs user vs owner/created_by)
-      const ownerId = (book?.user_id || book?.user || book?.owner || book?.created_by);
-      const isOwner = !!(ownerId && safeUserId && String(ownerId) === safeUserId);
-
-      if (!isOwner && !isPublic) {
-        throw new Error("You can only print your own books");
-      }
-
-      if (book.generation_status !== "completed") {
-        throw new Error("Book must be completed before printing");
-      }
-
-      // Calculate cost with safe qty
-      const costData = await this.calculateOrderCost(
-        bookId,
-        qty,
-        shippingAddress,
-        shippingLevel
-      );
+      const book = await this.getPrintableBook(bookId, safeUserId);
+      const product = printProductService.getProduct(printProduct);
 
       // Get user email only if we actually have a user id
       const user = safeUserId ? await User.findById(safeUserId) : null;
       const userEmail = user?.email || undefined;
 
+      // Charge the quoted price, or calculate cost with safe qty in the
+      // requested or preferred currency
+      const costData = quoteId
+        ? await printQuoteService.getQuoteForCheckout(quoteId, {
+            items: [{
+              bookId,
+              quantity: qty,
+              pageCount: book.page_count,
+              printProduct: product.id,
+            }],
+            shippingAddress,
+            shippingLevel,
+            giftMessagePage: printReadyPDFService.hasGiftMessagePage(gift?.message),
+          })
+        : await this.calculateOrderCost(
+            bookId,
+            qty,
+            shippingAddress,
+            shippingLevel,
+            {
+              currency: currency || user?.preferred_currency,
+              userId: safeUserId,
+              printProduct: product.id,
+              gift,
+            }
+          );
+
+      const discount = await this.getPromoDiscount(promoCode, costData, {
+        userId: safeUserId,
+        email: userEmail,
+      });
+
       // ✅ Stripe requires strings in metadata; never call .toString() on maybe-null
       const metadata = {
         order_type: "print",
@@ -196,36 +328,40 @@ class PrintOrderService {
         user_id: safeUserId, // always a string ("" for guest)
         quantity: String(qty),
         page_count: String(book.page_count ?? ""),
+        print_product: product.id,
         shipping_level: String(shippingLevel ?? ""),
-        shipping_country: String(shippingAddress?.country_code ?? ""),
-        shipping_city: String(shippingAddress?.city ?? ""),
-        shipping_state: String(shippingAddress?.state_code ?? ""),
-        shipping_postal_code: String(shippingAddress?.postal_code ?? ""),
-        lulu_print_cost: String(costData.lulu_print_cost ?? ""),
-        lulu_shipping_cost: String(costData.lulu_shipping_cost ?? ""),
-        print_markup: String(costData.print_markup_percentage ?? ""),
-        shipping_markup: String(costData.shipping_markup_percentage ?? ""),
+        ...this.getShippingMetadata(shippingAddress),
+        ...this.getCostMetadata(costData),
+        ...this.getGiftMetadata(gift),
+        ...discount?.metadata,
       };
 
       const session = await stripeService.createPrintCheckoutSession(
         bookId,
-        costData.total_cost_cents,    // number OK for Stripe amount
+        costData.total_cost_cents - (discount?.discountCents || 0), // number OK for Stripe amount
         safeUserId,                   // never null
         userEmail,
         metadata
       );
+      await promotionService.reserveRedemption(session, {
+        userId: safeUserId || null,
+        email: userEmail,
+      });
 
       logger.info("Print order checkout session created", {
         sessionId: session.id,
         bookId,
         userId: safeUserId || "(guest)",
         totalCostCents: costData.total_cost_cents,
+        discountCents: discount?.discountCents || 0,
+        currency: costData.currency,
       });
 
       return {
         checkoutUrl: session.url,
         sessionId: session.id,
         costData,
+        discountCents: discount?.discountCents || 0,
       };
     } catch (error) {
       logger.error("Failed to create print order checkout:", error.message);
@@ -233,6 +369,261 @@ class PrintOrderService {
     }
   }
 
+  /**
+   * Create one Stripe checkout session for every book in a cart.
+   * The books travel in the session metadata ("bookId:quantity:format,..."), so
+   * later cart changes do not alter what was paid for.
+   * @param {string} userId - Cart owner
+   * @param {Object} cart - Cart document with items and shipping details
+   * @param {Object} options - { currency, quoteId, gift, promoCode }
+   */
+  async createCartCheckout(userId, cart, options = {}) {
+    try {
+      const safeUserId = String(userId);
+      const items = cart.items.map((item) => ({
+        bookId: String(item.book_id?._id || item.book_id),
+        quantity: item.quantity,
+        printProduct: printProductService.getProduct(item.print_product).id,
+      }));
+
+      logger.info(`Creating cart checkout session`, {
+        userId: safeUserId,
+        books: items.length,
+        shippingLevel: cart.shipping_level,
+      });
+
+      const books = [];
+      for (const item of items) {
+        books.push(await this.getPrintableBook(item.bookId, safeUserId));
+      }
+
+      const user = await User.findById(safeUserId);
+
+      const costData = options.quoteId
+        ? await printQuoteService.getQuoteForCheckout(options.quoteId, {
+            items: items.map((item, index) => ({
+              ...item,
+              pageCount: books[index].page_count,
+            })),
+            shippingAddress: cart.shipping_address,
+            shippingLevel: cart.shipping_level,
+            giftMessagePage: printReadyPDFService.hasGiftMessagePage(options.gift?.message),
+          })
+        : await this.calculateItemsCost(
+            items,
+            cart.shipping_address,
+            cart.shipping_level,
+            {
+              currency: options.currency || user?.preferred_currency,
+              userId: safeUserId,
+              gift: options.gift,
+            }
+          );
+
+      const discount = await this.getPromoDiscount(options.promoCode, costData, {
+        userId: safeUserId,
+        email: user?.email,
+      });
+
+      const metadata = {
+        order_type: "print",
+        book_id: items[0].bookId,
+        user_id: safeUserId,
+        quantity: String(costData.quantity),
+        page_count: String(books[0].page_count ?? ""),
+        book_count: String(items.length),
+        cart_items: items
+          .map((item) => `${item.bookId}:${item.quantity}:${item.printProduct}`)
+          .join(","),
+        shipping_level: String(cart.shipping_level ?? ""),
+        ...this.getShippingMetadata(cart.shipping_address),
+        ...this.getCostMetadata(costData),
+        ...this.getGiftMetadata(options.gift),
+        ...discount?.metadata,
+        returnUrl: "/my-orders",
+      };
+
+      const session = await stripeService.createPrintCheckoutSession(
+        items[0].bookId,
+        costData.total_cost_cents - (discount?.discountCents || 0),
+        safeUserId,
+        user?.email,
+        metadata
+      );
+      await promotionService.reserveRedemption(session, {
+        userId: safeUserId,
+        email: user?.email,
+      });
+
+      logger.info("Cart checkout session created", {
+        sessionId: session.id,
+        userId: safeUserId,
+        books: items.length,
+        totalCostCents: costData.total_cost_cents,
+        discountCents: discount?.discountCents || 0,
+        currency: costData.currency,
+      });
+
+      return {
+        checkoutUrl: session.url,
+        sessionId: session.id,
+        costData,
+        discountCents: discount?.discountCents || 0,
+      };
+    } catch (error) {
+      logger.error("Failed to create cart checkout:", error.message);
+      throw new Error(`Failed to create cart checkout: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a book and check that the user may order prints of it
+   */
+  async getPrintableBook(bookId, userId) {
+    const book = await Book.findById(bookId);
+    if (!book) {
+      throw new Error("Book not found");
+    }
+
+    // Treat several possible flags as "public"
+    const isPublic = !!(
+      book?.is_public === true ||
+      book?.isPublic === true ||
+      book?.visibility === "public" ||
+      book?.public === true ||
+      book?.is_template_public === true
+    );
+
+    // Normalise owner id field (user_id vs user vs owner/created_by)
+    const ownerId = (book?.user_id || book?.user || book?.owner || book?.created_by);
+    const isOwner = !!(ownerId && userId && String(ownerId) === String(userId));
+
+    if (!isOwner && !isPublic) {
+      throw new Error("You can only print your own books");
+    }
+
+    if (book.generation_status !== "completed") {
+      throw new Error("Book must be completed before printing");
+    }
+
+    return book;
+  }
+
+  /**
+   * Stripe metadata describing how an order was priced
+   * (Stripe requires string values)
+   */
+  getCostMetadata(costData) {
+    return {
+      lulu_print_cost: String(costData.lulu_print_cost ?? ""),
+      lulu_shipping_cost: String(costData.lulu_shipping_cost ?? ""),
+      print_markup: String(costData.print_markup_percentage ?? ""),
+      shipping_markup: String(costData.shipping_markup_percentage ?? ""),
+      shipping_cost_cents: String(costData.display_shipping_cost_cents ?? ""),
+      lulu_total_tax: String(costData.lulu_total_tax ?? ""),
+      lulu_shipping_tax: String(costData.lulu_shipping_tax ?? ""),
+      lulu_tax_rate: String(costData.lulu_tax_rate ?? ""),
+      currency: costData.currency,
+      fx_base_currency: costData.fx_snapshot.base_currency,
+      fx_rate: String(costData.fx_snapshot.rate),
+      fx_captured_at: new Date(costData.fx_snapshot.captured_at).toISOString(),
+      quote_id: String(printQuoteService.getQuoteDocumentId(costData.quote_id) ?? ""),
+    };
+  }
+
+
+  /**
+   * Promo code discount on a priced print order, or null without a code
+   * @param {Object} buyer - { userId, email }
+   */
+  async getPromoDiscount(promoCode, costData, { userId, email }) {
+    if (!promoCode) {
+      return null;
+    }
+
+    return promotionService.getCheckoutDiscount(promoCode, {
+      product: "print",
+      userId: userId || null,
+      email: email || null,
+      amountCents: costData.total_cost_cents,
+      currency: costData.currency,
+      minChargeCents: PROMOTION_MIN_CHARGE_CENTS,
+    });
+  }
+
+  /**
+   * Stripe metadata for the address an order was priced for. The order
+   * ships there (see getCheckoutShippingAddress) and Stripe does not collect
+   * another one, so the quoted shipping cost and currency hold.
+   * @param {Object} shippingAddress - Address the order was priced for
+   */
+  getShippingMetadata(shippingAddress) {
+    return {
+      shipping_name: String(shippingAddress?.name ?? ""),
+      shipping_street1: String(shippingAddress?.street1 ?? ""),
+      shipping_street2: String(shippingAddress?.street2 ?? ""),
+      shipping_city: String(shippingAddress?.city ?? ""),
+      shipping_state: String(shippingAddress?.state_code ?? ""),
+      shipping_postal_code: String(shippingAddress?.postcode ?? ""),
+      shipping_country: String(shippingAddress?.country_code ?? ""),
+      shipping_phone: String(shippingAddress?.phone_number ?? ""),
+    };
+  }
+
+  /**
+   * Shipping address of a paid order from its getShippingMetadata fields.
+   * The buyer's email is kept on the address because Lulu uses it as the
+   * order contact.
+   */
+  getCheckoutShippingAddress(metadata, customerDetails) {
+    return {
+      name: metadata.shipping_name || customerDetails?.name || "Customer",
+      street1: metadata.shipping_street1,
+      street2: metadata.shipping_street2 || "",
+      city: metadata.shipping_city || "",
+      state_code: metadata.shipping_state || "",
+      postcode: metadata.shipping_postal_code || "",
+      country_code: metadata.shipping_country,
+      phone_number: metadata.shipping_phone || customerDetails?.phone || "N/A",
+      email: customerDetails?.email || metadata.customer_email || "",
+    };
+  }
+
+  /**
+   * Stripe metadata for a gift order. The recipient's address is the
+   * order's shipping address (see getShippingMetadata).
+   * @param {Object} gift - { message, recipientEmail }, or null for no gift
+   */
+  getGiftMetadata(gift) {
+    if (!gift) {
+      return {};
+    }
+
+    return {
+      is_gift: "true",
+      gift_message: String(gift.message ?? "").slice(0, GIFT_MESSAGE_MAX_LENGTH),
+      gift_recipient_email: String(gift.recipientEmail ?? ""),
+    };
+  }
+
+  /**
+   * Shipping address of a paid gift order from a checkout session created
+   * before the address moved to the shipping_* metadata. The buyer's email
+   * is kept on the address because Lulu uses it as the order contact.
+   */
+  getGiftShippingAddress(metadata, customerDetails) {
+    return {
+      name: metadata.gift_name || "Gift Recipient",
+      street1: metadata.gift_street1 || "",
+      street2: metadata.gift_street2 || "",
+      city: metadata.gift_city || "",
+      state_code: metadata.gift_state || "",
+      postcode: metadata.gift_postcode || "",
+      country_code: metadata.gift_country || "US",
+      phone_number: metadata.gift_phone || customerDetails?.phone || "N/A",
+      email: customerDetails?.email || metadata.customer_email || "",
+    };
+  }
 
   /**
    * Create a new print order (called after successful payment)
@@ -264,6 +655,8 @@ class PrintOrderService {
         external_id: externalId,
         quantity: quantity,
         total_cost_cents: costData.total_cost_cents,
+        currency: costData.currency,
+        fx_snapshot: costData.fx_snapshot,
         lulu_cost_gbp: costData.lulu_cost_gbp,
         markup_percentage: costData.print_markup_percentage,
         shipping_address: shippingAddress,
@@ -346,12 +739,18 @@ class PrintOrderService {
   /**
    * Generate print-ready PDFs for a book
    */
-  async generatePrintReadyPDFs(bookId, userId, orderId) {
+  async generatePrintReadyPDFs(bookId, userId, orderId, printProductId = null, options = {}) {
     try {
       logger.info(`Generating print-ready PDFs for book ${bookId}`);
 
       // Use the dedicated print-ready PDF service
-      const pdfUrls = await printReadyPDFService.generatePrintReadyPDFs(bookId, userId, orderId);
+      const pdfUrls = await printReadyPDFService.generatePrintReadyPDFs(
+        bookId,
+        userId,
+        orderId,
+        printProductId,
+        options
+      );
 
       logger.info("Print-ready PDFs generated successfully", {
         bookId,
@@ -430,22 +829,34 @@ class PrintOrderService {
   }
 
   /**
-   * Cancel a print order
+   * Cancel a print order and refund it
+   * @param {string} orderId - Print order ID
+   * @param {string|null} userId - Owner to scope the lookup to (null for admins)
+   * @param {string} reason - Reason recorded on the refund
+   * @param {Object} options - { asAdmin } where admins can also cancel paid
+   *   orders Lulu has not started producing
    */
-  async cancelPrintOrder(orderId, userId) {
+  async cancelPrintOrder(orderId, userId, reason = "Order canceled by customer", options = {}) {
+    const { asAdmin = false } = options;
+
     try {
-      logger.info(`Canceling print order ${orderId} for user ${userId}`);
+      logger.info(`Canceling print order ${orderId}`, { userId, reason, asAdmin });
 
-      const printOrder = await PrintOrder.findOne({
-        _id: orderId,
-        user_id: userId,
-      });
+      const query = { _id: orderId };
+      if (userId) {
+        query.user_id = userId;
+      }
+
+      const printOrder = await PrintOrder.findOne(query);
 
       if (!printOrder) {
         throw new Error("Print order not found");
       }
 
-      if (!printOrder.canBeCanceled()) {
+      const canCancel = asAdmin
+        ? printOrder.canBeCanceledByAdmin()
+        : printOrder.canBeCanceled();
+      if (!canCancel) {
         throw new Error("Print order cannot be canceled at this stage");
       }
 
@@ -454,6 +865,11 @@ class PrintOrderService {
         try {
           await luluService.cancelPrintJob(printOrder.lulu_print_job_id);
         } catch (error) {
+          // Once paid, Lulu would still print it: don't refund an order
+          // that was not canceled there
+          if (!printOrder.canBeCanceled()) {
+            throw new Error(`Lulu did not cancel the print job: ${error.message}`);
+          }
           logger.warn(
             "Failed to cancel Lulu print job, continuing with local cancellation:",
             error.message
@@ -465,19 +881,32 @@ class PrintOrderService {
       printOrder.status = "canceled";
       await printOrder.save();
 
-      // TODO: Process Stripe refund if needed
-      if (printOrder.stripe_session_id) {
-        logger.info("Note: Stripe refund should be processed manually for now", {
-          orderId,
-          stripeSessionId: printOrder.stripe_session_id,
-        });
+      // Refund the full payment. A failed refund is recorded on the order
+      // (refund_status "failed") and must not undo the cancellation.
+      let canceledOrder = printOrder;
+      if (printOrder.stripe_session_id || printOrder.stripe_payment_intent_id) {
+        try {
+          const result = await refundService.refundPrintOrder(
+            printOrder._id,
+            null,
+            reason
+          );
+          canceledOrder = result.printOrder;
+        } catch (error) {
+          logger.error("Failed to refund canceled print order:", {
+            orderId,
+            error: error.message,
+          });
+          canceledOrder = await PrintOrder.findById(printOrder._id);
+        }
       }
 
       logger.info("Print order canceled successfully", {
         orderId,
+        refundStatus: canceledOrder.refund_status,
       });
 
-      return printOrder;
+      return canceledOrder;
     } catch (error) {
       logger.error("Failed to cancel print order:", error.message);
       throw new Error(`Failed to cancel print order: ${error.message}`);
@@ -504,6 +933,9 @@ class PrintOrderService {
 
       // Update order status
       printOrder.status = newStatus;
+      if (status.changed) {
+        printOrder.lulu_status_changed_at = new Date(status.changed);
+      }
 
       // Handle status-specific updates
       if (
@@ -543,6 +975,76 @@ class PrintOrderService {
     }
   }
 
+  /**
+   * Books of a cart checkout from session metadata ("bookId:quantity:format,...";
+   * checkouts from before print formats have no format)
+   * @returns {Array} [{ bookId, quantity, printProduct }], empty for
+   *   single-book checkouts
+   */
+  parseCartItems(metadata) {
+    if (!metadata.cart_items) {
+      return [];
+    }
+
+    return metadata.cart_items.split(",").map((entry) => {
+      const [bookId, quantity, printProduct] = entry.split(":");
+      return { bookId, quantity: parseInt(quantity), printProduct: printProduct || null };
+    });
+  }
+
+  /**
+   * Format fields stored on an order or line item, resolved when the payment
+   * completes so later catalog changes leave the order alone. Formats that
+   * left the catalog since checkout fall back to the default.
+   */
+  getPrintProductFields(productId) {
+    if (productId && !printProductService.isAvailable(productId)) {
+      logger.warn(`Print format ${productId} is no longer available, using the default`);
+      productId = null;
+    }
+
+    const product = printProductService.getProduct(productId);
+    return { print_product: product.id, pod_package_id: product.pod_package_id };
+  }
+
+  /**
+   * Shipping price and Lulu tax from checkout metadata (absent on sessions
+   * created before they were recorded)
+   */
+  getInvoiceCostFields(metadata) {
+    const toNumber = (value) => (value ? parseFloat(value) : null);
+
+    return {
+      shipping_cost_cents: toNumber(metadata.shipping_cost_cents),
+      lulu_tax: {
+        total_gbp: toNumber(metadata.lulu_total_tax),
+        shipping_gbp: toNumber(metadata.lulu_shipping_tax),
+        rate: toNumber(metadata.lulu_tax_rate),
+      },
+    };
+  }
+
+  /**
+   * Rebuild the FX snapshot stored in checkout session metadata.
+   * Sessions created before multi-currency checkout were charged in GBP.
+   */
+  getFxSnapshotFromMetadata(metadata, sessionCurrency) {
+    if (!metadata.fx_rate) {
+      return {
+        base_currency: "gbp",
+        currency: sessionCurrency || "gbp",
+        rate: 1,
+        captured_at: null,
+      };
+    }
+
+    return {
+      base_currency: metadata.fx_base_currency || "gbp",
+      currency: metadata.currency || sessionCurrency,
+      rate: parseFloat(metadata.fx_rate),
+      captured_at: metadata.fx_captured_at ? new Date(metadata.fx_captured_at) : null,
+    };
+  }
 
 /**
  * Process successful print payment from Stripe webhook
@@ -581,20 +1083,28 @@ async processPrintPaymentSuccess(stripeSession) {
         attempts: existingOrder.lulu_submission_attempts
       });
       
-      // If order exists but Lulu submission failed, retry
-      if (existingOrder.lulu_submission_status === 'failed' && 
-          existingOrder.lulu_submission_attempts < 3) {
-        logger.info(`Retrying Lulu submission for order ${existingOrder._id}`);
-        await this.submitOrderToLulu(existingOrder._id, session);
-      }
-      
       await session.commitTransaction();
+
+      // If order exists but Lulu submission failed, or it was never queued
+      // (the enqueue after the commit failed), make sure a submission is queued
+      const submissionFailed = ['failed', 'retry_needed'].includes(
+        existingOrder.lulu_submission_status
+      );
+      const submissionMissing =
+        !existingOrder.lulu_print_job_id &&
+        existingOrder.status !== 'canceled' &&
+        !(await jobQueueService.getActiveJob(`${LULU_SUBMISSION_JOB}:${existingOrder._id}`));
+      if (submissionFailed || submissionMissing) {
+        await this.enqueueLuluSubmission(existingOrder._id);
+      }
+
       return existingOrder;
     }
 
     // Parse metadata
     const bookId = metadata.book_id;
-    const userId = metadata.user_id;
+    const userId =
+      metadata.user_id && !metadata.user_id.startsWith("guest_") ? metadata.user_id : null;
     const quantity = parseInt(metadata.quantity);
 
     // Validate book exists
@@ -603,6 +1113,24 @@ async processPrintPaymentSuccess(stripeSession) {
       throw new Error(`Book not found: ${bookId}`);
     }
 
+    // Cart checkouts print several books, each rendered separately
+    const lineItems = [];
+    for (const cartItem of this.parseCartItems(metadata)) {
+      const cartBook = await Book.findById(cartItem.bookId)
+        .select("title page_count")
+        .session(session);
+      if (!cartBook) {
+        throw new Error(`Book not found: ${cartItem.bookId}`);
+      }
+      lineItems.push({
+        book_id: cartBook._id,
+        title: cartBook.title,
+        page_count: cartBook.page_count,
+        quantity: cartItem.quantity,
+        ...this.getPrintProductFields(cartItem.printProduct),
+      });
+    }
+
     // Generate external ID
     const timestamp = Date.now();
     const random = Math.random().toString(36).substring(2, 8).toUpperCase();
@@ -624,18 +1152,28 @@ async processPrintPaymentSuccess(stripeSession) {
       addressCountry: stripeShipping?.address?.country,
     });
     
-    // Normalize Stripe fields to PrintOrder schema field names
-    const shippingAddress = {
-      name: stripeShipping?.name || customerDetails?.name || "Customer",
-      street1: stripeShipping?.address?.line1 || metadata.shipping_city || "", // Fallback to metadata if missing
-      street2: stripeShipping?.address?.line2 || "",
-      city: stripeShipping?.address?.city || metadata.shipping_city || "",
-      state_code: stripeShipping?.address?.state || metadata.shipping_state || "",
-      postcode: stripeShipping?.address?.postal_code || metadata.shipping_postal_code || "",
-      country_code: stripeShipping?.address?.country || metadata.shipping_country || "US",
-      phone_number: customerDetails?.phone || "N/A",
-      email: customerDetails?.email || metadata.customer_email || ""
-    };
+    // Orders ship to the address they were priced for (the gift recipient's
+    // for gifts). Sessions created before that address was stored in full
+    // use the gift fields or normalize the address Stripe collected.
+    const isGift = metadata.is_gift === "true";
+    let shippingAddress;
+    if (metadata.shipping_street1) {
+      shippingAddress = this.getCheckoutShippingAddress(metadata, customerDetails);
+    } else if (isGift) {
+      shippingAddress = this.getGiftShippingAddress(metadata, customerDetails);
+    } else {
+      shippingAddress = {
+        name: stripeShipping?.name || customerDetails?.name || "Customer",
+        street1: stripeShipping?.address?.line1 || metadata.shipping_city || "", // Fallback to metadata if missing
+        street2: stripeShipping?.address?.line2 || "",
+        city: stripeShipping?.address?.city || metadata.shipping_city || "",
+        state_code: stripeShipping?.address?.state || metadata.shipping_state || "",
+        postcode: stripeShipping?.address?.postal_code || metadata.shipping_postal_code || "",
+        country_code: stripeShipping?.address?.country || metadata.shipping_country || "US",
+        phone_number: customerDetails?.phone || "N/A",
+        email: customerDetails?.email || metadata.customer_email || ""
+      };
+    }
 
     // Log normalized address before validation
     logger.info(`Normalized shipping address for order`, {
@@ -662,14 +1200,35 @@ async processPrintPaymentSuccess(stripeSession) {
     // Create print order record
     const printOrder = new PrintOrder({
       user_id: userId,
+      guest_email: userId
+        ? null
+        : customerDetails?.email || stripeSession.customer_email || null,
       book_id: bookId,
       external_id: externalId,
       quantity: quantity,
+      ...this.getPrintProductFields(metadata.print_product),
+      line_items: lineItems,
       total_cost_cents: stripeSession.amount_total,
+      currency: stripeSession.currency || metadata.currency || "gbp",
+      fx_snapshot: this.getFxSnapshotFromMetadata(metadata, stripeSession.currency),
+      print_quote_id: metadata.quote_id || null,
+      ...(metadata.promotion_id && {
+        promotion: promotionService.getOrderPromotion(metadata),
+      }),
       lulu_cost_gbp: parseFloat(metadata.lulu_print_cost) + parseFloat(metadata.lulu_shipping_cost),
       markup_percentage: parseInt(metadata.print_markup || metadata.print_markup_percentage || 100),
+      ...this.getInvoiceCostFields(metadata),
       shipping_address: shippingAddress,
       shipping_level: metadata.shipping_level,
+      ...(isGift && {
+        gift: {
+          is_gift: true,
+          message: metadata.gift_message || null,
+          recipient_email: metadata.gift_recipient_email || null,
+          buyer_name: customerDetails?.name || null,
+          buyer_email: customerDetails?.email || null,
+        },
+      }),
       stripe_session_id: stripeSession.id,
       stripe_payment_intent_id: stripeSession.payment_intent,
       status: "created",
@@ -685,24 +1244,27 @@ async processPrintPaymentSuccess(stripeSession) {
       stripeSessionId: stripeSession.id
     });
 
-    // Submit to Lulu
-    await this.submitOrderToLulu(printOrder._id, session);
-
     await session.commitTransaction();
 
+    // Rendering, validating and submitting the PDFs can take minutes, so it runs
+    // in the job queue instead of holding up the Stripe webhook response
+    await this.enqueueLuluSubmission(printOrder._id);
+
     return await PrintOrder.findById(printOrder._id)
       .populate("book_id", "title")
       .populate("user_id", "email");
 
   } catch (error) {
-    await session.abortTransaction();
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     logger.error(`Failed to process print payment: ${error.message}`, {
       sessionId: stripeSession.id,
       error: error.stack
     });
     
-    // Don't throw - we don't want to fail the webhook
-    // Mark order as needing retry if it exists
+    // Mark order as needing retry if it exists, then fail the webhook so the
+    // event is stored as failed and Stripe (or an admin replay) runs it again
     try {
       await PrintOrder.findOneAndUpdate(
         { stripe_session_id: stripeSession.id },
@@ -714,24 +1276,22 @@ async processPrintPaymentSuccess(stripeSession) {
     } catch (updateError) {
       logger.error(`Failed to mark order for retry: ${updateError.message}`);
     }
-    
-    return null;
+
+    throw error;
   } finally {
     session.endSession();
   }
 }
 
 /**
- * Submit order to Lulu (separate method for retries)
+ * Submit order to Lulu (final step of the fulfillment pipeline)
+ * Expects the print-ready PDFs to have been rendered already.
  */
-async submitOrderToLulu(printOrderId, session = null) {
-  const useSession = session || (await mongoose.startSession());
-  if (!session) useSession.startTransaction();
+async submitOrderToLulu(printOrderId) {
+  let claimed = false;
 
   try {
-    const printOrder = await PrintOrder.findById(printOrderId)
-      .populate('book_id')
-      .session(useSession);
+    const printOrder = await PrintOrder.findById(printOrderId).populate('book_id');
 
     if (!printOrder) {
       throw new Error(`Print order not found: ${printOrderId}`);
@@ -745,49 +1305,84 @@ async submitOrderToLulu(printOrderId, session = null) {
       return printOrder;
     }
 
-    // Update submission status
-    printOrder.lulu_submission_status = 'submitting';
-    printOrder.lulu_submission_attempts += 1;
-    await printOrder.save({ session: useSession });
-
-    logger.info(`Submitting order ${printOrderId} to Lulu (attempt ${printOrder.lulu_submission_attempts})`);
+    const items = this.getPrintItems(printOrder);
+    if (items.some((item) => !item.cover_pdf_url || !item.interior_pdf_url)) {
+      throw new Error("Print-ready PDFs have not been generated");
+    }
 
-    // Generate PDFs if not already present
-    if (!printOrder.cover_pdf_url || !printOrder.interior_pdf_url) {
-      const pdfUrls = await this.generatePrintReadyPDFs(
-        printOrder.book_id._id,
-        printOrder.user_id,
-        printOrderId
+    // Claim the order so only one attempt talks to Lulu at a time
+    let claim = await PrintOrder.findOneAndUpdate(
+      {
+        _id: printOrderId,
+        lulu_print_job_id: null,
+        lulu_submission_status: { $ne: 'submitting' },
+      },
+      {
+        $set: { lulu_submission_status: 'submitting' },
+        $inc: { lulu_submission_attempts: 1 },
+      },
+      { new: true }
+    );
+
+    if (!claim) {
+      // Still 'submitting': an earlier attempt was cut off (its job was
+      // recovered by the queue), possibly after Lulu created the print job
+      claim = await PrintOrder.findOneAndUpdate(
+        {
+          _id: printOrderId,
+          lulu_print_job_id: null,
+          lulu_submission_status: 'submitting',
+        },
+        { $inc: { lulu_submission_attempts: 1 } },
+        { new: true }
       );
-      
-      printOrder.cover_pdf_url = pdfUrls.coverPdfUrl;
-      printOrder.interior_pdf_url = pdfUrls.interiorPdfUrl;
-      await printOrder.save({ session: useSession });
     }
 
+    if (!claim) {
+      const current = await PrintOrder.findById(printOrderId);
+      if (current?.lulu_print_job_id) {
+        logger.info(`Order ${printOrderId} already submitted to Lulu`, {
+          luluJobId: current.lulu_print_job_id
+        });
+        return current;
+      }
+      throw new Error(`Print order ${printOrderId} could not be claimed for submission`);
+    }
+    claimed = true;
+
+    printOrder.lulu_submission_status = claim.lulu_submission_status;
+    printOrder.lulu_submission_attempts = claim.lulu_submission_attempts;
+
+    // A previous attempt may have created the print job and then failed
+    // before recording it - reuse that job instead of paying for a second one
+    if (claim.lulu_submission_attempts > 1) {
+      const existingJob = await luluService.findPrintJobByExternalId(printOrder.external_id);
+      if (existingJob) {
+        logger.warn(`Recovered existing Lulu print job for order ${printOrderId}`, {
+          luluJobId: existingJob.id,
+          attempts: claim.lulu_submission_attempts
+        });
+        return this.recordLuluPrintJob(printOrder, existingJob);
+      }
+    }
+
+    logger.info(`Submitting order ${printOrderId} to Lulu (attempt ${printOrder.lulu_submission_attempts})`);
+
     // Submit to Lulu API
     const luluPrintJob = await luluService.createPrintJob({
       external_id: printOrder.external_id,
-      title: printOrder.book_id.title,
-      quantity: printOrder.quantity,
       shipping_address: printOrder.shipping_address,
       shipping_level: printOrder.shipping_level,
-      cover_pdf_url: printOrder.cover_pdf_url,
-      interior_pdf_url: printOrder.interior_pdf_url,
+      line_items: items.map((item) => ({
+        title: item.title,
+        quantity: item.quantity,
+        pod_package_id: item.podPackageId,
+        cover_pdf_url: item.cover_pdf_url,
+        interior_pdf_url: item.interior_pdf_url,
+      })),
     });
 
-    // Update order with Lulu response
-    printOrder.lulu_print_job_id = luluPrintJob.id;
-    printOrder.status = luluPrintJob.status?.name?.toLowerCase() || "unpaid";
-    printOrder.lulu_submission_status = 'submitted';
-    printOrder.lulu_submitted_at = new Date();
-    printOrder.lulu_submission_error = null;
-    
-    await printOrder.save({ session: useSession });
-
-    if (!session) {
-      await useSession.commitTransaction();
-    }
+    await this.recordLuluPrintJob(printOrder, luluPrintJob);
 
     logger.info(`Successfully submitted order to Lulu`, {
       orderId: printOrderId,
@@ -813,15 +1408,16 @@ async submitOrderToLulu(printOrderId, session = null) {
     return printOrder;
 
   } catch (error) {
-    if (!session) {
-      await useSession.abortTransaction();
-    }
-    
-    // Update order with error
-    await PrintOrder.findByIdAndUpdate(printOrderId, {
-      lulu_submission_status: 'failed',
-      lulu_submission_error: error.message
-    });
+    // Only release a claim this attempt holds - another attempt may own it
+    await PrintOrder.updateOne(
+      claimed
+        ? { _id: printOrderId, lulu_print_job_id: null }
+        : { _id: printOrderId, lulu_submission_status: { $ne: 'submitting' } },
+      {
+        lulu_submission_status: 'failed',
+        lulu_submission_error: error.message
+      }
+    );
     
     logger.error(`Failed to submit order to Lulu: ${error.message}`, {
       orderId: printOrderId,
@@ -829,37 +1425,674 @@ async submitOrderToLulu(printOrderId, session = null) {
     });
     
     throw error;
-  } finally {
-    if (!session) {
-      useSession.endSession();
+  }
+}
+
+/**
+ * Store the Lulu print job on the order and mark it submitted
+ */
+async recordLuluPrintJob(printOrder, luluPrintJob) {
+  printOrder.lulu_print_job_id = luluPrintJob.id;
+  printOrder.status = luluPrintJob.status?.name?.toLowerCase() || "unpaid";
+  printOrder.lulu_submission_status = 'submitted';
+  printOrder.lulu_submitted_at = new Date();
+  printOrder.lulu_submission_error = null;
+
+  await printOrder.save();
+  return printOrder;
+}
+
+/**
+ * Record pipeline progress on the order (shown to the customer and admins)
+ */
+async setPipelineStage(printOrderId, stage, error = null) {
+  await PrintOrder.updateOne(
+    { _id: printOrderId },
+    {
+      pipeline_stage: stage,
+      pipeline_stage_updated_at: new Date(),
+      pipeline_error: error,
+    }
+  );
+
+  logger.info(`Print order ${printOrderId} pipeline stage: ${stage}`, {
+    ...(error && { error }),
+  });
+}
+
+/**
+ * Books to print for an order with their print files.
+ * Cart orders keep each book's files in line_items; single-book orders keep
+ * them on the order itself. `path` prefixes the item's fields in updates.
+ * @returns {Array} [{ path, bookId, title, quantity, printProduct,
+ *   podPackageId, cover_pdf_url, interior_pdf_url, file_validation }]
+ */
+getPrintItems(printOrder) {
+  if (printOrder.line_items?.length > 0) {
+    return printOrder.line_items.map((item, index) => ({
+      path: `line_items.${index}.`,
+      bookId: item.book_id,
+      title: item.title,
+      quantity: item.quantity,
+      printProduct: item.print_product,
+      podPackageId: item.pod_package_id,
+      cover_pdf_url: item.cover_pdf_url,
+      interior_pdf_url: item.interior_pdf_url,
+      file_validation: item.file_validation,
+    }));
+  }
+
+  return [{
+    path: "",
+    bookId: printOrder.book_id?._id || printOrder.book_id,
+    title: printOrder.book_id?.title,
+    quantity: printOrder.quantity,
+    printProduct: printOrder.print_product,
+    podPackageId: printOrder.pod_package_id,
+    cover_pdf_url: printOrder.cover_pdf_url,
+    interior_pdf_url: printOrder.interior_pdf_url,
+    file_validation: printOrder.file_validation,
+  }];
+}
+
+/**
+ * Check that an item's uploaded PDFs can be downloaded - Lulu fetches them by URL
+ * @param {Object} item - Print item (see getPrintItems)
+ */
+async validatePrintFiles(item) {
+  const files = {
+    cover: item.cover_pdf_url,
+    interior: item.interior_pdf_url,
+  };
+
+  for (const [name, url] of Object.entries(files)) {
+    const response = await fetch(url, { method: "HEAD" });
+    if (!response.ok) {
+      throw new Error(`${name} PDF is not reachable (${response.status})`);
+    }
+
+    const contentType = response.headers.get("content-type") || "";
+    if (!contentType.includes("pdf")) {
+      throw new Error(`${name} PDF has unexpected content type "${contentType}"`);
+    }
+  }
+}
+
+/**
+ * Start (or resume) one Lulu file validation and poll it to a final status.
+ * Progress is saved on the order so a retried job picks up the same
+ * validation instead of starting a new one.
+ * @param {Object} printOrder - Print order document
+ * @param {Object} item - Print item (see getPrintItems)
+ * @param {string} file - "interior" or "cover"
+ * @param {Object} options - { pageCount } (required for the cover)
+ * @returns {Promise<Object>} { status, passed, errors, pageCount }
+ */
+async runLuluFileValidation(printOrder, item, file, options = {}) {
+  const sourceUrl = file === "interior" ? item.interior_pdf_url : item.cover_pdf_url;
+  const previous = item.file_validation?.[file];
+  const validationPath = `${item.path}file_validation`;
+  const isFinal = (status) =>
+    LULU_VALIDATION_PASSED_STATUSES.includes(status) ||
+    LULU_VALIDATION_FAILED_STATUSES.includes(status);
+
+  let validationId = null;
+  if (previous?.validation_id && previous.source_url === sourceUrl && !isFinal(previous.status)) {
+    validationId = previous.validation_id;
+    logger.info(`Resuming Lulu ${file} validation ${validationId} for order ${printOrder._id}`);
+  } else {
+    const podPackageId = item.podPackageId || luluService.podPackageId;
+    const started = file === "interior"
+      ? await luluService.validateInteriorPDF(sourceUrl, podPackageId)
+      : await luluService.validateCoverPDF(sourceUrl, options.pageCount, podPackageId);
+    validationId = started.id;
+
+    await PrintOrder.updateOne(
+      { _id: printOrder._id },
+      {
+        "file_validation.status": "pending",
+        [`${validationPath}.status`]: "pending",
+        [`${validationPath}.${file}`]: {
+          validation_id: String(validationId),
+          source_url: sourceUrl,
+          status: started.status || null,
+          error_messages: [],
+        },
+      }
+    );
+  }
+
+  const getResult = file === "interior"
+    ? (id) => luluService.getInteriorValidationResult(id)
+    : (id) => luluService.getCoverValidationResult(id);
+
+  const deadline = Date.now() + LULU_VALIDATION_TIMEOUT_MS;
+  let result = await getResult(validationId);
+  while (!isFinal(result.status)) {
+    if (Date.now() >= deadline) {
+      // Thrown so the job queue retries; the saved validation id is resumed
+      throw new Error(`Lulu ${file} validation ${validationId} timed out (status ${result.status})`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, LULU_VALIDATION_POLL_INTERVAL_MS));
+    result = await getResult(validationId);
+  }
+
+  const errors = (result.errors || []).map((error) =>
+    typeof error === "string" ? error : error.message || JSON.stringify(error)
+  );
+  const passed = LULU_VALIDATION_PASSED_STATUSES.includes(result.status);
+
+  await PrintOrder.updateOne(
+    { _id: printOrder._id },
+    {
+      [`${validationPath}.${file}.status`]: result.status,
+      [`${validationPath}.${file}.error_messages`]: errors,
+      ...(file === "interior" && { [`${validationPath}.interior.page_count`]: result.page_count || null }),
+    }
+  );
+
+  logger.info(`Lulu ${file} validation ${validationId} finished for order ${printOrder._id}`, {
+    status: result.status,
+    errors,
+  });
+
+  return { status: result.status, passed, errors, pageCount: result.page_count || null };
+}
+
+/**
+ * Preflight every book's print files with Lulu's validators.
+ * Books whose current files already passed are skipped.
+ * @returns {Promise<Object>} { passed, errors }
+ */
+async runLuluPreflight(printOrder, items = this.getPrintItems(printOrder)) {
+  let passed = true;
+  const errors = [];
+
+  for (const item of items) {
+    const result = await this.runItemPreflight(printOrder, item);
+    passed = passed && result.passed;
+    // Name the book when the order has several
+    errors.push(...result.errors.map((error) =>
+      items.length > 1 ? `${item.title}: ${error}` : error
+    ));
+  }
+
+  await PrintOrder.updateOne(
+    { _id: printOrder._id },
+    {
+      "file_validation.status": passed ? "passed" : "failed",
+      "file_validation.validated_at": new Date(),
+    }
+  );
+
+  return { passed, errors };
+}
+
+/**
+ * Preflight one book's interior and cover
+ * @returns {Promise<Object>} { passed, errors }
+ */
+async runItemPreflight(printOrder, item) {
+  const validation = item.file_validation;
+  if (
+    validation?.status === "passed" &&
+    validation.interior?.source_url === item.interior_pdf_url &&
+    validation.cover?.source_url === item.cover_pdf_url
+  ) {
+    return { passed: true, errors: [] };
+  }
+
+  const interior = await this.runLuluFileValidation(printOrder, item, "interior");
+
+  // The cover's spine width depends on the interior page count, so a cover
+  // check against a rejected interior would only report follow-on errors
+  let cover = null;
+  if (interior.passed) {
+    const pageCount = interior.pageCount ||
+      (await Book.findById(item.bookId).select("page_count"))?.page_count;
+    cover = await this.runLuluFileValidation(printOrder, item, "cover", { pageCount });
+  }
+
+  const passed = interior.passed && cover?.passed === true;
+  const errors = [
+    ...interior.errors.map((error) => `Interior: ${error}`),
+    ...(cover?.errors || []).map((error) => `Cover: ${error}`),
+  ];
+
+  await PrintOrder.updateOne(
+    { _id: printOrder._id },
+    {
+      [`${item.path}file_validation.status`]: passed ? "passed" : "failed",
+      [`${item.path}file_validation.validated_at`]: new Date(),
+    }
+  );
+
+  return { passed, errors };
+}
+
+/**
+ * Block submission of an order whose files Lulu rejected and alert admins
+ */
+async handleFileValidationFailure(printOrder, errors) {
+  const message = `Lulu file validation failed: ${errors.join("; ") || "no details returned"}`;
+
+  await PrintOrder.updateOne(
+    { _id: printOrder._id },
+    {
+      lulu_submission_status: "validation_failed",
+      lulu_submission_error: message,
+      pipeline_stage: "failed",
+      pipeline_stage_updated_at: new Date(),
+      pipeline_error: message,
+    }
+  );
+
+  logger.error(`Print order ${printOrder._id} blocked by Lulu file validation`, {
+    externalId: printOrder.external_id,
+    errors,
+  });
+
+  try {
+    await emailService.sendAlert({
+      subject: `Print order ${printOrder.external_id} failed Lulu file validation`,
+      body: [
+        `Print order ${printOrder.external_id} (${printOrder._id}) was not submitted to Lulu because its print files failed validation.`,
+        "",
+        ...this.getPrintItems(printOrder).flatMap((item) => [
+          ...(item.title ? [`${item.title}:`] : []),
+          `Interior PDF: ${item.interior_pdf_url}`,
+          `Cover PDF: ${item.cover_pdf_url}`,
+          "",
+        ]),
+        "Errors:",
+        ...(errors.length > 0 ? errors.map((error) => `- ${error}`) : ["- No details returned"]),
+        "",
+        "The customer has paid. Fix the files and resubmit the order, or cancel and refund it.",
+      ].join("\n"),
+      priority: "high",
+    });
+  } catch (error) {
+    logger.error(`Failed to send file validation alert for order ${printOrder._id}: ${error.message}`);
+  }
+}
+
+/**
+ * Render, validate and submit an order's print files.
+ * Each step is skipped when already done, so a retry resumes where the
+ * previous attempt failed.
+ */
+async runFulfillmentPipeline(printOrderId) {
+  const printOrder = await PrintOrder.findById(printOrderId);
+
+  if (printOrder.lulu_print_job_id) {
+    await this.setPipelineStage(printOrderId, 'submitted');
+    return printOrder;
+  }
+
+  try {
+    const items = this.getPrintItems(printOrder);
+
+    for (const [index, item] of items.entries()) {
+      if (item.cover_pdf_url && item.interior_pdf_url) {
+        continue;
+      }
+
+      await this.setPipelineStage(printOrderId, 'rendering');
+
+      // A gift message is printed once, in the first book
+      const pdfUrls = await this.generatePrintReadyPDFs(
+        item.bookId,
+        printOrder.user_id || "guests",
+        printOrderId.toString(),
+        item.printProduct,
+        { giftMessage: index === 0 ? printOrder.gift?.message : null }
+      );
+
+      item.cover_pdf_url = pdfUrls.coverPdfUrl;
+      item.interior_pdf_url = pdfUrls.interiorPdfUrl;
+      await PrintOrder.updateOne(
+        { _id: printOrderId },
+        {
+          [`${item.path}cover_pdf_url`]: pdfUrls.coverPdfUrl,
+          [`${item.path}interior_pdf_url`]: pdfUrls.interiorPdfUrl,
+        }
+      );
+    }
+
+    await this.setPipelineStage(printOrderId, 'validating');
+    for (const item of items) {
+      await this.validatePrintFiles(item);
     }
+
+    const preflight = await this.runLuluPreflight(printOrder, items);
+    if (!preflight.passed) {
+      // Resubmitting the same files would fail again - finish the job and
+      // leave the order for an admin
+      await this.handleFileValidationFailure(
+        await PrintOrder.findById(printOrderId),
+        preflight.errors
+      );
+      return PrintOrder.findById(printOrderId);
+    }
+
+    await this.setPipelineStage(printOrderId, 'submitting');
+    const submittedOrder = await this.submitOrderToLulu(printOrderId);
+
+    await this.setPipelineStage(printOrderId, 'submitted');
+    return submittedOrder;
+  } catch (error) {
+    // Keep the stage that failed; the job queue schedules the retry
+    await PrintOrder.updateOne(
+      { _id: printOrderId },
+      { pipeline_error: error.message }
+    );
+    throw error;
   }
 }
 
 /**
- * Retry failed Lulu submissions (can be called by a scheduled job)
+ * Queue a Lulu submission for an order (deduplicated per order)
+ */
+async enqueueLuluSubmission(printOrderId, options = {}) {
+  const job = await jobQueueService.enqueue(
+    LULU_SUBMISSION_JOB,
+    { printOrderId: printOrderId.toString() },
+    {
+      dedupeKey: `${LULU_SUBMISSION_JOB}:${printOrderId}`,
+      delayMs: options.delayMs || 0,
+    }
+  );
+
+  await PrintOrder.updateOne(
+    { _id: printOrderId, lulu_print_job_id: null },
+    { pipeline_stage: 'queued', pipeline_stage_updated_at: new Date() }
+  );
+
+  return job;
+}
+
+/**
+ * Job handler: run the fulfillment pipeline for a queued order
+ */
+async runLuluSubmissionJob({ printOrderId }) {
+  const printOrder = await PrintOrder.findById(printOrderId);
+  if (!printOrder) {
+    // Nothing left to submit - finish the job instead of retrying
+    logger.warn(`Print order ${printOrderId} no longer exists, dropping Lulu submission job`);
+    return null;
+  }
+
+  if (printOrder.status === 'canceled') {
+    logger.info(`Print order ${printOrderId} was canceled, skipping Lulu submission`);
+    return null;
+  }
+
+  return this.runFulfillmentPipeline(printOrderId);
+}
+
+/**
+ * Job dead-letter handler: give up on automatic submission
+ */
+async handleLuluSubmissionDead({ printOrderId }, job, error) {
+  await PrintOrder.findByIdAndUpdate(printOrderId, {
+    pipeline_stage: 'failed',
+    pipeline_stage_updated_at: new Date(),
+    lulu_submission_status: 'dead_letter',
+    lulu_submission_error: `Gave up after ${job.attempts} attempts: ${error.message}`,
+  });
+
+  logger.error(`Lulu submission for order ${printOrderId} moved to dead letter`, {
+    jobId: job._id,
+    attempts: job.attempts,
+    error: error.message,
+  });
+}
+
+/**
+ * Queue retries for orders whose Lulu submission failed (e.g. before the
+ * job queue existed). Orders that already have an active job are skipped
+ * by the queue's dedupe key.
  */
 async retryFailedLuluSubmissions() {
   try {
     const failedOrders = await PrintOrder.find({
       lulu_submission_status: { $in: ['failed', 'retry_needed'] },
-      lulu_submission_attempts: { $lt: 3 },
-      created_at: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Last 24 hours
-    }).limit(10);
+      lulu_print_job_id: null,
+      status: { $ne: 'canceled' },
+    }).select('_id');
 
-    logger.info(`Found ${failedOrders.length} orders to retry Lulu submission`);
+    logger.info(`Found ${failedOrders.length} orders needing Lulu submission`);
 
     for (const order of failedOrders) {
       try {
-        await this.submitOrderToLulu(order._id);
-        logger.info(`Successfully retried Lulu submission for order ${order._id}`);
+        await this.enqueueLuluSubmission(order._id);
       } catch (error) {
-        logger.error(`Failed to retry Lulu submission for order ${order._id}: ${error.message}`);
+        logger.error(`Failed to queue Lulu submission for order ${order._id}: ${error.message}`);
       }
     }
+
+    return failedOrders.length;
   } catch (error) {
     logger.error(`Failed to retry Lulu submissions: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * List all print orders for the admin console
+ * @param {Object} filters - { status, luluSubmissionStatus, from, to, countryCode, userId, userEmail }
+ * @param {Object} options - { page, limit }
+ */
+async listPrintOrdersForAdmin(filters = {}, options = {}) {
+  const { page = 1, limit = 20 } = options;
+  const query = {};
+
+  if (filters.status) query.status = filters.status;
+  if (filters.luluSubmissionStatus) {
+    query.lulu_submission_status = filters.luluSubmissionStatus;
+  }
+  if (filters.countryCode) {
+    query["shipping_address.country_code"] = filters.countryCode.toUpperCase();
+  }
+  if (filters.from || filters.to) {
+    query.created_at = {};
+    if (filters.from) query.created_at.$gte = new Date(filters.from);
+    if (filters.to) query.created_at.$lte = new Date(filters.to);
+  }
+
+  if (filters.userId) {
+    query.user_id = filters.userId;
+  } else if (filters.userEmail) {
+    // The account with that email, and guest orders placed with it
+    const email = filters.userEmail.trim().toLowerCase();
+    const user = await User.findOne({ email }).select("_id");
+    query.$or = [
+      ...(user ? [{ user_id: user._id }] : []),
+      { user_id: null, guest_email: email },
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+  const [orders, total] = await Promise.all([
+    PrintOrder.find(query)
+      .populate("book_id", "title")
+      .populate("user_id", "first_name last_name email")
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit),
+    PrintOrder.countDocuments(query),
+  ]);
+
+  return {
+    orders,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get a print order with its internal notes
+ */
+async getPrintOrderForAdmin(orderId) {
+  const printOrder = await PrintOrder.findById(orderId)
+    .select("+admin_notes")
+    .populate("book_id", "title front_cover_image_url page_count")
+    .populate("user_id", "first_name last_name email preferred_language")
+    .populate("admin_notes.author_id", "first_name last_name email");
+
+  if (!printOrder) {
+    throw new Error("Print order not found");
+  }
+
+  return printOrder;
+}
+
+/**
+ * Send an order through the fulfillment pipeline again.
+ * With regeneratePdfs the print files are rendered (and validated) afresh.
+ */
+async resubmitPrintOrder(orderId, options = {}) {
+  const printOrder = await PrintOrder.findById(orderId);
+  if (!printOrder) {
+    throw new Error("Print order not found");
+  }
+
+  if (printOrder.lulu_print_job_id) {
+    throw new Error("Print order has already been submitted to Lulu");
   }
+
+  if (printOrder.status === "canceled") {
+    throw new Error("Canceled print orders cannot be resubmitted");
+  }
+
+  const update = {
+    lulu_submission_status: "pending",
+    lulu_submission_error: null,
+    pipeline_error: null,
+  };
+
+  const items = this.getPrintItems(printOrder);
+  if (options.regeneratePdfs) {
+    update.file_validation = { status: "not_started" };
+    for (const item of items) {
+      update[`${item.path}cover_pdf_url`] = null;
+      update[`${item.path}interior_pdf_url`] = null;
+      update[`${item.path}file_validation`] = { status: "not_started" };
+    }
+  } else if (printOrder.file_validation?.status === "failed") {
+    // Files may have been replaced in place - check them again
+    update["file_validation.status"] = "not_started";
+    for (const item of items) {
+      if (item.file_validation?.status === "failed") {
+        update[`${item.path}file_validation.status`] = "not_started";
+      }
+    }
+  }
+
+  await PrintOrder.updateOne({ _id: orderId }, update);
+  const job = await this.enqueueLuluSubmission(orderId);
+
+  logger.info(`Print order ${orderId} resubmitted to the fulfillment pipeline`, {
+    jobId: job?._id,
+    regeneratePdfs: !!options.regeneratePdfs,
+  });
+
+  return { printOrder: await this.getPrintOrderForAdmin(orderId), job };
+}
+
+/**
+ * Fetch the current Lulu print job for an order
+ * @returns {Promise<Object>} { printOrder, luluPrintJob }
+ */
+async fetchLuluPrintJob(orderId) {
+  const printOrder = await PrintOrder.findById(orderId);
+  if (!printOrder) {
+    throw new Error("Print order not found");
+  }
+
+  if (!printOrder.lulu_print_job_id) {
+    throw new Error("Print order has not been submitted to Lulu yet");
+  }
+
+  const luluPrintJob = await luluService.getPrintJobStatus(printOrder.lulu_print_job_id);
+  return { printOrder, luluPrintJob };
+}
+
+/**
+ * Correct the shipping address before production starts.
+ * Submitted orders are updated at Lulu first so both sides stay in step.
+ * Shipping is not re-quoted; a change of country should be canceled and
+ * reordered instead.
+ */
+async updateShippingAddress(orderId, addressUpdates) {
+  const printOrder = await PrintOrder.findById(orderId);
+  if (!printOrder) {
+    throw new Error("Print order not found");
+  }
+
+  if (!printOrder.canEditShippingAddress()) {
+    throw new Error("Shipping address cannot be changed at this stage");
+  }
+
+  if (
+    addressUpdates.country_code &&
+    addressUpdates.country_code.toUpperCase() !== printOrder.shipping_address.country_code
+  ) {
+    throw new Error("Shipping country cannot be changed");
+  }
+
+  const editableFields = [
+    "name",
+    "street1",
+    "street2",
+    "city",
+    "state_code",
+    "postcode",
+    "phone_number",
+    "email",
+  ];
+  const current = printOrder.shipping_address.toObject();
+  const shippingAddress = { country_code: current.country_code };
+  for (const field of editableFields) {
+    shippingAddress[field] = field in addressUpdates ? addressUpdates[field] : current[field];
+  }
+
+  if (printOrder.lulu_print_job_id) {
+    await luluService.updatePrintJob(printOrder.lulu_print_job_id, {
+      shipping_address: shippingAddress,
+      contact_email: shippingAddress.email,
+    });
+  }
+
+  printOrder.shipping_address = shippingAddress;
+  await printOrder.save();
+
+  logger.info(`Shipping address updated for print order ${orderId}`, {
+    fields: Object.keys(addressUpdates),
+    updatedAtLulu: !!printOrder.lulu_print_job_id,
+  });
+
+  return this.getPrintOrderForAdmin(orderId);
+}
+
+/**
+ * Add an internal note to an order
+ */
+async addAdminNote(orderId, authorId, note) {
+  const result = await PrintOrder.updateOne(
+    { _id: orderId },
+    { $push: { admin_notes: { note, author_id: authorId, created_at: new Date() } } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new Error("Print order not found");
+  }
+
+  return this.getPrintOrderForAdmin(orderId);
 }
 }
 
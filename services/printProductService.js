@@ -0,0 +1,110 @@
+const { PRINT_PRODUCTS, DEFAULT_PRINT_PRODUCT } = require("../utils/constants");
+
+// PDFs are laid out in points
+const POINTS_PER_INCH = 72;
+
+/**
+ * Print formats customers can order (see PRINT_PRODUCTS).
+ *
+ * Orders store the format id and its Lulu package, so retiring or changing
+ * a format later does not change how existing orders are printed.
+ */
+class PrintProductService {
+  /**
+   * Formats for the storefront (without Lulu and layout internals)
+   */
+  listProducts() {
+    return Object.keys(PRINT_PRODUCTS).map((id) => {
+      const product = PRINT_PRODUCTS[id];
+      return {
+        id,
+        name: product.name,
+        binding: product.binding,
+        trim_width_in: product.trim_width_in,
+        trim_height_in: product.trim_height_in,
+        paper: product.paper,
+        finish: product.finish,
+        min_pages: product.min_pages,
+        max_pages: product.max_pages,
+        is_default: id === DEFAULT_PRINT_PRODUCT,
+      };
+    });
+  }
+
+  isAvailable(productId) {
+    return Object.prototype.hasOwnProperty.call(PRINT_PRODUCTS, productId);
+  }
+
+  /**
+   * Look up a format, falling back to the default when none is given
+   * @returns {Object} Catalog entry with its id
+   */
+  getProduct(productId = null) {
+    const id = productId || DEFAULT_PRINT_PRODUCT;
+    if (!this.isAvailable(id)) {
+      throw new Error(`Unknown print format: ${id}`);
+    }
+    return { id, ...PRINT_PRODUCTS[id] };
+  }
+
+  /**
+   * Pages Lulu prints for a book in this format: at least the format's
+   * minimum and a whole number of sheets (interiors are padded with blank
+   * pages to match)
+   */
+  getPrintedPageCount(product, pageCount) {
+    const multiple = product.page_multiple || 1;
+    const printedPageCount = Math.max(
+      product.min_pages,
+      Math.ceil(pageCount / multiple) * multiple
+    );
+
+    if (printedPageCount > product.max_pages) {
+      throw new Error(`${product.name} holds at most ${product.max_pages} pages`);
+    }
+    return printedPageCount;
+  }
+
+  /**
+   * Spine width in inches (0 for saddle stitch)
+   */
+  getSpineWidthIn(product, printedPageCount) {
+    if (!product.spine) {
+      return 0;
+    }
+    const { pages_per_inch, extra_in, min_in } = product.spine;
+    return Math.max(printedPageCount / pages_per_inch + extra_in, min_in);
+  }
+
+  /**
+   * Page and cover geometry in points for rendering print-ready PDFs
+   * @param {string} productId - Format id (default format when empty)
+   * @param {number} printedPageCount - Interior pages, for the spine
+   */
+  getLayout(productId, printedPageCount) {
+    const product = this.getProduct(productId);
+
+    const trimWidth = product.trim_width_in * POINTS_PER_INCH;
+    const trimHeight = product.trim_height_in * POINTS_PER_INCH;
+    const bleed = product.bleed_in * POINTS_PER_INCH;
+    const coverBleed = product.cover_bleed_in * POINTS_PER_INCH;
+    const spineWidth = this.getSpineWidthIn(product, printedPageCount) * POINTS_PER_INCH;
+
+    return {
+      product,
+      trimWidth,
+      trimHeight,
+      bleed,
+      safeMargin: product.safe_margin_in * POINTS_PER_INCH,
+      interiorPdfWidth: trimWidth + bleed * 2,
+      interiorPdfHeight: trimHeight + bleed * 2,
+      // Cover: back + spine + front, with bleed (or hardcover wrap) around
+      coverBleed,
+      spineWidth,
+      coverPdfWidth: trimWidth * 2 + spineWidth + coverBleed * 2,
+      coverPdfHeight: trimHeight + coverBleed * 2,
+    };
+  }
+}
+
+module.exports = new PrintProductService();
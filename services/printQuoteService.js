@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { PrintQuote } = require("../models");
+const logger = require("../utils/logger");
+const { PRINT_QUOTE_TTL_MS, PRINT_QUOTE_SECRET } = require("../utils/constants");
+
+/**
+ * Stored print quotes.
+ *
+ * Priced quotes are saved and handed out as "<id>.<signature>". A
+ * checkout that presents a valid quote ID is charged the stored price, so
+ * the amount cannot drift between quoting and paying (Lulu price changes,
+ * FX or markup updates) while the quote is valid. Asking again for the same
+ * price returns the stored quote while it has at least half its validity
+ * left, so repeated price checks don't each store a new one.
+ */
+class PrintQuoteService {
+  /**
+   * Store a priced quote
+   * @param {Object} costData - Result of printOrderService.calculateItemsCost
+   * @param {Object} options - { userId, shippingAddress }
+   * @returns {Promise<Object>} { quote_id, quote_expires_at }
+   */
+  async createQuote(costData, { userId = null, shippingAddress }) {
+    const items = costData.line_items.map((item) => ({
+      book_id: item.book_id,
+      quantity: item.quantity,
+      page_count: item.page_count,
+      print_product: item.print_product,
+    }));
+    const destination = this.getDestination(shippingAddress);
+    const fingerprint = this.getFingerprint({
+      userId,
+      items,
+      destination,
+      shippingLevel: costData.shipping_level,
+      giftMessagePage: Boolean(costData.gift_message_page),
+      currency: costData.currency,
+      totalCostCents: costData.total_cost_cents,
+    });
+
+    const quote =
+      (await PrintQuote.findOne({
+        fingerprint,
+        expires_at: { $gt: new Date(Date.now() + PRINT_QUOTE_TTL_MS / 2) },
+      })) ||
+      (await PrintQuote.create({
+        user_id: userId || null,
+        items,
+        destination,
+        shipping_level: costData.shipping_level,
+        gift_message_page: Boolean(costData.gift_message_page),
+        currency: costData.currency,
+        total_cost_cents: costData.total_cost_cents,
+        cost_data: costData,
+        fingerprint,
+        expires_at: new Date(Date.now() + PRINT_QUOTE_TTL_MS),
+      }));
+
+    return {
+      quote_id: `${quote._id}.${this.sign(quote)}`,
+      quote_expires_at: quote.expires_at,
+    };
+  }
+
+  /**
+   * Hash identifying a quote's customer, order, destination and price
+   */
+  getFingerprint({ userId, items, destination, shippingLevel, giftMessagePage, currency, totalCostCents }) {
+    const orderItems = items
+      .map((item) => `${item.book_id}:${item.quantity}:${item.page_count}:${item.print_product}`)
+      .sort();
+
+    return crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify([
+          userId ? String(userId) : null,
+          orderItems,
+          destination,
+          shippingLevel,
+          giftMessagePage,
+          currency,
+          totalCostCents,
+        ])
+      )
+      .digest("hex");
+  }
+
+  /**
+   * Load the stored price for a checkout
+   * @param {string} quoteId - Signed quote ID from createQuote
+   * @param {Object} order - { items: [{ bookId, quantity, pageCount, printProduct }],
+   *   shippingAddress, shippingLevel, giftMessagePage } being checked out
+   * @returns {Promise<Object>} The quoted cost data
+   */
+  async getQuoteForCheckout(quoteId, { items, shippingAddress, shippingLevel, giftMessagePage = false }) {
+    const id = this.getQuoteDocumentId(quoteId);
+    const quote = id ? await PrintQuote.findById(id) : null;
+
+    if (!quote || !this.hasValidSignature(quote, quoteId)) {
+      throw new Error("Quote is invalid");
+    }
+    if (quote.expires_at <= new Date()) {
+      throw new Error("Quote has expired, please request a new quote");
+    }
+
+    const quotedItems = quote.items
+      .map((item) => `${item.book_id}:${item.quantity}:${item.page_count}:${item.print_product}`)
+      .sort();
+    const orderItems = items
+      .map((item) => `${item.bookId}:${item.quantity}:${item.pageCount}:${item.printProduct}`)
+      .sort();
+    const destination = this.getDestination(shippingAddress);
+
+    const matches =
+      quotedItems.join(",") === orderItems.join(",") &&
+      quote.shipping_level === shippingLevel &&
+      Boolean(quote.gift_message_page) === Boolean(giftMessagePage) &&
+      quote.destination.country_code === destination.country_code &&
+      quote.destination.state_code === destination.state_code &&
+      quote.destination.postcode === destination.postcode;
+
+    if (!matches) {
+      logger.warn(`Quote ${quote._id} does not match the order being checked out`, {
+        quotedItems,
+        orderItems,
+        quotedShippingLevel: quote.shipping_level,
+        shippingLevel,
+      });
+      throw new Error("Quote does not match this order, please request a new quote");
+    }
+
+    logger.info(`Using quote ${quote._id} for checkout`, {
+      currency: quote.currency,
+      totalCostCents: quote.total_cost_cents,
+    });
+
+    return {
+      ...quote.cost_data,
+      quote_id: quoteId,
+      quote_expires_at: quote.expires_at,
+    };
+  }
+
+  /**
+   * PrintQuote _id inside a signed quote ID, or null if it is malformed
+   */
+  getQuoteDocumentId(quoteId) {
+    const [id] = String(quoteId || "").split(".");
+    return mongoose.Types.ObjectId.isValid(id) ? id : null;
+  }
+
+  sign(quote) {
+    return crypto
+      .createHmac("sha256", PRINT_QUOTE_SECRET)
+      .update(
+        `${quote._id}:${quote.currency}:${quote.total_cost_cents}:${quote.expires_at.getTime()}`
+      )
+      .digest("base64url");
+  }
+
+  hasValidSignature(quote, quoteId) {
+    const provided = Buffer.from(String(quoteId).split(".")[1] || "");
+    const expected = Buffer.from(this.sign(quote));
+
+    return (
+      provided.length === expected.length &&
+      crypto.timingSafeEqual(provided, expected)
+    );
+  }
+
+  getDestination(shippingAddress = {}) {
+    return {
+      country_code: String(shippingAddress.country_code || "").toUpperCase(),
+      state_code: shippingAddress.state_code
+        ? String(shippingAddress.state_code).toUpperCase()
+        : null,
+      postcode: shippingAddress.postcode
+        ? String(shippingAddress.postcode).replace(/\s+/g, "").toUpperCase()
+        : null,
+    };
+  }
+}
+
+module.exports = new PrintQuoteService();
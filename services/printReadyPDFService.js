@@ -4,29 +4,27 @@ const path = require("path");
 const sharp = require("sharp");
 const { Book, Page } = require("../models");
 const s3Service = require("./s3Service");
+const luluService = require("./luluService");
+const printProductService = require("./printProductService");
 const logger = require("../utils/logger");
 const { S3_BUCKET_NAME } = require("../utils/constants");
 
+// Narrower spines are left blank (Lulu's minimum for spine text is 0.25")
+const MIN_SPINE_TEXT_WIDTH = 0.25 * 72;
+
+const GIFT_PAGE_HEADINGS = {
+  en: "A gift for you",
+  es: "Un regalo para ti",
+};
+
+/**
+ * Renders cover and interior PDFs laid out for a print format.
+ * Trim, bleed, safe area and spine geometry come from the print product
+ * catalog (see printProductService.getLayout), in points at 72 DPI.
+ */
 class PrintReadyPDFService {
   constructor() {
-    // 7.5" x 7.5" at 72 DPI (TRIM SIZE)
-    this.trimWidth = 7.5 * 72; // 540 pixels
-    this.trimHeight = 7.5 * 72; // 540 pixels
     this.dpi = 72;
-
-    // Bleed margin (0.125" on all sides)
-    this.bleed = 0.125 * 72; // 9 pixels
-
-    // Interior PDF dimensions (keep original size): 7.75" x 7.75"
-    this.interiorPdfWidth = this.trimWidth + this.bleed * 2; // 558 pixels (7.75")
-    this.interiorPdfHeight = this.trimHeight + this.bleed * 2; // 558 pixels (7.75")
-
-    // Cover PDF dimensions (keep original size): 15.25" x 7.75"
-    // Cover includes front + back + bleed areas
-    this.coverPdfHeight = this.trimHeight + this.bleed * 2; // 558 pixels (7.75")
-
-    // Safe area (0.25" margin from trim)
-    this.safeMargin = 0.25 * 72; // 18 pixels
   }
 
   // Register Patrick Hand font for a PDF document
@@ -80,10 +78,16 @@ class PrintReadyPDFService {
 
   /**
    * Generate print-ready PDFs for a book
+   * @param {string} printProductId - Print format (default format when empty)
+   * @param {Object} options - { giftMessage } printed on an insert page
+   * @returns {Promise<Object>} { coverPdfUrl, interiorPdfUrl, pageCount }
    */
-  async generatePrintReadyPDFs(bookId, userId, orderId) {
+  async generatePrintReadyPDFs(bookId, userId, orderId, printProductId = null, options = {}) {
     try {
-      logger.info(`Generating print-ready PDFs for book ${bookId}`);
+      const product = printProductService.getProduct(printProductId);
+      logger.info(`Generating print-ready PDFs for book ${bookId}`, {
+        printProduct: product.id,
+      });
 
       // Get book and pages data
       const book = await Book.findById(bookId);
@@ -98,11 +102,17 @@ class PrintReadyPDFService {
         throw new Error("No pages found for book");
       }
 
-      // Generate cover PDF
-      const coverPdfPath = await this.generateCoverPDF(book, pages);
+      // Generate interior PDF first: the cover's spine depends on its page count
+      const { interiorPdfPath, pageCount } = await this.generateInteriorPDF(
+        book,
+        pages,
+        product,
+        options
+      );
 
-      // Generate interior PDF
-      const interiorPdfPath = await this.generateInteriorPDF(book, pages);
+      // Generate cover PDF
+      const coverLayout = await this.getCoverLayout(product, pageCount);
+      const coverPdfPath = await this.generateCoverPDF(book, pages, coverLayout);
 
       // Generate S3 keys with new path pattern
       const timestamp = Date.now();
@@ -121,6 +131,8 @@ class PrintReadyPDFService {
         bookId,
         userId,
         orderId,
+        printProduct: product.id,
+        pageCount,
         coverPdfUrl,
         interiorPdfUrl,
       });
@@ -128,6 +140,7 @@ class PrintReadyPDFService {
       return {
         coverPdfUrl,
         interiorPdfUrl,
+        pageCount,
       };
     } catch (error) {
       logger.error("Failed to generate print-ready PDFs:", error);
@@ -136,9 +149,45 @@ class PrintReadyPDFService {
   }
 
   /**
-   * Generate cover PDF (front and back cover)
+   * Cover geometry for a format and interior page count. Bound formats use
+   * Lulu's cover dimensions for the exact spine, falling back to the
+   * catalog's spine estimate if Lulu can't be reached.
    */
-  async generateCoverPDF(book, pages) {
+  async getCoverLayout(product, pageCount) {
+    const layout = printProductService.getLayout(product.id, pageCount);
+    if (!product.spine) {
+      return layout;
+    }
+
+    try {
+      const dimensions = await luluService.calculateCoverDimensions(
+        pageCount,
+        "pt",
+        product.pod_package_id
+      );
+      const coverPdfWidth = parseFloat(dimensions.width);
+      const coverPdfHeight = parseFloat(dimensions.height);
+      const spineWidth = coverPdfWidth - layout.trimWidth * 2 - layout.coverBleed * 2;
+
+      if (spineWidth > 0 && coverPdfHeight > 0) {
+        return { ...layout, coverPdfWidth, coverPdfHeight, spineWidth };
+      }
+      logger.warn("Unexpected Lulu cover dimensions, using catalog spine", {
+        printProduct: product.id,
+        dimensions,
+      });
+    } catch (error) {
+      logger.warn(`Using catalog spine for ${product.id}: ${error.message}`);
+    }
+
+    return layout;
+  }
+
+  /**
+   * Generate cover PDF (back cover, spine and front cover)
+   * @param {Object} layout - Cover geometry (see getCoverLayout)
+   */
+  async generateCoverPDF(book, pages, layout) {
     try {
       const tempDir = path.join(__dirname, "../temp");
       if (!fs.existsSync(tempDir)) {
@@ -150,11 +199,13 @@ class PrintReadyPDFService {
         `cover-${book._id}-${Date.now()}.pdf`
       );
 
-      // For saddle stitch binding, no spine width needed
-      // Total cover width (keep original size) = front + back + bleed areas
-      // 15.25" = 7.5" (front) + 7.5" (back) + 0.125" (left bleed) + 0.125" (right bleed)
-      const coverPdfWidth = this.trimWidth * 2 + this.bleed * 2; // 1098 pixels (15.25" at 72 DPI)
-      const coverPdfHeight = this.coverPdfHeight; // 558 pixels (7.75" at 72 DPI)
+      // Total cover width = back + spine + front, plus bleed (or hardcover
+      // wrap) on the outer edges; saddle stitch covers have no spine
+      const { coverPdfWidth, coverPdfHeight, coverBleed, spineWidth } = layout;
+      const backPanelWidth = coverBleed + layout.trimWidth;
+      const spineX = backPanelWidth;
+      const frontPanelX = backPanelWidth + spineWidth;
+      const frontPanelWidth = coverPdfWidth - frontPanelX;
 
       const doc = new PDFDocument({
         size: [coverPdfWidth, coverPdfHeight],
@@ -170,44 +221,48 @@ class PrintReadyPDFService {
       // Fill entire PDF with white background
       doc.rect(0, 0, coverPdfWidth, coverPdfHeight).fill("#ffffff");
 
-      // Process and add front cover (fill right half of PDF)
+      // Process and add front cover (fill right panel of PDF)
       if (book.front_cover_image_url) {
         const frontCoverBuffer = await this.processImageForPrint(
           book.front_cover_image_url,
-          coverPdfWidth / 2,
+          frontPanelWidth,
           coverPdfHeight
         );
 
-        // Place front cover on the right side (fill entire right half)
-        const frontCoverX = coverPdfWidth / 2;
+        // Place front cover on the right side (fill entire right panel)
+        const frontCoverX = frontPanelX;
         const frontCoverY = 0;
         doc.image(frontCoverBuffer, frontCoverX, frontCoverY, {
-          width: coverPdfWidth / 2,
+          width: frontPanelWidth,
           height: coverPdfHeight,
         });
       }
 
-      // Process and add back cover (fill left half of PDF)
+      // Content on the back cover starts inside the trim
+      const backTrimX = coverBleed;
+      const backTrimY = coverBleed;
+
+      // Process and add back cover (fill left panel of PDF)
       if (book.back_cover_image_url) {
         const backCoverBuffer = await this.processImageForPrint(
           book.back_cover_image_url,
-          coverPdfWidth / 2,
+          backPanelWidth,
           coverPdfHeight
         );
 
-        // Place back cover on the left side (fill entire left half)
+        // Place back cover on the left side (fill entire left panel)
         const backCoverX = 0;
         const backCoverY = 0;
         doc.image(backCoverBuffer, backCoverX, backCoverY, {
-          width: coverPdfWidth / 2,
+          width: backPanelWidth,
           height: coverPdfHeight,
         });
 
         // Add moral text overlay on back cover if available
         if (book.moral_of_back_cover && book.moral_of_back_cover.trim()) {
-          const textAreaX = backCoverX + this.safeMargin;
-          const textAreaY = backCoverY + this.trimHeight / 2 - 50;
-          const textAreaWidth = this.trimWidth - this.safeMargin * 2;
+          const textAreaX = backTrimX + layout.safeMargin;
+          const textAreaY = backTrimY + layout.trimHeight / 2 - 50;
+          const textAreaWidth = layout.trimWidth - layout.safeMargin * 2;
 
           doc
             .fontSize(16)
@@ -220,11 +275,11 @@ class PrintReadyPDFService {
             });
         }
       } else {
-        // Create a simple back cover with book title and moral (fill entire left half)
+        // Create a simple back cover with book title and moral (fill entire left panel)
         const backCoverX = 0;
         const backCoverY = 0;
         doc
-          .rect(backCoverX, backCoverY, coverPdfWidth / 2, coverPdfHeight)
+          .rect(backCoverX, backCoverY, backPanelWidth, coverPdfHeight)
           .fill("#ffffff");
 
         // Add book title
@@ -234,10 +289,10 @@ class PrintReadyPDFService {
           .fillColor("#000000")
           .text(
             book.title,
-            backCoverX + this.safeMargin,
-            backCoverY + this.trimHeight / 3,
+            backTrimX + layout.safeMargin,
+            backTrimY + layout.trimHeight / 3,
             {
-              width: this.trimWidth - this.safeMargin * 2,
+              width: layout.trimWidth - layout.safeMargin * 2,
               align: "center",
             }
           );
@@ -250,10 +305,10 @@ class PrintReadyPDFService {
             .fillColor("#333333")
             .text(
               book.moral_of_back_cover,
-              backCoverX + this.safeMargin,
-              backCoverY + (this.trimHeight * 2) / 3,
+              backTrimX + layout.safeMargin,
+              backTrimY + (layout.trimHeight * 2) / 3,
               {
-                width: this.trimWidth - this.safeMargin * 2,
+                width: layout.trimWidth - layout.safeMargin * 2,
                 align: "center",
                 lineGap: 8,
               }
@@ -261,7 +316,35 @@ class PrintReadyPDFService {
         }
       }
 
-      // No spine text needed for saddle stitch binding
+      // Spine: title reads top to bottom when wide enough
+      if (spineWidth > 0) {
+        doc.rect(spineX, 0, spineWidth, coverPdfHeight).fill("#ffffff");
+      }
+      if (spineWidth >= MIN_SPINE_TEXT_WIDTH) {
+        const spineCenterX = spineX + spineWidth / 2;
+        const spineCenterY = coverPdfHeight / 2;
+        const spineTextWidth = layout.trimHeight - layout.safeMargin * 2;
+        const spineFontSize = Math.min(14, spineWidth * 0.6);
+
+        doc.save();
+        doc.rotate(90, { origin: [spineCenterX, spineCenterY] });
+        doc
+          .fontSize(spineFontSize)
+          .font(this.getFont("bold"))
+          .fillColor("#000000")
+          .text(
+            book.title,
+            spineCenterX - spineTextWidth / 2,
+            spineCenterY - spineFontSize / 2,
+            {
+              width: spineTextWidth,
+              align: "center",
+              lineBreak: false,
+              ellipsis: true,
+            }
+          );
+        doc.restore();
+      }
 
       doc.end();
 
@@ -276,9 +359,54 @@ class PrintReadyPDFService {
   }
 
   /**
-   * Generate interior PDF (all pages)
+   * Gift message insert page (the current page of doc), headed in the
+   * book's language
    */
-  async generateInteriorPDF(book, pages) {
+  addGiftMessagePage(doc, layout, giftMessage, language = "en") {
+    doc
+      .rect(0, 0, layout.interiorPdfWidth, layout.interiorPdfHeight)
+      .fill("#ffffff");
+
+    const textMargin = Math.max(50, layout.bleed + layout.safeMargin);
+    const textAreaWidth = layout.interiorPdfWidth - textMargin * 2;
+
+    doc
+      .fontSize(22)
+      .font(this.getFont("bold"))
+      .fillColor("#333333")
+      .text(GIFT_PAGE_HEADINGS[language] || GIFT_PAGE_HEADINGS.en, textMargin, layout.interiorPdfHeight / 3, {
+        width: textAreaWidth,
+        align: "center",
+      });
+
+    doc
+      .moveDown(1.5)
+      .fontSize(16)
+      .font(this.getFont("italic"))
+      .fillColor("#333333")
+      .text(giftMessage, textMargin, doc.y, {
+        width: textAreaWidth,
+        align: "center",
+        lineGap: 8,
+      });
+  }
+
+  /**
+   * Whether a gift message gets an insert page (a blank one doesn't). Print
+   * quotes price the page on the same rule.
+   */
+  hasGiftMessagePage(giftMessage) {
+    return Boolean(giftMessage && String(giftMessage).trim());
+  }
+
+  /**
+   * Generate interior PDF (all pages), padded with blank pages to the
+   * format's minimum page count and page multiple
+   * @param {Object} options - { giftMessage } printed on an insert page
+   *   before the dedication
+   * @returns {Promise<Object>} { interiorPdfPath, pageCount }
+   */
+  async generateInteriorPDF(book, pages, product, options = {}) {
     try {
       const tempDir = path.join(__dirname, "../temp");
       if (!fs.existsSync(tempDir)) {
@@ -290,8 +418,9 @@ class PrintReadyPDFService {
         `interior-${book._id}-${Date.now()}.pdf`
       );
 
+      const layout = printProductService.getLayout(product.id, 0);
       const doc = new PDFDocument({
-        size: [this.interiorPdfWidth, this.interiorPdfHeight],
+        size: [layout.interiorPdfWidth, layout.interiorPdfHeight],
         margins: { top: 0, bottom: 0, left: 0, right: 0 },
       });
 
@@ -302,6 +431,18 @@ class PrintReadyPDFService {
       doc.pipe(stream);
 
       let isFirstPage = true;
+      let pageCount = 1;
+
+      if (this.hasGiftMessagePage(options.giftMessage)) {
+        logger.info("Print PDF: Adding gift message insert page", {
+          bookId: book._id,
+          giftMessageLength: options.giftMessage.trim().length,
+        });
+
+        this.addGiftMessagePage(doc, layout, options.giftMessage.trim(), book.language);
+        doc.addPage();
+        pageCount += 1;
+      }
 
       // Always add dedication page as the first page (blank if no dedication)
       logger.info("Print PDF: Adding dedication page", {
@@ -315,7 +456,7 @@ class PrintReadyPDFService {
 
       // Fill entire page with white background
       doc
-        .rect(0, 0, this.interiorPdfWidth, this.interiorPdfHeight)
+        .rect(0, 0, layout.interiorPdfWidth, layout.interiorPdfHeight)
         .fill("#ffffff");
 
       // Add dedication text if it exists, otherwise leave page blank
@@ -326,8 +467,8 @@ class PrintReadyPDFService {
 
         const textMargin = 50;
         const textAreaX = textMargin;
-        const textAreaY = this.interiorPdfHeight / 2 - 50;
-        const textAreaWidth = this.interiorPdfWidth - textMargin * 2;
+        const textAreaY = layout.interiorPdfHeight / 2 - 50;
+        const textAreaWidth = layout.interiorPdfWidth - textMargin * 2;
 
         doc
           .fontSize(18)
@@ -392,24 +533,25 @@ class PrintReadyPDFService {
         if (pageGroup.illustration && pageGroup.illustration.illustration_url) {
           if (!isFirstPage) {
             doc.addPage();
+            pageCount += 1;
           }
           isFirstPage = false;
 
           // Fill entire page with white background
           doc
-            .rect(0, 0, this.interiorPdfWidth, this.interiorPdfHeight)
+            .rect(0, 0, layout.interiorPdfWidth, layout.interiorPdfHeight)
             .fill("#ffffff");
 
           const illustrationBuffer = await this.processImageForPrint(
             pageGroup.illustration.illustration_url,
-            this.interiorPdfWidth,
-            this.interiorPdfHeight
+            layout.interiorPdfWidth,
+            layout.interiorPdfHeight
           );
 
           // Position illustration to fill entire PDF page
           doc.image(illustrationBuffer, 0, 0, {
-            width: this.interiorPdfWidth,
-            height: this.interiorPdfHeight,
+            width: layout.interiorPdfWidth,
+            height: layout.interiorPdfHeight,
           });
         }
 
@@ -421,19 +563,20 @@ class PrintReadyPDFService {
         ) {
           if (!isFirstPage) {
             doc.addPage();
+            pageCount += 1;
           }
           isFirstPage = false;
 
           // Fill entire page with white background
           doc
-            .rect(0, 0, this.interiorPdfWidth, this.interiorPdfHeight)
+            .rect(0, 0, layout.interiorPdfWidth, layout.interiorPdfHeight)
             .fill("#ffffff");
 
           // Add text with margins (similar to preview PDF)
           const textMargin = 50;
           const textAreaX = textMargin;
           const textAreaY = 150;
-          const textAreaWidth = this.interiorPdfWidth - textMargin * 2;
+          const textAreaWidth = layout.interiorPdfWidth - textMargin * 2;
 
           doc
             .fontSize(16)
@@ -447,14 +590,28 @@ class PrintReadyPDFService {
         }
       }
 
+      // Pad with blank pages so the book, logo page included, fills the format
+      const printedPageCount = printProductService.getPrintedPageCount(
+        product,
+        pageCount + 1
+      );
+      while (pageCount + 1 < printedPageCount) {
+        doc.addPage();
+        pageCount += 1;
+        doc
+          .rect(0, 0, layout.interiorPdfWidth, layout.interiorPdfHeight)
+          .fill("#ffffff");
+      }
+
       // Add logo page at the end
       doc.addPage();
-      this.addLogoPage(doc);
+      pageCount += 1;
+      this.addLogoPage(doc, layout);
 
       doc.end();
 
       return new Promise((resolve, reject) => {
-        stream.on("finish", () => resolve(interiorPdfPath));
+        stream.on("finish", () => resolve({ interiorPdfPath, pageCount }));
         stream.on("error", reject);
       });
     } catch (error) {
@@ -534,10 +691,10 @@ class PrintReadyPDFService {
   /**
    * Add logo page with copyright information
    */
-  addLogoPage(doc) {
+  addLogoPage(doc, layout) {
     // Fill entire page with white background
     doc
-      .rect(0, 0, this.interiorPdfWidth, this.interiorPdfHeight)
+      .rect(0, 0, layout.interiorPdfWidth, layout.interiorPdfHeight)
       .fill("#ffffff");
 
     const logoPath = path.join(__dirname, "..", "assets", "logo.png");
@@ -556,11 +713,11 @@ class PrintReadyPDFService {
           logoMaxHeight + gapBetweenLogoAndText + textHeight;
 
         // Center the entire group vertically
-        const groupStartY = (this.interiorPdfHeight - totalContentHeight) / 2;
+        const groupStartY = (layout.interiorPdfHeight - totalContentHeight) / 2;
         const logoY = groupStartY;
 
         // Position logo horizontally centered
-        const logoX = (this.interiorPdfWidth - logoMaxWidth) / 2;
+        const logoX = (layout.interiorPdfWidth - logoMaxWidth) / 2;
 
         // Add the logo
         doc.image(logoPath, logoX, logoY, {
@@ -580,7 +737,7 @@ Printed with pawsitivity in the UK`;
           .font(this.getFont())
           .fillColor("#0f5636")
           .text(copyrightText, 50, textStartY, {
-            width: this.interiorPdfWidth - 100,
+            width: layout.interiorPdfWidth - 100,
             align: "center",
             lineGap: 8,
           });
@@ -597,8 +754,8 @@ Printed with pawsitivity in the UK`;
           .fontSize(14)
           .font(this.getFont())
           .fillColor("#0f5636")
-          .text(copyrightText, 50, this.interiorPdfHeight / 2 - 40, {
-            width: this.interiorPdfWidth - 100,
+          .text(copyrightText, 50, layout.interiorPdfHeight / 2 - 40, {
+            width: layout.interiorPdfWidth - 100,
             align: "center",
             lineGap: 8,
           });
@@ -616,8 +773,8 @@ Printed with pawsitivity in the UK`;
         .fontSize(14)
         .font(this.getFont())
         .fillColor("#0f5636")
-        .text(copyrightText, 50, this.interiorPdfHeight / 2 - 40, {
-          width: this.interiorPdfWidth - 100,
+        .text(copyrightText, 50, layout.interiorPdfHeight / 2 - 40, {
+          width: layout.interiorPdfWidth - 100,
           align: "center",
           lineGap: 8,
         });
@@ -625,15 +782,15 @@ Printed with pawsitivity in the UK`;
   }
 
   /**
-   * Calculate cover dimensions for Lulu
+   * Calculate cover dimensions (catalog estimate, without bleed or wrap)
    */
-  calculateCoverDimensions(pageCount) {
-    // Calculate spine width based on page count
-    const spineWidth = Math.max(pageCount * 0.004, 0.0625); // inches
+  calculateCoverDimensions(pageCount, printProductId = null) {
+    const product = printProductService.getProduct(printProductId);
+    const spineWidth = printProductService.getSpineWidthIn(product, pageCount); // inches
 
     // Total cover width = front + spine + back
-    const coverWidth = 7.5 * 2 + spineWidth;
-    const coverHeight = 7.5;
+    const coverWidth = product.trim_width_in * 2 + spineWidth;
+    const coverHeight = product.trim_height_in;
 
     return {
       width: coverWidth,
@@ -0,0 +1,507 @@
+const { Promotion, PromotionRedemption, BookPurchase } = require("../models");
+const currencyService = require("./currencyService");
+const stripeService = require("./stripeService");
+const logger = require("../utils/logger");
+
+// Fields admins may change after a promotion is created. The code and the
+// discount stay fixed so recorded redemptions keep describing what was sold.
+const EDITABLE_FIELDS = [
+  "description",
+  "products",
+  "first_purchase_only",
+  "max_redemptions",
+  "max_redemptions_per_user",
+  "starts_at",
+  "expires_at",
+  "is_active",
+];
+
+/**
+ * Promo codes for downloads and prints.
+ *
+ * Codes are checked when a checkout starts and the discount travels in the
+ * Stripe session metadata (promo_code, promotion_id, discount_cents). Each
+ * checkout session holds a use of its code (see reserveRedemption), which is
+ * kept once the session is paid and released if it expires unpaid, so
+ * parallel checkouts cannot go over the code's limits.
+ */
+class PromotionService {
+  normalizeCode(code) {
+    return String(code || "").trim().toUpperCase();
+  }
+
+  /**
+   * Create a promotion
+   * @param {Object} data - Promotion fields (snake_case, as stored)
+   * @param {string} adminId - Admin creating it
+   */
+  async createPromotion(data, adminId) {
+    const code = this.normalizeCode(data.code);
+    if (await Promotion.exists({ code })) {
+      throw new Error("Promo code already exists");
+    }
+
+    const promotion = await Promotion.create({
+      ...data,
+      code,
+      redemption_count: 0,
+      created_by: adminId,
+    });
+
+    logger.info(`Promotion ${promotion.code} created by admin ${adminId}`, {
+      discountType: promotion.discount_type,
+      products: promotion.products,
+    });
+    return promotion;
+  }
+
+  /**
+   * List promotions, newest first
+   * @param {Object} filters - { isActive }
+   * @param {Object} pagination - { page, limit }
+   */
+  async listPromotions({ isActive } = {}, { page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (isActive !== undefined) {
+      query.is_active = isActive;
+    }
+
+    const skip = (page - 1) * limit;
+    const [promotions, total] = await Promise.all([
+      Promotion.find(query).sort({ created_at: -1 }).skip(skip).limit(limit),
+      Promotion.countDocuments(query),
+    ]);
+
+    return {
+      promotions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getPromotion(promotionId) {
+    const promotion = await Promotion.findById(promotionId);
+    if (!promotion) {
+      throw new Error("Promotion not found");
+    }
+    return promotion;
+  }
+
+  /**
+   * Update the editable fields of a promotion
+   */
+  async updatePromotion(promotionId, updates) {
+    const promotion = await this.getPromotion(promotionId);
+
+    for (const field of EDITABLE_FIELDS) {
+      if (field in updates) {
+        promotion[field] = updates[field];
+      }
+    }
+    await promotion.save();
+
+    logger.info(`Promotion ${promotion.code} updated`, {
+      fields: Object.keys(updates).filter((field) => EDITABLE_FIELDS.includes(field)),
+    });
+    return promotion;
+  }
+
+  /**
+   * Redemption totals for reporting
+   * @returns {Promise<Object>} { promotion, redemptions, totals } with
+   *   totals per product and currency
+   */
+  async getPromotionStats(promotionId) {
+    const promotion = await this.getPromotion(promotionId);
+    const totals = await PromotionRedemption.aggregate([
+      { $match: { promotion_id: promotion._id } },
+      {
+        $group: {
+          _id: { product: "$product", currency: "$currency" },
+          redemptions: { $sum: 1 },
+          discount_cents: { $sum: "$discount_cents" },
+        },
+      },
+    ]);
+
+    return {
+      promotion,
+      redemptions: promotion.redemption_count,
+      totals: totals.map((total) => ({
+        product: total._id.product,
+        currency: total._id.currency,
+        redemptions: total.redemptions,
+        discount_cents: total.discount_cents,
+      })),
+    };
+  }
+
+  /**
+   * Find a promotion the buyer may use on a product
+   * @param {string} code - Code as entered
+   * @param {Object} context - { product, userId, email }
+   * @returns {Promise<Object>} The promotion
+   */
+  async getApplicablePromotion(code, { product, userId = null, email = null }) {
+    const promotion = await Promotion.findOne({
+      code: this.normalizeCode(code),
+      is_active: true,
+    });
+    if (!promotion) {
+      throw new Error("Promo code is invalid");
+    }
+
+    const now = new Date();
+    if (promotion.starts_at && promotion.starts_at > now) {
+      throw new Error("Promo code is not active yet");
+    }
+    if (promotion.expires_at && promotion.expires_at <= now) {
+      throw new Error("Promo code has expired");
+    }
+    if (!promotion.products.includes(product)) {
+      throw new Error("Promo code does not apply to this product");
+    }
+    if (
+      promotion.max_redemptions &&
+      promotion.redemption_count >= promotion.max_redemptions
+    ) {
+      throw new Error("Promo code has reached its usage limit");
+    }
+
+    // Per-buyer restrictions need to know who is buying
+    if (promotion.first_purchase_only || promotion.max_redemptions_per_user) {
+      const buyerQuery = this.getBuyerQuery(userId, email);
+      if (!buyerQuery) {
+        throw new Error("Sign in to use this promo code");
+      }
+
+      if (promotion.first_purchase_only) {
+        const hasPurchased = await BookPurchase.exists({
+          ...buyerQuery,
+          status: { $in: ["completed", "refunded"] },
+          "metadata.is_complementary_download": { $ne: true },
+        });
+        if (hasPurchased) {
+          throw new Error("Promo code is only valid on a first purchase");
+        }
+      }
+
+      if (promotion.max_redemptions_per_user) {
+        const redemptions = await PromotionRedemption.countDocuments({
+          ...buyerQuery,
+          promotion_id: promotion._id,
+          status: { $ne: "released" },
+        });
+        if (redemptions >= promotion.max_redemptions_per_user) {
+          throw new Error("Promo code has already been used");
+        }
+      }
+    }
+
+    return promotion;
+  }
+
+  /**
+   * Match a buyer's purchases by account or, for guests, by email
+   */
+  getBuyerQuery(userId, email) {
+    if (userId) {
+      return { user_id: userId };
+    }
+    if (email) {
+      return { user_id: null, guest_email: String(email).toLowerCase() };
+    }
+    return null;
+  }
+
+  /**
+   * Discount in minor units of the checkout currency
+   * @param {number} amountCents - Price before the discount
+   * @param {number} minChargeCents - Least the discounted price may be
+   */
+  getDiscountCents(promotion, amountCents, currency, minChargeCents = 0) {
+    let discountCents;
+    if (promotion.discount_type === "percent") {
+      discountCents = Math.floor((amountCents * promotion.percent_off) / 100);
+    } else if (promotion.currency === currency) {
+      discountCents = promotion.amount_off_cents;
+    } else {
+      // Both rates are per 1 GBP
+      discountCents = Math.floor(
+        (promotion.amount_off_cents * currencyService.getRate(currency)) /
+          currencyService.getRate(promotion.currency)
+      );
+    }
+
+    return Math.max(0, Math.min(discountCents, amountCents - minChargeCents));
+  }
+
+  /**
+   * Check a code for the storefront
+   * @param {Object} context - { product, userId, email, amountCents, currency };
+   *   the discount is only worked out when amountCents and currency are given
+   */
+  async validateCode(code, context) {
+    const promotion = await this.getApplicablePromotion(code, context);
+    const { amountCents, currency } = context;
+
+    return {
+      code: promotion.code,
+      description: promotion.description,
+      discount_type: promotion.discount_type,
+      percent_off: promotion.percent_off,
+      amount_off_cents: promotion.amount_off_cents,
+      currency: promotion.currency,
+      products: promotion.products,
+      expires_at: promotion.expires_at,
+      ...(amountCents !== undefined && currency && {
+        discount_cents: this.getDiscountCents(promotion, amountCents, currency),
+      }),
+    };
+  }
+
+  /**
+   * Discount for a checkout that is about to start
+   * @param {Object} context - { product, userId, email, amountCents, currency,
+   *   minChargeCents }
+   * @returns {Promise<Object>} { promotion, discountCents, metadata } where
+   *   metadata goes on the Stripe session
+   */
+  async getCheckoutDiscount(code, context) {
+    const promotion = await this.getApplicablePromotion(code, context);
+    const discountCents = this.getDiscountCents(
+      promotion,
+      context.amountCents,
+      context.currency,
+      context.minChargeCents
+    );
+
+    logger.info(`Applying promo code ${promotion.code}`, {
+      product: context.product,
+      amountCents: context.amountCents,
+      discountCents,
+      currency: context.currency,
+    });
+
+    return {
+      promotion,
+      discountCents,
+      metadata: {
+        promo_code: promotion.code,
+        promotion_id: String(promotion._id),
+        discount_cents: String(discountCents),
+      },
+    };
+  }
+
+  /**
+   * Promotion fields stored on a BookPurchase or PrintOrder
+   * @param {Object} metadata - Stripe session metadata
+   * @returns {Object|null} { promotion_id, code, discount_cents }
+   */
+  getOrderPromotion(metadata = {}) {
+    if (!metadata.promotion_id) {
+      return null;
+    }
+    return {
+      promotion_id: metadata.promotion_id,
+      code: metadata.promo_code,
+      discount_cents: parseInt(metadata.discount_cents || "0"),
+    };
+  }
+
+  /**
+   * Buyer of a checkout session: { userId } for an account, or the guest's
+   * email
+   */
+  getSessionBuyer(stripeSession) {
+    const { metadata = {} } = stripeSession;
+    const userId =
+      metadata.user_id && !metadata.user_id.startsWith("guest_")
+        ? metadata.user_id
+        : null;
+
+    return {
+      userId,
+      email: userId
+        ? null
+        : stripeSession.customer_details?.email ||
+          stripeSession.customer_email ||
+          metadata.customer_email ||
+          null,
+    };
+  }
+
+  /**
+   * Hold a use of the promo code for a checkout session that was just
+   * created. The limits are checked again with guarded updates, and a
+   * session that would go over them is expired before the buyer can pay.
+   * @param {Object} stripeSession - Newly created checkout session
+   * @param {Object} buyer - { userId, email } as passed to getCheckoutDiscount
+   * @returns {Promise<Object|null>} The reservation, or null without a code
+   */
+  async reserveRedemption(stripeSession, { userId = null, email = null } = {}) {
+    const { metadata = {} } = stripeSession;
+    const orderPromotion = this.getOrderPromotion(metadata);
+    if (!orderPromotion) {
+      return null;
+    }
+
+    const promotion = await Promotion.findOneAndUpdate(
+      {
+        _id: orderPromotion.promotion_id,
+        $or: [
+          { max_redemptions: { $in: [null, 0] } },
+          { $expr: { $lt: ["$redemption_count", "$max_redemptions"] } },
+        ],
+      },
+      { $inc: { redemption_count: 1 } },
+      { new: true }
+    );
+
+    try {
+      if (!promotion) {
+        throw new Error("Promo code has reached its usage limit");
+      }
+
+      const buyerQuery = this.getBuyerQuery(userId, email);
+      const reservation = await PromotionRedemption.create({
+        promotion_id: orderPromotion.promotion_id,
+        code: orderPromotion.code,
+        user_id: buyerQuery?.user_id || null,
+        guest_email: buyerQuery?.guest_email || null,
+        product: metadata.type === "book_print" ? "print" : "download",
+        discount_cents: orderPromotion.discount_cents,
+        currency: stripeSession.currency || metadata.currency,
+        stripe_session_id: stripeSession.id,
+        status: "reserved",
+      });
+
+      // Counted after inserting, so of two parallel checkouts at least one
+      // sees the other
+      if (promotion.max_redemptions_per_user && buyerQuery) {
+        const redemptions = await PromotionRedemption.countDocuments({
+          ...buyerQuery,
+          promotion_id: promotion._id,
+          status: { $ne: "released" },
+        });
+        if (redemptions > promotion.max_redemptions_per_user) {
+          await this.releaseRedemption(stripeSession.id);
+          throw new Error("Promo code has already been used");
+        }
+      }
+
+      return reservation;
+    } catch (error) {
+      if (promotion && !(await PromotionRedemption.exists({ stripe_session_id: stripeSession.id }))) {
+        await Promotion.updateOne(
+          { _id: orderPromotion.promotion_id, redemption_count: { $gt: 0 } },
+          { $inc: { redemption_count: -1 } }
+        );
+      }
+
+      await stripeService.expireCheckoutSession(stripeSession.id).catch((expireError) => {
+        logger.error(`Failed to expire checkout ${stripeSession.id} over its promo code limit: ${expireError.message}`);
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Give back the use held by a checkout session that expired unpaid. Safe to
+   * call more than once for the same session.
+   * @returns {Promise<Object|null>} The released reservation, if one was held
+   */
+  async releaseRedemption(sessionId) {
+    const reservation = await PromotionRedemption.findOneAndUpdate(
+      { stripe_session_id: sessionId, status: "reserved" },
+      { $set: { status: "released" } },
+      { new: true }
+    );
+    if (!reservation) {
+      return null;
+    }
+
+    await Promotion.updateOne(
+      { _id: reservation.promotion_id, redemption_count: { $gt: 0 } },
+      { $inc: { redemption_count: -1 } }
+    );
+
+    logger.info(`Promo code ${reservation.code} released`, { sessionId });
+    return reservation;
+  }
+
+  /**
+   * Count a paid checkout against its promo code. Safe to call more than
+   * once for the same session.
+   * @param {Object} stripeSession - Completed checkout session
+   */
+  async recordRedemption(stripeSession) {
+    const { metadata = {} } = stripeSession;
+    const orderPromotion = this.getOrderPromotion(metadata);
+    if (
+      !orderPromotion ||
+      !["paid", "no_payment_required"].includes(stripeSession.payment_status)
+    ) {
+      return null;
+    }
+
+    const { userId, email } = this.getSessionBuyer(stripeSession);
+
+    // The use was already counted when the checkout was created
+    const reserved = await PromotionRedemption.findOneAndUpdate(
+      { stripe_session_id: stripeSession.id, status: "reserved" },
+      {
+        $set: {
+          status: "redeemed",
+          ...(!userId && email && { guest_email: email }),
+        },
+      },
+      { new: true }
+    );
+    if (reserved) {
+      logger.info(`Promo code ${orderPromotion.code} redeemed`, {
+        sessionId: stripeSession.id,
+        discountCents: orderPromotion.discount_cents,
+      });
+      return reserved;
+    }
+
+    // Sessions created before uses were held
+    try {
+      const redemption = await PromotionRedemption.create({
+        promotion_id: orderPromotion.promotion_id,
+        code: orderPromotion.code,
+        user_id: userId,
+        guest_email: email,
+        product: metadata.type === "book_print" ? "print" : "download",
+        discount_cents: orderPromotion.discount_cents,
+        currency: stripeSession.currency || metadata.currency,
+        stripe_session_id: stripeSession.id,
+      });
+
+      await Promotion.updateOne(
+        { _id: orderPromotion.promotion_id },
+        { $inc: { redemption_count: 1 } }
+      );
+
+      logger.info(`Promo code ${orderPromotion.code} redeemed`, {
+        sessionId: stripeSession.id,
+        discountCents: orderPromotion.discount_cents,
+      });
+      return redemption;
+    } catch (error) {
+      // Already counted for this session
+      if (error.code === 11000) {
+        return PromotionRedemption.findOne({ stripe_session_id: stripeSession.id });
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new PromotionService();
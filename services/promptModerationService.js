@@ -0,0 +1,71 @@
+const logger = require("../utils/logger");
+const { PROMPT_BLOCKED_TERMS } = require("../utils/constants");
+
+// Terms that have no place in a children's book illustration, by category.
+// Matched as whole words, so a term also matches its plural ("gun" and "guns").
+const BLOCKED_TERMS = {
+  sexual: ["nude", "naked", "nsfw", "sexy", "sexual", "erotic", "porn", "lingerie", "topless", "breast"],
+  violence: [
+    "blood", "bloody", "gore", "gory", "corpse", "dead body", "decapitate", "decapitated",
+    "dismember", "dismembered", "murder", "murdered", "kill", "killed", "killing", "torture",
+    "tortured", "stab", "stabbed", "stabbing", "behead", "beheaded",
+  ],
+  weapons: ["gun", "rifle", "pistol", "shotgun", "firearm", "bomb", "grenade", "explosive"],
+  // Words with an everyday meaning in a children's story ("pulling weeds",
+  // "root beer") are only blocked in phrases
+  drugs: [
+    "cocaine", "heroin", "meth", "marijuana", "smoke weed", "smoking weed", "cigarette", "vape",
+    "drink beer", "drinking beer", "vodka", "whiskey", "drunk",
+  ],
+  hate: ["nazi", "swastika", "kkk", "racist"],
+  self_harm: ["suicide", "self-harm", "self harm", "overdose"],
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const buildPattern = (terms) =>
+  new RegExp(`\\b(${terms.map(escapeRegex).join("|")})(s|es)?\\b`, "i");
+
+/**
+ * Check text users add to illustration prompts before it reaches the image
+ * model. This is a word list, not a classifier: it stops the obvious cases
+ * and leaves the rest to the model's own safety filter.
+ */
+class PromptModerationService {
+  constructor() {
+    this.patterns = Object.entries(BLOCKED_TERMS).map(([category, terms]) => ({
+      category,
+      pattern: buildPattern(terms),
+    }));
+    if (PROMPT_BLOCKED_TERMS.length > 0) {
+      this.patterns.push({ category: "custom", pattern: buildPattern(PROMPT_BLOCKED_TERMS) });
+    }
+  }
+
+  /**
+   * Categories a text falls under
+   * @param {string} text - Prompt text
+   * @returns {Array<string>} - Empty when the text is allowed
+   */
+  getViolations(text) {
+    if (!text) return [];
+    return this.patterns
+      .filter(({ pattern }) => pattern.test(text))
+      .map(({ category }) => category);
+  }
+
+  /**
+   * @throws {Error} When the text is not suitable for a children's book
+   */
+  checkPrompt(text) {
+    const violations = this.getViolations(text);
+    if (violations.length > 0) {
+      logger.warn("Custom illustration prompt rejected by moderation", {
+        categories: violations,
+      });
+      throw new Error("Prompt is not suitable for a children's book illustration");
+    }
+  }
+}
+
+module.exports = new PromptModerationService();
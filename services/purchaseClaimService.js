@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const { BookPurchase, PrintOrder, CharityDonation, Invoice } = require("../models");
+const logger = require("../utils/logger");
+const {
+  PURCHASE_CLAIM_SECRET,
+  PURCHASE_CLAIM_LINK_TTL_DAYS,
+  WEB_URL,
+} = require("../utils/constants");
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Attach guest checkouts to the account of the person who made them.
+ *
+ * Guest downloads, print orders and donations are recorded against the
+ * checkout email with no user. They are claimed when a user proves they own
+ * that email: by verifying it on their account (email verification, email
+ * change or Google sign-in), or by following the signed claim link in the
+ * guest receipt, which works for an account with a different email.
+ */
+class PurchaseClaimService {
+  /**
+   * Attach every unclaimed guest purchase made with an email to a user
+   * @returns {Promise<Object>} Number of records claimed, by kind
+   */
+  async claimByEmail(userId, email) {
+    const normalizedEmail = String(email || "").trim().toLowerCase();
+    if (!normalizedEmail) {
+      return { purchases: 0, print_orders: 0, donations: 0, invoices: 0 };
+    }
+
+    const [purchases, printOrders, donations, invoices] = await Promise.all([
+      BookPurchase.updateMany(
+        { user_id: null, guest_email: normalizedEmail },
+        { $set: { user_id: userId } }
+      ),
+      PrintOrder.updateMany(
+        { user_id: null, guest_email: normalizedEmail },
+        { $set: { user_id: userId } }
+      ),
+      // Donation emails were stored as Stripe returned them
+      CharityDonation.updateMany(
+        {
+          user_id: null,
+          guest_email: new RegExp(`^${escapeRegex(normalizedEmail)}$`, "i"),
+        },
+        { $set: { user_id: userId } }
+      ),
+      Invoice.updateMany(
+        { user_id: null, "customer.email": normalizedEmail },
+        { $set: { user_id: userId } }
+      ),
+    ]);
+
+    const claimed = {
+      purchases: purchases.modifiedCount,
+      print_orders: printOrders.modifiedCount,
+      donations: donations.modifiedCount,
+      invoices: invoices.modifiedCount,
+    };
+    if (Object.values(claimed).some((count) => count > 0)) {
+      logger.info(`Guest purchases claimed by user ${userId}`, claimed);
+    }
+    return claimed;
+  }
+
+  /**
+   * Claim the guest purchases made with a user's own email, once verified
+   * @param {Object} user - User document
+   */
+  async claimForVerifiedUser(user) {
+    if (!user.email_verified) {
+      return { purchases: 0, print_orders: 0, donations: 0, invoices: 0 };
+    }
+    return this.claimByEmail(user._id, user.email);
+  }
+
+  /**
+   * Signed token for a claim link: "<email>.<expiry>.<signature>"
+   */
+  createClaimToken(email) {
+    const encodedEmail = Buffer.from(String(email).trim().toLowerCase()).toString("base64url");
+    const expiresAt = Date.now() + PURCHASE_CLAIM_LINK_TTL_DAYS * 24 * 60 * 60 * 1000;
+    return `${encodedEmail}.${expiresAt}.${this.sign(encodedEmail, expiresAt)}`;
+  }
+
+  /**
+   * Claim link for a guest receipt (the web app signs the buyer in or up and
+   * posts the token to /api/user/claim-purchases)
+   */
+  getClaimUrl(email) {
+    return `${WEB_URL}/claim-purchases?token=${encodeURIComponent(this.createClaimToken(email))}`;
+  }
+
+  sign(encodedEmail, expiresAt) {
+    return crypto
+      .createHmac("sha256", PURCHASE_CLAIM_SECRET)
+      .update(`${encodedEmail}:${expiresAt}`)
+      .digest("base64url");
+  }
+
+  /**
+   * Email a claim token was issued for
+   * @throws {Error} When the token is malformed, tampered with or expired
+   */
+  verifyClaimToken(token) {
+    const [encodedEmail, expiresAt, signature] = String(token || "").split(".");
+    if (!encodedEmail || !expiresAt || !signature) {
+      throw new Error("Invalid claim link");
+    }
+
+    const provided = Buffer.from(signature);
+    const expected = Buffer.from(this.sign(encodedEmail, expiresAt));
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      throw new Error("Invalid claim link");
+    }
+    if (Number(expiresAt) < Date.now()) {
+      throw new Error("Claim link has expired");
+    }
+
+    return Buffer.from(encodedEmail, "base64url").toString();
+  }
+
+  /**
+   * Claim the guest purchases a receipt link was issued for
+   */
+  async claimWithToken(userId, token) {
+    return this.claimByEmail(userId, this.verifyClaimToken(token));
+  }
+}
+
+module.exports = new PurchaseClaimService();
@@ -0,0 +1,240 @@
+const { PrintOrder } = require("../models");
+const stripeService = require("./stripeService");
+const bookPurchaseService = require("./bookPurchaseService");
+const logger = require("../utils/logger");
+
+class RefundService {
+  /**
+   * Resolve the payment intent that paid for a print order
+   */
+  async getPaymentIntentId(printOrder) {
+    if (printOrder.stripe_payment_intent_id) {
+      return printOrder.stripe_payment_intent_id;
+    }
+
+    if (!printOrder.stripe_session_id) {
+      return null;
+    }
+
+    const session = await stripeService.retrieveSession(printOrder.stripe_session_id);
+    const paymentIntentId =
+      typeof session.payment_intent === "string"
+        ? session.payment_intent
+        : session.payment_intent?.id;
+
+    if (paymentIntentId) {
+      printOrder.stripe_payment_intent_id = paymentIntentId;
+      await printOrder.save();
+    }
+
+    return paymentIntentId || null;
+  }
+
+  /**
+   * Derive refund_status from the amounts on a print order
+   */
+  getRefundStatus(printOrder) {
+    if (!printOrder.refunded_amount_cents) return "none";
+    return printOrder.refunded_amount_cents >= printOrder.total_cost_cents
+      ? "refunded"
+      : "partially_refunded";
+  }
+
+  /**
+   * Issue a Stripe refund for a print order
+   * @param {string} printOrderId - Print order ID
+   * @param {number|null} amountCents - Amount to refund, null for the full remaining balance
+   * @param {string} reason - Reason stored on the order and the Stripe refund
+   * @returns {Promise<Object>} { printOrder, refund, alreadyRefunded }
+   */
+  async refundPrintOrder(printOrderId, amountCents = null, reason = null) {
+    const printOrder = await PrintOrder.findById(printOrderId);
+    if (!printOrder) {
+      throw new Error("Print order not found");
+    }
+
+    const refundableAmount = printOrder.getRefundableAmount();
+    if (printOrder.refund_status === "refunded" || refundableAmount === 0) {
+      logger.info(`Print order ${printOrder.external_id} already refunded, skipping`);
+      return { printOrder, refund: null, alreadyRefunded: true };
+    }
+
+    const amount = amountCents ?? refundableAmount;
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new Error("Refund amount must be a positive number of cents");
+    }
+    if (amount > refundableAmount) {
+      throw new Error("Refund amount exceeds refundable balance");
+    }
+
+    const paymentIntentId = await this.getPaymentIntentId(printOrder);
+    if (!paymentIntentId) {
+      throw new Error("No Stripe payment found for this order");
+    }
+
+    logger.info(`Refunding print order ${printOrder.external_id}`, {
+      printOrderId: printOrder._id,
+      amount,
+      refundableAmount,
+      reason,
+    });
+
+    printOrder.refund_status = "pending";
+    printOrder.refund_reason = reason;
+    printOrder.refund_error = null;
+    await printOrder.save();
+
+    let refund;
+    try {
+      refund = await stripeService.createRefund(
+        paymentIntentId,
+        amount,
+        {
+          print_order_id: printOrder._id.toString(),
+          external_id: printOrder.external_id,
+        },
+        // Same order + same refunded total + same amount => same Stripe refund
+        `print_order_${printOrder._id}_${printOrder.refunded_amount_cents}_${amount}`
+      );
+    } catch (error) {
+      printOrder.refund_status = "failed";
+      printOrder.refund_error = error.message;
+      await printOrder.save();
+      throw error;
+    }
+
+    const updatedOrder = await this.applyRefund(printOrder._id, {
+      refundId: refund.id,
+      amountCents: refund.amount,
+      currency: refund.currency,
+      status: refund.status,
+      reason,
+      refundedTotalCents: printOrder.refunded_amount_cents + refund.amount,
+    });
+
+    logger.info(`Print order ${printOrder.external_id} refunded`, {
+      refundId: refund.id,
+      amount: refund.amount,
+      refundStatus: updatedOrder.refund_status,
+    });
+
+    return { printOrder: updatedOrder, refund, alreadyRefunded: false };
+  }
+
+  /**
+   * Record a refund on a print order and its book purchase.
+   * The refunded total only ever grows ($max), so a refund recorded both here and
+   * from the charge.refunded webhook is never counted twice.
+   */
+  async applyRefund(printOrderId, { refundId = null, amountCents = 0, currency = "gbp", status = "succeeded", reason = null, refundedTotalCents }) {
+    const update = {
+      $max: { refunded_amount_cents: refundedTotalCents },
+      $set: { refunded_at: new Date(), refund_error: null },
+    };
+
+    // Only append refunds we have not seen yet
+    const filter = { _id: printOrderId };
+    if (refundId) {
+      filter["refunds.stripe_refund_id"] = { $ne: refundId };
+      update.$push = {
+        refunds: {
+          stripe_refund_id: refundId,
+          amount_cents: amountCents,
+          currency,
+          status,
+          reason,
+        },
+      };
+    }
+
+    let printOrder =
+      (await PrintOrder.findOneAndUpdate(filter, update, { new: true })) ||
+      (await PrintOrder.findById(printOrderId));
+
+    if (printOrder.refunded_amount_cents < refundedTotalCents) {
+      // Refund entry was already recorded; still make sure the total is current
+      printOrder.refunded_amount_cents = refundedTotalCents;
+    }
+    printOrder.refund_status = this.getRefundStatus(printOrder);
+    await printOrder.save();
+
+    await bookPurchaseService.recordRefund(
+      {
+        stripeSessionId: printOrder.stripe_session_id,
+        paymentIntentId: printOrder.stripe_payment_intent_id,
+      },
+      printOrder.refunded_amount_cents,
+      printOrder.refund_status === "refunded"
+    );
+
+    return printOrder;
+  }
+
+  /**
+   * Sync refund state from a charge.refunded webhook.
+   * Covers refunds we issued as well as ones made from the Stripe dashboard.
+   * @param {Object} charge - Stripe charge object
+   * @returns {Promise<Object>} { printOrder, newlyRefundedCents }
+   */
+  async handleChargeRefunded(charge) {
+    const paymentIntentId =
+      typeof charge.payment_intent === "string"
+        ? charge.payment_intent
+        : charge.payment_intent?.id;
+
+    if (!paymentIntentId) {
+      logger.warn(`charge.refunded without payment intent: ${charge.id}`);
+      return { printOrder: null, newlyRefundedCents: 0 };
+    }
+
+    const printOrder = await PrintOrder.findOne({
+      stripe_payment_intent_id: paymentIntentId,
+    });
+
+    if (!printOrder) {
+      // Download purchases have no print order; record the refund on the purchase only
+      await bookPurchaseService.recordRefund(
+        { paymentIntentId },
+        charge.amount_refunded,
+        charge.refunded === true
+      );
+      logger.info(`Recorded refund for payment intent ${paymentIntentId} (no print order)`);
+      return { printOrder: null, newlyRefundedCents: 0 };
+    }
+
+    const newlyRefundedCents = Math.max(
+      0,
+      charge.amount_refunded - printOrder.refunded_amount_cents
+    );
+
+    // Record individual refunds when Stripe includes them in the payload
+    let updatedOrder = printOrder;
+    const refunds = charge.refunds?.data || [];
+    for (const refund of refunds) {
+      updatedOrder = await this.applyRefund(printOrder._id, {
+        refundId: refund.id,
+        amountCents: refund.amount,
+        currency: refund.currency,
+        status: refund.status,
+        reason: refund.metadata?.reason || printOrder.refund_reason,
+        refundedTotalCents: charge.amount_refunded,
+      });
+    }
+
+    if (refunds.length === 0) {
+      updatedOrder = await this.applyRefund(printOrder._id, {
+        refundedTotalCents: charge.amount_refunded,
+      });
+    }
+
+    logger.info(`Synced refund state for print order ${printOrder.external_id}`, {
+      amountRefunded: charge.amount_refunded,
+      newlyRefundedCents,
+      refundStatus: updatedOrder.refund_status,
+    });
+
+    return { printOrder: updatedOrder, newlyRefundedCents };
+  }
+}
+
+module.exports = new RefundService();
@@ -110,6 +110,36 @@ const uploadLocalFile = async (localPath, s3Key, contentType) => {
   }
 };
 
+/**
+ * Upload a buffer to S3 without public access (read it back with getObjectBuffer)
+ * @param {Buffer} buffer - File content
+ * @param {string} s3Key - S3 key (file path)
+ * @param {string} contentType - MIME type
+ * @returns {Promise<string>} - S3 key
+ */
+const uploadPrivateBuffer = async (buffer, s3Key, contentType) => {
+  try {
+    if (!S3_BUCKET_NAME) {
+      throw new Error("S3 bucket name not configured");
+    }
+
+    const client = getS3Client();
+    const command = new PutObjectCommand({
+      Bucket: S3_BUCKET_NAME,
+      Key: s3Key,
+      Body: buffer,
+      ContentType: contentType,
+    });
+
+    await client.send(command);
+    logger.info(`Successfully uploaded private object ${s3Key} to S3`);
+    return s3Key;
+  } catch (error) {
+    logger.error(`Failed to upload private object to S3: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * Delete a file from S3
  * @param {string} key - The S3 key (file path) to delete
@@ -317,6 +347,16 @@ const generateBookPdfS3Key = (userId, bookId) => {
   const timestamp = Date.now();
   return `${userId}/books/${bookId}/book_${bookId}_${timestamp}.pdf`;
 };
+/**
+ * Generate S3 key for an invoice PDF
+ * @param {string|null} userId - User MongoDB ID (null for guest purchases)
+ * @param {string} invoiceNumber - Invoice number
+ * @returns {string} - S3 key
+ */
+const generateInvoiceS3Key = (userId, invoiceNumber) => {
+  return `${userId || "guests"}/invoices/${invoiceNumber}.pdf`;
+};
+
 /**
  * Download an S3 object as a Buffer
  * @param {string} key - S3 key (path in bucket)
@@ -340,6 +380,7 @@ const getObjectBuffer = async (key) => {
 module.exports = {
   generatePresignedUploadUrl,
   uploadLocalFile,
+  uploadPrivateBuffer,
   deleteFile,
   extractS3KeyFromCloudFrontUrl,
   generateCloudFrontUrl,
@@ -351,6 +392,7 @@ module.exports = {
   generateFrontCoverS3Key,
   generateBackCoverS3Key,
   generateBookPdfS3Key,
+  generateInvoiceS3Key,
   isValidAvatarFileType,
   getFileExtensionFromContentType,
   getObjectBuffer,
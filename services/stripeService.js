@@ -2,38 +2,40 @@ const stripe = require("stripe");
 const { 
   STRIPE_SECRET_KEY, 
   WEB_URL,
-  STRIPE_PRICE_DOWNLOAD_12,
-  STRIPE_PRICE_DOWNLOAD_16,
-  STRIPE_PRICE_DOWNLOAD_24,
 } = require("../utils/constants");
+const pricingService = require("./pricingService");
 const logger = require("../utils/logger");
 
 // Initialize Stripe
 const stripeClient = stripe(STRIPE_SECRET_KEY);
 
 class StripeService {
- /**
-   * Get the price ID for a download based on page count
+  /**
+   * Single-use coupon that takes a promo code's discount off one checkout
+   * @param {Object} discount - { code, amountOffCents, currency }
    */
-  getDownloadPriceId(pageCount) {
-    const priceMap = {
-      12: STRIPE_PRICE_DOWNLOAD_12,
-      16: STRIPE_PRICE_DOWNLOAD_16,
-      24: STRIPE_PRICE_DOWNLOAD_24,
-    };
-    return priceMap[pageCount] || STRIPE_PRICE_DOWNLOAD_12;
+  async createPromotionCoupon({ code, amountOffCents, currency }) {
+    return stripeClient.coupons.create({
+      name: code,
+      amount_off: amountOffCents,
+      currency,
+      duration: "once",
+      max_redemptions: 1,
+      metadata: { promo_code: code },
+    });
   }
 
   /**
-   * Create a Stripe checkout session for book downloads (using product IDs)
+   * Create a Stripe checkout session for book downloads (priced by pricingService)
    * @param {string} bookId - Book ID
    * @param {number} pageCount - Number of pages (12, 16, or 24)
    * @param {string} userId - User ID
    * @param {string} userEmail - User email for prefilling
-   * @param {Object} metadata - Additional metadata
+   * @param {Object} metadata - Additional metadata (currency picks the checkout currency)
+   * @param {Object} discount - Promo code discount { code, amountOffCents, currency }, if any
    * @returns {Promise<Object>} - Stripe checkout session
    */
-  async createDownloadCheckoutSession(bookId, pageCount, userId, userEmail, metadata = {}) {
+  async createDownloadCheckoutSession(bookId, pageCount, userId, userEmail, metadata = {}, discount = null) {
   try {
     // --- SAFETY COERCIONS ---
     const safeBookId    = bookId != null ? String(bookId) : "";
@@ -52,19 +54,34 @@ class StripeService {
       Object.entries(metadata || {}).map(([k, v]) => [k, String(v ?? "")])
     );
 
-    const priceId = this.getDownloadPriceId(safePageCount);
+    const price = pricingService.getDownloadPrice(safePageCount, metadata.currency);
     const returnUrl = metadata.returnUrl || `/books/${safeBookId}`;
 
     logger.info(`Creating download checkout session for book ${safeBookId}, ${safePageCount} pages`);
 
+    // Discounts show on the checkout page as a coupon
+    const coupon = discount?.amountOffCents > 0
+      ? await this.createPromotionCoupon(discount)
+      : null;
+
     const session = await stripeClient.checkout.sessions.create({
       mode: "payment",
       payment_method_types: ["card"],
-      line_items: [{ price: priceId, quantity: 1 }],
+      line_items: [{
+        price_data: {
+          currency: price.currency,
+          product_data: {
+            name: `PDF Download - ${safePageCount} Page Book`,
+          },
+          unit_amount: price.amount_cents,
+        },
+        quantity: 1,
+      }],
+      ...(coupon && { discounts: [{ coupon: coupon.id }] }),
       success_url: `${WEB_URL}${returnUrl}?payment=success&download=pdf&session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${WEB_URL}${returnUrl}?payment=cancelled`,
       ...(safeEmail && { customer_email: safeEmail }),
-      metadata: { ...baseMeta, ...extraMeta },
+      metadata: { ...baseMeta, ...extraMeta, currency: price.currency },
       payment_intent_data: { metadata: { ...baseMeta } },
     });
 
@@ -79,10 +96,10 @@ class StripeService {
   /**
    * Create a Stripe checkout session for print orders (dynamic pricing)
    * @param {string} bookId - Book ID
-   * @param {number} totalCents - Total price in cents (Lulu cost + markup)
+   * @param {number} totalCents - Total price in minor units of metadata.currency (Lulu cost + markup)
    * @param {string} userId - User ID
    * @param {string} userEmail - User email
-   * @param {Object} metadata - Additional metadata (should include shipping info)
+   * @param {Object} metadata - Additional metadata (should include shipping info and currency, default "gbp")
    * @returns {Promise<Object>} - Stripe checkout session
    */
   async createPrintCheckoutSession(bookId, totalCents, userId, userEmail, metadata = {}) {
@@ -91,6 +108,8 @@ class StripeService {
       const safeUserId    = userId != null ? String(userId) : `guest_${Date.now()}`;
       const safeEmail     = (userEmail && String(userEmail).trim()) || undefined;
       const safeAmount    = Number.isFinite(Number(totalCents)) ? Number(totalCents) : 0;
+      const safeCurrency  = String(metadata.currency || "gbp").toLowerCase();
+      const bookCount     = parseInt(metadata.book_count || "1") || 1;
 
       const pageCountRaw  = metadata.page_count ?? metadata.pageCount ?? 12;
       const safePageCount = Number.isFinite(Number(pageCountRaw)) ? Number(pageCountRaw) : 12;
@@ -105,22 +124,30 @@ class StripeService {
         lulu_shipping_cost: String(metadata.lulu_shipping_cost ?? ""),
         print_markup: String(metadata.print_markup ?? ""),
         shipping_markup: String(metadata.shipping_markup ?? ""),
+        currency: safeCurrency,
       };
       const extraMeta = Object.fromEntries(
         Object.entries(metadata || {}).map(([k, v]) => [k, String(v ?? "")])
       );
 
       const returnUrl = metadata.returnUrl || `/books/${safeBookId}`;
+      // Orders ship to the address in the metadata, which they were priced
+      // for, so Stripe does not collect one
+      const isGift = metadata.is_gift === "true";
 
       const session = await stripeClient.checkout.sessions.create({
         mode: "payment",
         payment_method_types: ["card"],
         line_items: [{
           price_data: {
-            currency: "gbp",
+            currency: safeCurrency,
             product_data: {
-              name: `Print & Ship - ${safePageCount} Page Book`,
-              description: `Professional printed book shipped to ${metadata.shipping_country || "your address"}. Includes digital download.`,
+              name: bookCount > 1
+                ? `Print & Ship - ${bookCount} Books`
+                : `Print & Ship - ${safePageCount} Page Book`,
+              description: isGift
+                ? `Professional printed gift book shipped to ${metadata.shipping_name || "the recipient"} (${metadata.shipping_country}). Includes digital download.`
+                : `Professional printed book shipped to ${metadata.shipping_country || "your address"}. Includes digital download.`,
             },
             unit_amount: safeAmount,
           },
@@ -129,10 +156,6 @@ class StripeService {
         success_url: `${WEB_URL}${returnUrl}?session_id={CHECKOUT_SESSION_ID}`,
         cancel_url: `${WEB_URL}${returnUrl}?payment=cancelled`,
 
-        // ✅ keep this so Stripe can collect a shipping address (even if event sometimes lacks shipping_details)
-        shipping_address_collection: {
-          allowed_countries: ["US","CA","GB","IE","AU","NZ","FR","DE","ES","IT","NL","BE","SE","NO","DK"]
-        },
         phone_number_collection: { enabled: true },
 
         ...(safeEmail && { customer_email: safeEmail }),
@@ -238,6 +261,22 @@ class StripeService {
     }
   }
 
+  /**
+   * Expire an open checkout session so it can no longer be paid
+   * @param {string} sessionId - Stripe session ID
+   * @returns {Promise<Object>} - Stripe session object
+   */
+  async expireCheckoutSession(sessionId) {
+    try {
+      return await stripeClient.checkout.sessions.expire(sessionId);
+    } catch (error) {
+      logger.error(
+        `Failed to expire Stripe session ${sessionId}: ${error.message}`
+      );
+      throw new Error(`Session expiry failed: ${error.message}`);
+    }
+  }
+
   /**
    * Retrieve a payment intent
    * @param {string} paymentIntentId - Stripe payment intent ID
@@ -257,17 +296,116 @@ class StripeService {
     }
   }
 
+  /**
+   * Refund a payment (fully or partially)
+   * @param {string} paymentIntentId - Stripe payment intent ID
+   * @param {number|null} amountCents - Amount to refund, null for the remaining balance
+   * @param {Object} metadata - Metadata stored on the refund
+   * @param {string} idempotencyKey - Key that makes retries of the same refund safe
+   * @returns {Promise<Object>} - Stripe refund object
+   */
+  async createRefund(paymentIntentId, amountCents = null, metadata = {}, idempotencyKey = null) {
+    try {
+      const params = {
+        payment_intent: paymentIntentId,
+        reason: "requested_by_customer",
+        metadata,
+      };
+      if (amountCents) {
+        params.amount = amountCents;
+      }
+
+      const refund = await stripeClient.refunds.create(
+        params,
+        idempotencyKey ? { idempotencyKey } : undefined
+      );
+
+      logger.info(`Created Stripe refund ${refund.id} for payment intent ${paymentIntentId}`, {
+        amount: refund.amount,
+        status: refund.status,
+      });
+      return refund;
+    } catch (error) {
+      logger.error(
+        `Failed to refund payment intent ${paymentIntentId}: ${error.message}`
+      );
+      throw new Error(`Refund failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a Stripe checkout session that starts a subscription
+   * @param {Object} params - { priceId, customerId, userId, plan }
+   * @returns {Promise<Object>} - Stripe checkout session
+   */
+  async createSubscriptionCheckoutSession({ priceId, customerId, userId, plan }) {
+    try {
+      const metadata = { type: "subscription", user_id: String(userId), plan };
+
+      const session = await stripeClient.checkout.sessions.create({
+        mode: "subscription",
+        customer: customerId,
+        line_items: [{ price: priceId, quantity: 1 }],
+        success_url: `${WEB_URL}/account/subscription?subscription=success&session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${WEB_URL}/account/subscription?subscription=cancelled`,
+        metadata,
+        subscription_data: { metadata },
+      });
+
+      logger.info(`Created subscription checkout session for user ${userId}: ${session.id}`, {
+        plan,
+      });
+      return session;
+    } catch (error) {
+      logger.error(`Failed to create subscription checkout session: ${error.message}`);
+      throw new Error(`Subscription checkout session creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a billing portal session where a customer manages their subscription
+   * @param {string} customerId - Stripe customer ID
+   * @returns {Promise<Object>} - Stripe billing portal session
+   */
+  async createBillingPortalSession(customerId) {
+    try {
+      return await stripeClient.billingPortal.sessions.create({
+        customer: customerId,
+        return_url: `${WEB_URL}/account/subscription`,
+      });
+    } catch (error) {
+      logger.error(`Failed to create billing portal session: ${error.message}`);
+      throw new Error(`Billing portal session creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve a subscription
+   * @param {string} subscriptionId - Stripe subscription ID
+   * @returns {Promise<Object>} - Stripe subscription object
+   */
+  async retrieveSubscription(subscriptionId) {
+    try {
+      return await stripeClient.subscriptions.retrieve(subscriptionId);
+    } catch (error) {
+      logger.error(`Failed to retrieve subscription ${subscriptionId}: ${error.message}`);
+      throw new Error(`Subscription retrieval failed: ${error.message}`);
+    }
+  }
+
   /**
    * Create a customer in Stripe
    * @param {string} email - Customer email
    * @param {string} name - Customer name
+   * @param {Object} metadata - Customer metadata (e.g. user_id)
    * @returns {Promise<Object>} - Stripe customer object
    */
-  async createCustomer(email, name) {
+  async createCustomer(email, name, metadata = {}) {
     try {
       const customer = await stripeClient.customers.create({
         email,
         name,
+        metadata,
       });
       return customer;
     } catch (error) {
@@ -0,0 +1,359 @@
+const { PrintOrder, BookPurchase, CharityDonation, User } = require("../models");
+const bookPurchaseService = require("./bookPurchaseService");
+const printOrderService = require("./printOrderService");
+const cartService = require("./cartService");
+const promotionService = require("./promotionService");
+const subscriptionService = require("./subscriptionService");
+const stripeService = require("./stripeService");
+const refundService = require("./refundService");
+const emailService = require("./emailService");
+const invoiceService = require("./invoiceService");
+const logger = require("../utils/logger");
+
+/**
+ * Handlers for verified Stripe events.
+ *
+ * Handlers throw on failure so the webhook event store marks the event
+ * failed and Stripe (or an admin replay) retries it. Every handler must be
+ * safe to run again for the same event.
+ */
+class StripeWebhookService {
+  /**
+   * Run the handler for a Stripe event
+   * @param {Object} event - Verified Stripe event
+   * @returns {Promise<string>} Outcome ("handled" or "unhandled_type")
+   */
+  async handleEvent(event) {
+    switch (event.type) {
+      case "checkout.session.completed":
+        await this.handleCheckoutSessionCompleted(event.data.object);
+        break;
+
+      case "checkout.session.expired":
+        await this.handleCheckoutSessionExpired(event.data.object);
+        break;
+
+      case "payment_intent.succeeded":
+        await this.handlePaymentIntentSucceeded(event.data.object);
+        break;
+
+      case "payment_intent.payment_failed":
+        await this.handlePaymentIntentFailed(event.data.object);
+        break;
+
+      case "charge.refunded":
+        await this.handleChargeRefunded(event.data.object);
+        break;
+
+      case "charge.dispute.created":
+        await this.handleDisputeCreated(event.data.object);
+        break;
+
+      case "customer.subscription.created":
+      case "customer.subscription.updated":
+      case "customer.subscription.deleted":
+        await subscriptionService.syncFromStripe(event.data.object);
+        break;
+
+      case "invoice.paid":
+        await subscriptionService.syncInvoice(event.data.object);
+        break;
+
+      case "invoice.payment_failed":
+        await this.handleInvoicePaymentFailed(event.data.object);
+        break;
+
+      default:
+        logger.info(`Unhandled Stripe webhook event type: ${event.type}`);
+        return "unhandled_type";
+    }
+
+    return "handled";
+  }
+
+  /**
+   * Handle successful checkout session completion
+   * @param {Object} session - Stripe checkout session object
+   */
+  async handleCheckoutSessionCompleted(session) {
+    const sessionType = session.metadata?.type;
+
+    // Handle print orders (new)
+    if (sessionType === "book_print") {
+      logger.info(`Processing print order webhook`, {
+        sessionId: session.id,
+        paymentStatus: session.payment_status,
+        amountTotal: session.amount_total,
+        currency: session.currency,
+        hasShippingDetails: !!session.shipping_details,
+        hasCollectedShipping: !!session.collected_information?.shipping_details,
+        customerEmail: session.customer_details?.email
+      });
+      // Process print order creation
+      await printOrderService.processPrintPaymentSuccess(session);
+
+      // Also process as book purchase for the download entitlement
+      await bookPurchaseService.processPaymentSuccess(session);
+
+      // A cart checkout empties the books it paid for from the cart
+      const cartItems = printOrderService.parseCartItems(session.metadata);
+      const purchaser = bookPurchaseService.getPurchaser(session);
+      if (cartItems.length > 0 && purchaser.user_id) {
+        await cartService.removePurchasedItems(
+          purchaser.user_id,
+          cartItems.map((item) => item.bookId)
+        );
+      }
+
+      await promotionService.recordRedemption(session);
+      await invoiceService.enqueueForCheckoutSession(session);
+
+      logger.info(
+        `Print order processed for session: ${session.id}`
+      );
+      return;
+    }
+
+    // Handle book downloads (existing system)
+    if (sessionType === "book_download") {
+      await bookPurchaseService.processPaymentSuccess(session);
+      await promotionService.recordRedemption(session);
+      await invoiceService.enqueueForCheckoutSession(session);
+      logger.info(
+        `Book download purchase processed for session: ${session.id}`
+      );
+      return;
+    }
+
+    // Handle PDF downloads from gallery (existing charity donation logic)
+    if (sessionType === "pdf_download") {
+      // Process as book purchase first
+      await bookPurchaseService.processPaymentSuccess(session);
+
+      // Then handle charity donation if present
+      if (session.metadata?.charity_id) {
+        const update = {
+          status: session.payment_status === "paid" ? "paid" : "failed",
+          stripe_payment_intent_id: session.payment_intent,
+          amount_cents: session.amount_total || 100,
+          currency: session.currency || "usd",
+        };
+        const base = {
+          book_id: session.metadata.book_id || session.metadata.bookId,
+          user_id: session.metadata.user_id?.startsWith("guest_") ? null : session.metadata.user_id,
+          guest_email: session.customer_details?.email || null,
+          charity_id: session.metadata.charity_id,
+          stripe_session_id: session.id,
+        };
+        await CharityDonation.findOneAndUpdate(
+          { stripe_session_id: session.id },
+          { $setOnInsert: base, $set: update },
+          { upsert: true, new: true }
+        );
+        logger.info(
+          `Charity donation recorded for session: ${session.id}`
+        );
+      }
+      await invoiceService.enqueueForCheckoutSession(session);
+      return;
+    }
+
+    // Subscriptions: the customer.subscription.* events may arrive before
+    // this one, so sync the subscription the checkout started
+    if (sessionType === "subscription") {
+      if (session.subscription) {
+        const subscriptionId =
+          typeof session.subscription === "string" ? session.subscription : session.subscription.id;
+        await subscriptionService.syncFromStripe(
+          await stripeService.retrieveSubscription(subscriptionId)
+        );
+      }
+      logger.info(`Subscription checkout processed for session: ${session.id}`);
+      return;
+    }
+
+    // DEPRECATED: Credit purchases - log but ignore
+    if (sessionType === "credit_purchase") {
+      logger.warn(
+        `Received deprecated credit purchase webhook for session: ${session.id}. Ignoring - credit system removed.`
+      );
+      return;
+    }
+
+    logger.info(`Unhandled session type: ${sessionType} for session: ${session.id}`);
+  }
+
+  /**
+   * Handle an abandoned checkout: close the pending purchase it left behind
+   * and give back the promo code use it held
+   * @param {Object} session - Stripe checkout session object
+   */
+  async handleCheckoutSessionExpired(session) {
+    const purchase = await bookPurchaseService.markSessionExpired(session.id);
+    await promotionService.releaseRedemption(session.id);
+
+    logger.info(`Checkout session expired: ${session.id}`, {
+      type: session.metadata?.type,
+      pendingPurchaseClosed: !!purchase,
+    });
+  }
+
+  /**
+   * Handle successful payment intent
+   * @param {Object} paymentIntent - Stripe payment intent object
+   */
+  async handlePaymentIntentSucceeded(paymentIntent) {
+    // Check if this is a book-related purchase
+    const validTypes = ["book_download", "book_print", "pdf_download"];
+    if (!validTypes.includes(paymentIntent.metadata?.type)) {
+      logger.info(
+        `Ignoring non-book purchase payment intent: ${paymentIntent.id}`
+      );
+      return;
+    }
+
+    logger.info(
+      `Payment intent succeeded: ${paymentIntent.id} (type: ${paymentIntent.metadata?.type})`
+    );
+    // Additional processing if needed
+  }
+
+  /**
+   * Handle failed payment intent
+   * @param {Object} paymentIntent - Stripe payment intent object
+   */
+  async handlePaymentIntentFailed(paymentIntent) {
+    // Check if this is a book-related purchase
+    const validTypes = ["book_download", "book_print"];
+    if (!validTypes.includes(paymentIntent.metadata?.type)) {
+      logger.info(
+        `Ignoring non-book purchase payment intent: ${paymentIntent.id}`
+      );
+      return;
+    }
+
+    const userId = paymentIntent.metadata.user_id;
+    const bookId = paymentIntent.metadata.book_id;
+
+    logger.warn(
+      `Payment failed for book ${bookId}, user ${userId}, payment intent: ${paymentIntent.id}`
+    );
+
+    // Additional processing for failed payments if needed
+    // e.g., send notification email to user
+  }
+
+  /**
+   * Handle refunded charge (full or partial)
+   * Refunds issued by the refund service are already recorded; this keeps
+   * PrintOrder/BookPurchase in sync with refunds made from the Stripe dashboard.
+   * @param {Object} charge - Stripe charge object
+   */
+  async handleChargeRefunded(charge) {
+    logger.info(`Charge refunded: ${charge.id}`, {
+      paymentIntentId: charge.payment_intent,
+      amountRefunded: charge.amount_refunded,
+      fullyRefunded: charge.refunded,
+    });
+
+    const { printOrder, newlyRefundedCents } =
+      await refundService.handleChargeRefunded(charge);
+
+    // Only notify for refunds we did not issue ourselves - ours are covered by
+    // the canceled/rejected emails
+    if (printOrder && newlyRefundedCents > 0) {
+      const user = await User.findById(printOrder.user_id);
+      if (user) {
+        try {
+          await emailService.sendPrintOrderRefundedEmail(
+            user,
+            printOrder,
+            newlyRefundedCents
+          );
+        } catch (emailError) {
+          logger.error(`Failed to send refund email: ${emailError.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Handle a failed subscription payment: Stripe retries it and emails the
+   * customer, and the plan keeps its quotas while the subscription is past_due
+   * @param {Object} invoice - Stripe invoice object
+   */
+  async handleInvoicePaymentFailed(invoice) {
+    logger.warn(`Invoice payment failed: ${invoice.id}`, {
+      customerId: invoice.customer,
+      amountDue: invoice.amount_due,
+      attemptCount: invoice.attempt_count,
+      nextPaymentAttempt: invoice.next_payment_attempt,
+    });
+
+    await subscriptionService.syncInvoice(invoice);
+  }
+
+  /**
+   * Handle a new dispute (chargeback): record it and alert the team, who
+   * have a limited time to respond in the Stripe dashboard
+   * @param {Object} dispute - Stripe dispute object
+   */
+  async handleDisputeCreated(dispute) {
+    const paymentIntentId =
+      typeof dispute.payment_intent === "string"
+        ? dispute.payment_intent
+        : dispute.payment_intent?.id;
+
+    logger.warn(`Dispute created: ${dispute.id}`, {
+      chargeId: dispute.charge,
+      paymentIntentId,
+      amount: dispute.amount,
+      reason: dispute.reason,
+    });
+
+    let printOrder = null;
+    let purchases = [];
+    if (paymentIntentId) {
+      printOrder = await PrintOrder.findOneAndUpdate(
+        { stripe_payment_intent_id: paymentIntentId },
+        {
+          dispute: {
+            stripe_dispute_id: dispute.id,
+            status: dispute.status,
+            reason: dispute.reason,
+            amount_cents: dispute.amount,
+            created_at: dispute.created ? new Date(dispute.created * 1000) : new Date(),
+          },
+        },
+        { new: true }
+      );
+      purchases = await BookPurchase.find({ stripe_payment_intent_id: paymentIntentId })
+        .select("_id stripe_session_id purchase_type");
+    }
+
+    try {
+      await emailService.sendAlert({
+        subject: `Stripe dispute ${dispute.id} opened (${dispute.reason})`,
+        body: [
+          `A customer disputed a payment of ${(dispute.amount / 100).toFixed(2)} ${String(dispute.currency).toUpperCase()}.`,
+          "",
+          `Dispute: ${dispute.id}`,
+          `Charge: ${dispute.charge}`,
+          `Payment intent: ${paymentIntentId || "unknown"}`,
+          `Reason: ${dispute.reason}`,
+          `Evidence due by: ${dispute.evidence_details?.due_by ? new Date(dispute.evidence_details.due_by * 1000).toISOString() : "unknown"}`,
+          "",
+          `Print order: ${printOrder ? `${printOrder.external_id} (${printOrder._id}, status ${printOrder.status})` : "none"}`,
+          `Book purchases: ${purchases.length > 0 ? purchases.map((purchase) => `${purchase._id} (${purchase.purchase_type})`).join(", ") : "none"}`,
+          "",
+          "Respond to the dispute in the Stripe dashboard before the evidence deadline.",
+        ].join("\n"),
+        priority: "high",
+      });
+    } catch (error) {
+      logger.error(`Failed to send dispute alert for ${dispute.id}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new StripeWebhookService();
@@ -0,0 +1,378 @@
+const { Subscription } = require("../models");
+const stripeService = require("./stripeService");
+const logger = require("../utils/logger");
+const { SUBSCRIPTION_PLANS, SUBSCRIPTION_QUOTA_FEATURES } = require("../utils/constants");
+
+// Stripe statuses that keep a paid plan's quotas (past_due while Stripe
+// retries the renewal payment)
+const ENTITLED_STATUSES = ["active", "trialing", "past_due"];
+
+// Stripe statuses after which the subscription is over
+const ENDED_STATUSES = ["canceled", "incomplete_expired"];
+
+/**
+ * Subscription plans and their monthly quotas.
+ *
+ * Every user has one Subscription row. Users who never subscribed (or whose
+ * subscription ended) are on the free plan, whose period is the calendar
+ * month and rolls over lazily. Paid plans follow the Stripe billing period,
+ * which is synced from the customer.subscription.* and invoice.* webhooks.
+ */
+class SubscriptionService {
+  /**
+   * @returns {Object} { id, name, stripe_price_id, quotas }
+   */
+  getPlan(planId) {
+    const plan = SUBSCRIPTION_PLANS[planId];
+    if (!plan) {
+      throw new Error("Plan not found");
+    }
+    return { id: planId, ...plan };
+  }
+
+  getPlanForPrice(priceId) {
+    const planId = Object.keys(SUBSCRIPTION_PLANS).find(
+      (id) => priceId && SUBSCRIPTION_PLANS[id].stripe_price_id === priceId
+    );
+    return planId ? this.getPlan(planId) : null;
+  }
+
+  /**
+   * Plans customers can choose from (paid plans need a Stripe price)
+   */
+  listPlans() {
+    return Object.keys(SUBSCRIPTION_PLANS)
+      .filter((id) => id === "free" || SUBSCRIPTION_PLANS[id].stripe_price_id)
+      .map((id) => ({
+        id,
+        name: SUBSCRIPTION_PLANS[id].name,
+        quotas: SUBSCRIPTION_PLANS[id].quotas,
+      }));
+  }
+
+  /**
+   * Calendar month containing a date (the free plan's billing period)
+   */
+  getFreePeriod(date = new Date()) {
+    return {
+      current_period_start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+      current_period_end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)),
+    };
+  }
+
+  /**
+   * Plan whose quotas currently apply (free unless a paid plan is in good standing)
+   */
+  getEffectivePlan(subscription) {
+    if (subscription.plan !== "free" && ENTITLED_STATUSES.includes(subscription.status)) {
+      return this.getPlan(subscription.plan);
+    }
+    return this.getPlan("free");
+  }
+
+  /**
+   * Get a user's subscription, creating the free plan row on first use and
+   * starting a new month for free plans whose period has ended
+   */
+  async getSubscription(userId) {
+    let subscription = await Subscription.findOne({ user_id: userId });
+
+    if (!subscription) {
+      try {
+        subscription = await Subscription.create({
+          user_id: userId,
+          plan: "free",
+          status: "active",
+          ...this.getFreePeriod(),
+        });
+      } catch (error) {
+        // Created by a concurrent request
+        if (error.code !== 11000) throw error;
+        subscription = await Subscription.findOne({ user_id: userId });
+      }
+    }
+
+    if (
+      this.getEffectivePlan(subscription).id === "free" &&
+      subscription.current_period_end <= new Date()
+    ) {
+      // Conditional on the old period so concurrent requests roll over once
+      const period = this.getFreePeriod();
+      subscription =
+        (await Subscription.findOneAndUpdate(
+          { _id: subscription._id, current_period_end: subscription.current_period_end },
+          {
+            ...period,
+            usage: { book_generations: 0, regenerations: 0, downloads: 0 },
+          },
+          { new: true }
+        )) || (await Subscription.findById(subscription._id));
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Plan, quotas and usage for the current period
+   */
+  async getQuotaStatus(userId) {
+    const subscription = await this.getSubscription(userId);
+    const plan = this.getEffectivePlan(subscription);
+
+    const usage = {};
+    const remaining = {};
+    for (const feature of SUBSCRIPTION_QUOTA_FEATURES) {
+      usage[feature] = subscription.usage?.[feature] || 0;
+      remaining[feature] = Math.max(0, (plan.quotas[feature] || 0) - usage[feature]);
+    }
+
+    return {
+      plan: plan.id,
+      plan_name: plan.name,
+      status: subscription.status,
+      subscribed_plan: subscription.plan,
+      cancel_at_period_end: subscription.cancel_at_period_end,
+      current_period_start: subscription.current_period_start,
+      current_period_end: subscription.current_period_end,
+      quotas: plan.quotas,
+      usage,
+      remaining,
+    };
+  }
+
+  /**
+   * Use one unit of a quota
+   * @param {string} feature - One of SUBSCRIPTION_QUOTA_FEATURES
+   * @returns {Promise<Object|null>} The updated subscription, or null when the
+   *   quota is used up
+   */
+  async consumeQuota(userId, feature) {
+    const subscription = await this.getSubscription(userId);
+    const quota = this.getEffectivePlan(subscription).quotas[feature] || 0;
+
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, [`usage.${feature}`]: { $lt: quota } },
+      { $inc: { [`usage.${feature}`]: 1 } },
+      { new: true }
+    );
+
+    if (updated) {
+      logger.info(`User ${userId} used ${feature} quota`, {
+        plan: updated.plan,
+        used: updated.usage[feature],
+        quota,
+      });
+    }
+    return updated;
+  }
+
+  /**
+   * Give back a unit of quota whose action failed
+   */
+  async releaseQuota(subscriptionId, feature) {
+    await Subscription.updateOne(
+      { _id: subscriptionId, [`usage.${feature}`]: { $gt: 0 } },
+      { $inc: { [`usage.${feature}`]: -1 } }
+    );
+  }
+
+  /**
+   * Stripe customer for a user, created on first checkout
+   */
+  async getOrCreateCustomerId(user) {
+    const subscription = await this.getSubscription(user._id);
+    if (subscription.stripe_customer_id) {
+      return subscription.stripe_customer_id;
+    }
+
+    const customer = await stripeService.createCustomer(
+      user.email,
+      `${user.first_name} ${user.last_name}`.trim(),
+      { user_id: String(user._id) }
+    );
+    subscription.stripe_customer_id = customer.id;
+    await subscription.save();
+
+    return customer.id;
+  }
+
+  /**
+   * Start a Stripe checkout for a paid plan
+   * @returns {Promise<Object>} Stripe checkout session
+   */
+  async createCheckout(user, planId) {
+    const plan = this.getPlan(planId);
+    if (!plan.stripe_price_id) {
+      throw new Error("Plan is not available for purchase");
+    }
+
+    const subscription = await this.getSubscription(user._id);
+    if (this.getEffectivePlan(subscription).id !== "free") {
+      throw new Error("Already subscribed, change plans from the billing portal");
+    }
+
+    const customerId = await this.getOrCreateCustomerId(user);
+    return stripeService.createSubscriptionCheckoutSession({
+      priceId: plan.stripe_price_id,
+      customerId,
+      userId: user._id,
+      plan: plan.id,
+    });
+  }
+
+  /**
+   * Stripe billing portal for changing plans, payment methods or cancelling
+   */
+  async createPortalSession(userId) {
+    const subscription = await this.getSubscription(userId);
+    if (!subscription.stripe_customer_id) {
+      throw new Error("No billing account found");
+    }
+    return stripeService.createBillingPortalSession(subscription.stripe_customer_id);
+  }
+
+  /**
+   * Billing period of a Stripe subscription (newer API versions report it
+   * on the subscription items)
+   */
+  getStripePeriod(stripeSubscription) {
+    const item = stripeSubscription.items?.data?.[0];
+    const start = stripeSubscription.current_period_start ?? item?.current_period_start;
+    const end = stripeSubscription.current_period_end ?? item?.current_period_end;
+
+    return {
+      current_period_start: new Date(start * 1000),
+      current_period_end: new Date(end * 1000),
+    };
+  }
+
+  /**
+   * Apply a Stripe subscription to the user's Subscription row. Safe to call
+   * more than once for the same state.
+   * @param {Object} stripeSubscription - Stripe subscription object
+   * @returns {Promise<Object|null>} The updated subscription
+   */
+  async syncFromStripe(stripeSubscription) {
+    const customerId =
+      typeof stripeSubscription.customer === "string"
+        ? stripeSubscription.customer
+        : stripeSubscription.customer?.id;
+
+    const subscription =
+      (stripeSubscription.metadata?.user_id &&
+        (await this.getSubscription(stripeSubscription.metadata.user_id))) ||
+      (await Subscription.findOne({ stripe_customer_id: customerId }));
+
+    if (!subscription) {
+      logger.warn(`No user found for Stripe subscription ${stripeSubscription.id}`, {
+        customerId,
+      });
+      return null;
+    }
+
+    // An old subscription ending after the customer started a new one
+    if (
+      subscription.stripe_subscription_id &&
+      subscription.stripe_subscription_id !== stripeSubscription.id &&
+      ENDED_STATUSES.includes(stripeSubscription.status)
+    ) {
+      logger.info(`Ignoring ended Stripe subscription ${stripeSubscription.id}`, {
+        current: subscription.stripe_subscription_id,
+      });
+      return subscription;
+    }
+
+    subscription.stripe_customer_id = customerId;
+
+    if (ENDED_STATUSES.includes(stripeSubscription.status)) {
+      Object.assign(subscription, {
+        plan: "free",
+        status: "active",
+        stripe_subscription_id: null,
+        stripe_price_id: null,
+        cancel_at_period_end: false,
+        canceled_at: stripeSubscription.canceled_at
+          ? new Date(stripeSubscription.canceled_at * 1000)
+          : new Date(),
+        ...this.getFreePeriod(),
+        usage: { book_generations: 0, regenerations: 0, downloads: 0 },
+      });
+      await subscription.save();
+
+      logger.info(`Subscription ${stripeSubscription.id} ended, user ${subscription.user_id} is on the free plan`);
+      return subscription;
+    }
+
+    const priceId = stripeSubscription.items?.data?.[0]?.price?.id || null;
+    const plan =
+      this.getPlanForPrice(priceId) ||
+      (SUBSCRIPTION_PLANS[stripeSubscription.metadata?.plan] &&
+        this.getPlan(stripeSubscription.metadata.plan));
+    if (!plan) {
+      throw new Error(`No plan for Stripe price ${priceId}`);
+    }
+
+    // Usage starts again when the paid plan's quotas first apply to a period
+    const period = this.getStripePeriod(stripeSubscription);
+    const isNewPeriod =
+      ENTITLED_STATUSES.includes(stripeSubscription.status) &&
+      (subscription.stripe_subscription_id !== stripeSubscription.id ||
+        !ENTITLED_STATUSES.includes(subscription.status) ||
+        subscription.current_period_start?.getTime() !== period.current_period_start.getTime());
+
+    Object.assign(subscription, {
+      plan: plan.id,
+      status: stripeSubscription.status,
+      stripe_subscription_id: stripeSubscription.id,
+      stripe_price_id: priceId,
+      cancel_at_period_end: Boolean(stripeSubscription.cancel_at_period_end),
+      canceled_at: stripeSubscription.canceled_at
+        ? new Date(stripeSubscription.canceled_at * 1000)
+        : null,
+      ...period,
+    });
+    if (isNewPeriod) {
+      subscription.usage = { book_generations: 0, regenerations: 0, downloads: 0 };
+    }
+    await subscription.save();
+
+    logger.info(`Synced Stripe subscription ${stripeSubscription.id}`, {
+      userId: subscription.user_id,
+      plan: plan.id,
+      status: stripeSubscription.status,
+      newPeriod: isNewPeriod,
+    });
+    return subscription;
+  }
+
+  /**
+   * Subscription ID of an invoice (newer API versions nest it under parent)
+   */
+  getInvoiceSubscriptionId(invoice) {
+    const subscriptionId =
+      invoice.subscription ?? invoice.parent?.subscription_details?.subscription;
+    return typeof subscriptionId === "string" ? subscriptionId : subscriptionId?.id || null;
+  }
+
+  /**
+   * Sync the subscription an invoice belongs to (a paid renewal starts a new
+   * period; a failed payment moves it to past_due)
+   */
+  async syncInvoice(invoice) {
+    const subscriptionId = this.getInvoiceSubscriptionId(invoice);
+    if (!subscriptionId) {
+      logger.info(`Ignoring invoice ${invoice.id} without a subscription`);
+      return null;
+    }
+
+    const stripeSubscription = await stripeService.retrieveSubscription(subscriptionId);
+    const subscription = await this.syncFromStripe(stripeSubscription);
+    if (subscription) {
+      subscription.latest_invoice_id = invoice.id;
+      await subscription.save();
+    }
+    return subscription;
+  }
+}
+
+module.exports = new SubscriptionService();
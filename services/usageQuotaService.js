@@ -0,0 +1,216 @@
+const { Book, User } = require("../models");
+const logger = require("../utils/logger");
+const { GENERATION_LIMITS, GENERATION_STALE_AFTER_MS } = require("../utils/constants");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A generation reservation is held while the request creates its book; one
+// left behind by a crashed request expires after this long
+const GENERATION_RESERVATION_TIMEOUT_MS = 60 * 1000;
+// How long a request waits for another request of the same user to finish
+const GENERATION_RESERVATION_WAIT_MS = 5000;
+const GENERATION_RESERVATION_POLL_MS = 250;
+
+/**
+ * Anti-abuse limits on AI generation: books per hour and per day, books
+ * generating at once and illustration regenerations per book.
+ *
+ * These sit on top of the plan quotas in subscriptionService and apply to
+ * every plan. Admins can override any limit per user (User.quota_overrides).
+ */
+class UsageQuotaService {
+  /**
+   * Limits for a user: defaults with the user's overrides applied
+   * @param {Object} user - User document
+   * @returns {Object} Same keys as GENERATION_LIMITS
+   */
+  getLimits(user) {
+    const limits = { ...GENERATION_LIMITS };
+    for (const key of Object.keys(GENERATION_LIMITS)) {
+      const override = user?.quota_overrides?.[key];
+      if (override !== null && override !== undefined) {
+        limits[key] = override;
+      }
+    }
+    return limits;
+  }
+
+  /**
+   * A user's recent and running generations
+   */
+  async getGenerationUsage(userId) {
+    const now = Date.now();
+    const [booksLastHour, booksLastDay, runningGenerations] = await Promise.all([
+      Book.countDocuments({
+        user_id: userId,
+        created_at: { $gt: new Date(now - HOUR_MS) },
+      }),
+      Book.countDocuments({
+        user_id: userId,
+        created_at: { $gt: new Date(now - 24 * HOUR_MS) },
+      }),
+      Book.countDocuments({
+        user_id: userId,
+        generation_status: { $in: ["pending", "generating"] },
+        created_at: { $gt: new Date(now - GENERATION_STALE_AFTER_MS) },
+      }),
+    ]);
+
+    return {
+      books_last_hour: booksLastHour,
+      books_last_day: booksLastDay,
+      running_generations: runningGenerations,
+    };
+  }
+
+  /**
+   * Check whether a user may start another book generation
+   * @returns {Promise<Object|null>} null when allowed, otherwise
+   *   { errorCode, limit, used }
+   */
+  async checkBookGeneration(user) {
+    const limits = this.getLimits(user);
+    const usage = await this.getGenerationUsage(user._id);
+
+    if (usage.running_generations >= limits.concurrent_generations) {
+      return {
+        errorCode: "QUOTA_003",
+        limit: limits.concurrent_generations,
+        used: usage.running_generations,
+      };
+    }
+    if (usage.books_last_hour >= limits.books_per_hour) {
+      return { errorCode: "QUOTA_001", limit: limits.books_per_hour, used: usage.books_last_hour };
+    }
+    if (usage.books_last_day >= limits.books_per_day) {
+      return { errorCode: "QUOTA_002", limit: limits.books_per_day, used: usage.books_last_day };
+    }
+
+    return null;
+  }
+
+  /**
+   * Reserve a book generation for a user. A user holds one reservation at a
+   * time (User.generation_reserved_until, taken with a guarded update), so
+   * parallel requests are checked one after another instead of all passing
+   * on the same counts. Release it once the book is created and counts
+   * towards the limits.
+   * @returns {Promise<Object>} { reservation, exceeded } where reservation
+   *   is passed to releaseBookGeneration and exceeded is null when allowed,
+   *   otherwise { errorCode, limit, used }
+   */
+  async reserveBookGeneration(user) {
+    const waitUntil = Date.now() + GENERATION_RESERVATION_WAIT_MS;
+
+    for (;;) {
+      const now = new Date();
+      const reservedUntil = new Date(now.getTime() + GENERATION_RESERVATION_TIMEOUT_MS);
+      const reserved = await User.findOneAndUpdate(
+        { _id: user._id, generation_reserved_until: { $not: { $gt: now } } },
+        { $set: { generation_reserved_until: reservedUntil } }
+      );
+
+      if (reserved) {
+        const reservation = { userId: user._id, reservedUntil };
+        try {
+          const exceeded = await this.checkBookGeneration(user);
+          if (exceeded) {
+            await this.releaseBookGeneration(reservation);
+          }
+          return { reservation, exceeded };
+        } catch (error) {
+          await this.releaseBookGeneration(reservation);
+          throw error;
+        }
+      }
+
+      // Another of the user's requests is starting a book
+      if (Date.now() >= waitUntil) {
+        const limit = this.getLimits(user).concurrent_generations;
+        return { reservation: null, exceeded: { errorCode: "QUOTA_003", limit, used: limit } };
+      }
+      await new Promise((resolve) => setTimeout(resolve, GENERATION_RESERVATION_POLL_MS));
+    }
+  }
+
+  /**
+   * Release a reservation taken by reserveBookGeneration (unless it expired
+   * and another request has taken a new one)
+   */
+  async releaseBookGeneration({ userId, reservedUntil }) {
+    await User.updateOne(
+      { _id: userId, generation_reserved_until: reservedUntil },
+      { $set: { generation_reserved_until: null } }
+    );
+  }
+
+  /**
+   * Count an illustration regeneration against its book
+   * @returns {Promise<Object|null>} The updated book, or null when the book's
+   *   regeneration limit is reached
+   */
+  async reserveRegeneration(user, bookId) {
+    const limit = this.getLimits(user).regenerations_per_book;
+
+    return Book.findOneAndUpdate(
+      { _id: bookId, regenerations_used: { $lt: limit } },
+      { $inc: { regenerations_used: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Give back a regeneration whose request failed
+   */
+  async releaseRegeneration(bookId) {
+    await Book.updateOne(
+      { _id: bookId, regenerations_used: { $gt: 0 } },
+      { $inc: { regenerations_used: -1 } }
+    );
+  }
+
+  /**
+   * Limits, overrides and current usage of a user (admin view)
+   */
+  async getUserQuotas(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    return {
+      defaults: GENERATION_LIMITS,
+      overrides: user.quota_overrides,
+      limits: this.getLimits(user),
+      usage: await this.getGenerationUsage(user._id),
+    };
+  }
+
+  /**
+   * Set a user's overrides (null restores the default)
+   * @param {Object} overrides - Any of the GENERATION_LIMITS keys, and note
+   * @param {string} adminId - Admin making the change
+   */
+  async setUserOverrides(userId, overrides, adminId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    for (const key of [...Object.keys(GENERATION_LIMITS), "note"]) {
+      if (overrides[key] !== undefined) {
+        user.quota_overrides[key] = overrides[key];
+      }
+    }
+    user.quota_overrides.updated_by = adminId;
+    user.quota_overrides.updated_at = new Date();
+    await user.save();
+
+    logger.info(`Generation limits for user ${userId} updated by admin ${adminId}`, {
+      limits: this.getLimits(user),
+    });
+    return this.getUserQuotas(userId);
+  }
+}
+
+module.exports = new UsageQuotaService();
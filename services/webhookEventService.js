@@ -0,0 +1,351 @@
+const crypto = require("crypto");
+const { WebhookEvent } = require("../models");
+const luluStatusService = require("./luluStatusService");
+const stripeWebhookService = require("./stripeWebhookService");
+const logger = require("../utils/logger");
+const {
+  WEBHOOK_EVENT_PROCESSING_TIMEOUT_MS,
+  REJECTED_WEBHOOK_EVENT_TTL_DAYS,
+  REJECTED_WEBHOOK_BODY_MAX_LENGTH,
+} = require("../utils/constants");
+
+// Processing outcomes that leave the event "skipped" rather than "processed"
+const SKIPPED_OUTCOMES = ["stale", "unknown_order"];
+
+// A redelivered event in one of these states is not processed again (nor is
+// one still processing, unless the run was cut off; see isInProgress)
+const SETTLED_STATUSES = ["processed", "skipped"];
+
+/**
+ * Stores inbound webhook events (Lulu and Stripe) and processes each one at
+ * most once.
+ *
+ * Every delivery is recorded with its payload and signature result. A
+ * redelivery of an event that was already handled only bumps its
+ * duplicate_count; a failed event is processed again when the provider
+ * retries it, as is one whose processing run was cut off by a crash or
+ * redeploy. Admins can replay any event with a valid signature.
+ *
+ * Deliveries with a bad signature keep only metadata and the start of the
+ * body, and expire after REJECTED_WEBHOOK_EVENT_TTL_DAYS.
+ */
+class WebhookEventService {
+  /**
+   * Whether an event is being processed right now. A run older than
+   * WEBHOOK_EVENT_PROCESSING_TIMEOUT_MS (or from before start times were
+   * stored) never finished and counts as failed.
+   */
+  isInProgress(event) {
+    if (event.status !== "processing" || !event.processing_started_at) {
+      return false;
+    }
+    return Date.now() - event.processing_started_at.getTime() < WEBHOOK_EVENT_PROCESSING_TIMEOUT_MS;
+  }
+
+  /**
+   * Whether a redelivery of a stored event should be skipped
+   */
+  isSettled(event) {
+    return SETTLED_STATUSES.includes(event.status) || this.isInProgress(event);
+  }
+
+  /**
+   * Key identifying a Lulu event across retries.
+   * Lulu has no event ID, so the print job, status and Lulu's status
+   * timestamp are used (falling back to a hash of the body).
+   */
+  getLuluEventKey(topic, data, rawBody) {
+    const changedAt =
+      data?.status?.changed ||
+      crypto.createHash("sha256").update(rawBody || JSON.stringify(data)).digest("hex");
+    return `lulu:${topic}:${data?.id}:${data?.status?.name}:${changedAt}`;
+  }
+
+  /**
+   * Record and process a Lulu webhook delivery
+   * @param {Object} delivery - { topic, data, rawBody, signatureValid }
+   * @returns {Promise<Object>} { event, duplicate }
+   */
+  async handleLuluWebhook({ topic, data, rawBody, signatureValid }) {
+    if (!signatureValid) {
+      // Stored under a unique key so a forged event can never block the real
+      // one. Anyone can send these, so only a bounded, expiring record is kept.
+      const event = await WebhookEvent.create({
+        provider: "lulu",
+        event_key: `lulu:rejected:${crypto.randomUUID()}`,
+        topic: typeof topic === "string" ? topic.slice(0, 100) : null,
+        resource_id: data?.id ? String(data.id).slice(0, 100) : null,
+        payload: {},
+        raw_body: rawBody ? rawBody.slice(0, REJECTED_WEBHOOK_BODY_MAX_LENGTH) : null,
+        signature_valid: false,
+        status: "rejected",
+        outcome: "invalid_signature",
+        expires_at: new Date(Date.now() + REJECTED_WEBHOOK_EVENT_TTL_DAYS * 24 * 60 * 60 * 1000),
+      });
+      return { event, duplicate: false };
+    }
+
+    const { event, duplicate } = await this.recordEvent({
+      provider: "lulu",
+      event_key: this.getLuluEventKey(topic, data, rawBody),
+      topic,
+      resource_id: data?.id ? String(data.id) : null,
+      payload: { topic, data },
+      raw_body: rawBody,
+      signature_valid: true,
+      occurred_at: data?.status?.changed ? new Date(data.status.changed) : null,
+    });
+
+    if (duplicate && this.isSettled(event)) {
+      logger.info(`Skipping duplicate Lulu webhook event ${event._id}`, {
+        eventKey: event.event_key,
+        status: event.status,
+        duplicateCount: event.duplicate_count,
+      });
+      return { event, duplicate: true };
+    }
+
+    const processedEvent = await this.processEvent(event);
+    if (!processedEvent) {
+      // A concurrent delivery got to it first
+      return { event, duplicate: true };
+    }
+
+    return { event: processedEvent, duplicate };
+  }
+
+  /**
+   * Record and process a verified Stripe event (deduplicated by event.id)
+   * @param {Object} stripeEvent - Event returned by constructWebhookEvent
+   * @returns {Promise<Object>} { event, duplicate }
+   */
+  async handleStripeWebhook(stripeEvent) {
+    const { event, duplicate } = await this.recordEvent({
+      provider: "stripe",
+      event_key: `stripe:${stripeEvent.id}`,
+      topic: stripeEvent.type,
+      resource_id: stripeEvent.data?.object?.id || null,
+      payload: stripeEvent,
+      signature_valid: true,
+      occurred_at: stripeEvent.created ? new Date(stripeEvent.created * 1000) : null,
+    });
+
+    if (duplicate && this.isSettled(event)) {
+      logger.info(`Skipping duplicate Stripe event ${stripeEvent.id}`, {
+        type: stripeEvent.type,
+        status: event.status,
+        duplicateCount: event.duplicate_count,
+      });
+      return { event, duplicate: true };
+    }
+
+    // Stripe can deliver the same event to several instances at once; only
+    // the one that claims it runs the handler
+    const processedEvent = await this.processEvent(event);
+    if (!processedEvent) {
+      return { event, duplicate: true };
+    }
+
+    return { event: processedEvent, duplicate };
+  }
+
+  /**
+   * Insert an event, or return the stored copy if it was seen before
+   */
+  async recordEvent(fields) {
+    try {
+      const event = await WebhookEvent.create(fields);
+      return { event, duplicate: false };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      const event = await WebhookEvent.findOneAndUpdate(
+        { event_key: fields.event_key },
+        { $inc: { duplicate_count: 1 }, $set: { last_received_at: new Date() } },
+        { new: true }
+      );
+      return { event, duplicate: true };
+    }
+  }
+
+  /**
+   * Atomically move an event to "processing", so concurrent deliveries (or a
+   * replay racing a delivery) never run its handler twice. A settled event is
+   * only claimed for a replay.
+   * @returns {Promise<Object|null>} The claimed event, or null if it is
+   *   settled or already being processed
+   */
+  async claimEvent(event, { replayedBy = null } = {}) {
+    const cutoff = new Date(Date.now() - WEBHOOK_EVENT_PROCESSING_TIMEOUT_MS);
+    const blockedStatuses = replayedBy ? ["processing"] : ["processing", ...SETTLED_STATUSES];
+
+    const update = {
+      $set: { status: "processing", processing_started_at: new Date(), error_message: null },
+      $inc: { attempts: 1 },
+    };
+    if (replayedBy) {
+      update.$set.replayed_at = new Date();
+      update.$set.replayed_by = replayedBy;
+      update.$inc.replay_count = 1;
+    }
+
+    return WebhookEvent.findOneAndUpdate(
+      {
+        _id: event._id,
+        $or: [
+          { status: { $nin: blockedStatuses } },
+          // A run that was cut off (see isInProgress)
+          { status: "processing", processing_started_at: { $lt: cutoff } },
+          { status: "processing", processing_started_at: null },
+        ],
+      },
+      update,
+      { new: true }
+    );
+  }
+
+  /**
+   * Process a stored event and record the outcome.
+   * Errors are recorded and rethrown so the webhook returns 500 and the
+   * provider retries.
+   * @param {Object} options - { replayedBy } admin replaying the event
+   * @returns {Promise<Object|null>} The processed event, or null if another
+   *   run claimed it first
+   */
+  async processEvent(event, source = "webhook", options = {}) {
+    const claimedEvent = await this.claimEvent(event, options);
+    if (!claimedEvent) {
+      logger.info(`Webhook event ${event._id} is settled or already being processed, skipping`, {
+        provider: event.provider,
+        source,
+      });
+      return null;
+    }
+
+    try {
+      const outcome = await this.dispatchEvent(claimedEvent, source);
+
+      const processedEvent = await WebhookEvent.findByIdAndUpdate(
+        event._id,
+        {
+          status: SKIPPED_OUTCOMES.includes(outcome) ? "skipped" : "processed",
+          outcome,
+          processed_at: new Date(),
+        },
+        { new: true }
+      );
+
+      logger.info(`Webhook event ${event._id} ${processedEvent.status}`, {
+        provider: event.provider,
+        outcome,
+        source,
+      });
+
+      return processedEvent;
+    } catch (error) {
+      await WebhookEvent.updateOne(
+        { _id: event._id },
+        { status: "failed", outcome: "error", error_message: error.message }
+      );
+
+      logger.error(`Webhook event ${event._id} failed: ${error.message}`, {
+        provider: event.provider,
+        source,
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Run the provider-specific handler for an event
+   * @returns {Promise<string>} Outcome
+   */
+  async dispatchEvent(event, source) {
+    const { topic, data } = event.payload || {};
+
+    switch (event.provider) {
+      case "lulu":
+        if (topic !== "PRINT_JOB_STATUS_CHANGED") {
+          return "unsupported_topic";
+        }
+        return (await luluStatusService.applyPrintJobStatus(data, source)).outcome;
+      case "stripe":
+        return stripeWebhookService.handleEvent(event.payload);
+      default:
+        throw new Error(`Unsupported webhook provider: ${event.provider}`);
+    }
+  }
+
+  /**
+   * Process a stored event again (admin action)
+   */
+  async replayEvent(eventId, adminId) {
+    const event = await this.getEvent(eventId);
+
+    if (!event.signature_valid) {
+      throw new Error("Events with an invalid signature cannot be replayed");
+    }
+
+    if (this.isInProgress(event)) {
+      throw new Error("Event is currently being processed");
+    }
+
+    logger.info(`Replaying webhook event ${event._id}`, {
+      provider: event.provider,
+      adminId,
+    });
+
+    const processedEvent = await this.processEvent(event, "replay", { replayedBy: adminId });
+    if (!processedEvent) {
+      throw new Error("Event is currently being processed");
+    }
+
+    return processedEvent;
+  }
+
+  /**
+   * List stored events for the admin console
+   */
+  async listEvents({ provider, status, resourceId, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (provider) query.provider = provider;
+    if (status) query.status = status;
+    if (resourceId) query.resource_id = resourceId;
+
+    const skip = (page - 1) * limit;
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query)
+        .select("-raw_body")
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(limit),
+      WebhookEvent.countDocuments(query),
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Get a single stored event
+   */
+  async getEvent(eventId) {
+    const event = await WebhookEvent.findById(eventId);
+    if (!event) {
+      throw new Error("Webhook event not found");
+    }
+    return event;
+  }
+}
+
+module.exports = new WebhookEventService();
@@ -5,6 +5,35 @@ require("dotenv").config();
  * All environment variables should be loaded here and exported
  */
 
+/**
+ * Parse a JSON environment variable. A malformed value (or one of the wrong
+ * shape) is logged and the fallback used, so one bad variable can't stop the
+ * server from starting. The logger loads this file, so console is used.
+ * @param {string} name - Environment variable
+ * @param {Object|Array} fallback - Value when unset or invalid
+ */
+const parseJsonEnv = (name, fallback) => {
+  const value = process.env[name];
+  if (!value) {
+    return fallback;
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed) !== Array.isArray(fallback)) {
+      throw new Error(`expected ${Array.isArray(fallback) ? "an array" : "an object"}`);
+    }
+    return parsed;
+  } catch (error) {
+    console.error(`Invalid ${name} (${error.message}), using the default. Value: ${value}`);
+    return fallback;
+  }
+};
+
+// Object with its keys converted by a function (e.g. currency codes to lower case)
+const mapKeys = (object, convert) =>
+  Object.fromEntries(Object.entries(object).map(([key, value]) => [convert(key), value]));
+
 // Server Configuration
 const PORT = process.env.PORT || 8080;
 const DEBUG_MODE = process.env.DEBUG_MODE_ENV !== "false";
@@ -42,20 +71,75 @@ const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
 const STRIPE_PUBLIC_KEY = process.env.STRIPE_PUBLIC_KEY;
 const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
 
-// Stripe Product IDs for downloads
-const STRIPE_PRICE_DOWNLOAD_12 = process.env.STRIPE_PRICE_DOWNLOAD_12;
-const STRIPE_PRICE_DOWNLOAD_16 = process.env.STRIPE_PRICE_DOWNLOAD_16;
-const STRIPE_PRICE_DOWNLOAD_24 = process.env.STRIPE_PRICE_DOWNLOAD_24;
-
-// Download Pricing (in cents - for display/reference only, actual prices are in Stripe)
+// Download Pricing (GBP pence by page count, converted to the checkout currency
+// by pricingService; override with DOWNLOAD_PRICES_JSON, e.g. {"12":349})
 const DOWNLOAD_PRICES = {
-  12: 299,  // $2.99
-  16: 399,  // $3.99
-  24: 499,  // $4.99
+  12: 299,  // £2.99
+  16: 399,  // £3.99
+  24: 499,  // £4.99
+  ...parseJsonEnv("DOWNLOAD_PRICES_JSON", {}),
+};
+
+// Download entitlement limits (applied to every completed BookPurchase)
+const MAX_DOWNLOADS_PER_PURCHASE = parseInt(process.env.MAX_DOWNLOADS_PER_PURCHASE || "5");
+const DOWNLOAD_LINK_EXPIRY_DAYS = parseInt(process.env.DOWNLOAD_LINK_EXPIRY_DAYS || "30");
+
+// Promotions
+const PROMOTION_PRODUCTS = ["download", "print"]; // what a promo code can apply to
+const PROMO_CODE_MAX_LENGTH = 32;
+// Least a discounted print checkout may charge (Stripe rejects smaller card payments)
+const PROMOTION_MIN_CHARGE_CENTS = parseInt(process.env.PROMOTION_MIN_CHARGE_CENTS || "50");
+
+// Subscription plans (Stripe Billing). Quotas are per billing period; users
+// without a paid subscription are on the free plan, whose period is the
+// calendar month. Override or add plans with SUBSCRIPTION_PLANS_JSON.
+const SUBSCRIPTION_QUOTA_FEATURES = ["book_generations", "regenerations", "downloads"];
+const SUBSCRIPTION_PLANS = {
+  free: {
+    name: "Free",
+    stripe_price_id: null,
+    quotas: {
+      book_generations: parseInt(process.env.FREE_PLAN_BOOK_GENERATIONS || "2"),
+      regenerations: parseInt(process.env.FREE_PLAN_REGENERATIONS || "10"),
+      downloads: parseInt(process.env.FREE_PLAN_DOWNLOADS || "0"),
+    },
+  },
+  starter: {
+    name: "Starter",
+    stripe_price_id: process.env.STRIPE_PRICE_PLAN_STARTER || null,
+    quotas: { book_generations: 4, regenerations: 40, downloads: 4 },
+  },
+  family: {
+    name: "Family",
+    stripe_price_id: process.env.STRIPE_PRICE_PLAN_FAMILY || null,
+    quotas: { book_generations: 10, regenerations: 100, downloads: 10 },
+  },
+  ...parseJsonEnv("SUBSCRIPTION_PLANS_JSON", {}),
+};
+
+// Invoices (seller details printed on every invoice; numbers are PREFIX-000001)
+const INVOICE_SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || "PetTalesAI",
+  address: process.env.INVOICE_SELLER_ADDRESS || "", // lines separated by "|"
+  vat_number: process.env.INVOICE_SELLER_VAT_NUMBER || null,
+  email: process.env.INVOICE_SELLER_EMAIL || process.env.CONTACT_EMAIL_ADDRESS || null,
 };
+const INVOICE_NUMBER_PREFIX = process.env.INVOICE_NUMBER_PREFIX || "PT";
+// VAT included in download prices, in percent (Lulu reports the tax on print orders)
+const DOWNLOAD_TAX_RATE = parseFloat(process.env.DOWNLOAD_TAX_RATE || "0");
+
+// Guest purchase claim links (sent in receipts; signed with PURCHASE_CLAIM_SECRET)
+const PURCHASE_CLAIM_SECRET = process.env.PURCHASE_CLAIM_SECRET || JWT_SECRET;
+const PURCHASE_CLAIM_LINK_TTL_DAYS = parseInt(process.env.PURCHASE_CLAIM_LINK_TTL_DAYS || "30");
 
 // Webhook Configuration
 const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+// A stored webhook event still "processing" after this long was cut off (crash
+// or redeploy) and is processed again like a failed one
+const WEBHOOK_EVENT_PROCESSING_TIMEOUT_MS = parseInt(process.env.WEBHOOK_EVENT_PROCESSING_TIMEOUT_MS || "600000"); // 10 minutes
+// Deliveries with a bad signature keep only the start of their body, for a while
+const REJECTED_WEBHOOK_EVENT_TTL_DAYS = parseInt(process.env.REJECTED_WEBHOOK_EVENT_TTL_DAYS || "7");
+const REJECTED_WEBHOOK_BODY_MAX_LENGTH = 2048;
 
 // AWS Lambda Configuration
 const AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME;
@@ -90,12 +174,43 @@ const ILLUST_VECTOR_ART =
 const ILLUST_CLASSIC_WATERCOLOR =
   "https://storage.pettales.ai/_static/illustration_styles/illust_classic_watercolor_1.png";
 
+// Custom prompts users can give when regenerating an illustration. Extra
+// blocked terms (comma-separated) add to the built-in moderation lists.
+const CUSTOM_PROMPT_MAX_LENGTH = parseInt(process.env.CUSTOM_PROMPT_MAX_LENGTH || "1000");
+const PROMPT_BLOCKED_TERMS = (process.env.PROMPT_BLOCKED_TERMS || "")
+  .split(",")
+  .map((term) => term.trim().toLowerCase())
+  .filter(Boolean);
+
 
 // Application Constants
 const DEFAULT_CREDITS_BALANCE = 10;  // DEPRECATED - keeping for migration reference only
 const SESSION_EXPIRY_DAYS = 7;
 const EMAIL_VERIFICATION_EXPIRY_HOURS = 24;
 const PASSWORD_RESET_EXPIRY_HOURS = 1;
+// Book sizes we sell; a book's page_count is the smallest size that holds its pages
+const BOOK_PAGE_COUNTS = [12, 16, 24];
+
+// Generation limits (anti-abuse: every generation is real AI spend). Admins can
+// override any of them per user (User.quota_overrides).
+const GENERATION_LIMITS = {
+  books_per_hour: parseInt(process.env.HOURLY_GENERATION_LIMIT || "3"),
+  books_per_day: parseInt(process.env.DAILY_GENERATION_LIMIT || "10"),
+  concurrent_generations: parseInt(process.env.CONCURRENT_GENERATION_LIMIT || "2"),
+  regenerations_per_book: parseInt(process.env.REGENERATIONS_PER_BOOK_LIMIT || "20"),
+};
+// Books still pending or generating after this long no longer count as running
+const GENERATION_STALE_AFTER_MS = parseInt(process.env.GENERATION_STALE_AFTER_MS || "7200000"); // 2 hours
+
+// Progress events the generation Lambda reports on the book generation webhook,
+// how many are kept on a book, and how often the live event stream sends a
+// keep-alive so proxies don't close an idle connection
+const BOOK_GENERATION_EVENTS = ["story_written", "page_illustrated", "pdf_built"];
+const BOOK_GENERATION_EVENTS_MAX = 100;
+const BOOK_EVENTS_HEARTBEAT_MS = parseInt(process.env.BOOK_EVENTS_HEARTBEAT_MS || "25000");
+// Progress events accepted per IP per 15 minutes (limited apart from the
+// other webhooks)
+const GENERATION_PROGRESS_RATE_LIMIT_MAX = parseInt(process.env.GENERATION_PROGRESS_RATE_LIMIT_MAX || "5000");
 
 // DEPRECATED - Credit System Constants (removed but kept commented for reference during migration)
 // const CREDIT_COSTS = {
@@ -116,6 +231,201 @@ const PASSWORD_RESET_EXPIRY_HOURS = 1;
 // Print Markup Configuration (for Lulu print orders)
 const PRINT_MARKUP_PERCENTAGE = parseFloat(process.env.PRINT_MARKUP_PERCENTAGE || "100"); // 100% default markup
 const SHIPPING_MARKUP_PERCENTAGE = parseFloat(process.env.SHIPPING_MARKUP_PERCENTAGE || "5"); // 5% shipping markup
+// Markups for single shipping countries ({ print, shipping } percentages; either
+// may be left out to use the defaults above), e.g. {"US":{"print":120,"shipping":10}}
+const COUNTRY_MARKUPS = mapKeys(parseJsonEnv("COUNTRY_MARKUPS_JSON", {}), (code) => code.toUpperCase());
+
+// Volume discounts on the copies of a book after the first, by copies of that
+// book in the order (highest matching tier wins); override with VOLUME_DISCOUNTS_JSON
+const VOLUME_DISCOUNTS = parseJsonEnv("VOLUME_DISCOUNTS_JSON", [
+  { min_copies: 2, percent_off: 10 },
+  { min_copies: 5, percent_off: 15 },
+  { min_copies: 10, percent_off: 20 },
+]);
+
+// Bundles: every printed book comes with its PDF. download_percent is the share
+// of the download price added to the print price for each book (0 = PDF included
+// free). Override or add bundles with PRICING_BUNDLES_JSON.
+const PRICING_BUNDLES = {
+  pdf_softcover: {
+    name: "PDF + Softcover",
+    bindings: ["saddle_stitch", "paperback"],
+    download_percent: 0,
+  },
+  pdf_hardcover: {
+    name: "PDF + Hardcover",
+    bindings: ["hardcover"],
+    download_percent: 0,
+  },
+  ...parseJsonEnv("PRICING_BUNDLES_JSON", {}),
+};
+
+// Print Cart Limits (the books travel in Stripe metadata, which caps values at 500 characters)
+const CART_MAX_ITEMS = parseInt(process.env.CART_MAX_ITEMS || "10"); // different books
+const CART_MAX_QUANTITY = 100; // copies across all books, PrintOrder.quantity max
+
+// Gift Orders (the message travels in Stripe metadata, which caps values at 500 characters)
+const GIFT_MESSAGE_MAX_LENGTH = 300;
+
+// Print Quotes (cached Lulu pricing and signed quote IDs honoured at checkout)
+const LULU_QUOTE_CACHE_TTL_MS = parseInt(process.env.LULU_QUOTE_CACHE_TTL_MS || "900000"); // 15 minutes without a heartbeat (refreshed every third of it)
+const LULU_QUOTE_CACHE_MAX_ENTRIES = parseInt(process.env.LULU_QUOTE_CACHE_MAX_ENTRIES || "1000");
+const PRINT_QUOTE_TTL_MS = parseInt(process.env.PRINT_QUOTE_TTL_MS || "1800000"); // 30 minutes
+const PRINT_QUOTE_SECRET = process.env.PRINT_QUOTE_SECRET || JWT_SECRET;
+const PRICING_RATE_LIMIT_WINDOW_MS = parseInt(process.env.PRICING_RATE_LIMIT_WINDOW_MS || "60000"); // 1 minute
+const PRICING_RATE_LIMIT_MAX = parseInt(process.env.PRICING_RATE_LIMIT_MAX || "20"); // requests per IP per window
+
+// Print Product Catalog
+// Each format has its own Lulu package and layout geometry (inches). Bindings:
+// saddle_stitch (no spine), paperback (perfect bound) and hardcover (case wrap,
+// where cover_bleed_in is the wrap around the boards). Spine width is
+// pages / pages_per_inch + extra_in, at least min_in. Ids travel in Stripe
+// metadata, so keep them short.
+const PRINT_PRODUCTS = {
+  sq75_saddle: {
+    name: '7.5" Square Saddle Stitch',
+    pod_package_id: LULU_POD_PACKAGE_ID,
+    binding: "saddle_stitch",
+    trim_width_in: 7.5,
+    trim_height_in: 7.5,
+    paper: "80# coated white",
+    finish: "matte",
+    bleed_in: 0.125,
+    cover_bleed_in: 0.125,
+    safe_margin_in: 0.25,
+    spine: null,
+    min_pages: 4,
+    max_pages: 48,
+    page_multiple: 4,
+  },
+  sq75_paperback: {
+    name: '7.5" Square Paperback',
+    pod_package_id: "0750X0750FCPREPB080CW444GXX",
+    binding: "paperback",
+    trim_width_in: 7.5,
+    trim_height_in: 7.5,
+    paper: "80# coated white",
+    finish: "gloss",
+    bleed_in: 0.125,
+    cover_bleed_in: 0.125,
+    safe_margin_in: 0.25,
+    spine: { pages_per_inch: 444, extra_in: 0.06, min_in: 0.0625 },
+    min_pages: 32,
+    max_pages: 800,
+    page_multiple: 2,
+  },
+  sq75_hardcover: {
+    name: '7.5" Square Hardcover',
+    pod_package_id: "0750X0750FCPRECW080CW444MXX",
+    binding: "hardcover",
+    trim_width_in: 7.5,
+    trim_height_in: 7.5,
+    paper: "80# coated white",
+    finish: "matte",
+    bleed_in: 0.125,
+    cover_bleed_in: 0.75,
+    safe_margin_in: 0.5,
+    spine: { pages_per_inch: 444, extra_in: 0.2, min_in: 0.25 },
+    min_pages: 24,
+    max_pages: 800,
+    page_multiple: 2,
+  },
+  sq85_hardcover: {
+    name: '8.5" Square Hardcover',
+    pod_package_id: "0850X0850FCPRECW080CW444GXX",
+    binding: "hardcover",
+    trim_width_in: 8.5,
+    trim_height_in: 8.5,
+    paper: "80# coated white",
+    finish: "gloss",
+    bleed_in: 0.125,
+    cover_bleed_in: 0.75,
+    safe_margin_in: 0.5,
+    spine: { pages_per_inch: 444, extra_in: 0.2, min_in: 0.25 },
+    min_pages: 24,
+    max_pages: 800,
+    page_multiple: 2,
+  },
+  ls11_hardcover: {
+    name: '11" x 8.5" Landscape Hardcover',
+    pod_package_id: "1100X0850FCPRECW080CW444MXX",
+    binding: "hardcover",
+    trim_width_in: 11,
+    trim_height_in: 8.5,
+    paper: "80# coated white",
+    finish: "matte",
+    bleed_in: 0.125,
+    cover_bleed_in: 0.75,
+    safe_margin_in: 0.5,
+    spine: { pages_per_inch: 444, extra_in: 0.2, min_in: 0.25 },
+    min_pages: 24,
+    max_pages: 800,
+    page_multiple: 2,
+  },
+  pt85_paperback: {
+    name: '8.5" x 11" Portrait Paperback',
+    pod_package_id: "0850X1100FCPREPB080CW444MXX",
+    binding: "paperback",
+    trim_width_in: 8.5,
+    trim_height_in: 11,
+    paper: "80# coated white",
+    finish: "matte",
+    bleed_in: 0.125,
+    cover_bleed_in: 0.125,
+    safe_margin_in: 0.25,
+    spine: { pages_per_inch: 444, extra_in: 0.06, min_in: 0.0625 },
+    min_pages: 32,
+    max_pages: 800,
+    page_multiple: 2,
+  },
+};
+// Format used when none is chosen
+const DEFAULT_PRINT_PRODUCT = process.env.DEFAULT_PRINT_PRODUCT || "sq75_saddle";
+
+// Currency Configuration (Lulu quotes in GBP; checkout can be charged in other currencies)
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || "gbp").toLowerCase();
+const SUPPORTED_CURRENCIES = ["gbp", "usd", "eur", "cad", "aud", "nzd", "sek", "nok", "dkk"];
+// Units of each currency per 1 GBP; override with FX_RATES_JSON, e.g. {"usd":1.27,"eur":1.17}
+const FX_RATES = {
+  gbp: 1,
+  usd: 1.27,
+  eur: 1.17,
+  cad: 1.73,
+  aud: 1.93,
+  nzd: 2.11,
+  sek: 13.4,
+  nok: 13.6,
+  dkk: 8.72,
+  ...mapKeys(parseJsonEnv("FX_RATES_JSON", {}), (currency) => currency.toLowerCase()),
+};
+// Checkout currency for each shipping country we ship to
+const COUNTRY_CURRENCIES = {
+  GB: "gbp",
+  US: "usd",
+  CA: "cad",
+  AU: "aud",
+  NZ: "nzd",
+  IE: "eur",
+  FR: "eur",
+  DE: "eur",
+  ES: "eur",
+  IT: "eur",
+  NL: "eur",
+  BE: "eur",
+  SE: "sek",
+  NO: "nok",
+  DK: "dkk",
+};
+
+// Background Job Queue Configuration
+const JOB_QUEUE_POLL_INTERVAL_MS = parseInt(process.env.JOB_QUEUE_POLL_INTERVAL_MS || "5000");
+const JOB_QUEUE_LOCK_TIMEOUT_MS = parseInt(process.env.JOB_QUEUE_LOCK_TIMEOUT_MS || "900000"); // 15 minutes
+const LULU_SUBMISSION_MAX_ATTEMPTS = parseInt(process.env.LULU_SUBMISSION_MAX_ATTEMPTS || "5");
+const LULU_SUBMISSION_RETRY_BASE_DELAY_MS = parseInt(process.env.LULU_SUBMISSION_RETRY_BASE_DELAY_MS || "60000"); // doubles per attempt
+const LULU_SUBMISSION_RETRY_MAX_DELAY_MS = parseInt(process.env.LULU_SUBMISSION_RETRY_MAX_DELAY_MS || "3600000"); // 1 hour
+const LULU_VALIDATION_POLL_INTERVAL_MS = parseInt(process.env.LULU_VALIDATION_POLL_INTERVAL_MS || "5000");
+const LULU_VALIDATION_TIMEOUT_MS = parseInt(process.env.LULU_VALIDATION_TIMEOUT_MS || "300000"); // 5 minutes
+const LULU_STATUS_RECONCILE_INTERVAL_MS = parseInt(process.env.LULU_STATUS_RECONCILE_INTERVAL_MS || "3600000"); // 1 hour, 0 disables
 
 // Determine if we're in local development (not staging or production)
 const IS_LOCAL_DEV =
@@ -239,15 +549,35 @@ module.exports = {
   STRIPE_SECRET_KEY,
   STRIPE_PUBLIC_KEY,
   STRIPE_WEBHOOK_SECRET,
-  STRIPE_PRICE_DOWNLOAD_12,
-  STRIPE_PRICE_DOWNLOAD_16,
-  STRIPE_PRICE_DOWNLOAD_24,
 
   // Download Pricing
   DOWNLOAD_PRICES,
+  MAX_DOWNLOADS_PER_PURCHASE,
+  DOWNLOAD_LINK_EXPIRY_DAYS,
+
+  // Promotions
+  PROMOTION_PRODUCTS,
+  PROMO_CODE_MAX_LENGTH,
+  PROMOTION_MIN_CHARGE_CENTS,
+
+  // Subscriptions
+  SUBSCRIPTION_QUOTA_FEATURES,
+  SUBSCRIPTION_PLANS,
+
+  // Invoices
+  INVOICE_SELLER,
+  INVOICE_NUMBER_PREFIX,
+  DOWNLOAD_TAX_RATE,
+
+  // Guest Purchase Claims
+  PURCHASE_CLAIM_SECRET,
+  PURCHASE_CLAIM_LINK_TTL_DAYS,
 
   // Webhook
   WEBHOOK_SECRET,
+  WEBHOOK_EVENT_PROCESSING_TIMEOUT_MS,
+  REJECTED_WEBHOOK_EVENT_TTL_DAYS,
+  REJECTED_WEBHOOK_BODY_MAX_LENGTH,
 
   // AWS Lambda
   AWS_LAMBDA_FUNCTION_NAME,
@@ -272,15 +602,60 @@ module.exports = {
   ILLUST_VECTOR_ART,
   ILLUST_CLASSIC_WATERCOLOR,
 
+  // Illustration Prompts
+  CUSTOM_PROMPT_MAX_LENGTH,
+  PROMPT_BLOCKED_TERMS,
+
   // Application Constants
   DEFAULT_CREDITS_BALANCE,  // DEPRECATED
   SESSION_EXPIRY_DAYS,
   EMAIL_VERIFICATION_EXPIRY_HOURS,
   PASSWORD_RESET_EXPIRY_HOURS,
+  BOOK_PAGE_COUNTS,
+
+  // Generation Limits
+  GENERATION_LIMITS,
+  GENERATION_STALE_AFTER_MS,
+
+  // Generation Progress
+  BOOK_GENERATION_EVENTS,
+  BOOK_GENERATION_EVENTS_MAX,
+  BOOK_EVENTS_HEARTBEAT_MS,
+  GENERATION_PROGRESS_RATE_LIMIT_MAX,
 
   // Print Configuration
   PRINT_MARKUP_PERCENTAGE,
   SHIPPING_MARKUP_PERCENTAGE,
+  COUNTRY_MARKUPS,
+  VOLUME_DISCOUNTS,
+  PRICING_BUNDLES,
+  CART_MAX_ITEMS,
+  CART_MAX_QUANTITY,
+  GIFT_MESSAGE_MAX_LENGTH,
+  LULU_QUOTE_CACHE_TTL_MS,
+  LULU_QUOTE_CACHE_MAX_ENTRIES,
+  PRINT_QUOTE_TTL_MS,
+  PRINT_QUOTE_SECRET,
+  PRICING_RATE_LIMIT_WINDOW_MS,
+  PRICING_RATE_LIMIT_MAX,
+  PRINT_PRODUCTS,
+  DEFAULT_PRINT_PRODUCT,
+
+  // Currency Configuration
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  FX_RATES,
+  COUNTRY_CURRENCIES,
+
+  // Background Job Queue
+  JOB_QUEUE_POLL_INTERVAL_MS,
+  JOB_QUEUE_LOCK_TIMEOUT_MS,
+  LULU_SUBMISSION_MAX_ATTEMPTS,
+  LULU_SUBMISSION_RETRY_BASE_DELAY_MS,
+  LULU_SUBMISSION_RETRY_MAX_DELAY_MS,
+  LULU_VALIDATION_POLL_INTERVAL_MS,
+  LULU_VALIDATION_TIMEOUT_MS,
+  LULU_STATUS_RECONCILE_INTERVAL_MS,
 
   // Cookie Configuration
   COOKIE_OPTIONS,
@@ -174,6 +174,35 @@ const ERROR_CODES = {
     httpStatus: 400,
   },
 
+  // Usage quota errors (QUOTA_xxx)
+  QUOTA_001: {
+    code: "QUOTA_001",
+    message: "Hourly book generation limit reached. Please try again later.",
+    httpStatus: 429,
+  },
+  QUOTA_002: {
+    code: "QUOTA_002",
+    message: "Daily book generation limit reached. Please try again tomorrow.",
+    httpStatus: 429,
+  },
+  QUOTA_003: {
+    code: "QUOTA_003",
+    message: "Too many books are generating. Please wait for one to finish.",
+    httpStatus: 429,
+  },
+  QUOTA_004: {
+    code: "QUOTA_004",
+    message: "Regeneration limit reached for this book",
+    httpStatus: 403,
+  },
+
+  // Subscription errors (SUB_xxx)
+  SUB_001: {
+    code: "SUB_001",
+    message: "Your plan's allowance for this period is used up",
+    httpStatus: 402,
+  },
+
   // Generic errors
   GENERIC_001: {
     code: "GENERIC_001",